@@ -0,0 +1,271 @@
+// ============================================================================
+// Popping Bubbles — Backend adapters (backend.js)
+// Owner: Ken Pao
+//
+// About this file
+// - Every network call the game makes goes through one backend object:
+//     saveRun(payload)                      -> { ok, verified? } (payload carries roundLog + its logSig checksum)
+//     getLeaderboard({ limit, mode, username }) -> { ok, scores: [...], me: { rank } | null }
+//     getProfile(deviceId)                  -> { ok, profile: { username, ... } | null }
+//     checkUsername(username, deviceId)     -> { ok, available }
+//     setUsername(deviceId, username)       -> { ok }
+//     getRules()                            -> { ok, profile: <rules profile JSON> | null } (core/profile.js)
+// - Three implementations:
+//     worker  Cloudflare Worker / Apps Script (?action=... query strings, the production default)
+//     local   pure localStorage (offline / kiosk; leaderboard is per-device)
+//     rest    generic REST server (see createRestBackend for the routes)
+// - Selection (first match wins):
+//     1. URL params   ?backend=local | ?backend=rest&api=https://host/api | ?backend=worker&api=http://localhost:8787/
+//     2. window.BUBBLE_BACKEND = { type: 'rest', url: '...' } set in index.html before sketch.js
+//     3. the defaults passed in by sketch.js [Backend config]
+//
+// Errors
+// - HTTP helpers throw Error with .status; .retryable is true for network
+//   failures, 429 and 5xx so the run outbox knows to try again later.
+// ============================================================================
+
+
+/* =============================
+ *        HTTP helpers
+ * ============================= */
+function backendHttpError(status, message){
+  const err = new Error(message || `HTTP ${status}`);
+  err.status = status;
+  err.retryable = (status === 0 || status === 429 || status >= 500);
+  return err;
+}
+
+/** fetch + JSON with status-aware errors (network failures are retryable) */
+async function backendFetchJSON(url, opts){
+  let r;
+  try { r = await fetch(url, opts); }
+  catch (e) { throw backendHttpError(0, e && e.message || 'network error'); }
+  if (!r.ok) throw backendHttpError(r.status);
+  try { return await r.json(); }
+  catch { return { ok: true }; } // empty/opaque 2xx body
+}
+
+function backendPostJSON(url, body, method = 'POST'){
+  return backendFetchJSON(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+/** Accept the shapes different servers return for a leaderboard */
+function normalizeLeaderboard(data){
+  const scores = Array.isArray(data) ? data
+    : Array.isArray(data?.scores) ? data.scores
+    : Array.isArray(data?.rows) ? data.rows
+    : [];
+  const rank = data?.me?.rank;
+  const me = (rank != null && !Number.isNaN(Number(rank))) ? { rank: Number(rank) } : null;
+  return { ok: data?.ok !== false, scores, me };
+}
+
+
+/* =============================
+ *        Worker / Apps Script
+ * ============================= */
+/**
+ * The original contract: GET ?action=leaderboard|profile|checkUsername|rules, POST {action:'run'|'setUsername'}.
+ * @param {string} url         Worker (or Apps Script /exec) URL
+ * @param {string} postSuffix  appended to POST URLs (e.g. "?secret=..." when skipping the Worker)
+ */
+function createWorkerBackend(url, postSuffix = ''){
+  const getAction = (action, params) => {
+    const qs = new URLSearchParams({ action, ...params });
+    return backendFetchJSON(`${url}?${qs.toString()}`);
+  };
+
+  return {
+    type: 'worker',
+    url,
+    saveRun: (payload) => backendPostJSON(`${url}${postSuffix}`, { ...payload, action: 'run' }),
+    getLeaderboard: ({ limit = 5, mode = '', username = '' } = {}) =>
+      getAction('leaderboard', { limit: String(limit), username, mode }).then(normalizeLeaderboard),
+    getProfile: (deviceId) => getAction('profile', { deviceId }),
+    checkUsername: (username, deviceId) => getAction('checkUsername', { username, deviceId }),
+    setUsername: (deviceId, username) =>
+      backendPostJSON(`${url}${postSuffix}`, { action: 'setUsername', deviceId, username }),
+    getRules: () => getAction('rules', {})
+  };
+}
+
+
+/* =============================
+ *        Generic REST
+ * ============================= */
+/**
+ * Routes (relative to baseUrl, JSON in and out):
+ *   POST /runs                               body = run payload
+ *   GET  /leaderboard?mode=&limit=&username= -> { scores|rows, me: { rank } }
+ *   GET  /profiles/:deviceId                 -> { profile } (404 → no profile)
+ *   GET  /usernames/:username?deviceId=      -> { available }
+ *   PUT  /profiles/:deviceId                 body = { username }
+ *   GET  /rules                              -> { profile } (404 → built-in rules)
+ */
+function createRestBackend(baseUrl){
+  const base = String(baseUrl || '').replace(/\/+$/, '');
+  const enc = encodeURIComponent;
+
+  return {
+    type: 'rest',
+    url: base,
+    saveRun: (payload) => backendPostJSON(`${base}/runs`, payload),
+    getLeaderboard: ({ limit = 5, mode = '', username = '' } = {}) => {
+      const qs = new URLSearchParams({ limit: String(limit), mode, username });
+      return backendFetchJSON(`${base}/leaderboard?${qs.toString()}`).then(normalizeLeaderboard);
+    },
+    getProfile: (deviceId) => backendFetchJSON(`${base}/profiles/${enc(deviceId)}`)
+      .then(data => ({ ok: true, profile: data?.profile ?? null }))
+      .catch(err => { if (err.status === 404) return { ok: true, profile: null }; throw err; }),
+    checkUsername: (username, deviceId) =>
+      backendFetchJSON(`${base}/usernames/${enc(username)}?deviceId=${enc(deviceId || '')}`)
+        .then(data => ({ ok: data?.ok !== false, available: !!data?.available })),
+    setUsername: (deviceId, username) =>
+      backendPostJSON(`${base}/profiles/${enc(deviceId)}`, { username }, 'PUT'),
+    getRules: () => backendFetchJSON(`${base}/rules`)
+      .then(data => ({ ok: true, profile: data?.profile ?? null }))
+      .catch(err => { if (err.status === 404) return { ok: true, profile: null }; throw err; })
+  };
+}
+
+
+/* =============================
+ *        localStorage (offline / kiosk)
+ * ============================= */
+// Mirrors the Apps Script rules (old_files/code.js) so the UI behaves the same offline.
+const LOCAL_BACKEND_KEY = 'bbg_local_backend';
+const LOCAL_BACKEND_MAX_RUNS = 500;
+
+/** Re-score a run from its round log (core/scoring.js), like the servers do */
+async function verifyLocalRun(run){
+  if (!run.roundLog || typeof BubbleScoring === 'undefined') return 'unverified';
+  const profile = localRunProfile(run);
+  if (!profile) return 'unverified'; // played under a profile this page doesn't have
+  const expectedDigest = await BubbleScoring.digestRun(run).catch(() => '');
+  const { ok, problems } = BubbleScoring.validateRun(run, { expectedDigest, tuning: profile.tuning }, profile.rules);
+  return ok ? 'ok' : `flagged: ${problems.slice(0, 3).join('; ')}`;
+}
+
+/** Profile ({ rules, tuning }) a run's log was played with: the built-ins or the one this page loaded (sketch.js) */
+function localRunProfile(run){
+  const key = run.roundLog.rules;
+  const active = (typeof window !== 'undefined') ? window.__rulesProfile : null;
+  if (active && active.key === key) return active;
+  if (typeof BubbleProfile === 'undefined') return key ? null : { rules: BubbleScoring.RULES };
+  return (!key || key === BubbleProfile.DEFAULT_PROFILE.key) ? BubbleProfile.DEFAULT_PROFILE : null;
+}
+const isRankableRun = (r) => r.verified == null || r.verified === 'ok';
+
+function createLocalBackend(storageKey = LOCAL_BACKEND_KEY){
+  const load = () => {
+    try {
+      const db = JSON.parse(localStorage.getItem(storageKey) || '{}') || {};
+      return { runs: db.runs || [], profiles: db.profiles || {} };
+    } catch { return { runs: [], profiles: {} }; }
+  };
+  const save = (db) => {
+    if (db.runs.length > LOCAL_BACKEND_MAX_RUNS) db.runs.splice(0, db.runs.length - LOCAL_BACKEND_MAX_RUNS);
+    try { localStorage.setItem(storageKey, JSON.stringify(db)); } catch (e) { console.warn('[backend:local] save failed:', e); }
+  };
+  const findByName = (db, username) =>
+    Object.values(db.profiles).find(p => p.username === username) || null;
+
+  return {
+    type: 'local',
+    url: '',
+    async saveRun(payload){
+      const { runId, deviceId, username, score } = payload || {};
+      if (!deviceId || typeof score !== 'number') return { ok: false, error: 'bad input' };
+      const verified = await verifyLocalRun(payload);
+      const db = load();
+      if (runId && db.runs.some(r => r.runId === runId)) return { ok: true, duplicate: true };
+
+      // Daily challenge: only the first run per device per day is ranked
+      const ranked = !(/^daily-\d{4}-\d{2}-\d{2}$/.test(payload.mode || '') &&
+        db.runs.some(r => r.deviceId === deviceId && r.mode === payload.mode));
+      const now = new Date().toISOString();
+      // round logs aren't kept here (localStorage is small); the verdict is
+      const { roundLog, logSig, ...row } = payload;
+      db.runs.push({ ...row, mode: ranked ? payload.mode : 'daily-practice', timestamp: now, verified });
+      const best = (verified === 'ok') ? score : 0; // only re-scored runs count toward bestScore
+      const p = db.profiles[deviceId];
+      db.profiles[deviceId] = p
+        ? { ...p, username: p.username || username || '', gamesPlayed: (p.gamesPlayed || 0) + 1, bestScore: Math.max(p.bestScore || 0, best), lastSeen: now }
+        : { deviceId, username: username || '', gamesPlayed: 1, bestScore: best, lastSeen: now, createdAt: now };
+      save(db);
+      return { ok: true, ranked, verified };
+    },
+    async getLeaderboard({ limit = 5, mode = '', username = '' } = {}){
+      const modeQ = String(mode || '').trim().toLowerCase();
+      const rows = load().runs
+        .filter(r => isRankableRun(r) && (!modeQ || String(r.mode || '').toLowerCase() === modeQ))
+        .sort((a, b) =>
+          ((Number(b.score) || 0) - (Number(a.score) || 0)) ||
+          ((Number(b.accuracy) || 0) - (Number(a.accuracy) || 0)) ||
+          (Date.parse(b.timestamp) - Date.parse(a.timestamp)));
+      const scores = rows.slice(0, Math.max(1, Math.min(100, limit))).map(r => ({
+        username: r.username || '', score: Number(r.score) || 0, accuracy: Number(r.accuracy) || 0, mode: r.mode || ''
+      }));
+      const idx = username ? rows.findIndex(r => r.username === username.trim()) : -1;
+      return { ok: true, scores, me: idx >= 0 ? { rank: idx + 1 } : null };
+    },
+    async getProfile(deviceId){
+      if (!deviceId) return { ok: false, error: 'deviceId required' };
+      return { ok: true, profile: load().profiles[deviceId] || null };
+    },
+    async checkUsername(username, deviceId){
+      const name = String(username || '').trim();
+      if (name.length < 3) return { ok: false, error: 'too short' };
+      const taken = findByName(load(), name);
+      return { ok: true, available: !taken || (!!deviceId && taken.deviceId === deviceId) };
+    },
+    async setUsername(deviceId, username){
+      const name = String(username || '').trim();
+      if (!deviceId || name.length < 3) return { ok: false, error: 'bad input' };
+      const db = load();
+      const taken = findByName(db, name);
+      if (taken && taken.deviceId !== deviceId) return { ok: false, error: 'name in use' };
+      const now = new Date().toISOString();
+      const p = db.profiles[deviceId];
+      db.profiles[deviceId] = p
+        ? { ...p, username: name, lastSeen: now }
+        : { deviceId, username: name, gamesPlayed: 0, bestScore: 0, lastSeen: now, createdAt: now };
+      save(db);
+      return { ok: true };
+    },
+    async getRules(){
+      return { ok: true, profile: null }; // pick a profile per page with ?rules=<id>
+    }
+  };
+}
+
+
+/* =============================
+ *        Selection
+ * ============================= */
+/**
+ * Pick the backend from URL params, then window.BUBBLE_BACKEND, then defaults.
+ * @param {{type?:string, url?:string, postSuffix?:string}} defaults
+ */
+function selectBackend(defaults = {}){
+  let params = null;
+  try { params = new URLSearchParams(window.location.search); } catch { params = new URLSearchParams(); }
+  const cfg = { ...defaults, ...(window.BUBBLE_BACKEND || {}) };
+
+  const type = (params.get('backend') || cfg.type || 'worker').toLowerCase();
+  const url  = params.get('api') || cfg.url || defaults.url || '';
+
+  if (type === 'local') return createLocalBackend();
+  if (type === 'rest'){
+    if (url) return createRestBackend(url);
+    console.warn('[backend] rest backend needs ?api= or BUBBLE_BACKEND.url; using local');
+    return createLocalBackend();
+  }
+  // URL override of the Worker URL drops any configured secret suffix
+  const suffix = params.get('api') ? '' : (cfg.postSuffix || '');
+  return createWorkerBackend(url, suffix);
+}
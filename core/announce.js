@@ -0,0 +1,99 @@
+// ============================================================================
+// Popping Bubbles — Screen reader announcements (core/announce.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> (global BubbleAnnounce) or via require() in Node
+// - The HUD chips and the combo badge change many times a second; read out as-is they would
+//   drown a screen reader. sketch.js [Announcements] feeds the live round's state into
+//   createAnnouncer() every frame and puts what it returns into the ARIA live regions:
+//     score      every SCORE_STEP points, at most once per SCORE_MIN_MS
+//     combo      each multiplier change (the levels are few: x1.5, x2, lost)
+//     time       TIME_WARN_S seconds left (urgent)
+//     emotion    Emotion rounds: the new emotion once it has held EMO_MIN_MS since the last one read
+// - resultText() is the post-game summary (score, accuracy, rank)
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BubbleAnnounce = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const ANNOUNCE_CFG = Object.freeze({
+    SCORE_STEP: 50,
+    SCORE_MIN_MS: 4000,
+    TIME_WARN_S: Object.freeze([10, 5]),
+    EMO_MIN_MS: 3000
+  });
+
+  const fmtMult = (m) => Number(m).toFixed(1).replace(/\.0$/, '');
+
+  /**
+   * @param {Partial<typeof ANNOUNCE_CFG>} [cfg]
+   * @returns {{reset:(state?:object)=>void, update:(state:object)=>Array<{text:string, urgent:boolean}>}}
+   *   state: { nowMs, score, timeLeft (s, null = no clock), comboMult, emotion (null outside Emotion) }
+   */
+  function createAnnouncer(cfg = {}){
+    const C = { ...ANNOUNCE_CFG, ...cfg };
+    const step = (score) => Math.floor((Number(score) || 0) / C.SCORE_STEP);
+    let milestone, scoreAt, combo, warned, emo, emoAt;
+
+    function reset({ score = 0, comboMult = 1, emotion = null } = {}){
+      milestone = step(score); scoreAt = -Infinity;
+      combo = fmtMult(comboMult);
+      warned = new Set();
+      emo = emotion; emoAt = -Infinity;
+    }
+    reset();
+
+    function update({ nowMs, score = 0, timeLeft = null, comboMult = 1, emotion = null }){
+      const out = [];
+
+      const m = step(score);
+      if (m > milestone && nowMs - scoreAt >= C.SCORE_MIN_MS){
+        out.push({ text: `Score ${score}`, urgent: false });
+        milestone = m; scoreAt = nowMs;
+      } else if (m < milestone){
+        milestone = m; // penalties: the next milestone up is read again
+      }
+
+      const c = fmtMult(comboMult);
+      if (c !== combo){
+        out.push({ text: Number(c) > 1 ? `Combo ${c} times` : 'Combo lost', urgent: false });
+        combo = c;
+      }
+
+      if (timeLeft != null && timeLeft > 0){
+        // every warning passed so far is covered by one message (e.g. a round joined at 4 s)
+        const due = C.TIME_WARN_S.filter(w => timeLeft <= w);
+        if (due.some(w => !warned.has(w))){
+          due.forEach(w => warned.add(w));
+          out.push({ text: `${timeLeft} second${timeLeft === 1 ? '' : 's'} left`, urgent: true });
+        }
+      }
+
+      if (emotion && emotion !== emo && nowMs - emoAt >= C.EMO_MIN_MS){
+        out.push({ text: `Mood ${emotion}`, urgent: false });
+        emo = emotion; emoAt = nowMs;
+      }
+      return out;
+    }
+
+    return { reset, update };
+  }
+
+  /**
+   * Post-game summary.
+   * @param {{score:number, accuracyPct?:number, rank?:number|null}} r
+   */
+  function resultText({ score, accuracyPct, rank } = {}){
+    let s = `Round over. Score ${Number(score) || 0}`;
+    if (accuracyPct != null) s += `, accuracy ${accuracyPct} percent`;
+    s += '.';
+    if (rank != null) s += ` You are ranked number ${rank}.`;
+    return s;
+  }
+
+  return { ANNOUNCE_CFG, createAnnouncer, resultText };
+});
@@ -0,0 +1,147 @@
+// ============================================================================
+// Popping Bubbles — Per-user emotion calibration (core/calibration.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> (global BubbleCalibration) or via require() in Node
+// - EMO_CFG / EMO_FORCE (core/emotion.js) are the same for every face: some players never
+//   reach "happy", others rest in "stressed". The optional 20 s calibration before the first
+//   Mood round (sketch.js [Emotion calibration]) asks for a neutral face, a smile and a frown
+//   and records the smoothed moodState of each step
+// - computeCalibration() turns those samples into per-emotion offsets:
+//     shift — the player's resting level (neutral step), subtracted first
+//     gain  — scales what is left so their smile / frown reaches PEAK_TARGET
+//             (happy from the smile; sad and angry from the frown; neutral so their
+//             resting face reads as NEUTRAL_TARGET; stressed has no prompt and keeps 1)
+//   applyCalibration() then caps neutral at what the calibrated emotions leave (1 - their
+//   sum): a calibrated smile has to win against neutral's hysteresis like a full one does
+//   The sketch stores them per device (localStorage) and dominantEmotion() classifies
+//   applyCalibration(moodState) instead of the raw values
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BubbleCalibration = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const CALIBRATION_VERSION = 1;
+  const KEYS = Object.freeze(['happy', 'sad', 'angry', 'stressed', 'neutral']);
+
+  // 20 s in total; the first SETTLE_MS of each step is ignored while the face changes
+  const CALIB_STEPS = Object.freeze([
+    Object.freeze({ id: 'neutral', prompt: 'Relax and keep a neutral face', icon: '😐', ms: 7000 }),
+    Object.freeze({ id: 'smile',   prompt: 'Now give us a big smile',       icon: '😄', ms: 6500 }),
+    Object.freeze({ id: 'frown',   prompt: 'Now frown',                     icon: '😠', ms: 6500 })
+  ]);
+  const SETTLE_MS      = 1500;
+  const MIN_SAMPLES    = 2;     // face samples per step (the sampler runs every 1.5 s)
+  const PEAK_TARGET    = 0.8;   // a calibrated smile / frown reads like a full face-api smile / frown
+  const NEUTRAL_TARGET = 0.6;   // a calibrated resting face lands above NEUTRAL_ON
+  const MIN_SPAN       = 0.05;  // a prompt that moved the value less than this keeps gain 1
+  const GAIN_MIN = 0.5, GAIN_MAX = 4, SHIFT_MAX = 0.5;
+
+  const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+  const clamp01 = (v) => clamp(Number(v) || 0, 0, 1);
+  const round3 = (v) => Math.round(v * 1000) / 1000;
+
+  /**
+   * Sample collector for one calibration run; the caller passes ms since the run started.
+   * @param {{steps?:object[]}} [opts]
+   * @returns {{steps:object[], totalMs:number, samples:Object<string, object[]>,
+   *           stepAt:(ms:number)=>({index:number, step:object, leftMs:number, intoMs:number}|null),
+   *           add:(ms:number, mood:object)=>boolean}}
+   */
+  function createCalibrationRun({ steps = CALIB_STEPS } = {}){
+    const totalMs = steps.reduce((a, s) => a + s.ms, 0);
+    return {
+      steps,
+      totalMs,
+      samples: Object.fromEntries(steps.map(s => [s.id, []])),
+      /** The step running at ms (null once the run is over) */
+      stepAt(ms){
+        let start = 0;
+        for (let i = 0; i < steps.length; i++){
+          if (ms < start + steps[i].ms) return { index: i, step: steps[i], leftMs: start + steps[i].ms - ms, intoMs: ms - start };
+          start += steps[i].ms;
+        }
+        return null;
+      },
+      /** Copy one face sample into its step; false while settling or after the run */
+      add(ms, mood){
+        const at = this.stepAt(ms);
+        if (!at || at.intoMs < SETTLE_MS) return false;
+        this.samples[at.step.id].push(Object.fromEntries(KEYS.map(k => [k, clamp01(mood?.[k])])));
+        return true;
+      }
+    };
+  }
+
+  function mean(list){
+    const m = Object.fromEntries(KEYS.map(k => [k, 0]));
+    for (const s of list) for (const k of KEYS) m[k] += s[k] / list.length;
+    return m;
+  }
+
+  const gainFor = (span, target) => span < MIN_SPAN ? 1 : clamp(target / span, GAIN_MIN, GAIN_MAX);
+
+  /**
+   * Offsets from a finished run's samples.
+   * @param {Object<string, object[]>} samples  createCalibrationRun().samples
+   * @param {string} [at] ISO time stamp to store with the offsets
+   * @returns {{ok:boolean, calibration:object|null, errors:string[]}}
+   */
+  function computeCalibration(samples, at = new Date().toISOString()){
+    const errors = [];
+    for (const s of CALIB_STEPS){
+      const n = (samples?.[s.id] || []).length;
+      if (n < MIN_SAMPLES) errors.push(`calibration.${s.id}: ${n} face sample${n === 1 ? '' : 's'} (need ${MIN_SAMPLES})`);
+    }
+    if (errors.length) return { ok: false, calibration: null, errors };
+
+    const rest = mean(samples.neutral), smile = mean(samples.smile), frown = mean(samples.frown);
+    const shift = {}, gain = {};
+    for (const k of KEYS) shift[k] = (k === 'neutral') ? 0 : round3(Math.min(SHIFT_MAX, rest[k]));
+    gain.happy    = gainFor(smile.happy - shift.happy, PEAK_TARGET);
+    gain.sad      = gainFor(frown.sad - shift.sad, PEAK_TARGET);
+    gain.angry    = gainFor(frown.angry - shift.angry, PEAK_TARGET);
+    gain.stressed = 1;
+    gain.neutral  = gainFor(rest.neutral, NEUTRAL_TARGET);
+    for (const k of KEYS) gain[k] = round3(gain[k]);
+
+    return { ok: true, calibration: { v: CALIBRATION_VERSION, at, shift, gain }, errors };
+  }
+
+  /**
+   * A stored calibration if it has the expected shape (localStorage may hold anything).
+   * @param {*} c
+   * @returns {object|null}
+   */
+  function loadCalibration(c){
+    if (typeof c === 'string'){ try { c = JSON.parse(c); } catch (_) { return null; } }
+    if (!c || c.v !== CALIBRATION_VERSION || !c.shift || !c.gain) return null;
+    for (const k of KEYS){
+      const s = c.shift[k], g = c.gain[k];
+      if (!Number.isFinite(s) || s < 0 || s > SHIFT_MAX) return null;
+      if (!Number.isFinite(g) || g < GAIN_MIN || g > GAIN_MAX) return null;
+    }
+    return c;
+  }
+
+  /**
+   * moodState with the offsets applied: clamp01((value - shift) * gain) per emotion, neutral
+   * capped at 1 - the sum of the others.
+   * @param {object} state  moodState (other keys, e.g. gaze, are not copied)
+   * @param {object|null} calib
+   * @returns {object}
+   */
+  function applyCalibration(state, calib){
+    if (!calib) return state;
+    const out = Object.fromEntries(KEYS.map(k => [k, clamp01((Number(state[k]) - calib.shift[k]) * calib.gain[k])]));
+    out.neutral = Math.min(out.neutral, Math.max(0, 1 - out.happy - out.sad - out.angry - out.stressed));
+    return out;
+  }
+
+  return { CALIBRATION_VERSION, CALIB_STEPS, SETTLE_MS, MIN_SAMPLES,
+           createCalibrationRun, computeCalibration, loadCalibration, applyCalibration };
+});
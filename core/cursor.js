@@ -0,0 +1,142 @@
+// ============================================================================
+// Popping Bubbles — Keyboard / gamepad cursor (core/cursor.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> (global BubbleCursor) or via require() in Node
+// - Play without a pointer (sketch.js [Keyboard & gamepad]): a cursor on the canvas moves with
+//   the arrow keys / WASD or a gamepad (left stick, d-pad); Space / Enter or gamepad A pops at
+//   it; X or gamepad X / shoulder buttons snap it onto the nearest bubble and keep it there
+//   (again: the next nearest) so switch and one-key users have time to press
+// - Keys are KeyboardEvent.code values, so WASD sits in the same place on every layout.
+//   Gamepads use the "standard" mapping (0 A, 2 X, 4 / 5 shoulders, 12-15 d-pad)
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BubbleCursor = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const CURSOR_CFG = Object.freeze({
+    SPEED: 0.6,       // share of the shorter canvas side per second at full speed
+    FAST: 2,          // Shift (or a fully pushed stick with R2) multiplies the speed
+    RAMP_MS: 350,     // a held key starts slow for fine aiming and reaches full speed after this
+    RAMP_FROM: 0.35,  // ... starting at this share of it
+    DEADZONE: 0.2     // stick travel ignored around the center
+  });
+
+  const KEY_DIRS = Object.freeze({
+    ArrowLeft: [-1, 0], KeyA: [-1, 0],
+    ArrowRight: [1, 0], KeyD: [1, 0],
+    ArrowUp: [0, -1],   KeyW: [0, -1],
+    ArrowDown: [0, 1],  KeyS: [0, 1]
+  });
+  const POP_KEYS  = Object.freeze(['Space', 'Enter', 'NumpadEnter']);
+  const SNAP_KEYS = Object.freeze(['KeyX']);
+
+  const PAD = Object.freeze({ POP: [0], SNAP: [2, 4, 5], FAST: 7, UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15 });
+
+  const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+  /**
+   * Direction of the held movement keys, diagonals normalized.
+   * @param {Iterable<string>} held  KeyboardEvent.code values
+   * @returns {[number, number]}
+   */
+  function keyDirection(held){
+    let dx = 0, dy = 0;
+    for (const code of held){
+      const d = KEY_DIRS[code];
+      if (d){ dx += d[0]; dy += d[1]; }
+    }
+    dx = clamp(dx, -1, 1); dy = clamp(dy, -1, 1);
+    const n = Math.hypot(dx, dy);
+    return n > 1 ? [dx / n, dy / n] : [dx, dy];
+  }
+
+  /**
+   * One gamepad poll: stick / d-pad direction and the buttons pressed since the last poll.
+   * @param {{axes:number[], buttons:Array<{pressed:boolean}>}|null} pad
+   * @param {boolean[]} [prev]  the previous poll's `down`
+   * @param {object} [cfg]
+   * @returns {{dx:number, dy:number, fast:boolean, pop:boolean, snap:boolean, down:boolean[]}}
+   */
+  function readGamepad(pad, prev = [], cfg = CURSOR_CFG){
+    if (!pad) return { dx: 0, dy: 0, fast: false, pop: false, snap: false, down: [] };
+    const down = Array.from(pad.buttons || [], (b) => !!(b && b.pressed));
+    const pressed = (i) => down[i] && !prev[i];
+
+    let dx = (down[PAD.RIGHT] ? 1 : 0) - (down[PAD.LEFT] ? 1 : 0);
+    let dy = (down[PAD.DOWN] ? 1 : 0) - (down[PAD.UP] ? 1 : 0);
+    if (!dx && !dy){
+      const ax = +(pad.axes?.[0]) || 0, ay = +(pad.axes?.[1]) || 0;
+      const m = Math.hypot(ax, ay);
+      if (m > cfg.DEADZONE){
+        const k = Math.min(1, (m - cfg.DEADZONE) / (1 - cfg.DEADZONE)) / m; // rescaled past the deadzone
+        dx = ax * k; dy = ay * k;
+      }
+    }
+    return {
+      dx, dy, fast: !!down[PAD.FAST],
+      pop: PAD.POP.some(pressed), snap: PAD.SNAP.some(pressed), down
+    };
+  }
+
+  /**
+   * Cursor for one canvas.
+   * @param {{cfg?:object}} [opts]
+   * @returns {object} x / y (canvas px), lock (the bubble it follows) and the members below
+   */
+  function createCursor({ cfg = CURSOR_CFG } = {}){
+    let heldMs = 0;
+    return {
+      x: 0, y: 0, lock: null,
+
+      /** Center it in the play area (below the safe top) */
+      center(w, h, top = 0){
+        this.x = w / 2; this.y = top + (h - top) / 2; this.lock = null; heldMs = 0;
+      },
+
+      /**
+       * Move by a direction (each -1..1) for dtMs; moving lets go of a locked bubble.
+       * @returns {boolean} moved
+       */
+      steer(dx, dy, dtMs, { w, h, top = 0, fast = false }){
+        if (!dx && !dy){ heldMs = 0; return false; }
+        heldMs += dtMs;
+        const ramp = cfg.RAMP_FROM + (1 - cfg.RAMP_FROM) * Math.min(1, heldMs / cfg.RAMP_MS);
+        const v = cfg.SPEED * Math.min(w, h - top) * ramp * (fast ? cfg.FAST : 1) * dtMs / 1000;
+        this.x = clamp(this.x + dx * v, 0, w);
+        this.y = clamp(this.y + dy * v, top, h);
+        this.lock = null;
+        return true;
+      },
+
+      /** Follow the locked bubble; lets go once it is popped or gone */
+      follow(bubbles){
+        const b = this.lock;
+        if (!b) return;
+        if (!bubbles.includes(b) || b._popping || b.hidden === true || b.alive === false){ this.lock = null; return; }
+        this.x = b.x; this.y = b.y;
+      }
+    };
+  }
+
+  /**
+   * The live bubble nearest (x, y) by center distance, skipping `skip` (the one locked on now,
+   * so snapping again moves on to the next).
+   * @returns {object|null}
+   */
+  function nearestBubble(bubbles, x, y, skip = null){
+    let best = null, bestD = Infinity;
+    for (const b of bubbles || []){
+      if (!b || b === skip || b._popping || b.hidden === true || b.alive === false) continue;
+      const d = Math.hypot(b.x - x, b.y - y);
+      if (d < bestD){ best = b; bestD = d; }
+    }
+    return best;
+  }
+
+  return { CURSOR_CFG, KEY_DIRS, POP_KEYS, SNAP_KEYS, PAD, keyDirection, readGamepad, createCursor, nearestBubble };
+});
@@ -0,0 +1,109 @@
+// ============================================================================
+// Popping Bubbles — Dominant-emotion classifier (core/emotion.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> (global BubbleEmotion) or via require() in Node
+// - Turns the smoothed face-api expression shares (sketch.js moodState) into one
+//   dominant emotion with hysteresis (ON/OFF stickiness) and a switch cooldown
+// - EMO_CFG / EMO_FORCE are the tuning knobs; tests/emotion.test.js pins their behavior
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BubbleEmotion = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const EMOTIONS = Object.freeze(['happy', 'sad', 'angry', 'stressed', 'neutral']);
+
+  // Make emotions a bit easier to trigger
+  const EMO_CFG = Object.freeze({
+    ON: 0.22,          // was higher
+    OFF: 0.16,         // stickiness
+    NEUTRAL_ON: 0.38,
+    NEUTRAL_OFF: 0.30,
+    MARGIN: 0.06,      // gap between #1 and #2
+    COOLDOWN_MS: 500
+  });
+
+  // Raw “force” thresholds — used for quick switches
+  const EMO_FORCE = Object.freeze({
+    HAPPY_RAW:   0.36,
+    SAD_RAW:     0.33,
+    ANGRY_RAW:   0.34,
+    STRESSED_RAW:0.28     // LOWERED so stressed can win
+  });
+
+  /**
+   * Stateful classifier: remembers the last emotion and when it last switched.
+   * @param {{cfg?:object, force?:object}} [opts] overrides for EMO_CFG / EMO_FORCE
+   */
+  function createEmotionTracker({ cfg = EMO_CFG, force = EMO_FORCE } = {}){
+    let lastEmotion = 'neutral', lastSwitchMs = 0;
+
+    const switchTo = (emo, now) => { lastEmotion = emo; lastSwitchMs = now; return emo; };
+
+    /**
+     * Decide the dominant emotion from smoothed shares.
+     * @param {{happy?:number, sad?:number, angry?:number, stressed?:number, neutral?:number}} state
+     * @param {number} now ms clock (millis() in the sketch)
+     * @returns {'happy'|'sad'|'angry'|'stressed'|'neutral'}
+     */
+    function dominant(state, now){
+      const h = Number(state.happy||0),
+            s = Number(state.sad||0),
+            a = Number(state.angry||0),
+            t = Number(state.stressed||0);
+      const nRaw = (state.neutral != null) ? Number(state.neutral) : 0;
+      const n = nRaw > 0 ? nRaw : Math.max(0, 1 - (h + s + a + t));
+
+      const sum = h + s + a + t + n + 1e-6;
+      const shares = [
+        {k:'happy',v:h/sum},{k:'sad',v:s/sum},{k:'angry',v:a/sum},{k:'stressed',v:t/sum},{k:'neutral',v:n/sum}
+      ].sort((x,y)=>y.v-x.v);
+
+      const inCooldown = (now - lastSwitchMs) < cfg.COOLDOWN_MS;
+      const neutralShare = shares.find(x=>x.k==='neutral').v;
+
+      if (lastEmotion === 'neutral'){ if (neutralShare >= cfg.NEUTRAL_OFF) return 'neutral'; }
+      else { const curShare = shares.find(x=>x.k===lastEmotion)?.v || 0; if (curShare >= cfg.OFF) return lastEmotion; }
+
+      // Strong neutral
+      if (shares[0].k === 'neutral' && shares[0].v >= cfg.NEUTRAL_ON){
+        if (!inCooldown || lastEmotion!=='neutral') switchTo('neutral', now);
+        return 'neutral';
+      }
+
+      // Raw-force gates
+      if (h >= force.HAPPY_RAW    && (!inCooldown || lastEmotion!=='happy'))    return switchTo('happy', now);
+      if (s >= force.SAD_RAW      && (!inCooldown || lastEmotion!=='sad'))      return switchTo('sad', now);
+      if (a >= force.ANGRY_RAW    && (!inCooldown || lastEmotion!=='angry'))    return switchTo('angry', now);
+      if (t >= force.STRESSED_RAW && (!inCooldown || lastEmotion!=='stressed')) return switchTo('stressed', now);
+
+      // Otherwise, take the top non-neutral if it beats #2 by a margin
+      const nonNeutral = shares.filter(x=>x.k!=='neutral').sort((x,y)=>y.v-x.v);
+      const top = nonNeutral[0], second = nonNeutral[1];
+      if (top.v >= cfg.ON && (top.v - second.v) >= cfg.MARGIN){
+        if (!inCooldown || lastEmotion!==top.k) switchTo(top.k, now);
+        return lastEmotion;
+      }
+
+      // Fallbacks
+      if (neutralShare >= cfg.NEUTRAL_OFF){
+        if (!inCooldown || lastEmotion!=='neutral') switchTo('neutral', now);
+        return 'neutral';
+      }
+      return lastEmotion;
+    }
+
+    return {
+      dominant,
+      reset(){ lastEmotion = 'neutral'; lastSwitchMs = 0; },
+      get last(){ return lastEmotion; },
+      get lastSwitchMs(){ return lastSwitchMs; }
+    };
+  }
+
+  return { EMOTIONS, EMO_CFG, EMO_FORCE, createEmotionTracker };
+});
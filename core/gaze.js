@@ -0,0 +1,108 @@
+// ============================================================================
+// Popping Bubbles — Head pose & gaze estimate (core/gaze.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> (global BubbleGaze) or via require() in Node
+// - Mood rounds bias bubble spawns toward moodState.gaze (core/session.js spawnBubble). The
+//   sampler (sketch.js sampleMood) hands the 68 face-api landmarks of the largest face here:
+//     headPose()           yaw / pitch / roll in degrees from the landmark geometry
+//                          (nose tip between the jaw edges, and between the eye line and chin)
+//     createGazeTracker()  turns the pose into a screen point 0..1 with smoothing
+// - The 68-point model has no iris points, so "gaze" is where the head points. The pose the
+//   player holds most is taken as looking at the screen center (slowly adapting), and
+//   ±YAW_RANGE / ±PITCH_RANGE degrees from it reach the screen edges
+// - Camera frames are not mirrored: turning to the player's right moves the nose toward
+//   image-left. Positive yaw = the player's right (screen right), positive pitch = down
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BubbleGaze = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const GAZE_CFG = Object.freeze({
+    YAW_RANGE: 20,      // degrees from center to the left / right screen edge
+    PITCH_RANGE: 15,    // degrees from center to the top / bottom edge
+    PITCH_REST: 0.42,   // nose tip height between eye line and chin for a level head
+    SMOOTH: 0.5,        // EMA weight of a new gaze point
+    CENTER_ADAPT: 0.05, // EMA weight of a new pose in the "looking at the center" pose
+    NO_FACE_DECAY: 0.2  // without a face the gaze drifts back to the center this fast
+  });
+
+  const DEG = 180 / Math.PI;
+  const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+  const round2 = (v) => Math.round(v * 100) / 100;
+
+  function mean(pts, from, to){
+    let x = 0, y = 0;
+    for (let i = from; i <= to; i++){ x += pts[i][0]; y += pts[i][1]; }
+    const n = to - from + 1;
+    return [x / n, y / n];
+  }
+
+  /**
+   * Head pose from the 68 face-api landmarks (image px, [x, y] pairs).
+   * @param {Array<[number, number]>} pts
+   * @returns {{yaw:number, pitch:number, roll:number}|null} degrees; null without 68 points
+   */
+  function headPose(pts){
+    if (!Array.isArray(pts) || pts.length !== 68) return null;
+    const eyeL = mean(pts, 36, 41), eyeR = mean(pts, 42, 47);
+    const roll = Math.atan2(eyeR[1] - eyeL[1], eyeR[0] - eyeL[0]);
+
+    // undo the roll around the eye midpoint so the ratios below are head-aligned
+    const mid = [(eyeL[0] + eyeR[0]) / 2, (eyeL[1] + eyeR[1]) / 2];
+    const c = Math.cos(-roll), s = Math.sin(-roll);
+    const level = ([x, y]) => [mid[0] + (x - mid[0]) * c - (y - mid[1]) * s, mid[1] + (x - mid[0]) * s + (y - mid[1]) * c];
+    const nose = level(pts[30]), chin = level(pts[8]), jawL = level(pts[0]), jawR = level(pts[16]);
+
+    const faceW = jawR[0] - jawL[0], faceH = chin[1] - mid[1];
+    if (!(faceW > 0) || !(faceH > 0)) return null;
+    const across = (nose[0] - jawL[0]) / faceW;  // 0.5 facing the camera
+    const down   = (nose[1] - mid[1]) / faceH;   // PITCH_REST for a level head
+
+    return {
+      yaw:   Math.asin(clamp(2 * (0.5 - across), -1, 1)) * DEG,
+      pitch: Math.asin(clamp(2 * (down - GAZE_CFG.PITCH_REST), -1, 1)) * DEG,
+      roll:  roll * DEG
+    };
+  }
+
+  /**
+   * Smoothed gaze point for one page (the center pose carries over between rounds).
+   * @param {{cfg?:object}} [opts]
+   * @returns {{gaze:{x:number, y:number}, center:{yaw:number, pitch:number}|null,
+   *           update:(pose:object|null)=>{x:number, y:number}, reset:()=>void}}
+   */
+  function createGazeTracker({ cfg = GAZE_CFG } = {}){
+    let gaze = { x: 0.5, y: 0.5 }, center = null;
+    return {
+      /** Rounded to 0.01: every change of the point is a round-log event */
+      get gaze(){ return { x: round2(gaze.x), y: round2(gaze.y) }; },
+      get center(){ return center && { ...center }; },
+
+      /** One sample: a headPose() or null (no face). Returns the new gaze point (0.01 steps). */
+      update(pose){
+        let tx = 0.5, ty = 0.5, a = cfg.NO_FACE_DECAY;
+        if (pose){
+          if (!center) center = { yaw: pose.yaw, pitch: pose.pitch };
+          else {
+            center.yaw   += cfg.CENTER_ADAPT * (pose.yaw - center.yaw);
+            center.pitch += cfg.CENTER_ADAPT * (pose.pitch - center.pitch);
+          }
+          tx = clamp(0.5 + (pose.yaw - center.yaw) / (2 * cfg.YAW_RANGE), 0, 1);
+          ty = clamp(0.5 + (pose.pitch - center.pitch) / (2 * cfg.PITCH_RANGE), 0, 1);
+          a = cfg.SMOOTH;
+        }
+        gaze = { x: gaze.x + a * (tx - gaze.x), y: gaze.y + a * (ty - gaze.y) };
+        return this.gaze;
+      },
+
+      reset(){ gaze = { x: 0.5, y: 0.5 }; center = null; }
+    };
+  }
+
+  return { GAZE_CFG, headPose, createGazeTracker };
+});
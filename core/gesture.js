@@ -0,0 +1,150 @@
+// ============================================================================
+// Popping Bubbles — Blink / nod gestures (core/gesture.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> (global BubbleGesture) or via require() in Node
+// - The hands-free input (sketch.js [Head input]): the head pose aims a reticle and a deliberate
+//   blink or a nod pops at it. The sampler hands every face sample here:
+//     eyeAspectRatio()         how open the eyes are, from the 68 face-api landmarks
+//     createGestureDetector()  turns the EAR + head pitch of each sample into 'blink' / 'nod'
+//     snapTarget()             aim assist: the bubble nearest the reticle, if it is close
+// - Ordinary blinks (~100-300 ms) must not pop, so a blink counts only when the eyes stay
+//   closed for BLINK_MIN_MS..BLINK_MAX_MS; it fires when they open again. A nod is the head
+//   dipping NOD_DEG below its resting pitch and coming back within NOD_MAX_MS
+// - Closed / open is relative to the player's own open-eye EAR (it differs a lot by face and
+//   camera angle), learned while the eyes are open
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BubbleGesture = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const GESTURE_CFG = Object.freeze({
+    BLINK_RATIO: 0.65,   // EAR below this share of the open-eye EAR is closed
+    BLINK_MIN_MS: 400,   // closed at least this long is a deliberate blink ...
+    BLINK_MAX_MS: 2000,  // ... and longer than this is resting the eyes, not a pop
+    EAR_ADAPT: 0.1,      // EMA weight of an open-eye sample in the open-eye EAR
+    NOD_DEG: 10,         // head pitch this far below its rest starts a nod ...
+    NOD_MAX_MS: 1200,    // ... that has to come back up within this time
+    PITCH_ADAPT: 0.1,    // EMA weight of a sample in the resting pitch (not while nodding)
+    COOLDOWN_MS: 700     // no second gesture this soon after one
+  });
+
+  // Aiming: a gaze tracker (core/gaze.js createGazeTracker) with these overrides. The aim has to
+  // reach the corners and hold there, so the center pose adapts far slower than for spawn bias.
+  const AIM_CFG = Object.freeze({ SMOOTH: 0.35, CENTER_ADAPT: 0.002 });
+
+  const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+  /** EAR of one eye from its 6 landmarks p1..p6 (corners p1 / p4) */
+  function eyeEar(pts, i){
+    const w = dist(pts[i], pts[i + 3]);
+    if (!(w > 0)) return null;
+    return (dist(pts[i + 1], pts[i + 5]) + dist(pts[i + 2], pts[i + 4])) / (2 * w);
+  }
+
+  /**
+   * Eye aspect ratio (Soukupová & Čech 2016), both eyes averaged: ~0.3 open, under ~0.15 closed.
+   * @param {Array<[number, number]>} pts  68 face-api landmarks (left eye 36-41, right eye 42-47)
+   * @returns {number|null} null without 68 points
+   */
+  function eyeAspectRatio(pts){
+    if (!Array.isArray(pts) || pts.length !== 68) return null;
+    const l = eyeEar(pts, 36), r = eyeEar(pts, 42);
+    if (l == null || r == null) return null;
+    return (l + r) / 2;
+  }
+
+  /**
+   * Blink / nod detector for one round of hands-free play.
+   * @param {{cfg?:object}} [opts]
+   * @returns {{busy:boolean, progress:number, update:(s:{t:number, ear:number|null, pitch:number|null}|null)=>('blink'|'nod'|null), reset:()=>void}}
+   */
+  function createGestureDetector({ cfg = GESTURE_CFG } = {}){
+    let openEar = null, restPitch = null;
+    let closedSince = null, downSince = null, lastFire = -Infinity, lastT = 0;
+
+    function fire(kind, t){
+      if (t - lastFire < cfg.COOLDOWN_MS) return null;
+      lastFire = t;
+      return kind;
+    }
+
+    function blink(t, ear){
+      if (ear == null) return null;
+      if (openEar == null) openEar = ear; // the first sample is taken as open eyes
+      if (ear < openEar * cfg.BLINK_RATIO){
+        if (closedSince == null) closedSince = t;
+        return null;
+      }
+      openEar += cfg.EAR_ADAPT * (ear - openEar);
+      if (closedSince == null) return null;
+      const held = t - closedSince;
+      closedSince = null;
+      return (held >= cfg.BLINK_MIN_MS && held <= cfg.BLINK_MAX_MS) ? fire('blink', t) : null;
+    }
+
+    function nod(t, pitch){
+      if (pitch == null) return null;
+      if (restPitch == null) restPitch = pitch;
+      const down = pitch - restPitch;
+      if (downSince == null){
+        if (down >= cfg.NOD_DEG) downSince = t;
+        else restPitch += cfg.PITCH_ADAPT * (pitch - restPitch);
+        return null;
+      }
+      if (down <= cfg.NOD_DEG / 2){
+        const held = t - downSince;
+        downSince = null;
+        return held <= cfg.NOD_MAX_MS ? fire('nod', t) : null;
+      }
+      if (t - downSince > cfg.NOD_MAX_MS){ downSince = null; restPitch = pitch; } // a new posture, not a nod
+      return null;
+    }
+
+    return {
+      /** A gesture is under way (eyes closed / head down): hold the aim where it was */
+      get busy(){ return closedSince != null || downSince != null; },
+      /** 0..1 toward a deliberate blink (for the reticle ring) */
+      get progress(){ return closedSince == null ? 0 : Math.min(1, (lastT - closedSince) / cfg.BLINK_MIN_MS); },
+
+      /**
+       * One face sample (null = no face, which cancels a gesture under way).
+       * @returns {'blink'|'nod'|null}
+       */
+      update(s){
+        if (!s){ closedSince = downSince = null; return null; }
+        lastT = s.t;
+        const b = blink(s.t, s.ear);
+        const n = nod(s.t, s.pitch);
+        return b || n;
+      },
+
+      reset(){ openEar = restPitch = closedSince = downSince = null; lastFire = -Infinity; lastT = 0; }
+    };
+  }
+
+  /**
+   * Aim assist: the live bubble whose edge is nearest (x, y), within snapPx of it.
+   * @param {object[]} bubbles    session.bubbles
+   * @param {number} x
+   * @param {number} y
+   * @param {(b:object)=>number} radiusOf  on-screen radius (session.currentRadius)
+   * @param {number} snapPx
+   * @returns {object|null}
+   */
+  function snapTarget(bubbles, x, y, radiusOf, snapPx){
+    let best = null, bestGap = snapPx;
+    for (const b of bubbles || []){
+      if (!b || b._popping || b.hidden === true || b.alive === false) continue;
+      const gap = Math.max(0, Math.hypot(b.x - x, b.y - y) - radiusOf(b));
+      if (gap <= bestGap){ best = b; bestGap = gap; }
+    }
+    return best;
+  }
+
+  return { GESTURE_CFG, AIM_CFG, eyeAspectRatio, createGestureDetector, snapTarget };
+});
@@ -0,0 +1,133 @@
+// ============================================================================
+// Popping Bubbles — Mood instruments (core/instruments.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> before core/survey.js (global BubbleInstruments)
+//   or via require() in Node
+// - Standard self-report mood measures a survey section can administer by name
+//   ("instruments": ["sam", "panas"], core/survey.js); each one expands into likert items
+//   with fixed ids, so answers from different surveys and studies line up:
+//     sam   — Self-Assessment Manikin (Bradley & Lang, 1994): valence and arousal, 1..9
+//             with manikin pictograms (samPictogram)
+//     panas — short PANAS (I-PANAS-SF, Thompson 2007): 5 positive + 5 negative adjectives,
+//             1..5 "right now"; PA and NA are the subscale sums (5..25)
+// - scoreInstruments() turns the stored answers into the numbers sketch.js [Submit Run]
+//   sends next to the face-api emotion counts (samValenceBefore, panasPAAfter, ...)
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BubbleInstruments = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const PANAS_PA = ['determined', 'attentive', 'alert', 'inspired', 'active'];
+  const PANAS_NA = ['afraid', 'nervous', 'upset', 'hostile', 'ashamed'];
+  const PANAS_ORDER = ['upset', 'hostile', 'alert', 'ashamed', 'inspired', 'nervous', 'determined', 'attentive', 'afraid', 'active']; // published item order
+  const cap = (w) => w[0].toUpperCase() + w.slice(1);
+
+  const INSTRUMENTS = deepFreeze({
+    sam: {
+      name: 'Self-Assessment Manikin',
+      items: [
+        { id: 'sam_valence', type: 'likert', scale: 9, pictogram: 'valence', required: true,
+          label: 'How do you feel right now?', minLabel: 'Unhappy', maxLabel: 'Happy',
+          help: 'Pick the figure (or a point between two figures) that matches your feeling.' },
+        { id: 'sam_arousal', type: 'likert', scale: 9, pictogram: 'arousal', required: true,
+          label: 'How calm or excited do you feel?', minLabel: 'Calm', maxLabel: 'Excited' }
+      ]
+    },
+    panas: {
+      name: 'PANAS (short form)',
+      items: PANAS_ORDER.map((w, i) => ({
+        id: `panas_${w}`, type: 'likert', scale: 5, required: true, label: cap(w),
+        minLabel: 'Not at all', maxLabel: 'Extremely',
+        ...(i === 0 && { help: 'To what extent do you feel this way right now? 1 = very slightly or not at all, 5 = extremely.' })
+      }))
+    }
+  });
+  const INSTRUMENT_NAMES = Object.freeze(Object.keys(INSTRUMENTS));
+
+  /** Freeze an object and everything under it (also used by core/survey.js) */
+  function deepFreeze(o){
+    for (const v of Object.values(o)) if (v && typeof v === 'object') deepFreeze(v);
+    return Object.freeze(o);
+  }
+
+  /**
+   * Likert items for the named instruments, in the order given (unknown names are skipped;
+   * core/survey.js validateSurvey reports them).
+   * @param {string[]} names
+   * @returns {object[]} survey questions
+   */
+  function instrumentQuestions(names){
+    return (names || []).flatMap(n => INSTRUMENTS[n] ? INSTRUMENTS[n].items : []);
+  }
+
+  const inRange = (v, lo, hi) => Number.isInteger(v) && v >= lo && v <= hi;
+
+  /** Sum of a PANAS subscale; null unless every item is answered */
+  function panasSum(answers, words){
+    let sum = 0;
+    for (const w of words){
+      const v = answers[`panas_${w}`];
+      if (!inRange(v, 1, 5)) return null;
+      sum += v;
+    }
+    return sum;
+  }
+
+  /**
+   * Scores from one survey's answers (a parsed feedbackBefore / feedbackAfter).
+   * @param {Object<string, *>|null} answers
+   * @returns {{samValence:number|null, samArousal:number|null, panasPA:number|null, panasNA:number|null}}
+   */
+  function scoreInstruments(answers){
+    const a = (answers && typeof answers === 'object') ? answers : {};
+    return {
+      samValence: inRange(a.sam_valence, 1, 9) ? a.sam_valence : null,
+      samArousal: inRange(a.sam_arousal, 1, 9) ? a.sam_arousal : null,
+      panasPA: panasSum(a, PANAS_PA),
+      panasNA: panasSum(a, PANAS_NA)
+    };
+  }
+
+  /**
+   * SAM manikin for one scale point as an inline SVG string. The five classic figures sit
+   * on the odd points of the 9-point scale; the points between them get a small dot.
+   * Valence bends the mouth from frown to smile; arousal opens the eyes and grows the burst.
+   * @param {'valence'|'arousal'} kind
+   * @param {number} value  1..scale
+   * @param {number} [scale=9]
+   * @returns {string}
+   */
+  function samPictogram(kind, value, scale = 9){
+    const svg = (body) => `<svg class="samFig" viewBox="0 0 40 56" width="28" height="39" aria-hidden="true" focusable="false">${body}</svg>`;
+    if (scale === 9 && value % 2 === 0) return svg('<circle cx="20" cy="40" r="2" fill="currentColor"/>');
+    const t = (value - 1) / (scale - 1); // 0..1
+    const stroke = 'fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"';
+    let extra = '', eyes, mouth;
+
+    if (kind === 'arousal'){
+      const r = 6 + 14 * t, n = 8;
+      const pts = [];
+      for (let i = 0; i < 2 * n; i++){
+        const a = Math.PI * i / n, rr = (i % 2) ? r * 0.55 : r;
+        pts.push(`${(20 + rr * Math.cos(a)).toFixed(1)},${(40 + rr * Math.sin(a)).toFixed(1)}`);
+      }
+      extra = `<polygon points="${pts.join(' ')}" fill="currentColor" opacity="${(0.15 + 0.35 * t).toFixed(2)}"/>`;
+      eyes = (t < 0.25)
+        ? `<path d="M13 14 h4 M23 14 h4" ${stroke}/>`                           // eyes closed
+        : `<circle cx="15" cy="14" r="${(1 + 1.5 * t).toFixed(1)}" fill="currentColor"/><circle cx="25" cy="14" r="${(1 + 1.5 * t).toFixed(1)}" fill="currentColor"/>`;
+      mouth = `<path d="M16 21 h8" ${stroke}/>`;
+    } else {
+      const k = (t - 0.5) * 10; // -5 frown .. +5 smile
+      eyes = '<circle cx="15" cy="14" r="1.6" fill="currentColor"/><circle cx="25" cy="14" r="1.6" fill="currentColor"/>';
+      mouth = `<path d="M14 ${(21 - k / 3).toFixed(1)} Q20 ${(21 + k).toFixed(1)} 26 ${(21 - k / 3).toFixed(1)}" ${stroke}/>`;
+    }
+    return svg(`${extra}<circle cx="20" cy="16" r="11" ${stroke}/>${eyes}${mouth}<path d="M11 54 L14 30 h12 L29 54 Z" ${stroke}/>`);
+  }
+
+  return { INSTRUMENTS, INSTRUMENT_NAMES, PANAS_PA, PANAS_NA, instrumentQuestions, scoreInstruments, samPictogram, deepFreeze };
+});
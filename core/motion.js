@@ -0,0 +1,88 @@
+// ============================================================================
+// Popping Bubbles — Reduced motion (core/motion.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> (global BubbleMotion) or via require() in Node
+// - sketch.js [Accessibility] turns reduced motion on from prefers-reduced-motion or the
+//   player's own choice. This file holds the parts with numbers in them:
+//     MOTION_CFG           how much calmer the reduced mode is
+//     createColorEaser()   background colors fade to a new target instead of switching, and a
+//                          new target is taken at most every MIN_CHANGE_MS (emotion flips can
+//                          otherwise repaint the whole screen several times a second)
+//     wanderFor()          the per-frame heading jitter (core/session.js TUNING.WANDER_DEG) to use
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BubbleMotion = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const MOTION_CFG = Object.freeze({
+    WANDER_SCALE: 0.3,     // share of the bubbles' heading jitter kept
+    BG_FADE_MS: 1500,      // background fade to a new color
+    MIN_CHANGE_MS: 2000,   // at most one new background target this often (well under 3 flashes/s)
+    FADE_MS: 600           // static pop fade (replaces the particle burst / flying score)
+  });
+
+  const HEX_RE = /^#([0-9a-f]{6})$/i;
+
+  function parseHex(h){
+    const m = HEX_RE.exec(String(h || '').trim());
+    if (!m) return null;
+    const n = parseInt(m[1], 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  }
+
+  /**
+   * Blend two '#rrggbb' colors (t 0 → a, 1 → b); anything else switches at t = 1.
+   * @returns {string}
+   */
+  function mixHex(a, b, t){
+    const A = parseHex(a), B = parseHex(b);
+    if (!A || !B) return t >= 1 ? b : a;
+    t = Math.min(1, Math.max(0, t));
+    return '#' + A.map((v, i) => Math.round(v + (B[i] - v) * t).toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Eases a set of named colors (e.g. the background gradient's { from, to }) toward a target.
+   * @param {{fadeMs?:number, minChangeMs?:number}} [opts]
+   * @returns {{update:(target:object, nowMs:number)=>object, reset:()=>void}}
+   */
+  function createColorEaser({ fadeMs = MOTION_CFG.BG_FADE_MS, minChangeMs = MOTION_CFG.MIN_CHANGE_MS } = {}){
+    let start = null, target = null, startedAt = -Infinity, shown = null;
+    const same = (a, b) => !!a && !!b && Object.keys(b).every(k => a[k] === b[k]);
+    const blend = (now) => {
+      const t = fadeMs > 0 ? (now - startedAt) / fadeMs : 1;
+      const out = {};
+      for (const k of Object.keys(target)) out[k] = mixHex(start[k] ?? target[k], target[k], t);
+      return out;
+    };
+
+    return {
+      /** The colors to draw now for the wanted target (held while a change is too recent) */
+      update(want, nowMs){
+        if (!target){ target = { ...want }; start = { ...want }; shown = { ...want }; return shown; }
+        if (!same(target, want) && nowMs - startedAt >= minChangeMs){
+          start = shown; target = { ...want }; startedAt = nowMs;
+        }
+        shown = blend(nowMs);
+        return shown;
+      },
+      reset(){ start = target = shown = null; startedAt = -Infinity; }
+    };
+  }
+
+  /**
+   * Heading jitter per frame for a round.
+   * @param {number} base       the rules' TUNING.WANDER_DEG
+   * @param {boolean} reduced
+   */
+  function wanderFor(base, reduced){
+    return reduced ? Math.round(base * MOTION_CFG.WANDER_SCALE * 1000) / 1000 : base;
+  }
+
+  return { MOTION_CFG, mixHex, createColorEaser, wanderFor };
+});
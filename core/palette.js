@@ -0,0 +1,95 @@
+// ============================================================================
+// Popping Bubbles — Bubble palettes (core/palette.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> (global BubblePalette) or via require() in Node
+// - Normal / trick / gold bubbles were told apart by teal vs. red vs. amber alone, which fails
+//   for red-green colorblind players. sketch.js [Accessibility] picks one of PALETTES for the
+//   bubbles, bursts and the post-game chart, and can add glyphs (× trick, ★ gold)
+// - The red-green and tritan palettes build on the Okabe–Ito colors. simulateCvd() (Machado,
+//   Oliveira & Fernandes 2009, full severity) and deltaE() let tests/palette.test.js check that
+//   every palette keeps the three kinds apart for the vision it is meant for
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BubblePalette = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // [r, g, b, alpha 0..255]; outline: optional dark ring around every bubble
+  const PALETTES = Object.freeze({
+    default:      Object.freeze({ label: 'Standard',
+      normal: [15, 118, 110, 200], trick: [198, 40, 40, 200], gold: [250, 204, 21, 220] }),
+    deuteranopia: Object.freeze({ label: 'Deuteranopia (green-weak)',
+      normal: [0, 114, 178, 215], trick: [190, 70, 0, 220], gold: [250, 240, 130, 230] }),
+    protanopia:   Object.freeze({ label: 'Protanopia (red-weak)',
+      normal: [0, 114, 178, 215], trick: [230, 159, 0, 225], gold: [235, 235, 235, 235] }),
+    tritanopia:   Object.freeze({ label: 'Tritanopia (blue-yellow)',
+      normal: [0, 150, 170, 215], trick: [213, 20, 60, 220], gold: [245, 245, 245, 235] }),
+    highContrast: Object.freeze({ label: 'High contrast',
+      normal: [0, 47, 167, 255], trick: [0, 0, 0, 255], gold: [255, 214, 0, 255], outline: [0, 0, 0, 255] })
+  });
+  const PALETTE_KEYS = Object.freeze(Object.keys(PALETTES));
+
+  const GLYPHS = Object.freeze({ trick: '×', gold: '★' });
+
+  /** Palette by key; unknown keys are the default one */
+  function getPalette(key){ return PALETTES[key] || PALETTES.default; }
+
+  /** 'normal' | 'trick' | 'gold' for a bubble ({ kind, isGold }) */
+  function bubbleKind(b){ return b.isGold ? 'gold' : (b.kind === 'trick' ? 'trick' : 'normal'); }
+
+  /** '#rrggbb' (alpha dropped) */
+  function hex(rgb){ return '#' + rgb.slice(0, 3).map(v => Math.round(v).toString(16).padStart(2, '0')).join(''); }
+
+  const lin = (c) => { c /= 255; return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4); };
+  const gam = (c) => { c = Math.min(1, Math.max(0, c)); return 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055); };
+
+  /** Relative luminance (WCAG) 0..1 */
+  function luminance(rgb){
+    const [r, g, b] = rgb.slice(0, 3).map(lin);
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  /** Black or white, whichever reads better on the color (glyphs inside bubbles) */
+  function glyphInk(rgb){ return luminance(rgb) > 0.3 ? [0, 0, 0] : [255, 255, 255]; }
+
+  // Linear-RGB simulation matrices, severity 1.0
+  const CVD = Object.freeze({
+    protanopia:   [[0.152286, 1.052583, -0.204868], [0.114503, 0.786281, 0.099216], [-0.003882, -0.048116, 1.051998]],
+    deuteranopia: [[0.367322, 0.860646, -0.227968], [0.280085, 0.672501, 0.047413], [-0.011820, 0.042940, 0.968881]],
+    tritanopia:   [[1.255528, -0.076749, -0.178779], [-0.078411, 0.930809, 0.147602], [0.004733, 0.691367, 0.303900]]
+  });
+
+  /**
+   * How a color looks with a color vision deficiency.
+   * @param {number[]} rgb
+   * @param {'protanopia'|'deuteranopia'|'tritanopia'|string} type  anything else: unchanged
+   * @returns {number[]} [r, g, b]
+   */
+  function simulateCvd(rgb, type){
+    const m = CVD[type];
+    if (!m) return rgb.slice(0, 3);
+    const l = rgb.slice(0, 3).map(lin);
+    return m.map(row => gam(row[0] * l[0] + row[1] * l[1] + row[2] * l[2]));
+  }
+
+  function lab(rgb){
+    const [r, g, b] = rgb.slice(0, 3).map(lin);
+    const f = (v) => v > 0.008856 ? Math.cbrt(v) : 7.787 * v + 16 / 116;
+    const x = f((0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047);
+    const y = f(0.2126 * r + 0.7152 * g + 0.0722 * b);
+    const z = f((0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883);
+    return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+  }
+
+  /** CIE76 color difference (~2 just noticeable; the palettes aim for 40+) */
+  function deltaE(a, b){
+    const A = lab(a), B = lab(b);
+    return Math.hypot(A[0] - B[0], A[1] - B[1], A[2] - B[2]);
+  }
+
+  return { PALETTES, PALETTE_KEYS, GLYPHS, getPalette, bubbleKind, hex, luminance, glyphInk, simulateCvd, deltaE };
+});
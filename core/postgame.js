@@ -0,0 +1,79 @@
+// ============================================================================
+// Popping Bubbles — Post-game leaderboard markup (core/postgame.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> (global BubblePostGame) or via require() in Node
+// - leaderboardHtml() builds the post-game Top 5 table; sketch.js
+//   renderPostGameContent() writes it into #leaderboard
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BubblePostGame = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /**
+   * Post-game inner HTML for the leaderboard screen (no Mode column; keep Accuracy).
+   * @param {{username?:string, score?:number, accuracyPct?:number, rank?:number|null,
+   *          board?:Array<object>, heading?:string, note?:string}} opts
+   *   board rows: { rank?, username|name, score, accuracyPct (int %) | accuracy (0..1) }
+   * @returns {string}
+   */
+  function leaderboardHtml({ username, score, accuracyPct, rank, board, heading = 'Top 5', note = '' }) {
+    const myName = (username || '').trim();
+
+    // Build Top 5 rows: rank, user, score, accuracy
+    const rowsHtml = (board || []).slice(0, 5).map((r, i) => {
+      const rnk = (r && r.rank != null) ? Number(r.rank) : (i + 1);
+      const name = ((r && (r.username ?? r.name)) || '').toString().trim();
+      const sc   = (r && r.score != null) ? Number(r.score) : 0;
+
+      // Accept either accuracyPct (integer %) or accuracy (0..1)
+      const accPct = (r && typeof r.accuracyPct === 'number')
+        ? Math.round(r.accuracyPct)
+        : (r && typeof r.accuracy === 'number')
+          ? Math.round(r.accuracy * 100)
+          : null;
+
+      const isMe = !!name && !!myName && name.toLowerCase() === myName.toLowerCase();
+      const accStr = (accPct != null) ? `${accPct}%` : '';
+
+      return `<tr class="${isMe ? 'meRow' : ''}">
+              <td>${rnk}</td>
+              <td>${name || '—'}</td>
+              <td>${sc}</td>
+              <td>${accStr}</td>
+            </tr>`;
+    }).join('');
+
+    // If I'm not in Top 5 but we have my rank, append a 6th highlighted row
+    let extraRow = '';
+    const myRankNum = (rank != null && !Number.isNaN(Number(rank))) ? Number(rank) : null;
+    const isInTop5 = (myRankNum != null && myRankNum >= 1 && myRankNum <= 5);
+
+    if (!isInTop5 && myRankNum != null) {
+      const myAccStr = (typeof accuracyPct === 'number') ? `${accuracyPct}%` : '';
+      extraRow = `<tr class="meRow">
+                  <td>${myRankNum}</td>
+                  <td>${myName || 'You'}</td>
+                  <td>${Number(score) || 0}</td>
+                  <td>${myAccStr}</td>
+                </tr>`;
+    }
+
+    return `
+      <h3>${heading}</h3>
+      ${note ? `<p class="lbMsg">${note}</p>` : ''}
+      <table class="lbTable">
+        <thead>
+          <tr><th>#</th><th>User</th><th>Score</th><th>Acc</th></tr>
+        </thead>
+        <tbody>${rowsHtml}${extraRow}</tbody>
+      </table>
+    `;
+  }
+
+  return { leaderboardHtml };
+});
@@ -0,0 +1,247 @@
+// ============================================================================
+// Popping Bubbles — Rules profiles (core/profile.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> after core/scoring.js, core/session.js and
+//   core/emotion.js (global BubbleProfile), via require() in Node, or as an extra file
+//   in the Apps Script project (after core/scoring.js; the other two are optional there)
+// - A rules profile is a versioned JSON file (profiles/<id>.json) that overrides the
+//   built-in tunables so study conditions can change without redeploying sketch.js:
+//     { "id": "slow-study", "version": 2, "description": "...",
+//       "rules":     { ...BubbleScoring.RULES keys },
+//       "tuning":    { ...BubbleSession.TUNING keys },
+//       "emotion":   { "cfg": { ...EMO_CFG keys }, "force": { ...EMO_FORCE keys } },
+//       "emoPreset": { "sad": { "bg": "#bfdbfe", "chip": "#93c5fd", "emoji": "😢" } } }
+//   Every section is optional; keys left out keep their defaults. Nested maps
+//   (MODE_DURATION, EMO_SPEED, MODE_SCORE_MULT, ...) merge key by key; arrays replace.
+// - PROFILE_SCHEMA (a JSON Schema subset) + cross-field checks reject typos and values
+//   that would break a round; an invalid profile falls back to DEFAULT_PROFILE
+// - Runs record the profile key ("id@version") so the servers re-score with the same rules
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./scoring.js'), require('./session.js'), require('./emotion.js'));
+  } else {
+    root.BubbleProfile = factory(root.BubbleScoring, root.BubbleSession, root.BubbleEmotion);
+  }
+})(typeof self !== 'undefined' ? self : this, function (BubbleScoring, BubbleSession, BubbleEmotion) {
+  'use strict';
+
+  const DEFAULT_RULES  = BubbleScoring.RULES;
+  const DEFAULT_TUNING = (BubbleSession && BubbleSession.TUNING) || {};
+  const DEFAULT_EMO    = {
+    cfg:   (BubbleEmotion && BubbleEmotion.EMO_CFG) || {},
+    force: (BubbleEmotion && BubbleEmotion.EMO_FORCE) || {}
+  };
+  const EMOTIONS = ['happy', 'sad', 'angry', 'stressed', 'neutral'];
+
+  // --- Schema ---
+  const num = (minimum, maximum) => ({ type: 'number', minimum, maximum });
+  const int = (minimum, maximum) => ({ type: 'integer', minimum, maximum });
+  /** Object with a fixed set of keys, all optional, all sharing one schema */
+  const keyed = (keys, schema) => ({
+    type: 'object', additionalProperties: false,
+    properties: Object.fromEntries(keys.map(k => [k, schema]))
+  });
+  const color = { type: 'string', pattern: '^#[0-9a-fA-F]{3,8}$' };
+
+  const PROFILE_SCHEMA = Object.freeze({
+    type: 'object',
+    additionalProperties: false,
+    required: ['id', 'version'],
+    properties: {
+      $schema:     { type: 'string' },
+      id:          { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,39}$' },
+      version:     int(1, 9999),
+      description: { type: 'string', maxLength: 500 },
+      rules: {
+        type: 'object', additionalProperties: false,
+        properties: {
+          MIN_DIAM: num(10, 300), MAX_DIAM: num(10, 300),
+          SCORE_BASE: int(0, 100),
+          SCORE_SIZE_MULTIPLIER: num(0, 10),
+          SCORE_SIZE_CAP: num(1, 10),
+          SCORE_TRICK_PENALTY: int(0, 100),
+          RED_RATE: num(0, 1),
+          RED_PENALTY: int(0, 100),
+          CHALLENGE_TRICK_RATE: num(0, 1),
+          MOOD_TRICK_RATE: num(0, 1),
+          GOLD_RATE: num(0, 1),
+          ANGRY_GROWTH: num(0, 2),
+          MODE_SCORE_MULT: keyed(['challenge', 'mood'], num(0, 10)),
+          MOOD_SCORE_MULT: keyed(EMOTIONS, num(0, 10)),
+          COMBO_STEPS: {
+            type: 'array', maxItems: 10,
+            items: { type: 'array', minItems: 2, maxItems: 2, prefixItems: [int(1, 1000), num(1, 10)] }
+          },
+          START_BUBBLES_CHALLENGE: int(1, 60),
+          START_BUBBLES_MOOD: int(1, 60),
+          CLASSIC_COLS: int(1, 20), CLASSIC_ROWS: int(1, 20)
+        }
+      },
+      tuning: {
+        type: 'object', additionalProperties: false,
+        properties: {
+          GAME_DURATION: int(5, 600),
+          MODE_DURATION: keyed(['challenge', 'mood', 'daily'], int(5, 600)),
+          CLASSIC_TIME_MS: int(5000, 600000),
+          MIN_SPEED: num(0, 20), MAX_SPEED: num(0, 20),
+          MIN_PLAY_SPEED: num(0, 10),
+          MODE_SPEED: num(0, 5),
+          EMO_SPEED: keyed(EMOTIONS, num(0, 5)),
+          MISS_STREAK_TRIGGER: int(0, 50),
+          MISS_STREAK_SLOW_PER_MISS: num(0, 1),
+          MISS_STREAK_SLOW_CAP: num(0, 0.95),
+          MAX_TRICK_RATIO: num(0, 1),
+          TOUCH_HIT_PAD: num(0, 64),
+          POP_ANIM_FRAMES: int(1, 120),
+          WANDER_DEG: num(0, 10),
+          CLASSIC_PAD: num(0, 100)
+        }
+      },
+      emotion: {
+        type: 'object', additionalProperties: false,
+        properties: {
+          cfg: {
+            type: 'object', additionalProperties: false,
+            properties: {
+              ON: num(0, 1), OFF: num(0, 1), NEUTRAL_ON: num(0, 1), NEUTRAL_OFF: num(0, 1),
+              MARGIN: num(0, 1), COOLDOWN_MS: int(0, 10000)
+            }
+          },
+          // above 1 a raw score can never reach the gate: that force switch is off
+          force: keyed(['HAPPY_RAW', 'SAD_RAW', 'ANGRY_RAW', 'STRESSED_RAW'], num(0, 2))
+        }
+      },
+      emoPreset: keyed(EMOTIONS, {
+        type: 'object', additionalProperties: false,
+        properties: { bg: color, chip: color, emoji: { type: 'string', maxLength: 16 } }
+      })
+    }
+  });
+
+  const typeOf = (v) => Array.isArray(v) ? 'array' : (v === null ? 'null' : typeof v);
+
+  /** Check `value` against a PROFILE_SCHEMA node; pushes "path: message" strings */
+  function checkSchema(value, schema, path, errors){
+    const t = typeOf(value);
+    const okType = (schema.type === 'integer') ? Number.isInteger(value)
+      : (schema.type === 'number') ? (t === 'number' && Number.isFinite(value))
+      : t === schema.type;
+    if (!okType) { errors.push(`${path}: expected ${schema.type}`); return; }
+
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: does not match ${schema.pattern}`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength}`);
+
+    if (t === 'object'){
+      for (const k of (schema.required || [])) if (!(k in value)) errors.push(`${path}.${k}: required`);
+      for (const [k, v] of Object.entries(value)){
+        const sub = schema.properties && schema.properties[k];
+        if (sub) checkSchema(v, sub, `${path}.${k}`, errors);
+        else if (schema.additionalProperties === false) errors.push(`${path}.${k}: unknown key`);
+      }
+    }
+    if (t === 'array'){
+      if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: needs ${schema.minItems}+ items`);
+      if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: at most ${schema.maxItems} items`);
+      value.forEach((v, i) => {
+        const sub = (schema.prefixItems && schema.prefixItems[i]) || schema.items;
+        if (sub) checkSchema(v, sub, `${path}[${i}]`, errors);
+      });
+    }
+  }
+
+  /** Rules that span keys, checked on the merged values (a profile may set only one side) */
+  function crossChecks(p, errors){
+    const R = p.rules, T = p.tuning, C = p.emotion.cfg;
+    if (!(R.MIN_DIAM < R.MAX_DIAM)) errors.push('rules: MIN_DIAM must be < MAX_DIAM');
+    if (T.MIN_SPEED != null && !(T.MIN_SPEED <= T.MAX_SPEED)) errors.push('tuning: MIN_SPEED must be <= MAX_SPEED');
+    if (C.OFF != null && !(C.OFF <= C.ON)) errors.push('emotion.cfg: OFF must be <= ON');
+    if (C.NEUTRAL_OFF != null && !(C.NEUTRAL_OFF <= C.NEUTRAL_ON)) errors.push('emotion.cfg: NEUTRAL_OFF must be <= NEUTRAL_ON');
+    const steps = R.COMBO_STEPS || [];
+    for (let i = 1; i < steps.length; i++){
+      if (!(steps[i][0] < steps[i - 1][0])) { errors.push('rules: COMBO_STEPS must be ordered by streak, highest first'); break; }
+    }
+  }
+
+  /** Defaults, then the profile's overrides; nested maps merge one level down */
+  function mergeSection(defaults, over){
+    const out = { ...defaults };
+    for (const [k, v] of Object.entries(over || {})){
+      const d = defaults[k];
+      out[k] = (typeOf(v) === 'object' && typeOf(d) === 'object') ? Object.freeze({ ...d, ...v }) : v;
+    }
+    return Object.freeze(out);
+  }
+
+  function merged(obj){
+    return {
+      rules:  mergeSection(DEFAULT_RULES, obj.rules),
+      tuning: mergeSection(DEFAULT_TUNING, obj.tuning),
+      emotion: Object.freeze({
+        cfg:   mergeSection(DEFAULT_EMO.cfg, obj.emotion && obj.emotion.cfg),
+        force: mergeSection(DEFAULT_EMO.force, obj.emotion && obj.emotion.force)
+      })
+    };
+  }
+
+  /**
+   * Validate a parsed profile against PROFILE_SCHEMA plus the cross-field rules.
+   * @param {object} obj
+   * @returns {{ok:boolean, errors:string[]}}
+   */
+  function validateProfile(obj){
+    const errors = [];
+    checkSchema(obj, PROFILE_SCHEMA, 'profile', errors);
+    if (!errors.length && obj.id === 'default') errors.push('profile.id: "default" is the built-in profile');
+    if (!errors.length) crossChecks(merged(obj), errors);
+    return { ok: errors.length === 0, errors };
+  }
+
+  /**
+   * Frozen profile ready to use. Call on a profile that passed validateProfile().
+   * @returns {{id:string, version:number, key:string, description:string, rules:object,
+   *            tuning:object, emotion:{cfg:object, force:object}, emoPreset:object}}
+   *   rules/tuning are complete (defaults filled in); emoPreset holds only the overrides
+   */
+  function resolveProfile(obj){
+    const m = merged(obj);
+    const emoPreset = {};
+    for (const [emo, p] of Object.entries(obj.emoPreset || {})) emoPreset[emo] = Object.freeze({ ...p });
+    return Object.freeze({
+      id: obj.id,
+      version: obj.version,
+      key: profileKey(obj),
+      description: obj.description || '',
+      ...m,
+      emoPreset: Object.freeze(emoPreset)
+    });
+  }
+
+  /** "id@version": what runs record (roundLog.rules, run.rulesId) */
+  function profileKey({ id, version }){ return `${id}@${version}`; }
+
+  /** The built-in constants as a profile (runs without a profile key were played with these) */
+  const DEFAULT_PROFILE = resolveProfile({ id: 'default', version: 1 });
+
+  /**
+   * Parse + validate + resolve. Invalid input gives DEFAULT_PROFILE and the reasons.
+   * @param {string|object} json  profile JSON text or an already-parsed object
+   * @returns {{ok:boolean, profile:object, errors:string[]}}
+   */
+  function loadProfile(json){
+    let obj = json;
+    if (typeof json === 'string'){
+      try { obj = JSON.parse(json); }
+      catch (e) { return { ok: false, profile: DEFAULT_PROFILE, errors: [`profile: bad JSON (${e.message})`] }; }
+    }
+    const { ok, errors } = validateProfile(obj);
+    return { ok, profile: ok ? resolveProfile(obj) : DEFAULT_PROFILE, errors };
+  }
+
+  return { PROFILE_SCHEMA, DEFAULT_PROFILE, validateProfile, resolveProfile, loadProfile, profileKey };
+});
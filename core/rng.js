@@ -0,0 +1,76 @@
+// ============================================================================
+// Popping Bubbles — Seeded random numbers (core/rng.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> (global BubbleRng) or via require() in Node
+// - mulberry32 generator seeded from a string hash (xmur3), so a seed like
+//   "daily-2025-01-31" or "a9f3c2e1" always produces the same sequence
+// - fork(label) derives an independent stream from the same seed; gameplay keeps
+//   spawning and per-frame motion on separate streams so frame rate can't shift spawns
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BubbleRng = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /** xmur3 string hash → 32-bit unsigned int */
+  function hashSeed(str){
+    const s = String(str);
+    let h = 1779033703 ^ s.length;
+    for (let i = 0; i < s.length; i++){
+      h = Math.imul(h ^ s.charCodeAt(i), 3432918353);
+      h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^= h >>> 16) >>> 0;
+  }
+
+  /** mulberry32: fast 32-bit PRNG, returns floats in [0, 1) */
+  function mulberry32(a){
+    return function(){
+      a |= 0; a = (a + 0x6D2B79F5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /** Fresh 8-hex-char seed for rounds that don't ask for a specific one */
+  function makeSeed(){
+    const c = (typeof crypto !== 'undefined') ? crypto : null;
+    if (c && c.getRandomValues){
+      const a = new Uint32Array(1); c.getRandomValues(a);
+      return a[0].toString(16).padStart(8, '0');
+    }
+    return Math.floor(Math.random() * 0x100000000).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Create a seeded generator.
+   * @param {string|number} seed
+   * @returns {{seed:string, next:()=>number, range:(a?:number,b?:number)=>number, int:(n:number)=>number, chance:(p:number)=>boolean, fork:(label:string)=>object}}
+   */
+  function createRng(seed){
+    const key = String(seed);
+    const next = mulberry32(hashSeed(key));
+    return {
+      seed: key,
+      next,
+      // p5-style: range() → [0,1), range(max) → [0,max), range(min,max) → [min,max)
+      range(a, b){
+        if (a === undefined) return next();
+        if (b === undefined) return next() * a;
+        return a + next() * (b - a);
+      },
+      int(n){ return Math.floor(next() * n); },
+      chance(p){ return next() < p; },
+      fork(label){ return createRng(`${key}:${label}`); }
+    };
+  }
+
+  return { createRng, hashSeed, makeSeed };
+});
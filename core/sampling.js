@@ -0,0 +1,165 @@
+// ============================================================================
+// Popping Bubbles — Face sampling pace (core/sampling.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> (global BubbleSampling) or via require() in Node
+// - Face detection costs the same every sample however slow the device is. The pacer picks the
+//   TinyFaceDetector inputSize and the sampling interval at runtime from two measurements:
+//     draw-loop frame time   sketch.js draw() → noteFrame(deltaTime)
+//     detection latency      sketch.js detectFaces() → noteDetection(ms)
+//   Over budget for a while → one level down PACE_LEVELS (a smaller inputSize first, then a
+//   longer interval); both healthy for a while → one level back up
+// - The interval also stretches so detection takes at most DUTY of it (DUTY_MAIN on the main
+//   thread, DUTY_WORKER in face-worker.js), never past MAX_INTERVAL_MS
+// - Phones start lower on the ladder (DEVICE_START_LEVEL, keyed by sketch.js detectDeviceType())
+// - telemetry() summarizes a round's settings for the run payload (facePace)
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BubbleSampling = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const INPUT_SIZES = Object.freeze([224, 320, 416, 512]); // TinyFaceDetector accepts multiples of 32
+
+  // Level 0 is the pre-pacer setting (inputSize 512 every MOOD_SAMPLE_MS = 1500 ms)
+  const PACE_LEVELS = Object.freeze([
+    Object.freeze({ inputSize: 512, intervalMs: 1500 }),
+    Object.freeze({ inputSize: 416, intervalMs: 1500 }),
+    Object.freeze({ inputSize: 320, intervalMs: 1500 }),
+    Object.freeze({ inputSize: 224, intervalMs: 1500 }),
+    Object.freeze({ inputSize: 224, intervalMs: 2000 }),
+    Object.freeze({ inputSize: 224, intervalMs: 2500 })
+  ]);
+
+  const PACE_CFG = Object.freeze({
+    FRAME_BUDGET_MS: 25,       // smoothed frame time above this (under 40 fps) is degraded
+    RECOVER_MS: 20,            // ... and below this (over 50 fps) is healthy again
+    DEGRADE_HOLD_MS: 3000,     // degraded this long → one level down
+    RECOVER_HOLD_MS: 15000,    // healthy this long → one level up
+    EMA: 0.1,                  // frame-time smoothing
+    MAX_FRAME_MS: 250,         // longer gaps are tab switches / pauses, not slow frames
+    LATENCY_BUDGET_MS: 250,    // smoothed detection time above this is too slow ...
+    LATENCY_HOLD: 3,           // ... for this many detections in a row → one level down
+    LATENCY_EMA: 0.3,
+    DUTY_MAIN: 0.2,            // detection may take this share of the interval on the main thread
+    DUTY_WORKER: 0.5,          // ... and this share in the worker (it only costs battery there)
+    MAX_INTERVAL_MS: 2500,     // calibration (core/calibration.js) still gets 2 samples a prompt
+    MAX_CHANGES: 40            // level changes kept per round for telemetry
+  });
+
+  // detectDeviceType() → first level; unknown devices start at 0
+  const DEVICE_START_LEVEL = Object.freeze({
+    laptop: 0, desktop: 0, ipad: 1, iphone: 1, android_tablet: 1,
+    samsung_phone: 2, google_phone: 2, android_phone: 2
+  });
+
+  /**
+   * Pace controller for one page (it keeps its level across rounds).
+   * @param {{device?:string, level?:number, offThread?:boolean, cfg?:object, levels?:object[]}} [opts]
+   *   level defaults to DEVICE_START_LEVEL[device]
+   * @returns {object} see the members below
+   */
+  function createPacer({ device = '', level, offThread = false, cfg = PACE_CFG, levels = PACE_LEVELS } = {}){
+    const maxLvl = levels.length - 1;
+    const startLevel = Math.min(maxLvl, Math.max(0, (level ?? DEVICE_START_LEVEL[device] ?? 0) | 0));
+    let lvl = startLevel;
+    let frameMs = null, latencyMs = null, badSince = null, goodSince = null, slowRun = 0;
+    let round = null;
+
+    const latencyHealthy = () => latencyMs == null || latencyMs < cfg.LATENCY_BUDGET_MS * 0.6;
+
+    function step(dir, why, nowMs){
+      lvl += dir;
+      if (round && round.changes.length < cfg.MAX_CHANGES){
+        round.changes.push([Math.max(0, Math.round(nowMs - round.startMs)), lvl, why]);
+      }
+      if (round){ round.minLevel = Math.min(round.minLevel, lvl); round.maxLevel = Math.max(round.maxLevel, lvl); }
+      return true;
+    }
+
+    return {
+      device,
+      get level(){ return lvl; },
+      get inputSize(){ return levels[lvl].inputSize; },
+      /** The level's interval, stretched to keep detection within its duty share */
+      get intervalMs(){
+        const duty = offThread ? cfg.DUTY_WORKER : cfg.DUTY_MAIN;
+        const need = latencyMs == null ? 0 : Math.ceil(latencyMs / duty / 250) * 250;
+        return Math.min(cfg.MAX_INTERVAL_MS, Math.max(levels[lvl].intervalMs, need));
+      },
+      get frameMs(){ return frameMs; },
+      get latencyMs(){ return latencyMs; },
+      get offThread(){ return offThread; },
+
+      /** Detection moved between the worker and the main thread */
+      setOffThread(on){ offThread = !!on; },
+
+      /** One draw-loop frame; true when it moved the level */
+      noteFrame(dtMs, nowMs){
+        if (!(dtMs > 0) || dtMs > cfg.MAX_FRAME_MS) return false;
+        frameMs = (frameMs == null) ? dtMs : frameMs + cfg.EMA * (dtMs - frameMs);
+        if (round){ round.frames++; round.frameSum += dtMs; }
+
+        if (frameMs > cfg.FRAME_BUDGET_MS){
+          goodSince = null;
+          if (badSince == null) badSince = nowMs;
+          if (nowMs - badSince >= cfg.DEGRADE_HOLD_MS && lvl < maxLvl){
+            badSince = nowMs;
+            return step(+1, 'f', nowMs);
+          }
+        } else if (frameMs < cfg.RECOVER_MS && latencyHealthy()){
+          badSince = null;
+          if (goodSince == null) goodSince = nowMs;
+          if (nowMs - goodSince >= cfg.RECOVER_HOLD_MS && lvl > 0){
+            goodSince = nowMs;
+            return step(-1, 'r', nowMs);
+          }
+        } else {
+          badSince = goodSince = null;
+        }
+        return false;
+      },
+
+      /** One finished detection (ms it took); true when it moved the level */
+      noteDetection(ms, nowMs){
+        if (!(ms >= 0)) return false;
+        latencyMs = (latencyMs == null) ? ms : latencyMs + cfg.LATENCY_EMA * (ms - latencyMs);
+        if (round){ round.detections++; round.latencySum += ms; }
+        if (latencyMs <= cfg.LATENCY_BUDGET_MS){ slowRun = 0; return false; }
+        if (++slowRun < cfg.LATENCY_HOLD || lvl >= maxLvl) return false;
+        slowRun = 0;
+        goodSince = null;
+        return step(+1, 'l', nowMs);
+      },
+
+      /** Start the per-round counters (the level carries over) */
+      startRound(nowMs){
+        round = { startMs: nowMs, startLevel: lvl, minLevel: lvl, maxLevel: lvl,
+                  frames: 0, frameSum: 0, detections: 0, latencySum: 0, changes: [] };
+      },
+
+      /**
+       * The round so far: settings at the end, averages and the level changes
+       * ([ms into the round, new level, 'f' frame time | 'l' latency | 'r' recovered]).
+       * @returns {object|null} null before startRound()
+       */
+      telemetry(){
+        if (!round) return null;
+        return {
+          device, worker: offThread,
+          inputSize: levels[lvl].inputSize, intervalMs: this.intervalMs,
+          level: lvl, startLevel: round.startLevel, minLevel: round.minLevel, maxLevel: round.maxLevel,
+          fps: round.frames ? Math.round(1000 * round.frames / round.frameSum) : null,
+          detectMs: round.detections ? Math.round(round.latencySum / round.detections) : null,
+          detections: round.detections,
+          changes: round.changes.slice()
+        };
+      }
+    };
+  }
+
+  return { INPUT_SIZES, PACE_LEVELS, PACE_CFG, DEVICE_START_LEVEL, createPacer };
+});
@@ -0,0 +1,442 @@
+// ============================================================================
+// Popping Bubbles — Scoring rules + run validator (core/scoring.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> after core/rng.js (global BubbleScoring),
+//   via require() in Node (mock server), or as an extra file in the Apps Script project
+// - RULES is the single source for every value that decides points: sketch.js reads
+//   its scoring constants from here, and the servers re-score runs with the same code
+// - popDelta() is the per-pop scoring of handlePop(); createScoreKeeper() adds the
+//   combo + score floor so a whole round can be re-scored headless
+// - validateRun() re-scores a run from its round log (sketch.js [Round log & replay]):
+//   it rebuilds which bubbles are on screen from the seed and the logged pops, and flags hits
+//   on bubbles that aren't there (or out of reach), wrong kinds, and taps/clocks no client makes
+// - logSig (digestRun) is a plain SHA-256 checksum of the run; anyone can recompute it, so it
+//   only catches edits in transit — the replay checks above are what the servers trust
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./rng.js'));
+  else root.BubbleScoring = factory(root.BubbleRng);
+})(typeof self !== 'undefined' ? self : this, function (BubbleRng) {
+  'use strict';
+
+  const RULES = Object.freeze({
+    MIN_DIAM: 50, MAX_DIAM: 88,          // bubble size range (smaller => more points)
+    SCORE_BASE: 1,                       // base points for a normal pop
+    SCORE_SIZE_MULTIPLIER: 2,            // how much small size boosts score
+    SCORE_SIZE_CAP: 3,                   // max size boost
+    SCORE_TRICK_PENALTY: 1,              // trick pops cost max(2, this); 1 while happy in Mood
+    RED_RATE: 0.15,                      // Zen: share of red cells per board
+    RED_PENALTY: 2,                      // Zen: popping red subtracts 2
+    CHALLENGE_TRICK_RATE: 0.25,
+    MOOD_TRICK_RATE: 0.20,
+    GOLD_RATE: 0.10,                     // Mood: gold chance per spawn while happy
+    ANGRY_GROWTH: 0.35,                  // Mood: bubbles grow up to +35% while angry
+    MODE_SCORE_MULT: Object.freeze({ challenge: 1.5, mood: 1.8 }),
+    MOOD_SCORE_MULT: Object.freeze({ happy: 2.0, stressed: 1.5 }),
+    COMBO_STEPS: Object.freeze([[10, 2.0], [5, 1.5]]), // [hit streak, multiplier], highest first
+    START_BUBBLES_CHALLENGE: 15,
+    START_BUBBLES_MOOD: 8,
+    CLASSIC_COLS: 6, CLASSIC_ROWS: 8      // Zen static board
+  });
+
+  // Modes that borrow another mode's gameplay rules (Daily plays like Focus)
+  const MODE_RULES_FROM = Object.freeze({ daily: 'challenge' });
+  const SPAWN_DRAWS = 9; // spawnBubble(): d, angle, speed, sx, sy, gazeX, gazeY, trickRoll, goldRoll
+
+  function ruleMode(mode){ return MODE_RULES_FROM[mode] || mode; }
+
+  /** Combo multiplier after `streak` consecutive hits */
+  function comboMultFor(streak, R = RULES){
+    for (const [n, mult] of R.COMBO_STEPS) if (streak >= n) return mult;
+    return 1.0;
+  }
+
+  /** Focus/Emotion (and modes playing by their rules) use the combo */
+  function usesCombo(mode){
+    const m = ruleMode(mode);
+    return m === 'challenge' || m === 'mood';
+  }
+
+  /** On-screen diameter of a bubble (Mood: grows with the smoothed angry value) */
+  function popDiameter(baseDiameter, angry = 0, R = RULES){
+    const a = Math.max(0, Math.min(1, Number(angry) || 0));
+    const d = baseDiameter * (1 + R.ANGRY_GROWTH * a);
+    return Math.max(1, d * 0.5) * 2;
+  }
+
+  /**
+   * Points for one pop, exactly as handlePop() scores it.
+   * @param {{mode:string, kind:'normal'|'trick', gold?:boolean, diameter:number, emotion?:string, comboMult?:number}} pop
+   *   mode is the round's mode key (classic|challenge|mood|daily); emotion only matters in mood
+   * @returns {number} signed delta (the score floor at 0 is applied by the caller)
+   */
+  function popDelta({ mode, kind, gold = false, diameter, emotion = null, comboMult = 1 }, R = RULES){
+    if (mode === 'classic') return (kind === 'trick') ? -R.RED_PENALTY : 1;
+
+    const sizeBoost = Math.min(R.SCORE_SIZE_CAP, Math.max(1, (R.MIN_DIAM / diameter) * R.SCORE_SIZE_MULTIPLIER));
+    const happy = (mode === 'mood' && emotion === 'happy');
+    const trickPenalty = happy ? 1 : Math.max(2, R.SCORE_TRICK_PENALTY);
+
+    let delta = (kind === 'trick')
+      ? -trickPenalty
+      : Math.max(1, Math.round(R.SCORE_BASE * sizeBoost));
+
+    const moodScoreMult = (mode === 'mood') ? (R.MOOD_SCORE_MULT[emotion] || 1.0) : 1.0;
+
+    // Gold Smile: per-pop double (on top of mood/combo/mode)
+    if (gold && delta > 0) delta *= 2;
+
+    // Multipliers (combo → mood → mode) only apply to positive scores
+    if (delta > 0) {
+      const modeMult = R.MODE_SCORE_MULT[ruleMode(mode)] || 1.0;
+      const combo = usesCombo(mode) ? comboMult : 1.0;
+      delta = Math.round(delta * combo * moodScoreMult * modeMult);
+    }
+    return delta;
+  }
+
+  /**
+   * Score + combo bookkeeping for one round (handlePop + onHit/onMiss without the UI).
+   * @param {{mode:string, carry?:{comboHitStreak?:number, comboMult?:number}}} opts
+   *   carry: combo state left over from the previous round
+   */
+  function createScoreKeeper({ mode, carry = {} }, R = RULES){
+    let score = 0, taps = 0, hits = 0, good = 0, trick = 0;
+    let streak = Number(carry.comboHitStreak) || 0;
+    let mult = (carry.comboMult != null) ? Number(carry.comboMult) : comboMultFor(streak, R);
+
+    return {
+      /** @returns {number} the delta for this pop */
+      hit({ kind, gold = false, diameter, emotion = null }){
+        taps++; hits++;
+        if (kind === 'trick') trick++; else good++;
+        const delta = popDelta({ mode, kind, gold, diameter, emotion, comboMult: mult }, R);
+        score = Math.max(0, score + delta);
+        if (mode !== 'classic'){ streak++; mult = comboMultFor(streak, R); }
+        return delta;
+      },
+      miss(){
+        taps++;
+        if (mode !== 'classic'){ streak = 0; mult = 1.0; }
+      },
+      get score(){ return score; },
+      get comboMult(){ return mult; },
+      get stats(){ return { taps, hits, good, trick, accuracy: +((hits / Math.max(1, taps)).toFixed(3)) }; }
+    };
+  }
+
+  // --- Seed → spawn attributes ---
+  /**
+   * Moving-bubble modes: attributes of the k-th spawnBubble() of a seed.
+   * xRoll/yRoll/gazeXRoll/gazeYRoll are the raw [0,1) draws; the position they give depends on the
+   * viewport (and gaze, in Mood) at spawn time.
+   */
+  function createSpawnTable(seed, R = RULES){
+    const rng = BubbleRng.createRng(String(seed)).fork('spawn');
+    const rows = [];
+    return function at(k){
+      while (rows.length <= k){
+        const v = [];
+        for (let i = 0; i < SPAWN_DRAWS; i++) v.push(rng.next());
+        rows.push({
+          diameter: R.MIN_DIAM + v[0] * (R.MAX_DIAM - R.MIN_DIAM),
+          xRoll: v[3], yRoll: v[4], gazeXRoll: v[5], gazeYRoll: v[6],
+          trickRoll: v[7], goldRoll: v[8]
+        });
+      }
+      return rows[k];
+    };
+  }
+
+  /** Zen: cell kinds of the b-th board of a seed (Relax refills drift the red rate) */
+  function createClassicTable(seed, relax, R = RULES){
+    const rng = BubbleRng.createRng(String(seed)).fork('spawn');
+    const cells = R.CLASSIC_COLS * R.CLASSIC_ROWS;
+    const boards = [];
+    let rate = R.RED_RATE;
+    return function board(b){
+      while (boards.length <= b){
+        if (boards.length > 0) rate = Math.max(0.05, Math.min(0.35, rate + (rng.next() * 0.12 - 0.06)));
+        const kinds = [];
+        for (let i = 0; i < cells; i++) kinds.push(rng.next() < (relax ? rate : R.RED_RATE) ? 'trick' : 'normal');
+        boards.push(kinds);
+      }
+      return boards[b];
+    };
+  }
+
+  function trickRateFor(mode, R = RULES){
+    const m = ruleMode(mode);
+    return (m === 'challenge') ? R.CHALLENGE_TRICK_RATE : (m === 'mood') ? R.MOOD_TRICK_RATE : 0;
+  }
+
+  // --- Run validation ---
+  const DAILY_RE = /^daily-\d{4}-\d{2}-\d{2}$/;
+  const LOG_MODES = ['classic', 'challenge', 'mood', 'daily'];
+
+  // The BubbleSession.TUNING values the validator models (same defaults; a rules profile's
+  // "tuning" section reaches both through validateRun's opts.tuning)
+  const VALIDATE_TUNING = Object.freeze({
+    GAME_DURATION: 30,
+    MODE_DURATION: Object.freeze({ challenge: 30, mood: 60, daily: 45 }),
+    CLASSIC_TIME_MS: 30000,
+    MAX_SPEED: 3.8,
+    MODE_SPEED: 1.3,
+    MAX_TRICK_RATIO: 0.5,
+    TOUCH_HIT_PAD: 12,
+    POP_ANIM_FRAMES: 10,
+    CLASSIC_PAD: 16
+  });
+
+  // What a real client can produce; anything past these is flagged
+  const LIMITS = Object.freeze({
+    MAX_TAPS_PER_SEC: 25,       // in any 1 s of round clock
+    MAX_TAPS_PER_FRAME: 5,      // multi-touch lands several pointerdowns on one frame
+    MAX_FPS: 125,               // frames per second of round clock (q5 paces draw() at 60)
+    MAX_STEP_MS: 250,           // sketch.js MAX_STEP_MS: the longest clock step of one frame
+    REACH_PER_FRAME: 3,         // top speeds a bubble can cover per frame: its own move, the physics step, a push
+    MOOD_SPEED_MAX: 1.6,        // GameSession.speedFactor() clamps Mood speeds to 0.5–1.6
+    EPS: 0.01                   // taps are logged to 0.01 px
+  });
+
+  const clamp = (v, lo, hi) => Math.max(Math.min(v, hi), lo);
+
+  /**
+   * Moving modes: which bubbles are on screen at each frame, what they are and where they
+   * spawned — GameSession.start()/spawnBubble()/step() without the motion. Physics bounces
+   * aren't reproducible here, so a hit only has to be within reach of its spawn point.
+   */
+  function createMovingModel(log, T, R){
+    const table = createSpawnTable(log.seed, R);
+    const isMood = (log.mode === 'mood');
+    const trickRate = trickRateFor(log.mode, R);
+    const hitPad = log.touch ? T.TOUCH_HIT_PAD : 0;
+    const topSpeed = T.MAX_SPEED * Math.max(isMood ? LIMITS.MOOD_SPEED_MAX : T.MODE_SPEED, 1.05); // 1.05: unstick nudge
+    let view = { w: log.w, h: log.h, top: log.top || 0 };
+    let mood = log.mood || ['neutral', 0];
+    const bubbles = []; // GameSession.bubbles order: the trick cap and respawn order depend on it
+    let spawned = 0, frame = 0;
+
+    function spawn(){
+      const s = table(spawned);
+      const n = bubbles.length;
+      const tricks = bubbles.reduce((k, b) => k + (b.kind === 'trick' ? 1 : 0), 0);
+      const capped = n > 0 && tricks / n >= T.MAX_TRICK_RATIO;
+      const kind = (!capped && s.trickRoll < trickRate) ? 'trick' : 'normal';
+      const gold = isMood && mood[0] === 'happy' && kind === 'normal' && s.goldRoll < R.GOLD_RATE;
+
+      const { w: W, h: H, top } = view, r = s.diameter / 2, topSafe = top + r + 8;
+      let x = r + s.xRoll * (W - 2 * r);
+      let y = topSafe + s.yRoll * (H - r - topSafe);
+      if (isMood){
+        const gx = r + s.gazeXRoll * (W - 2 * r), gy = top + r + s.gazeYRoll * (H - 2 * r - top);
+        const bx = W * (mood[2] ?? 0.5), by = clamp(H * (mood[3] ?? 0.5), top + r, H - r);
+        x = clamp(gx + (bx - gx) * 0.6, r, W - r);
+        y = clamp(gy + (by - gy) * 0.6, top + r, H - r);
+      }
+      bubbles.push({ idx: spawned++, kind, gold, d: s.diameter, x, y, born: frame, popFrame: null });
+    }
+
+    const startBubbles = (ruleMode(log.mode) === 'challenge') ? R.START_BUBBLES_CHALLENGE : R.START_BUBBLES_MOOD;
+    for (let i = 0; i < startBubbles; i++) spawn();
+
+    return {
+      /** Run the steps before frame f: popped bubbles are replaced once their animation ends */
+      stepTo(f){
+        while (frame < f){
+          if (!bubbles.some(b => b.popFrame != null)) { frame = f; break; }
+          for (let i = 0; i < bubbles.length; i++){
+            const b = bubbles[i];
+            if (b.popFrame != null && frame - b.popFrame >= T.POP_ANIM_FRAMES){ bubbles.splice(i--, 1); spawn(); }
+          }
+          frame++;
+        }
+      },
+      resize(w, h, top){
+        view = { w, h, top };
+        for (const b of bubbles) b.x = b.y = null; // the bounds clamp may have moved them anywhere
+      },
+      setMood(m){ mood = m; },
+      /** @returns {{problem:string}|{kind:string, gold:boolean, diameter:number}} */
+      pop(idx, px, py){
+        if (idx >= spawned) return { problem: `bubble ${idx} not spawned yet` };
+        const b = bubbles.find(o => o.idx === idx);
+        if (!b || b.popFrame != null) return { problem: `bubble ${idx} not on screen` };
+        b.popFrame = frame;
+        const diameter = popDiameter(b.d, isMood ? mood[1] : 0, R);
+        if (b.x != null){
+          // + MAX_DIAM: physics pushes a bubble that spawned overlapping another apart
+          const reach = (frame - b.born) * LIMITS.REACH_PER_FRAME * topSpeed + R.MAX_DIAM + diameter / 2 + hitPad + LIMITS.EPS;
+          if (Math.hypot(px - b.x, py - b.y) > reach) return { problem: `bubble ${idx} out of reach` };
+        }
+        return { kind: b.kind, gold: b.gold, diameter };
+      },
+      get done(){ return false; } // moving rounds end on the clock only
+    };
+  }
+
+  /** Zen: the static grid of buildClassicBoard(), its live cells and (Relax) the refills */
+  function createBoardModel(log, T, R){
+    const relax = (log.variant === 'relax');
+    const kindsOf = createClassicTable(log.seed, relax, R);
+    const cols = R.CLASSIC_COLS, rows = R.CLASSIC_ROWS;
+    let view = { w: log.w, h: log.h, top: log.top || 0 };
+    let board = -1, grid, alive, goodLeft, frame = 0;
+
+    function build(){
+      board++;
+      const pad = T.CLASSIC_PAD;
+      const cx = (view.w - pad * 2) / cols, cy = ((view.h - view.top) - pad * 2) / rows;
+      grid = { pad, cx, cy, top: view.top, r: Math.min(cx, cy) * 0.38 };
+      const kinds = kindsOf(board);
+      alive = kinds.map(() => true);
+      goodLeft = kinds.filter(k => k === 'normal').length;
+    }
+    build();
+
+    return {
+      // Relax: the first step after the last teal pop lays the next board
+      stepTo(f){
+        if (f > frame && relax && goodLeft === 0) build();
+        frame = Math.max(frame, f);
+      },
+      resize(w, h, top){ view = { w, h, top }; },  // the grid stays where it was laid
+      setMood(){},
+      pop(idx, px, py){
+        const b = Math.floor(idx / (cols * rows)), i = idx % (cols * rows);
+        if (b > board) return { problem: `bubble ${idx} not on the board` };
+        if (b < board) return { problem: `bubble ${idx} from a cleared board` };
+        if (!alive[i]) return { problem: `bubble ${idx} already popped` };
+        alive[i] = false;
+        const kind = kindsOf(board)[i];
+        if (kind === 'normal') goodLeft--;
+        const g = grid;
+        const x = g.pad + (i % cols) * g.cx + g.cx / 2, y = g.top + g.pad + Math.floor(i / cols) * g.cy + g.cy / 2;
+        if (Math.hypot(px - x, py - y) > g.r + LIMITS.EPS) return { problem: `bubble ${idx} out of reach` };
+        return { kind, gold: false, diameter: 0 };
+      },
+      // Timed: the round ends once every teal bubble is popped
+      get done(){ return !relax && goodLeft === 0; }
+    };
+  }
+
+  /** Text the client hashes into logSig and the server hashes again: ties the log to the claimed result */
+  function digestString(run){
+    return [run.runId || '', run.seed || '', run.mode || '', run.score, JSON.stringify(run.roundLog || null)].join('|');
+  }
+
+  /**
+   * SHA-256 hex of digestString() where WebCrypto exists (browsers, Node 20).
+   * An unkeyed checksum: it catches a run edited or damaged on the way, not a client forging one.
+   */
+  async function digestRun(run){
+    const subtle = (typeof crypto !== 'undefined' && crypto.subtle) ? crypto.subtle : null;
+    if (!subtle) return '';
+    const buf = await subtle.digest('SHA-256', new TextEncoder().encode(digestString(run)));
+    return Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Re-score a submitted run from its round log.
+   * roundLog.out holds one entry per 'p' event: -1 for a miss, or [spawnIndex, 'n'|'t'|'g'].
+   * Every hit must land on a bubble that is on screen at that frame (seed + pops + respawn timing),
+   * of the kind the seed and trick cap made it; taps, frames and ms must fit LIMITS and the mode's clock.
+   * @param {object} run  the POSTed run (score, mode, seed, bubblesPopped, accuracy, roundLog, logSig)
+   * @param {{expectedDigest?:string, tuning?:object}} [opts]
+   *   expectedDigest: server-computed digestRun(); a mismatch is a problem
+   *   tuning: the rules profile's session tuning (BubbleSession.TUNING keys)
+   * @returns {{ok:boolean, score:number|null, problems:string[]}}
+   */
+  function validateRun(run, opts = {}, R = RULES){
+    const problems = [];
+    const flag = (p) => { if (!problems.includes(p)) problems.push(p); };
+    const log = run && run.roundLog;
+    if (!log || !Array.isArray(log.ev) || !Array.isArray(log.out)) return { ok: false, score: null, problems: ['no round log'] };
+    if (opts.expectedDigest != null && opts.expectedDigest !== run.logSig) problems.push('log digest mismatch');
+
+    const mode = log.mode;
+    if (!LOG_MODES.includes(mode)) return { ok: false, score: null, problems: [...problems, `unknown mode ${mode}`] };
+    const runMode = String(run.mode || '');
+    const modeOk = (mode === 'daily') ? (DAILY_RE.test(runMode) || runMode === 'daily-practice') : runMode === mode;
+    if (!modeOk) problems.push('mode mismatch');
+    if (String(log.seed) !== String(run.seed)) problems.push('seed mismatch');
+    if (DAILY_RE.test(runMode) && String(log.seed) !== runMode) problems.push('not the daily seed');
+
+    const carry = log.carry || {};
+    if (carry.comboMult != null && Number(carry.comboMult) !== comboMultFor(Number(carry.comboHitStreak) || 0, R)) {
+      problems.push('bad combo carry-over');
+    }
+
+    const T = { ...VALIDATE_TUNING, ...(opts.tuning || {}) };
+    const classic = (mode === 'classic');
+    const roundMs = classic
+      ? ((log.variant === 'relax') ? Infinity : T.CLASSIC_TIME_MS)
+      : ((T.MODE_DURATION && T.MODE_DURATION[mode]) || T.GAME_DURATION) * 1000;
+    if (Number(log.durationMs) > roundMs + LIMITS.MAX_STEP_MS) problems.push('round longer than its clock');
+
+    const keeper = createScoreKeeper({ mode, carry }, R);
+    const board = classic ? createBoardModel(log, T, R) : createMovingModel(log, T, R);
+
+    let mood = log.mood || ['neutral', 0];
+    let tap = 0, lastFrame = 0, lastMs = 0;
+    const tapMs = [];                   // ms of the taps in the last second
+    let frameTaps = 0, tapFrame = -1;
+
+    for (const e of log.ev){
+      if (!Array.isArray(e) || !Number.isInteger(e[0]) || !Number.isFinite(e[1])) { problems.push('bad event'); break; }
+      const [frame, ms, type] = e;
+      if (frame < lastFrame || ms < lastMs) { problems.push('events out of order'); break; }
+      lastFrame = frame; lastMs = ms;
+      if (ms > frame * LIMITS.MAX_STEP_MS + 1) flag('round clock ahead of its frames');
+      if (frame > (ms / 1000 + 1) * LIMITS.MAX_FPS) flag('more frames than the round clock allows');
+      if (ms > roundMs) flag('event after the round clock ran out');
+
+      board.stepTo(frame);
+      if (type === 'm') { mood = e.slice(3); board.setMood(mood); continue; }
+      if (type === 'r') { board.resize(e[3], e[4], e[5]); continue; }
+      if (type !== 'p') continue;
+
+      tapMs.push(ms);
+      while (tapMs[0] <= ms - 1000) tapMs.shift();
+      if (tapMs.length > LIMITS.MAX_TAPS_PER_SEC) flag('taps faster than a player can tap');
+      frameTaps = (frame === tapFrame) ? frameTaps + 1 : 1;
+      tapFrame = frame;
+      if (frameTaps > LIMITS.MAX_TAPS_PER_FRAME) flag('too many taps in one frame');
+      if (board.done) flag('tap after the board was cleared');
+
+      const o = log.out[tap++];
+      if (o === undefined) { problems.push('missing pop outcome'); break; }
+      if (o === -1) { keeper.miss(); continue; }
+
+      const [idx, k] = Array.isArray(o) ? o : [];
+      if (!Number.isInteger(idx) || idx < 0 || !['n', 't', 'g'].includes(k)) {
+        problems.push(`bad pop #${tap}`);
+        continue;
+      }
+      const hit = board.pop(idx, e[3], e[4]);
+      if (hit.problem) { problems.push(hit.problem); continue; }
+      if (hit.kind !== ((k === 't') ? 'trick' : 'normal') || hit.gold !== (k === 'g')) {
+        problems.push(`bubble ${idx} kind mismatch`);
+        continue;
+      }
+      keeper.hit({ kind: hit.kind, gold: hit.gold, diameter: hit.diameter, emotion: (mode === 'mood') ? mood[0] : null });
+    }
+    if (tap !== log.out.length) problems.push('pop outcomes do not match taps');
+
+    const score = keeper.score;
+    if (Number(run.score) !== score) problems.push(`score ${run.score} != replayed ${score}`);
+    const st = keeper.stats;
+    if (run.bubblesPopped != null && Number(run.bubblesPopped) !== st.hits) problems.push('bubblesPopped mismatch');
+    if (run.accuracy != null && Math.abs(Number(run.accuracy) - st.accuracy) > 0.001) problems.push('accuracy mismatch');
+
+    return { ok: problems.length === 0, score, problems };
+  }
+
+  return {
+    RULES, MODE_RULES_FROM, VALIDATE_TUNING, LIMITS, ruleMode, comboMultFor, usesCombo, popDiameter, popDelta,
+    createScoreKeeper, createSpawnTable, createClassicTable, digestString, digestRun, validateRun
+  };
+});
@@ -0,0 +1,475 @@
+// ============================================================================
+// Popping Bubbles — Headless game simulation (core/session.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> after core/rng.js and core/scoring.js
+//   (global BubbleSession) or via require() in Node
+// - GameSession owns one round: bubbles, score, stats, combo, rubber-band easing, the
+//   round clock and the seeded spawn/motion streams. sketch.js only renders it.
+// - API: start() · step(dtMs) · pointer(x, y) · setMood({...}) · setViewport(w, h, top) · end(reason)
+//   · pause(now) / resume(now): while paused step() and pointer() do nothing, so the round clock
+//   leaves the hold out; pauses / pausedMs count the holds and their wall-clock total
+//   Events via on(type, fn): 'pop' | 'miss' | 'end' | 'emotion'
+// - Bubbles are made through a bodies adapter { create(x, y, d), remove(b), step?(bubbles) }.
+//   The default keeps plain objects and applies their velocity itself (no bubble-bubble
+//   bounces); the sketch passes p5play sprites so physics + collisions stay as they were.
+// - Angles are degrees (p5play's angle mode), like sprite.direction
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./rng.js'), require('./scoring.js'));
+  else root.BubbleSession = factory(root.BubbleRng, root.BubbleScoring);
+})(typeof self !== 'undefined' ? self : this, function (BubbleRng, BubbleScoring) {
+  'use strict';
+
+  // Gameplay tuning that doesn't decide points (those are BubbleScoring.RULES)
+  const TUNING = Object.freeze({
+    GAME_DURATION: 30,                                          // seconds (fallback for non-mapped modes)
+    MODE_DURATION: Object.freeze({ challenge: 30, mood: 60, daily: 45 }),
+    CLASSIC_TIME_MS: 30000,                                     // Zen Timed
+    MIN_SPEED: 1.0, MAX_SPEED: 3.8,
+    MIN_PLAY_SPEED: 0.5,                                        // floor after multipliers
+    MODE_SPEED: 1.3,                                            // Focus / Daily speed multiplier
+    EMO_SPEED: Object.freeze({ neutral: 0.95, happy: 1.05, sad: 0.5, angry: 1.3, stressed: 0.2 }),
+    MISS_STREAK_TRIGGER: 3,                                     // start easing after this many consecutive misses
+    MISS_STREAK_SLOW_PER_MISS: 0.08,                            // each miss beyond trigger slows ~8%
+    MISS_STREAK_SLOW_CAP: 0.35,                                 // never slow more than 35%
+    MAX_TRICK_RATIO: 0.5,                                       // at most 50% of on-screen bubbles can be red/trick
+    TOUCH_HIT_PAD: 12,                                          // extra hit radius on touch screens (moving bubbles)
+    POP_ANIM_FRAMES: 10,                                        // pop ring lifetime (~160ms at 60 steps/s)
+    WANDER_DEG: 0.35,                                           // random heading change per frame, ± degrees (reduced motion: core/motion.js)
+    CLASSIC_PAD: 16                                             // Zen grid inset (px)
+  });
+
+  const RAD = Math.PI / 180;
+  const cosd = (deg) => Math.cos(deg * RAD);
+  const sind = (deg) => Math.sin(deg * RAD);
+  const clamp = (v, lo, hi) => Math.max(Math.min(v, hi), lo);
+  const lerp = (a, b, t) => t * (b - a) + a;
+
+  /** Headless bodies: plain objects; step() moves each one by its velocity like a physics step */
+  function plainBodies(){
+    return {
+      create(x, y, d){ return { x, y, diameter: d, direction: 0, speed: 0 }; },
+      remove(){},
+      step(bubbles){
+        for (const b of bubbles){
+          if (!b.speed) continue;
+          b.x += cosd(b.direction) * b.speed;
+          b.y += sind(b.direction) * b.speed;
+        }
+      }
+    };
+  }
+
+  class GameSession {
+    /**
+     * @param {object} opts
+     * @param {'classic'|'challenge'|'mood'|'daily'} opts.mode
+     * @param {'timed'|'relax'|null} [opts.variant]  Zen only
+     * @param {string} opts.seed
+     * @param {number} opts.width
+     * @param {number} opts.height
+     * @param {number} [opts.top=0]       safe top of the play area (px)
+     * @param {boolean} [opts.touch]      touch screens get TOUCH_HIT_PAD around moving bubbles
+     * @param {object} [opts.carry]       { comboHitStreak, comboMult, missStreak, rubberSlow } from the last round
+     * @param {object} [opts.mood]        initial { emotion, angry, gaze: {x, y} }
+     * @param {boolean} [opts.endOnTimeout=true]  false: the caller stops the round (replays)
+     * @param {object} [opts.bodies]      body adapter (default: plain objects)
+     * @param {object} [opts.tuning]      overrides for TUNING
+     * @param {object} [opts.rules]       overrides for BubbleScoring.RULES
+     */
+    constructor(opts = {}){
+      this.mode = opts.mode || 'classic';
+      this.variant = opts.variant || null;
+      this.seed = String(opts.seed ?? BubbleRng.makeSeed());
+      this.tuning = { ...TUNING, ...(opts.tuning || {}) };
+      this.rules = { ...BubbleScoring.RULES, ...(opts.rules || {}) };
+      this.bodies = opts.bodies || plainBodies();
+      this.touch = !!opts.touch;
+      this.endOnTimeout = opts.endOnTimeout !== false;
+      this.setViewport(opts.width || 0, opts.height || 0, opts.top || 0);
+
+      const base = BubbleRng.createRng(this.seed);
+      this.rngSpawn  = base.fork('spawn');   // bubble size/speed/position/trick/gold + Zen grid
+      this.rngMotion = base.fork('motion');  // per-frame wander + unstick nudges
+      this.spawns = 0;                       // draws so far = next bubble's _spawnIdx
+
+      this.bubbles = [];
+      this.score = 0;
+      this.stats = { taps: 0, missed: 0, popped: 0, good: 0, trick: 0 };
+      const carry = opts.carry || {};
+      this.comboHitStreak = Number(carry.comboHitStreak) || 0;
+      this.comboMult  = (carry.comboMult != null) ? Number(carry.comboMult) : 1.0;
+      this.missStreak = Number(carry.missStreak) || 0;
+      this.rubberSlow = Number(carry.rubberSlow) || 0;
+      this._listeners = {};    // before setMood(): a starting emotion other than neutral emits
+      this.mood = { emotion: 'neutral', angry: 0, gaze: { x: 0.5, y: 0.5 } };
+      if (opts.mood) this.setMood(opts.mood);
+
+      this.frame = 0;          // simulation frames stepped
+      this.elapsedMs = 0;      // round clock (sum of step dt)
+      this.paused = false;
+      this.pausedAt = 0;       // wall-clock ms of the current hold
+      this.pauses = 0;
+      this.pausedMs = 0;       // wall-clock total of the finished holds
+      this.redRate = null;     // Zen Relax: drifting red share after refills
+      this.refills = 0;
+      this.over = false;
+      this.endReason = null;
+    }
+
+    // --- Events ---
+    /** Subscribe to 'pop' | 'miss' | 'end' | 'emotion'; returns an unsubscribe function */
+    on(type, fn){
+      (this._listeners[type] = this._listeners[type] || []).push(fn);
+      return () => { this._listeners[type] = (this._listeners[type] || []).filter(f => f !== fn); };
+    }
+    emit(type, data){
+      for (const fn of (this._listeners[type] || []).slice()) fn(data, this);
+    }
+
+    // --- Inputs ---
+    setViewport(width, height, top = 0){
+      this.width = width; this.height = height; this.top = top;
+    }
+
+    /** Mood inputs gameplay reads; emits 'emotion' when the dominant emotion changes */
+    setMood({ emotion = this.mood.emotion, angry = this.mood.angry, gaze = this.mood.gaze } = {}){
+      const from = this.mood.emotion;
+      this.mood = { emotion: emotion || 'neutral', angry: Number(angry) || 0, gaze: { x: gaze?.x ?? 0.5, y: gaze?.y ?? 0.5 } };
+      if (this.mood.emotion !== from) this.emit('emotion', { from, to: this.mood.emotion });
+    }
+
+    // --- Derived state ---
+    get ruleMode(){ return BubbleScoring.ruleMode(this.mode); }
+    get isMood(){ return this.mode === 'mood'; }
+    get accuracy(){ return +((this.stats.popped / Math.max(1, this.stats.taps)).toFixed(3)); }
+    /** Combo + rubber-band state the next round starts from */
+    get carry(){
+      return { comboHitStreak: this.comboHitStreak, comboMult: this.comboMult, missStreak: this.missStreak, rubberSlow: this.rubberSlow };
+    }
+
+    /** Seconds left (null = Zen Relax, no timer) */
+    timeLeft(){
+      const t = this.tuning;
+      if (this.mode === 'classic'){
+        return (this.variant === 'timed') ? Math.max(0, Math.ceil((t.CLASSIC_TIME_MS - this.elapsedMs) / 1000)) : null;
+      }
+      const dur = t.MODE_DURATION[this.mode] || t.GAME_DURATION;
+      return Math.max(0, dur - Math.floor(this.elapsedMs / 1000));
+    }
+
+    spawnRandom(a, b){ return this.rngSpawn.range(a, b); }
+    motionRandom(a, b){ return this.rngMotion.range(a, b); }
+
+    startBubbles(){
+      return (this.ruleMode === 'challenge') ? this.rules.START_BUBBLES_CHALLENGE : this.rules.START_BUBBLES_MOOD;
+    }
+
+    /** Bubble speed multiplier for the mode (and emotion, in Mood mode) */
+    speedMult(){
+      if (this.isMood) return this.tuning.EMO_SPEED[this.mood.emotion] ?? this.tuning.EMO_SPEED.neutral;
+      return this.tuning.MODE_SPEED;
+    }
+
+    /** Speed factor bubbles move at right now: mode / emotion multiplier × miss-streak slowdown */
+    speedFactor(){
+      const mult = this.isMood ? clamp(this.speedMult(), 0.5, 1.6) : this.speedMult();
+      return mult * this.rubberSpeedFactor();
+    }
+
+    /** Combo multiplier that applies to scoring (Focus/Emotion rules only) */
+    comboMultiplier(){
+      return BubbleScoring.usesCombo(this.mode) ? this.comboMult : 1.0;
+    }
+
+    /** On-screen radius (Mood: grows with anger) */
+    currentRadius(b){
+      const baseD = Number.isFinite(b._baseDiam) ? b._baseDiam
+        : Number.isFinite(b.diameter) ? b.diameter : this.rules.MIN_DIAM;
+      return BubbleScoring.popDiameter(baseD, this.isMood ? this.mood.angry : 0, this.rules) / 2;
+    }
+
+    // --- Combo + rubber-band ---
+    onHit(){
+      this.comboHitStreak++;
+      this.comboMult = BubbleScoring.comboMultFor(this.comboHitStreak, this.rules);
+    }
+    onMiss(){
+      this.comboHitStreak = 0;
+      this.comboMult = 1.0;
+    }
+    rubberSpeedFactor(){
+      return Math.max(1 - this.rubberSlow, this.tuning.MIN_PLAY_SPEED);
+    }
+    noteHit(){
+      // reset streak and recover one step of slowdown per successful pop
+      this.missStreak = 0;
+      this.rubberSlow = Math.max(0, this.rubberSlow - this.tuning.MISS_STREAK_SLOW_PER_MISS);
+    }
+    noteMiss(){
+      // increase slowdown only after a few consecutive misses
+      const t = this.tuning;
+      this.missStreak++;
+      if (this.missStreak >= t.MISS_STREAK_TRIGGER){
+        this.rubberSlow = Math.min(t.MISS_STREAK_SLOW_CAP, this.rubberSlow + t.MISS_STREAK_SLOW_PER_MISS);
+      }
+    }
+
+    // --- Board ---
+    /** Build the opening board: the Zen grid, or the mode's starting bubbles */
+    start(){
+      if (this.mode === 'classic') this.buildClassicBoard();
+      else for (let i = 0, n = this.startBubbles(); i < n; i++) this.spawnBubble();
+      return this;
+    }
+
+    /**
+     * Decide whether the next spawn is a trick bubble (hard cap on the on-screen red ratio).
+     * @param {number} roll pre-drawn [0,1) value from the spawn stream
+     */
+    shouldSpawnTrick(roll){
+      const m = this.ruleMode, R = this.rules;
+      const base = (m === 'challenge') ? R.CHALLENGE_TRICK_RATE : (m === 'mood') ? R.MOOD_TRICK_RATE : 0;
+      const n = this.bubbles.length;
+      const trickCount = this.bubbles.reduce((k, b) => k + (b.kind === 'trick' ? 1 : 0), 0);
+      if (n > 0 && trickCount / n >= this.tuning.MAX_TRICK_RATIO) return false;
+      return roll < base;
+    }
+
+    spawnBubble(){
+      const t = this.tuning, R = this.rules, W = this.width, H = this.height, sTop = this.top;
+      // Fixed number of draws per spawn (even when a roll goes unused) so the
+      // N-th bubble of a seed is always the same, whatever the mood/mode did before.
+      const d = this.spawnRandom(R.MIN_DIAM, R.MAX_DIAM), r = d / 2;
+      let angle = this.spawnRandom(Math.PI * 2);
+      if (Math.abs(sind(angle)) < 0.2) angle += Math.PI / 4; // sin() in degree mode, as the sketch always did
+      const speed = this.spawnRandom(t.MIN_SPEED, t.MAX_SPEED);
+      const topSafe = sTop + r + 8;                          // 8px buffer below top bar
+      let sx = this.spawnRandom(r, W - r);
+      let sy = this.spawnRandom(topSafe, H - r);
+      const gazeX = this.spawnRandom(r, W - r);
+      const gazeY = this.spawnRandom(sTop + r, H - r);
+      const trickRoll = this.spawnRandom();
+      const goldRoll  = this.spawnRandom();
+
+      if (this.isMood){
+        const biasX = W * this.mood.gaze.x,
+              biasY = clamp(H * this.mood.gaze.y, sTop + r, H - r);
+        sx = clamp(lerp(gazeX, biasX, 0.6), r, W - r);
+        sy = clamp(lerp(gazeY, biasY, 0.6), sTop + r, H - r);
+      }
+
+      const b = this.bodies.create(sx, sy, d);
+      const m = this.ruleMode;
+      b.kind = ((m === 'challenge' || m === 'mood') && this.shouldSpawnTrick(trickRoll)) ? 'trick' : 'normal';
+      // Gold Smile Bubble: ~GOLD_RATE of normal spawns while happy in Emotion mode
+      b.isGold = this.isMood && this.mood.emotion === 'happy' && b.kind === 'normal' && goldRoll < R.GOLD_RATE;
+
+      b.direction = angle / RAD;
+      b.speed = speed;
+      b._baseSpeed = speed;
+      b._baseDiam = d;
+      b._stuck = 0;
+      b._spawnIdx = this.spawns++;   // validators look the bubble up by its place in the spawn stream
+      this.bubbles.push(b);
+      return b;
+    }
+
+    /** Zen: one static grid below the top bar (plain objects, no bodies) */
+    buildClassicBoard(){
+      const R = this.rules, cols = R.CLASSIC_COLS, rows = R.CLASSIC_ROWS, pad = this.tuning.CLASSIC_PAD;
+      const w = this.width - pad * 2;
+      const h = (this.height - this.top) - pad * 2;
+      const cx = w / cols, cy = h / rows;
+      const radius = Math.min(cx, cy) * 0.38;
+      const rate = (this.variant === 'relax') ? (this.redRate || R.RED_RATE) : R.RED_RATE;
+
+      this.bubbles.length = 0;
+      for (let r = 0; r < rows; r++){
+        for (let c = 0; c < cols; c++){
+          this.bubbles.push({
+            x: pad + c * cx + cx / 2,
+            y: this.top + pad + r * cy + cy / 2,
+            r: radius,
+            diameter: radius * 2,
+            alive: true,
+            kind: (this.spawnRandom() < rate) ? 'trick' : 'normal',
+            _spawnIdx: this.spawns++
+          });
+        }
+      }
+    }
+
+    /** Zen Relax: gently drift the red ratio, then lay a fresh grid */
+    refillClassicBoard(){
+      const prev = this.redRate ?? this.rules.RED_RATE;
+      this.redRate = clamp(prev + (this.spawnRandom() * 0.12 - 0.06), 0.05, 0.35);
+      this.refills++;
+      this.buildClassicBoard();
+    }
+
+    // --- Round ---
+    /**
+     * One pointer press at canvas (x, y): scores the top-most bubble under it, or counts a miss.
+     * @returns {object|null} the popped bubble
+     */
+    pointer(px, py){
+      if (this.over || this.paused) return null;
+      const classic = (this.mode === 'classic');
+      const pad = (!classic && this.touch) ? this.tuning.TOUCH_HIT_PAD : 0;
+      this.stats.taps++;
+
+      for (let i = this.bubbles.length - 1; i >= 0; i--){
+        const b = this.bubbles[i];
+        if (classic && b.alive === false) continue;
+        if (b._popping) continue; // already scored, still animating
+
+        const r = this.currentRadius(b), rHit = r + pad;
+        const dx = px - b.x, dy = py - b.y;
+        if (dx * dx + dy * dy <= rHit * rHit) return this._pop(b, r);
+      }
+
+      this.stats.missed++;
+      if (!classic){ this.onMiss(); this.noteMiss(); }
+      this.emit('miss', { x: px, y: py });
+      return null;
+    }
+
+    _pop(b, r){
+      const classic = (this.mode === 'classic');
+      const delta = BubbleScoring.popDelta({
+        mode: this.mode, kind: b.kind, gold: b.isGold, diameter: r * 2,
+        emotion: this.isMood ? this.mood.emotion : null,
+        comboMult: this.comboMultiplier()
+      }, this.rules);
+      this.score = Math.max(0, this.score + delta);
+      if (!classic){ this.onHit(); this.noteHit(); }
+
+      this.stats.popped++;
+      if (b.kind === 'trick') this.stats.trick++; else this.stats.good++;
+
+      b._popping = true;
+      b._popFrame = this.frame;
+      if (classic) b.alive = false;      // Zen: no respawn
+      else b._respawnAfterPop = true;    // replaced once the pop animation has run
+
+      this.emit('pop', {
+        bubble: b, delta,
+        combo: this.comboMultiplier() > 1.0,
+        emotion: this.isMood ? this.mood.emotion : 'neutral'
+      });
+
+      // Zen Timed ends as soon as every teal bubble is gone (Relax refills in step())
+      if (classic && this.variant !== 'relax' && !this.bubbles.some(x => x.alive && x.kind !== 'trick')) this.end('cleared');
+      return b;
+    }
+
+    /**
+     * One simulation frame: wander + soft bounce, pop cleanup/respawn, Zen Relax refill,
+     * then the bodies' physics step. Advances the round clock by dt (ms).
+     */
+    step(dt = 1000 / 60){
+      if (this.over || this.paused) return;
+      const t = this.tuning, W = this.width, H = this.height, sTop = this.top;
+      const moving = (this.mode !== 'classic');
+      const mult = this.isMood ? clamp(this.speedMult(), 0.5, 1.6) : this.speedMult();
+      const MINF = t.MIN_PLAY_SPEED;
+
+      for (let i = 0; i < this.bubbles.length; i++){
+        const b = this.bubbles[i];
+
+        // Popping: cleanup & respawn once the pop animation has run
+        if (b._popping){
+          if (this.frame - b._popFrame >= t.POP_ANIM_FRAMES){
+            b._popping = false;
+            if (b._respawnAfterPop){
+              this.bubbles.splice(i--, 1);
+              this.bodies.remove(b);
+              this.spawnBubble();
+            }
+          }
+          continue;
+        }
+        if (!moving) continue; // Zen grid is static
+
+        b.direction += this.motionRandom(-t.WANDER_DEG, t.WANDER_DEG);
+        const r = this.currentRadius(b);
+        b.speed = Math.max(b._baseSpeed * mult * this.rubberSpeedFactor(), MINF);
+
+        // Move
+        b.x += cosd(b.direction) * b.speed;
+        b.y += sind(b.direction) * b.speed;
+
+        // Keep inside bounds with a "soft bounce"
+        if (b.y - r <= sTop){ b.y = sTop + r + 0.5; b.direction = 360 - b.direction; }
+        if (b.y + r >= H){ b.y = H - r - 0.5; b.direction = 360 - b.direction; }
+        if (b.x - r <= 0){ b.x = r + 0.5; b.direction = 180 - b.direction; }
+        if (b.x + r >= W){ b.x = W - r - 0.5; b.direction = 180 - b.direction; }
+
+        // Unstick if too slow for too long
+        if (b.speed < 0.15) b._stuck++; else b._stuck = 0;
+        if (b._stuck > 18){
+          b.direction = this.motionRandom(360);
+          b.speed = Math.max(b._baseSpeed * 1.05, MINF + 0.2);
+          if (b.y - r <= sTop + 1)     b.y = sTop + r + 2;
+          else if (b.y + r >= H - 1)   b.y = H - r - 2;
+          if (b.x - r <= 1)            b.x = r + 2;
+          else if (b.x + r >= W - 1)   b.x = W - r - 2;
+        }
+      }
+
+      // Zen Relax: when all teal are popped, auto-refill
+      if (!moving && this.variant === 'relax' && !this.bubbles.some(b => b.alive && b.kind !== 'trick')) {
+        this.refillClassicBoard();
+      }
+
+      this.frame++;
+      this.elapsedMs += dt;
+      if (this.bodies.step) this.bodies.step(this.bubbles);
+
+      const left = this.timeLeft();
+      if (this.endOnTimeout && left != null && left <= 0) this.end('time');
+    }
+
+    /**
+     * Hold the round at wall-clock `now` (ms)
+     * @returns {boolean} false when already paused or over
+     */
+    pause(now = Date.now()){
+      if (this.paused || this.over) return false;
+      this.paused = true;
+      this.pausedAt = now;
+      this.pauses++;
+      return true;
+    }
+
+    /** Release the hold; its wall-clock length goes into pausedMs. false when not paused */
+    resume(now = Date.now()){
+      if (!this.paused) return false;
+      this.paused = false;
+      this.pausedMs += Math.max(0, now - this.pausedAt);
+      return true;
+    }
+
+    /** Finish the round once ('time' | 'cleared' | 'quit'); emits 'end'. Ends a hold first */
+    end(reason = 'quit'){
+      if (this.over) return;
+      this.resume();
+      this.over = true;
+      this.endReason = reason;
+      if (this.mode === 'classic') for (const b of this.bubbles) b.alive = false; // hide leftovers (e.g., reds)
+      this.emit('end', { reason, score: this.score });
+    }
+
+    /** Release the bodies (sprites) this session created */
+    dispose(){
+      if (this.mode !== 'classic') for (const b of this.bubbles) this.bodies.remove(b);
+      this.bubbles.length = 0;
+    }
+  }
+
+  return { GameSession, TUNING, plainBodies };
+});
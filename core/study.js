@@ -0,0 +1,145 @@
+// ============================================================================
+// Popping Bubbles — Study sessions (core/study.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> after core/rng.js (global BubbleStudy) or via require() in Node
+// - A study is a JSON file (studies/<id>.json) listing its conditions, each one a mode
+//   (+ Zen variant) played under a rules profile (core/profile.js):
+//     { "id": "calm-vs-default", "version": 1, "roundsPerBlock": 2,
+//       "conditions": [ { "id": "A", "mode": "challenge", "rules": "default" },
+//                       { "id": "B", "mode": "challenge", "rules": "calm-study" } ] }
+//   plus an optional "survey": "<id>" (surveys/<id>.json, core/survey.js) for the Feedback modal
+// - Participants arrive with ?study=<studyId>.<participantId>; assignSequence() gives them
+//   one row of a balanced Latin square over the conditions (one block per condition), so
+//   every condition appears in every position and follows every other one equally often
+// - sketch.js [Study mode] plays the blocks in that order and tags each run with
+//   studyId, participantId, condition and blockIndex
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./rng.js'));
+  else root.BubbleStudy = factory(root.BubbleRng);
+})(typeof self !== 'undefined' ? self : this, function (BubbleRng) {
+  'use strict';
+
+  const STUDY_ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;       // same shape as rules profile ids
+  const PARTICIPANT_RE = /^[A-Za-z0-9][A-Za-z0-9_-]{0,39}$/;
+  const STUDY_MODES = Object.freeze(['classic', 'challenge', 'mood']); // Daily has its own seed + board
+  const MAX_CONDITIONS = 8;
+  const MAX_ROUNDS = 20;
+
+  /**
+   * "<studyId>.<participantId>" → parts, or null when either half is malformed.
+   * @param {string} token
+   * @returns {{studyId:string, participantId:string}|null}
+   */
+  function parseStudyToken(token){
+    const s = String(token || '').trim();
+    const dot = s.indexOf('.');
+    if (dot < 1) return null;
+    const studyId = s.slice(0, dot), participantId = s.slice(dot + 1);
+    return (STUDY_ID_RE.test(studyId) && PARTICIPANT_RE.test(participantId)) ? { studyId, participantId } : null;
+  }
+
+  const isInt = (v, lo, hi) => Number.isInteger(v) && v >= lo && v <= hi;
+
+  /**
+   * Check a parsed study file.
+   * @param {object} obj
+   * @returns {{ok:boolean, errors:string[]}}
+   */
+  function validateStudy(obj){
+    const errors = [];
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return { ok: false, errors: ['study: expected object'] };
+
+    const known = ['$schema', 'id', 'version', 'description', 'roundsPerBlock', 'survey', 'conditions'];
+    for (const k of Object.keys(obj)) if (!known.includes(k)) errors.push(`study.${k}: unknown key`);
+    if (!STUDY_ID_RE.test(obj.id || '')) errors.push(`study.id: does not match ${STUDY_ID_RE.source}`);
+    if (!isInt(obj.version, 1, 9999)) errors.push('study.version: expected integer 1..9999');
+    if (obj.roundsPerBlock != null && !isInt(obj.roundsPerBlock, 1, MAX_ROUNDS)) {
+      errors.push(`study.roundsPerBlock: expected integer 1..${MAX_ROUNDS}`);
+    }
+    if (obj.survey != null && !STUDY_ID_RE.test(obj.survey)) errors.push('study.survey: expected a survey id');
+
+    const conds = obj.conditions;
+    if (!Array.isArray(conds) || conds.length < 1 || conds.length > MAX_CONDITIONS) {
+      errors.push(`study.conditions: expected 1..${MAX_CONDITIONS} conditions`);
+      return { ok: false, errors };
+    }
+    const seen = new Set();
+    conds.forEach((c, i) => {
+      const at = `study.conditions[${i}]`;
+      if (!c || typeof c !== 'object') { errors.push(`${at}: expected object`); return; }
+      for (const k of Object.keys(c)) if (!['id', 'mode', 'variant', 'rules', 'rounds'].includes(k)) errors.push(`${at}.${k}: unknown key`);
+      if (typeof c.id !== 'string' || !PARTICIPANT_RE.test(c.id)) errors.push(`${at}.id: expected a short id`);
+      else if (seen.has(c.id)) errors.push(`${at}.id: duplicate "${c.id}"`);
+      seen.add(c.id);
+      if (!STUDY_MODES.includes(c.mode)) errors.push(`${at}.mode: expected ${STUDY_MODES.join(' | ')}`);
+      if (c.mode === 'classic' && !['timed', 'relax'].includes(c.variant)) errors.push(`${at}.variant: Zen needs "timed" or "relax"`);
+      if (c.mode !== 'classic' && c.variant != null) errors.push(`${at}.variant: only Zen has variants`);
+      if (c.rules != null && !STUDY_ID_RE.test(c.rules)) errors.push(`${at}.rules: expected a rules profile id`);
+      if (c.rounds != null && !isInt(c.rounds, 1, MAX_ROUNDS)) errors.push(`${at}.rounds: expected integer 1..${MAX_ROUNDS}`);
+    });
+    return { ok: errors.length === 0, errors };
+  }
+
+  /**
+   * Balanced Latin square (Williams design) over n conditions: n rows for even n, 2n for odd n
+   * (each row plus its mirror), so order and carry-over effects are counterbalanced.
+   * @param {number} n
+   * @returns {number[][]} rows of condition indexes
+   */
+  function latinSquare(n){
+    // first row: 0, 1, n-1, 2, n-2, ...; every other row shifts it by one
+    const first = [];
+    for (let i = 0, lo = 1, hi = n - 1; i < n; i++){
+      if (i === 0) first.push(0);
+      else if (i % 2 === 1) first.push(lo++);
+      else first.push(hi--);
+    }
+    const rows = [];
+    for (let r = 0; r < n; r++) rows.push(first.map(c => (c + r) % n));
+    if (n % 2 === 1 && n > 1) for (let r = 0; r < n; r++) rows.push(rows[r].slice().reverse());
+    return rows;
+  }
+
+  /**
+   * Which Latin-square row a participant gets. Numbered ids (P001, p-17, 42) walk the rows
+   * in order so consecutive recruits stay balanced: numbering starts at 1 (P001 → row 0), and
+   * P000 wraps to the last row rather than sharing P001's. Other ids are hashed.
+   * @param {string} participantId
+   * @param {number} rowCount
+   */
+  function participantRow(participantId, rowCount){
+    const m = /(\d+)$/.exec(participantId);
+    if (m) return (Number(m[1]) % rowCount + rowCount - 1) % rowCount;
+    return BubbleRng.hashSeed(participantId) % rowCount;
+  }
+
+  /**
+   * The participant's block sequence (validate the study first).
+   * @param {object} study
+   * @param {string} participantId
+   * @returns {{row:number, blocks:Array<{index:number, condition:string, mode:string, variant:string|null, rules:string, rounds:number}>}}
+   */
+  function assignSequence(study, participantId){
+    const conds = study.conditions;
+    const rows = latinSquare(conds.length);
+    const row = participantRow(participantId, rows.length);
+    const blocks = rows[row].map((ci, index) => {
+      const c = conds[ci];
+      return Object.freeze({
+        index,
+        condition: c.id,
+        mode: c.mode,
+        variant: c.variant || null,
+        rules: c.rules || 'default',
+        rounds: c.rounds || study.roundsPerBlock || 1
+      });
+    });
+    return { row, blocks };
+  }
+
+  return { STUDY_MODES, parseStudyToken, validateStudy, latinSquare, participantRow, assignSequence };
+});
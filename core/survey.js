@@ -0,0 +1,319 @@
+// ============================================================================
+// Popping Bubbles — Survey definitions (core/survey.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> after core/instruments.js (global BubbleSurvey)
+//   or via require() in Node
+// - A survey is a versioned JSON file (surveys/<id>.json) with an optional "before" and
+//   "after" section, each a list of questions the Feedback modal renders (sketch.js [Survey]):
+//     { "id": "stress-check", "version": 1,
+//       "before": { "title": "Before you play", "questions": [
+//         { "id": "stress", "type": "likert", "label": "How stressed are you?", "scale": 5,
+//           "minLabel": "Not at all", "maxLabel": "Very", "required": true },
+//         { "id": "why", "type": "text", "label": "What is stressing you?",
+//           "showIf": { "q": "stress", "gte": 4 } } ] } }
+// - Question types: likert (1..scale), single / multi (options), text, slider (min..max)
+// - "instruments": ["sam", "panas"] in a section administers standard mood measures
+//   (core/instruments.js) ahead of its own questions, under their fixed item ids
+// - showIf (branching) looks at one earlier question: equals | in | notIn | gte | lte;
+//   a question whose condition is false, or whose source question is hidden, is skipped
+// - Answers are serialized under the question ids plus "_survey": "id@version", so a
+//   questionnaire can change between studies while each stored answer stays attributable
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./instruments.js'));
+  else root.BubbleSurvey = factory(root.BubbleInstruments);
+})(typeof self !== 'undefined' ? self : this, function (BubbleInstruments) {
+  'use strict';
+
+  const SURVEY_ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;   // same shape as rules profile / study ids
+  const QUESTION_ID_RE = /^[a-z][a-z0-9_]{0,31}$/;
+  const QUESTION_TYPES = Object.freeze(['likert', 'single', 'multi', 'text', 'slider']);
+  const SECTIONS = Object.freeze(['before', 'after']);
+  const SHOW_IF_OPS = ['equals', 'in', 'notIn', 'gte', 'lte'];
+  const MAX_QUESTIONS = 30;
+  const MAX_OPTIONS = 12;
+  const TEXT_MAX = 2000;
+
+  const { deepFreeze } = BubbleInstruments;
+  const isInt = (v, lo, hi) => Number.isInteger(v) && v >= lo && v <= hi;
+  const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+  const isStr = (v, max = 500) => typeof v === 'string' && v.length <= max;
+  const isObj = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+  /** Options may be plain strings or { value, label }; always returns the latter */
+  function optionList(q){
+    return (q.options || []).map(o => (typeof o === 'string') ? { value: o, label: o } : { value: o.value, label: o.label ?? o.value });
+  }
+
+  /** Bounds for numeric questions (likert: 1..scale) */
+  function numericRange(q){
+    if (q.type === 'likert') return { min: 1, max: q.scale || 5, step: 1 };
+    return { min: q.min ?? 0, max: q.max ?? 100, step: q.step || 1 };
+  }
+
+  // --- Validation ---
+  const KEYS = {
+    common: ['id', 'type', 'label', 'required', 'showIf', 'help'],
+    likert: ['scale', 'minLabel', 'maxLabel', 'pictogram'],
+    single: ['options'],
+    multi:  ['options'],
+    text:   ['maxLength', 'placeholder'],
+    slider: ['min', 'max', 'step', 'minLabel', 'maxLabel']
+  };
+
+  function checkQuestion(q, at, earlier, errors){
+    if (!isObj(q)) { errors.push(`${at}: expected object`); return; }
+    if (typeof q.id !== 'string' || !QUESTION_ID_RE.test(q.id)) errors.push(`${at}.id: does not match ${QUESTION_ID_RE.source}`);
+    else if (earlier.has(q.id)) errors.push(`${at}.id: duplicate "${q.id}"`);
+    if (!QUESTION_TYPES.includes(q.type)) { errors.push(`${at}.type: expected ${QUESTION_TYPES.join(' | ')}`); return; }
+    for (const k of Object.keys(q)) if (!KEYS.common.includes(k) && !KEYS[q.type].includes(k)) errors.push(`${at}.${k}: unknown key`);
+    if (typeof q.label !== 'string' || !q.label.trim() || q.label.length > 500) errors.push(`${at}.label: expected text (1..500 chars)`);
+    if (q.required != null && typeof q.required !== 'boolean') errors.push(`${at}.required: expected true | false`);
+    for (const k of ['help', 'minLabel', 'maxLabel', 'placeholder']) if (q[k] != null && !isStr(q[k], 200)) errors.push(`${at}.${k}: expected text (<= 200 chars)`);
+
+    if (q.type === 'single' || q.type === 'multi'){
+      const opts = q.options;
+      if (!Array.isArray(opts) || opts.length < 2 || opts.length > MAX_OPTIONS) errors.push(`${at}.options: expected 2..${MAX_OPTIONS} options`);
+      else {
+        const values = new Set();
+        opts.forEach((o, i) => {
+          const ok = typeof o === 'string' ? o.trim() && isStr(o, 200)
+            : isObj(o) && typeof o.value === 'string' && o.value.trim() && isStr(o.value, 200) && (o.label == null || isStr(o.label, 200));
+          if (!ok) { errors.push(`${at}.options[${i}]: expected text or { value, label }`); return; }
+          const v = typeof o === 'string' ? o : o.value;
+          if (values.has(v)) errors.push(`${at}.options[${i}]: duplicate "${v}"`);
+          values.add(v);
+        });
+      }
+    }
+    if (q.type === 'likert' && q.scale != null && !isInt(q.scale, 2, 11)) errors.push(`${at}.scale: expected integer 2..11`);
+    if (q.type === 'likert' && q.pictogram != null && !['valence', 'arousal'].includes(q.pictogram)) errors.push(`${at}.pictogram: expected valence | arousal`);
+    if (q.type === 'slider'){
+      for (const k of ['min', 'max', 'step']) if (q[k] != null && !isNum(q[k])) errors.push(`${at}.${k}: expected number`);
+      const { min, max, step } = numericRange(q);
+      if (isNum(min) && isNum(max) && min >= max) errors.push(`${at}: min must be < max`);
+      if (isNum(step) && step <= 0) errors.push(`${at}.step: must be > 0`);
+    }
+    if (q.type === 'text' && q.maxLength != null && !isInt(q.maxLength, 1, TEXT_MAX)) errors.push(`${at}.maxLength: expected integer 1..${TEXT_MAX}`);
+
+    if (q.showIf != null) checkShowIf(q.showIf, `${at}.showIf`, earlier, errors);
+  }
+
+  function checkShowIf(c, at, earlier, errors){
+    if (!isObj(c)) { errors.push(`${at}: expected object`); return; }
+    const ops = Object.keys(c).filter(k => k !== 'q');
+    for (const k of ops) if (!SHOW_IF_OPS.includes(k)) errors.push(`${at}.${k}: unknown key`);
+    const ref = earlier.get(c.q);
+    if (!ref) { errors.push(`${at}.q: expected the id of an earlier question`); return; }
+    if (ops.length !== 1 || !SHOW_IF_OPS.includes(ops[0])) { errors.push(`${at}: expected exactly one of ${SHOW_IF_OPS.join(' | ')}`); return; }
+    const op = ops[0], v = c[op];
+    if (ref.type === 'text') errors.push(`${at}.q: cannot branch on free text`);
+    else if (op === 'gte' || op === 'lte'){
+      if (ref.type !== 'likert' && ref.type !== 'slider') errors.push(`${at}.${op}: only for likert and slider questions`);
+      else if (!isNum(v)) errors.push(`${at}.${op}: expected number`);
+    } else {
+      const vals = (op === 'equals') ? [v] : v;
+      if (!Array.isArray(vals) || !vals.length) errors.push(`${at}.${op}: expected a non-empty list`);
+      else if (ref.type === 'single' || ref.type === 'multi'){
+        const known = optionList(ref).map(o => o.value);
+        for (const x of vals) if (!known.includes(x)) errors.push(`${at}.${op}: "${x}" is not an option of ${ref.id}`);
+      } else if (!vals.every(isNum)) errors.push(`${at}.${op}: expected number(s)`);
+    }
+  }
+
+  /**
+   * Check a parsed survey file.
+   * @param {object} obj
+   * @returns {{ok:boolean, errors:string[]}}
+   */
+  function validateSurvey(obj){
+    const errors = [];
+    if (!isObj(obj)) return { ok: false, errors: ['survey: expected object'] };
+
+    const known = ['$schema', 'id', 'version', 'description', ...SECTIONS];
+    for (const k of Object.keys(obj)) if (!known.includes(k)) errors.push(`survey.${k}: unknown key`);
+    if (!SURVEY_ID_RE.test(obj.id || '')) errors.push(`survey.id: does not match ${SURVEY_ID_RE.source}`);
+    if (!isInt(obj.version, 1, 9999)) errors.push('survey.version: expected integer 1..9999');
+    if (!SECTIONS.some(s => obj[s] != null)) errors.push('survey: needs a "before" or "after" section');
+
+    for (const s of SECTIONS){
+      const sec = obj[s];
+      if (sec == null) continue;
+      if (!isObj(sec)) { errors.push(`survey.${s}: expected object`); continue; }
+      for (const k of Object.keys(sec)) if (!['title', 'instruments', 'questions'].includes(k)) errors.push(`survey.${s}.${k}: unknown key`);
+      if (sec.title != null && !isStr(sec.title, 80)) errors.push(`survey.${s}.title: expected text (<= 80 chars)`);
+
+      // instrument items come first and can be branched on like any earlier question
+      const earlier = new Map();
+      const inst = sec.instruments;
+      if (inst != null){
+        const names = BubbleInstruments.INSTRUMENT_NAMES;
+        if (!Array.isArray(inst) || !inst.length || inst.some(n => !names.includes(n)) || new Set(inst).size !== inst.length) {
+          errors.push(`survey.${s}.instruments: expected a list of ${names.join(' | ')}`);
+        } else {
+          for (const q of BubbleInstruments.instrumentQuestions(inst)) earlier.set(q.id, q);
+        }
+      }
+      const qs = sec.questions;
+      if (qs == null && inst != null) continue; // instruments alone are a section
+      if (!Array.isArray(qs) || qs.length < 1 || qs.length > MAX_QUESTIONS) {
+        errors.push(`survey.${s}.questions: expected 1..${MAX_QUESTIONS} questions`);
+        continue;
+      }
+      qs.forEach((q, i) => {
+        checkQuestion(q, `survey.${s}.questions[${i}]`, earlier, errors);
+        if (isObj(q) && typeof q.id === 'string' && !earlier.has(q.id)) earlier.set(q.id, q);
+      });
+    }
+    return { ok: errors.length === 0, errors };
+  }
+
+  // --- Answers ---
+  const isAnswered = (v) => Array.isArray(v) ? v.length > 0 : (v != null && v !== '');
+
+  function showIfHolds(c, v){
+    if (!isAnswered(v)) return false;
+    const vals = Array.isArray(v) ? v : [v];    // multi: true when any picked option matches
+    if ('equals' in c) return vals.includes(c.equals);
+    if ('in' in c) return vals.some(x => c.in.includes(x));
+    if ('notIn' in c) return vals.every(x => !c.notIn.includes(x));
+    if ('gte' in c) return Number(v) >= c.gte;
+    if ('lte' in c) return Number(v) <= c.lte;
+    return true;
+  }
+
+  /**
+   * Every question of a section in order: instrument items, then its own questions.
+   * @param {{instruments?:string[], questions?:object[]}} section
+   * @returns {object[]}
+   */
+  function sectionQuestions(section){
+    if (!section) return [];
+    return BubbleInstruments.instrumentQuestions(section.instruments).concat(section.questions || []);
+  }
+
+  /**
+   * Questions to show for the answers so far, in order.
+   * @param {{questions:object[]}} section
+   * @param {Object<string, *>} answers  question id → value
+   * @returns {object[]}
+   */
+  function visibleQuestions(section, answers = {}){
+    const shown = new Set();
+    return sectionQuestions(section).filter(q => {
+      const show = !q.showIf || (shown.has(q.showIf.q) && showIfHolds(q.showIf, answers[q.showIf.q]));
+      if (show) shown.add(q.id);
+      return show;
+    });
+  }
+
+  /** true when v is an acceptable value for q (unanswered counts as acceptable) */
+  function valueFits(q, v){
+    if (!isAnswered(v)) return true;
+    switch (q.type){
+      case 'single': return optionList(q).some(o => o.value === v);
+      case 'multi':  return Array.isArray(v) && new Set(v).size === v.length && v.every(x => optionList(q).some(o => o.value === x));
+      case 'text':   return typeof v === 'string' && v.length <= (q.maxLength || 500);
+      default: {
+        const { min, max, step } = numericRange(q);
+        const n = Math.round((v - min) / step);
+        return isNum(v) && v >= min && v <= max && Math.abs(min + n * step - v) < 1e-9;
+      }
+    }
+  }
+
+  /**
+   * Check the visible questions: required ones answered, every value in range.
+   * @param {{questions:object[]}} section
+   * @param {Object<string, *>} answers
+   * @returns {{ok:boolean, missing:string[], invalid:string[]}}  question ids
+   */
+  function checkAnswers(section, answers = {}){
+    const missing = [], invalid = [];
+    for (const q of visibleQuestions(section, answers)){
+      const v = answers[q.id];
+      if (q.required && !isAnswered(typeof v === 'string' ? v.trim() : v)) missing.push(q.id);
+      else if (!valueFits(q, v)) invalid.push(q.id);
+    }
+    return { ok: !missing.length && !invalid.length, missing, invalid };
+  }
+
+  /** "id@version" — stored with every answer set */
+  const surveyKey = (s) => `${s.id}@${s.version}`;
+
+  /**
+   * Answers ready to store: visible, answered, valid questions only, keyed by question id.
+   * @param {object} survey
+   * @param {'before'|'after'} context
+   * @param {Object<string, *>} answers
+   * @returns {Object<string, *>} { _survey: "id@version", <questionId>: value, ... }
+   */
+  function serializeAnswers(survey, context, answers = {}){
+    const out = { _survey: surveyKey(survey) };
+    for (const q of visibleQuestions(survey[context], answers)){
+      let v = answers[q.id];
+      if (typeof v === 'string') v = v.trim();
+      if (isAnswered(v) && valueFits(q, v)) out[q.id] = Array.isArray(v) ? v.slice() : v;
+    }
+    return out;
+  }
+
+  // --- Built-in survey ---
+  // The questions the Feedback modal has always asked; the ids (q1.., free) are the keys
+  // already stored in feedbackBefore / feedbackAfter, so older rows line up with new ones.
+  const DEFAULT_SURVEY = deepFreeze({
+    id: 'default',
+    version: 1,
+    description: 'Built-in stress / mood check before the round, difficulty and enjoyment after it.',
+    before: {
+      title: 'Pre-game Survey',
+      questions: [
+        { id: 'q1', type: 'single', label: 'Q1. How stressed are you feeling right now before playing?',
+          options: ['Very stressed', 'Somewhat stressed', 'Neutral', 'Not stressed'] },
+        { id: 'q2', type: 'single', label: 'Q2. What’s your current mood before starting?',
+          options: ['Happy', 'Neutral', 'Sad', 'Frustrated'] }
+      ]
+    },
+    after: {
+      title: 'Post-game Survey',
+      questions: [
+        { id: 'q1', type: 'single', label: 'Q1. If you were feeling stressed before this round, how do you feel now compared to before?',
+          options: ['Much less stressed', 'A little less stressed', 'About the same', 'More stressed', 'Other'] },
+        { id: 'q2', type: 'single', label: 'Q2. How was the difficulty this round?',
+          options: ['Too easy', 'Just right', 'A bit hard', 'Too hard'] },
+        { id: 'q3', type: 'single', label: 'Q3. How enjoyable was this round?',
+          options: ['Very enjoyable', 'Somewhat enjoyable', 'Neutral', 'Not enjoyable'] },
+        { id: 'q4', type: 'single', label: 'Q4. Did this round help you feel less stressed?',
+          options: ['Yes, a lot', 'Yes, a little', 'Not really', 'Not at all'] },
+        { id: 'free', type: 'text', label: 'Q5. What’s one thing we could change to make the game more fun for you?',
+          placeholder: 'Your suggestion' }
+      ]
+    }
+  });
+
+  /**
+   * Parse (if needed) and validate a survey file; invalid input falls back to DEFAULT_SURVEY.
+   * The id "default" is the built-in survey and can't be used by a file.
+   * @param {object|string} json
+   * @returns {{ok:boolean, survey:object, errors:string[]}}
+   */
+  function loadSurvey(json){
+    let obj = json;
+    if (typeof json === 'string'){
+      try { obj = JSON.parse(json); }
+      catch (e) { return { ok: false, survey: DEFAULT_SURVEY, errors: [`survey: bad JSON (${e.message})`] }; }
+    }
+    const { errors } = validateSurvey(obj);
+    if (obj && obj.id === 'default') errors.push('survey.id: "default" is the built-in survey');
+    const ok = errors.length === 0;
+    return { ok, survey: ok ? deepFreeze(JSON.parse(JSON.stringify(obj))) : DEFAULT_SURVEY, errors };
+  }
+
+  return {
+    QUESTION_TYPES, DEFAULT_SURVEY, validateSurvey, loadSurvey, surveyKey,
+    optionList, numericRange, sectionQuestions, visibleQuestions, checkAnswers, serializeAnswers
+  };
+});
@@ -0,0 +1,166 @@
+// ============================================================================
+// Popping Bubbles — Emotion timeline (core/timeline.js)
+// Owner: Ken Pao
+//
+// About this file
+// - DOM-free; loads as a classic <script> (global BubbleTimeline) or via require() in Node
+// - A Mood round records one sample per face-api pass (sketch.js sampleMood()):
+//     { t, mood: {happy, sad, angry, stressed, neutral}, raw: {7 face-api expressions} | null,
+//       faces, emotion, speed }
+//   t is ms of round clock (the same clock as the round log), mood the smoothed moodState,
+//   raw the expression averages over the detected faces (null when no face was found),
+//   emotion the dominantEmotion() output (null when it wasn't evaluated) and speed the
+//   bubble-speed factor in effect (GameSession.speedFactor())
+// - encodeTimeline() packs the samples column by column for the run payload (emoTimeline):
+//     { v: 1, n, t: [ms deltas], faces: "0112", emo: "nnh-", speed: [×100],
+//       mood: "<2 chars per value>", raw: "<2 chars per value, face samples only>" }
+//   Values 0..1 are quantized to 12 bits (1/4095) and written as two base64url characters
+// - The recorder also keeps the round's pops/misses with the running score (addEvent); they stay
+//   on the client (the round log already has them) and feed chartSeries(), the post-game chart
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BubbleTimeline = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const TIMELINE_VERSION = 1;
+  const MOOD_KEYS = Object.freeze(['happy', 'sad', 'angry', 'stressed', 'neutral']);
+  const RAW_KEYS  = Object.freeze(['happy', 'sad', 'angry', 'neutral', 'disgusted', 'fearful', 'surprised']);
+  const EMO_CODE  = Object.freeze({ happy: 'h', sad: 's', angry: 'a', stressed: 'x', neutral: 'n' });
+  const MAX_SAMPLES = 2400;   // an hour at the 1.5 s sampling cadence; later samples are dropped
+  const B64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+  const Q = 4095;
+
+  const clamp01 = (v) => Math.min(1, Math.max(0, Number(v) || 0));
+
+  function pack(v){
+    const q = Math.round(clamp01(v) * Q);
+    return B64[q >> 6] + B64[q & 63];
+  }
+  function unpack(s, i){
+    return ((B64.indexOf(s[i]) << 6) | B64.indexOf(s[i + 1])) / Q;
+  }
+
+  /**
+   * Recorder for one round.
+   * @param {{maxSamples?:number}} [opts]
+   * @returns {{samples:object[], events:object[], dropped:number, add:(sample:object)=>boolean,
+   *           addEvent:(ev:{t:number, kind:string, score:number})=>void}}
+   */
+  function createTimeline({ maxSamples = MAX_SAMPLES } = {}){
+    return {
+      samples: [],
+      events: [],
+      dropped: 0,
+      /** A pop ('n' | 't' | 'g': normal, trick, gold) or a miss ('m') and the score after it */
+      addEvent({ t, kind, score }){
+        if (this.events.length >= maxSamples * 20) return;
+        this.events.push({ t: Math.max(0, Math.round(Number(t) || 0)), kind, score: Number(score) || 0 });
+      },
+      /** Copy the sample in (callers reuse moodState); false once the timeline is full */
+      add(s){
+        if (this.samples.length >= maxSamples) { this.dropped++; return false; }
+        this.samples.push({
+          t: Math.max(0, Math.round(Number(s.t) || 0)),
+          mood: Object.fromEntries(MOOD_KEYS.map(k => [k, clamp01(s.mood?.[k])])),
+          raw: s.raw ? Object.fromEntries(RAW_KEYS.map(k => [k, clamp01(s.raw[k])])) : null,
+          faces: Math.max(0, Math.round(Number(s.faces) || 0)),
+          emotion: EMO_CODE[s.emotion] ? s.emotion : null,
+          speed: Number.isFinite(s.speed) ? s.speed : 1
+        });
+        return true;
+      }
+    };
+  }
+
+  /**
+   * Columnar, quantized form of the samples (see the header for the layout).
+   * @param {object[]} samples
+   * @returns {object}
+   */
+  function encodeTimeline(samples){
+    const out = { v: TIMELINE_VERSION, n: samples.length, t: [], faces: '', emo: '', speed: [], mood: '', raw: '' };
+    let prev = 0;
+    for (const s of samples){
+      out.t.push(s.t - prev);
+      prev = s.t;
+      out.faces += String(Math.min(9, s.raw ? Math.max(1, s.faces) : 0)); // raw is only stored for face samples
+      out.emo += EMO_CODE[s.emotion] || '-';
+      out.speed.push(Math.round(s.speed * 100));
+      for (const k of MOOD_KEYS) out.mood += pack(s.mood[k]);
+      if (s.raw) for (const k of RAW_KEYS) out.raw += pack(s.raw[k]);
+    }
+    return out;
+  }
+
+  /**
+   * Samples back from encodeTimeline() output (values at 12-bit precision).
+   * @param {object} enc
+   * @returns {object[]}
+   * @throws {Error} on an unknown version or columns that don't add up
+   */
+  function decodeTimeline(enc){
+    if (!enc || enc.v !== TIMELINE_VERSION) throw new Error('unknown timeline version');
+    const n = enc.n;
+    const faceCount = [...enc.faces].filter(c => c !== '0').length;
+    if (enc.t.length !== n || enc.faces.length !== n || enc.emo.length !== n || enc.speed.length !== n ||
+        enc.mood.length !== n * MOOD_KEYS.length * 2 || enc.raw.length !== faceCount * RAW_KEYS.length * 2) {
+      throw new Error('timeline columns do not match n');
+    }
+    const byCode = Object.fromEntries(Object.entries(EMO_CODE).map(([k, c]) => [c, k]));
+    const samples = [];
+    let t = 0, ri = 0;
+    for (let i = 0; i < n; i++){
+      t += enc.t[i];
+      const faces = Number(enc.faces[i]);
+      const mood = Object.fromEntries(MOOD_KEYS.map((k, j) => [k, unpack(enc.mood, (i * MOOD_KEYS.length + j) * 2)]));
+      let raw = null;
+      if (faces > 0){
+        raw = Object.fromEntries(RAW_KEYS.map((k, j) => [k, unpack(enc.raw, (ri * RAW_KEYS.length + j) * 2)]));
+        ri++;
+      }
+      samples.push({ t, mood, raw, faces, emotion: byCode[enc.emo[i]] || null, speed: enc.speed[i] / 100 });
+    }
+    return samples;
+  }
+
+  /**
+   * What the post-game chart plots: emotion shares stacked per sample (each sample's smoothed
+   * values normalized to sum 1, stacked in MOOD_KEYS order), the score after every event, the
+   * pops, and each emotion's mean share for the text summary.
+   * @param {object[]} samples
+   * @param {object[]} [events]
+   * @param {number} [durationMs] round length; defaults to the last sample / event
+   * @returns {{end:number, stack:Array<{t:number, bands:Object<string,[number,number]>}>,
+   *           score:Array<[number, number]>, maxScore:number, pops:Array<{t:number, kind:string}>,
+   *           share:Object<string,number>}}
+   */
+  function chartSeries(samples, events = [], durationMs = 0){
+    const last = (a) => a.length ? a[a.length - 1].t : 0;
+    const end = Math.max(Number(durationMs) || 0, last(samples), last(events), 1);
+    const share = Object.fromEntries(MOOD_KEYS.map(k => [k, 0]));
+
+    const stack = samples.map(s => {
+      const sum = MOOD_KEYS.reduce((a, k) => a + clamp01(s.mood[k]), 0);
+      const bands = {};
+      let y = 0;
+      for (const k of MOOD_KEYS){
+        const v = sum > 0 ? clamp01(s.mood[k]) / sum : (k === 'neutral' ? 1 : 0); // nothing detected reads as neutral
+        bands[k] = [y, y + v];
+        y += v;
+        share[k] += v / samples.length;
+      }
+      return { t: s.t, bands };
+    });
+
+    const score = [[0, 0]];
+    for (const e of events) score.push([e.t, e.score]);
+    const maxScore = Math.max(1, ...score.map(p => p[1]));
+    const pops = events.filter(e => e.kind !== 'm').map(({ t, kind }) => ({ t, kind }));
+    return { end, stack, score, maxScore, pops, share };
+  }
+
+  return { TIMELINE_VERSION, MOOD_KEYS, RAW_KEYS, createTimeline, encodeTimeline, decodeTimeline, chartSeries };
+});
@@ -0,0 +1,85 @@
+// ============================================================================
+// Popping Bubbles — Face detection worker (face-worker.js)
+// Owner: Ken Pao
+//
+// About this file
+// - Runs face-api.js (TinyFaceDetector + 68 landmarks + expressions) off the main thread so
+//   detection no longer hitches the draw loop. Started by sketch.js [Mood (face-api.js)]
+//   startFaceWorker()
+// - Messages in:
+//     { type: 'init', faceApiUrl, modelsUrl }
+//     { type: 'detect', id, t, frame: ImageBitmap (transferred), inputSize, scoreThreshold }
+// - Messages out:
+//     { type: 'ready', backend }                  models loaded
+//     { type: 'error', message }                  init failed (the sketch detects on the main thread)
+//     { type: 'result', id, t, ms, faces: [{ box: {x, y, width, height}, landmarks: [[x, y] × 68],
+//                                              expressions }] }
+//     { type: 'result', id, t, ms, error }        this frame failed
+//   t is the main thread's performance.now() when the frame was grabbed (echoed back),
+//   ms the detection time inside the worker
+// ============================================================================
+
+/* global faceapi */
+
+// face-api.js only initializes in a "browser" (window + document + the DOM image types).
+// A worker has none of them, so stand in OffscreenCanvas for the canvas it draws on.
+self.window = self;
+self.document = { createElement: () => new OffscreenCanvas(1, 1) };
+self.HTMLCanvasElement = self.OffscreenCanvas;
+self.HTMLImageElement = class HTMLImageElement {};
+self.HTMLVideoElement = class HTMLVideoElement {};
+self.CanvasRenderingContext2D = self.OffscreenCanvasRenderingContext2D;
+
+const EXPRESSIONS = ['happy', 'sad', 'angry', 'neutral', 'disgusted', 'fearful', 'surprised'];
+let canvas = null, cctx = null;
+
+async function init({ faceApiUrl, modelsUrl }){
+  importScripts(faceApiUrl);
+  await Promise.all([
+    faceapi.nets.tinyFaceDetector.loadFromUri(modelsUrl),
+    faceapi.nets.faceLandmark68Net.loadFromUri(modelsUrl),
+    faceapi.nets.faceExpressionNet.loadFromUri(modelsUrl)
+  ]);
+  return faceapi.tf?.getBackend?.() || '';
+}
+
+/** Draw the frame onto the reusable OffscreenCanvas and detect on it */
+async function detect({ frame, inputSize, scoreThreshold }){
+  try {
+    if (!canvas || canvas.width !== frame.width || canvas.height !== frame.height){
+      canvas = new OffscreenCanvas(frame.width, frame.height);
+      cctx = canvas.getContext('2d');
+    }
+    cctx.drawImage(frame, 0, 0);
+  } finally {
+    frame.close();
+  }
+  const opts = new faceapi.TinyFaceDetectorOptions({ inputSize, scoreThreshold });
+  const detections = await faceapi.detectAllFaces(canvas, opts).withFaceLandmarks().withFaceExpressions();
+  return detections.map(d => {
+    const { x, y, width, height } = d.detection.box;
+    return {
+      box: { x, y, width, height },
+      landmarks: d.landmarks.positions.map(p => [Math.round(p.x * 10) / 10, Math.round(p.y * 10) / 10]),
+      expressions: d.expressions ? Object.fromEntries(EXPRESSIONS.map(k => [k, d.expressions[k] || 0])) : null
+    };
+  });
+}
+
+self.onmessage = async (e) => {
+  const msg = e.data || {};
+  if (msg.type === 'init'){
+    try { self.postMessage({ type: 'ready', backend: await init(msg) }); }
+    catch (err){ self.postMessage({ type: 'error', message: String(err?.message || err) }); }
+    return;
+  }
+  if (msg.type === 'detect'){
+    const start = performance.now();
+    try {
+      const faces = await detect(msg);
+      self.postMessage({ type: 'result', id: msg.id, t: msg.t, ms: performance.now() - start, faces });
+    } catch (err){
+      self.postMessage({ type: 'result', id: msg.id, t: msg.t, ms: performance.now() - start, error: String(err?.message || err) });
+    }
+  }
+};
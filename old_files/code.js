@@ -1,20 +1,50 @@
 // ============================================================================
-// Bubble Game Google Apps Script — v9.0
+// Bubble Game Google Apps Script — v9.15
 // - Runs sheet header order extended with feedbackBefore / feedbackAfter
 // - Accepts optional feedback strings in POST body
 // - Keeps "top" sorting by score (column index 8)
+// - v9.1: "run" is idempotent by runId (clients retry queued runs from an outbox)
+// - v9.2: Runs sheet gains a seed column (19) so rounds can be replayed
+// - v9.3: Daily challenge — one ranked "daily-YYYY-MM-DD" run per device; extras stored as "daily-practice"
+// - v9.4: runs are re-scored from their round log (core/scoring.js); mismatches are flagged
+//         (off the leaderboard) or rejected per SCORE_POLICY. Add core/rng.js then core/scoring.js
+//         to the project as script files listed above this one (file order matters).
+// - v9.5: rules profiles — ?action=rules serves the JSON in the RULES_PROFILE script property;
+//         runs store their profile key (column 23) and are re-scored with that profile's rules.
+//         Add core/profile.js as a script file after core/scoring.js.
+// - v9.6: study sessions — runs carry studyId / participantId / condition / blockIndex (columns 24-27)
+// - v9.7: SAM / PANAS scores from the pre/post surveys (columns 28-35), scored by the client
+// - v9.8: Mood rounds carry a per-sample emotion timeline (column 36, core/timeline.js encoding)
+// - v9.9: Mood rounds carry the player's emotion calibration offsets, if any (column 37, core/calibration.js)
+// - v9.10: Mood rounds carry their face sampling settings (column 38, core/sampling.js telemetry())
+// - v9.11: head-input rounds carry their blink / nod counts (column 39, sketch.js [Head input])
+// - v9.12: runs carry how many unsent runs the device's outbox has had to drop when full (column 40)
+// - v9.13: the one-ranked-Daily-per-device check looks up a small DailyPlayed index sheet
+//          ("deviceId|daily-YYYY-MM-DD" keys) instead of reading the whole Runs sheet on every
+//          Daily save. After deploying, run backfillDailyPlayed_() once from the editor.
+// - v9.14: the re-score also replays the rules profile's tuning (which bubbles are on screen, round clock);
+//          logSig is an unkeyed checksum that only catches damaged payloads
+// - v9.15: the retried-run check finds the runId with a TextFinder on the Runs runId column
+//          (column B) instead of reading the whole sheet on every save
 // ============================================================================
 
 // === CONFIG ===
 const SECRET   = '<redact>';  // Cloudflare Worker appends ?secret=...
 const RUNS     = 'Runs';
 const PROFILES = 'Profiles';
+const DAILY_PLAYED = 'DailyPlayed'; // v9.13 — 0 key "deviceId|mode" | 1 timestamp, one row per ranked Daily run
+const SCORE_POLICY  = 'flag';  // v9.4 — 'flag' keeps mismatched runs off the leaderboard, 'reject' refuses them
+const MAX_LOG_CHARS = 45000;   // Sheets cells hold 50k chars; longer logs are verified but not stored
 
 // Expected Runs header (0-based):
 //  0 timestamp | 1 runId | 2 sessionId | 3 deviceId | 4 deviceType | 5 username |
 //  6 mode | 7 gameVersion | 8 score | 9 durationMs | 10 bubblesPopped | 11 accuracy |
 //  12 emoHappy | 13 emoSad | 14 emoAngry | 15 emoStressed | 16 emoNeutral |
-//  17 feedbackBefore | 18 feedbackAfter
+//  17 feedbackBefore | 18 feedbackAfter | 19 seed | 20 verified | 21 roundLog | 22 logSig |
+//  23 rulesId | 24 studyId | 25 participantId | 26 condition | 27 blockIndex |
+//  28 samValenceBefore | 29 samArousalBefore | 30 panasPABefore | 31 panasNABefore |
+//  32 samValenceAfter | 33 samArousalAfter | 34 panasPAAfter | 35 panasNAAfter |
+//  36 emoTimeline | 37 emoCalibration | 38 facePace | 39 headInput | 40 outboxDropped
 
 function json_(obj) {
   return ContentService.createTextOutput(JSON.stringify(obj))
@@ -56,7 +86,14 @@ function doGet(e) {
         emoStressed:   r[15],
         emoNeutral:    r[16],
         feedbackBefore:r[17] || '',
-        feedbackAfter: r[18] || ''
+        feedbackAfter: r[18] || '',
+        seed:          r[19] || '',
+        verified:      r[20] || '',
+        rulesId:       r[23] || '',
+        studyId:       r[24] || '',
+        participantId: r[25] || '',
+        condition:     r[26] || '',
+        blockIndex:    (r[27] === '' || r[27] == null) ? '' : r[27]
       }));
       return json_({ ok: true, top });
     }
@@ -89,6 +126,11 @@ function doGet(e) {
       });
     }
 
+    if (act === 'rules') {
+      // v9.5 — the raw profile JSON; the client validates it and records its "id@version"
+      return json_({ ok: true, profile: activeRulesJson_() });
+    }
+
     return json_({ ok: false, error: 'unknown action' });
   } catch (err) {
     return json_({ ok: false, error: String(err) });
@@ -135,11 +177,42 @@ function doPost(e) {
         score, durationMs,
         bubblesPopped, accuracy,
         emoHappy, emoSad, emoAngry, emoStressed, emoNeutral,
-        feedbackBefore, feedbackAfter   // ← optional strings
+        feedbackBefore, feedbackAfter,  // ← optional strings
+        seed,                           // ← v9.2 round seed
+        roundLog, logSig,               // ← v9.4 input log + its SHA-256 checksum
+        rulesId,                        // ← v9.5 rules profile "id@version"
+        studyId, participantId, condition, blockIndex, // ← v9.6 study sessions
+        samValenceBefore, samArousalBefore, panasPABefore, panasNABefore, // ← v9.7 mood instruments
+        samValenceAfter,  samArousalAfter,  panasPAAfter,  panasNAAfter,
+        emoTimeline,                    // ← v9.8 Mood sample series (object)
+        emoCalibration,                 // ← v9.9 calibration offsets {v, at, shift, gain} (object)
+        facePace,                       // ← v9.10 face sampling settings (object)
+        headInput,                      // ← v9.11 head-input gestures {blinks, nods, hits} (object)
+        outboxDropped                   // ← v9.12 unsent runs the device's full outbox dropped (number)
       } = body;
 
       if (!deviceId || typeof score !== 'number') return json_({ ok: false, error: 'bad input' });
 
+      // v9.1 — retried runs: already stored → ack without a second row/profile bump
+      if (runId && hasRun_(runs, runId)) return json_({ ok: true, duplicate: true });
+
+      // v9.4 — re-score from the round log before anything is stored
+      const check = verifyRun_(body);
+      if (check.verified.indexOf('flagged') === 0 && SCORE_POLICY === 'reject') {
+        return json_({ ok: false, error: 'score rejected', problems: check.problems });
+      }
+
+      // v9.3 — only the first Daily run per device per day is ranked
+      let runMode = mode || '';
+      const daily = isDailyMode_(runMode);
+      const ranked = !(daily && hasPlayedDaily_(deviceId, runMode));
+      if (!ranked) runMode = 'daily-practice';
+
+      const logText = roundLog ? JSON.stringify(roundLog) : '';
+      const logCell = (logText.length <= MAX_LOG_CHARS) ? logText : '';
+      const timelineText = emoTimeline ? JSON.stringify(emoTimeline) : '';
+      const timelineCell = (timelineText.length <= MAX_LOG_CHARS) ? timelineText : '';
+
       // Append EXACTLY in header order (timestamp is server-generated)
       runs.appendRow([
         new Date(),           // 0 timestamp
@@ -148,7 +221,7 @@ function doPost(e) {
         deviceId,             // 3 deviceId
         deviceType || '',     // 4 deviceType
         username || '',       // 5 username
-        mode || '',           // 6 mode
+        runMode,              // 6 mode
         gameVersion || '',    // 7 gameVersion
         score,                // 8 score
         durationMs || '',     // 9 durationMs
@@ -160,24 +233,48 @@ function doPost(e) {
         emoStressed || '',    // 15 emoStressed
         emoNeutral || '',     // 16 emoNeutral
         feedbackBefore || '', // 17 feedbackBefore (new)
-        feedbackAfter  || ''  // 18 feedbackAfter  (new)
+        feedbackAfter  || '', // 18 feedbackAfter  (new)
+        seed || '',           // 19 seed (v9.2)
+        check.verified,       // 20 verified (v9.4): ok | unverified | flagged: ...
+        logCell,              // 21 roundLog (v9.4)
+        logSig || '',         // 22 logSig (v9.4)
+        rulesId || '',        // 23 rulesId (v9.5)
+        studyId || '',        // 24 studyId (v9.6)
+        participantId || '',  // 25 participantId (v9.6)
+        condition || '',      // 26 condition (v9.6)
+        (typeof blockIndex === 'number') ? blockIndex : '', // 27 blockIndex (v9.6; 0 is the first block)
+        score_(samValenceBefore, 1, 9),   // 28 samValenceBefore (v9.7)
+        score_(samArousalBefore, 1, 9),   // 29 samArousalBefore (v9.7)
+        score_(panasPABefore, 5, 25),     // 30 panasPABefore (v9.7)
+        score_(panasNABefore, 5, 25),     // 31 panasNABefore (v9.7)
+        score_(samValenceAfter, 1, 9),    // 32 samValenceAfter (v9.7)
+        score_(samArousalAfter, 1, 9),    // 33 samArousalAfter (v9.7)
+        score_(panasPAAfter, 5, 25),      // 34 panasPAAfter (v9.7)
+        score_(panasNAAfter, 5, 25),      // 35 panasNAAfter (v9.7)
+        timelineCell,                     // 36 emoTimeline (v9.8)
+        emoCalibration ? JSON.stringify(emoCalibration) : '', // 37 emoCalibration (v9.9)
+        facePace ? JSON.stringify(facePace) : '',             // 38 facePace (v9.10)
+        headInput ? JSON.stringify(headInput) : '',           // 39 headInput (v9.11)
+        (typeof outboxDropped === 'number') ? outboxDropped : '' // 40 outboxDropped (v9.12)
       ]);
+      if (daily && ranked) markDailyPlayed_(deviceId, runMode);
 
-      // Upsert profile (unchanged)
+      // Upsert profile (v9.4: only rankable runs count toward bestScore)
+      const best = isRankable_(check.verified) ? score : 0;
       const existing = findByKey_(profiles, 0, deviceId);
       const now = new Date();
       if (!existing) {
-        profiles.appendRow([deviceId, username || '', 1, score, now, now]);
+        profiles.appendRow([deviceId, username || '', 1, best, now, now]);
       } else {
         const { row, values } = existing;
         const gamesPlayed = (parseInt(values[2], 10) || 0) + 1;
-        const bestScore   = Math.max(parseInt(values[3], 10) || 0, score);
+        const bestScore   = Math.max(parseInt(values[3], 10) || 0, best);
         const keepName    = values[1] || username || '';
         profiles.getRange(row + 1, 1, 1, 6)
           .setValues([[deviceId, keepName, gamesPlayed, bestScore, now, values[5] || now]]);
       }
 
-      return json_({ ok: true });
+      return json_({ ok: true, ranked, verified: check.verified });
     }
 
     return json_({ ok: false, error: 'unknown action' });
@@ -186,6 +283,90 @@ function doPost(e) {
   }
 }
 
+// v9.3 — Daily challenge helpers
+function isDailyMode_(mode) {
+  return /^daily-\d{4}-\d{2}-\d{2}$/.test(mode || '');
+}
+function dailyPlayedKey_(deviceId, mode) { return deviceId + '|' + mode; }
+
+// v9.13 — a TextFinder on the index's key column: no sheet values are read into the script
+function hasPlayedDaily_(deviceId, mode) {
+  const sheet = sheet_(DAILY_PLAYED);
+  const last = sheet.getLastRow();
+  if (last < 1) return false;
+  return !!sheet.getRange(1, 1, last, 1)
+    .createTextFinder(dailyPlayedKey_(deviceId, mode))
+    .matchEntireCell(true)
+    .findNext();
+}
+function markDailyPlayed_(deviceId, mode) {
+  sheet_(DAILY_PLAYED).appendRow([dailyPlayedKey_(deviceId, mode), new Date()]);
+}
+
+// v9.15 — the same lookup for retried runs: runId column (B) only, header row skipped
+function hasRun_(runs, runId) {
+  const last = runs.getLastRow();
+  if (last < 2) return false;
+  return !!runs.getRange(2, 2, last - 1, 1)
+    .createTextFinder(String(runId))
+    .matchEntireCell(true)
+    .findNext();
+}
+
+// v9.13 — one-off (run from the editor after deploying): index the ranked Daily runs already in Runs
+function backfillDailyPlayed_() {
+  const index = sheet_(DAILY_PLAYED);
+  const seen = {};
+  if (index.getLastRow() > 0) index.getRange(1, 1, index.getLastRow(), 1).getValues().forEach(r => { seen[r[0]] = true; });
+  const rows = [];
+  const values = sheet_(RUNS).getDataRange().getValues();
+  for (let i = 1; i < values.length; i++) {
+    const key = dailyPlayedKey_(values[i][3], values[i][6]);
+    if (isDailyMode_(values[i][6]) && !seen[key]) { seen[key] = true; rows.push([key, values[i][0]]); }
+  }
+  if (rows.length) index.getRange(index.getLastRow() + 1, 1, rows.length, 2).setValues(rows);
+  return rows.length;
+}
+
+// v9.4 — server-side score validation (BubbleScoring comes from core/scoring.js)
+function verifyRun_(run) {
+  // validator files not deployed yet → store as before ('' ranks like pre-v9.4 rows)
+  if (typeof BubbleScoring === 'undefined') return { verified: '', problems: [] };
+  if (!run.roundLog) return { verified: 'unverified', problems: ['no round log'] };
+  const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256,
+    BubbleScoring.digestString(run), Utilities.Charset.UTF_8);
+  const expectedDigest = bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+  const profile = profileForRun_(run);
+  if (!profile) return { verified: 'unverified', problems: ['unknown rules profile ' + run.roundLog.rules] };
+  const res = BubbleScoring.validateRun(run, { expectedDigest, tuning: profile.tuning }, profile.rules);
+  return { verified: res.ok ? 'ok' : 'flagged: ' + res.problems.slice(0, 3).join('; '), problems: res.problems };
+}
+
+// v9.5 — rules profiles (core/profile.js); the active one is the RULES_PROFILE script property
+function activeRulesJson_() {
+  const text = PropertiesService.getScriptProperties().getProperty('RULES_PROFILE');
+  if (!text) return null;
+  try { return JSON.parse(text); } catch (err) { return null; }
+}
+/** Profile ({ rules, tuning }) the run's log was played with: the built-ins, or the active profile if the key matches */
+function profileForRun_(run) {
+  const key = run.roundLog.rules;
+  if (typeof BubbleProfile === 'undefined') return key ? null : { rules: BubbleScoring.RULES };
+  if (!key || key === BubbleProfile.DEFAULT_PROFILE.key) return BubbleProfile.DEFAULT_PROFILE;
+  const json = activeRulesJson_();
+  if (!json) return null;
+  const res = BubbleProfile.loadProfile(json);
+  return (res.ok && res.profile.key === key) ? res.profile : null;
+}
+function isRankable_(verified) {
+  return !verified || verified === 'ok';
+}
+
+// v9.7 — instrument scores are integers in the scale's range; anything else is stored blank
+function score_(v, lo, hi) {
+  return (Number.isInteger(v) && v >= lo && v <= hi) ? v : '';
+}
+
 // v9.9.6 — unified leaderboard over Runs
 function handleLeaderboard_(qp) {
   const runs = sheet_(RUNS);
@@ -196,7 +377,7 @@ function handleLeaderboard_(qp) {
   const rowsAll = runs.getDataRange().getValues();
   if (rowsAll.length <= 1) return json_({ ok: true, scores: [], me: null });
 
-  const data = rowsAll.slice(1).map(r => ({
+  const data = rowsAll.slice(1).filter(r => isRankable_(r[20])).map(r => ({
     ts:       r[0],
     username: (r[5] || '') + '',
     mode:     (r[6] || '') + '',
@@ -0,0 +1,384 @@
+// ============================================================================
+// Popping Bubbles — Local mock backend (server/mock-server.js)
+// Owner: Ken Pao
+//
+// About this file
+// - Reproduces the production contract offline with Node built-ins only:
+//     /api   → Cloudflare Worker (old_files/worker.js): CORS allow-list, forwards the
+//              query string, normalizes ?limit -> ?n, appends the secret on POST
+//     /exec  → Google Apps Script (old_files/code.js): doGet/doPost actions
+//              run | leaderboard | top | profile | checkUsername | setUsername | rules,
+//              POST rejected unless ?secret= matches
+//     other  → the game's own files (STATIC_FILES / STATIC_DIRS), so it can be served from here too;
+//              the rest of the repo (.git, server/ with the mock DB, old_files) is never served
+// - Data lives in a JSON file instead of Sheets: { runs: [...], profiles: [...] }
+// - Runs are re-scored from their round log with core/scoring.js (same rules as code.js);
+//   a run whose claimed score or pops don't replay is flagged (kept off the leaderboard) or rejected
+// - ?action=rules serves the active rules profile (profiles/<MOCK_RULES_PROFILE>.json); runs are
+//   re-scored with the profile their log names, read from profiles/ (core/profile.js)
+//
+// Usage
+//   node server/mock-server.js [--port 8787] [--db server/mock-db.json]
+//   then open  http://localhost:8787/?backend=worker&api=http://localhost:8787/api
+//   (or point Live Server on :5500 at the same ?api= URL)
+//
+// Env overrides: MOCK_PORT, MOCK_DB, MOCK_SECRET, MOCK_ALLOWED_HOSTS (comma list of host:port),
+//               MOCK_SCORE_POLICY (flag | reject; default flag),
+//               MOCK_RULES_PROFILE (profile id served to clients; default: none → built-in rules)
+// ============================================================================
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BubbleScoring = require('../core/scoring.js');
+const BubbleProfile = require('../core/profile.js');
+
+/* =============================
+ *        Config
+ * ============================= */
+function argValue(name){
+  const i = process.argv.indexOf(`--${name}`);
+  return (i >= 0 && process.argv[i + 1]) ? process.argv[i + 1] : null;
+}
+
+const PORT   = Number(argValue('port') || process.env.MOCK_PORT || 8787);
+const DB     = path.resolve(argValue('db') || process.env.MOCK_DB || path.join(__dirname, 'mock-db.json'));
+const SECRET = process.env.MOCK_SECRET || 'dev-secret';
+const ROOT   = path.resolve(__dirname, '..');
+const SCORE_POLICY = (process.env.MOCK_SCORE_POLICY || 'flag').toLowerCase();
+const RULES_PROFILE = process.env.MOCK_RULES_PROFILE || '';
+const PROFILES_DIR = path.join(ROOT, 'profiles');
+
+// Same allow-list as the Worker, plus this server's own origin
+const ALLOWED_HOSTS = new Set([
+  '127.0.0.1:5500',
+  'localhost:5500',
+  'kpao2020.github.io',
+  `localhost:${PORT}`,
+  `127.0.0.1:${PORT}`,
+  ...String(process.env.MOCK_ALLOWED_HOSTS || '').split(',').map(s => s.trim()).filter(Boolean)
+]);
+const DEFAULT_ORIGIN = 'https://kpao2020.github.io';
+
+const MIME = {
+  '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json', '.png': 'image/png', '.jpg': 'image/jpeg', '.svg': 'image/svg+xml', '.mp4': 'video/mp4'
+};
+
+// What handleStatic may serve: the page, its scripts / styles, and the folders it loads from
+const STATIC_FILES = new Set(['index.html', 'sketch.js', 'backend.js', 'style.css', 'face-worker.js']);
+const STATIC_DIRS  = new Set(['core', 'assets', 'models', 'profiles', 'studies', 'surveys']);
+
+
+/* =============================
+ *        JSON "spreadsheet"
+ * ============================= */
+function loadDb(){
+  try {
+    const db = JSON.parse(fs.readFileSync(DB, 'utf8'));
+    return { runs: db.runs || [], profiles: db.profiles || [] };
+  } catch {
+    return { runs: [], profiles: [] };
+  }
+}
+
+function saveDb(db){
+  // write-then-rename so a crash never leaves a half-written file
+  const tmp = `${DB}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(db, null, 2));
+  fs.renameSync(tmp, DB);
+}
+
+
+/* =============================
+ *        Apps Script (doGet / doPost)
+ * ============================= */
+function doGet(qp){
+  const act = qp.action || 'top';
+  const db = loadDb();
+
+  if (act === 'leaderboard') return handleLeaderboard(db, qp);
+
+  if (act === 'top') {
+    const n = Math.min(parseInt(qp.n || '10', 10) || 10, 100);
+    const top = db.runs.slice()
+      .sort((a, b) => (Number(b.score) || 0) - (Number(a.score) || 0))
+      .slice(0, n);
+    return { ok: true, top };
+  }
+
+  if (act === 'checkUsername') {
+    const username = (qp.username || '').trim();
+    const deviceId = qp.deviceId || '';
+    if (username.length < 3) return { ok: false, error: 'too short' };
+    const taken = db.profiles.find(p => p.username === username);
+    const available = !taken || (!!deviceId && taken.deviceId === deviceId);
+    return { ok: true, available };
+  }
+
+  if (act === 'profile') {
+    const deviceId = qp.deviceId || '';
+    if (!deviceId) return { ok: false, error: 'deviceId required' };
+    const profile = db.profiles.find(p => p.deviceId === deviceId) || null;
+    return { ok: true, profile };
+  }
+
+  if (act === 'rules') {
+    // the raw JSON: the client validates it itself and records its "id@version"
+    return { ok: true, profile: RULES_PROFILE ? readRulesProfile(RULES_PROFILE) : null };
+  }
+
+  return { ok: false, error: 'unknown action' };
+}
+
+function doPost(qp, body){
+  if ((qp.secret || '') !== SECRET) return { ok: false, error: 'unauthorized' };
+
+  // alias: submitRun -> run
+  if ((body.action || '').toLowerCase() === 'submitrun') body.action = 'run';
+
+  const db = loadDb();
+  const now = new Date().toISOString();
+
+  if (body.action === 'setUsername') {
+    const deviceId = body.deviceId || '';
+    const username = (body.username || '').trim();
+    if (!deviceId || username.length < 3) return { ok: false, error: 'bad input' };
+
+    const taken = db.profiles.find(p => p.username === username);
+    if (taken && taken.deviceId !== deviceId) return { ok: false, error: 'name in use' };
+
+    const existing = db.profiles.find(p => p.deviceId === deviceId);
+    if (!existing) {
+      db.profiles.push({ deviceId, username, gamesPlayed: 0, bestScore: 0, lastSeen: now, createdAt: now });
+    } else {
+      Object.assign(existing, { username, lastSeen: now, createdAt: existing.createdAt || now });
+    }
+    saveDb(db);
+    return { ok: true };
+  }
+
+  if (body.action === 'run') {
+    const { runId, deviceId, username, score } = body;
+    if (!deviceId || typeof score !== 'number') return { ok: false, error: 'bad input' };
+
+    // retried runs (client outbox): already stored → ack without a second row
+    if (runId && db.runs.some(r => r.runId === runId)) return { ok: true, duplicate: true };
+
+    // re-score from the round log before anything is stored
+    const check = verifyRun(body);
+    if (check.verified !== 'ok' && check.verified !== 'unverified' && SCORE_POLICY === 'reject') {
+      return { ok: false, error: 'score rejected', problems: check.problems };
+    }
+
+    // only the first Daily run per device per day is ranked (extras become practice)
+    const { action, ...fields } = body;
+    fields.verified = check.verified;
+    const ranked = !(isDailyMode(fields.mode) && db.runs.some(r => r.deviceId === deviceId && r.mode === fields.mode));
+    if (!ranked) fields.mode = 'daily-practice';
+    db.runs.push({ timestamp: now, ...fields });
+
+    const best = (check.verified === 'ok') ? score : 0; // only re-scored runs count toward bestScore
+    const existing = db.profiles.find(p => p.deviceId === deviceId);
+    if (!existing) {
+      db.profiles.push({ deviceId, username: username || '', gamesPlayed: 1, bestScore: best, lastSeen: now, createdAt: now });
+    } else {
+      existing.gamesPlayed = (parseInt(existing.gamesPlayed, 10) || 0) + 1;
+      existing.bestScore = Math.max(parseInt(existing.bestScore, 10) || 0, best);
+      existing.username = existing.username || username || '';
+      existing.lastSeen = now;
+    }
+    saveDb(db);
+    return { ok: true, ranked, verified: check.verified };
+  }
+
+  return { ok: false, error: 'unknown action' };
+}
+
+function isDailyMode(mode){ return /^daily-\d{4}-\d{2}-\d{2}$/.test(mode || ''); }
+
+/** profiles/<id>.json as parsed JSON, or null (bad id, missing file, bad JSON) */
+function readRulesProfile(id){
+  if (!/^[a-z0-9][a-z0-9_-]{0,39}$/.test(id)) return null;
+  try { return JSON.parse(fs.readFileSync(path.join(PROFILES_DIR, `${id}.json`), 'utf8')); }
+  catch { return null; }
+}
+
+/** Rules profile ({ rules, tuning }) for a round log's key ("id@version"); null when that exact profile isn't on disk */
+function profileForKey(key){
+  if (!key || key === BubbleProfile.DEFAULT_PROFILE.key) return BubbleProfile.DEFAULT_PROFILE;
+  const [id, version] = String(key).split('@');
+  const json = readRulesProfile(id);
+  if (!json || String(json.version) !== version) return null;
+  const { ok, profile } = BubbleProfile.loadProfile(json);
+  return ok ? profile : null;
+}
+
+/**
+ * Replay the run's log through the scoring rules and session tuning of the profile the log names.
+ * logSig is only a checksum (anyone can recompute it); the replay is what decides.
+ * @returns {{verified:'ok'|'unverified'|string, problems:string[]}} 'flagged: ...' when it doesn't add up
+ */
+function verifyRun(run){
+  if (!run.roundLog) return { verified: 'unverified', problems: ['no round log'] };
+  const profile = profileForKey(run.roundLog.rules);
+  if (!profile) return { verified: 'unverified', problems: [`unknown rules profile ${run.roundLog.rules}`] };
+  const expectedDigest = crypto.createHash('sha256').update(BubbleScoring.digestString(run), 'utf8').digest('hex');
+  const { ok, problems } = BubbleScoring.validateRun(run, { expectedDigest, tuning: profile.tuning }, profile.rules);
+  return { verified: ok ? 'ok' : `flagged: ${problems.slice(0, 3).join('; ')}`, problems };
+}
+
+/** Leaderboards skip flagged/unverified runs; rows stored before validation (no field) still count */
+function isRankable(r){ return r.verified == null || r.verified === 'ok'; }
+
+// Same ordering as handleLeaderboard_ in code.js: score ↓, accuracy ↓, newest first
+function handleLeaderboard(db, qp){
+  const limit = Math.max(1, Math.min(100, parseInt(qp.limit || qp.n || '5', 10) || 5));
+  const userQ = (qp.username || '').trim();
+  const modeQ = (qp.mode || '').trim().toLowerCase();
+
+  if (!db.runs.length) return { ok: true, scores: [], me: null };
+
+  const data = db.runs.filter(isRankable).map(r => ({
+    ts:       r.timestamp,
+    username: (r.username || '') + '',
+    mode:     (r.mode || '') + '',
+    score:    Number(r.score) || 0,
+    accuracy: Number(r.accuracy) || 0
+  }));
+  const filtered = modeQ ? data.filter(x => x.mode.toLowerCase() === modeQ) : data;
+  filtered.sort((a, b) =>
+    (b.score - a.score) ||
+    (b.accuracy - a.accuracy) ||
+    (new Date(b.ts).getTime() - new Date(a.ts).getTime())
+  );
+
+  const top = filtered.slice(0, limit).map(x => ({
+    username: x.username, score: x.score, accuracy: x.accuracy, mode: x.mode
+  }));
+
+  let me = null;
+  if (userQ) {
+    const idx = filtered.findIndex(r => r.username === userQ);
+    if (idx >= 0) me = { rank: idx + 1 };
+  }
+  return { ok: true, scores: top, me };
+}
+
+/** Apps Script always answers 200 with a JSON body (errors included) */
+function handleExec(req, url, bodyText){
+  const qp = Object.fromEntries(url.searchParams);
+  let out;
+  try {
+    out = (req.method === 'POST') ? doPost(qp, JSON.parse(bodyText || '{}')) : doGet(qp);
+  } catch (err) {
+    out = { ok: false, error: String(err) };
+  }
+  return { status: 200, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(out) };
+}
+
+
+/* =============================
+ *        Worker (proxy + CORS)
+ * ============================= */
+function corsHeaders(req){
+  let allowOrigin = '';
+  try {
+    const u = new URL(req.headers.origin || '');
+    if (ALLOWED_HOSTS.has(u.host)) allowOrigin = `${u.protocol}//${u.host}`;
+  } catch {}
+  if (!allowOrigin) allowOrigin = DEFAULT_ORIGIN;
+
+  return {
+    'Access-Control-Allow-Origin': allowOrigin,
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
+    'Access-Control-Max-Age': '86400',
+    'Vary': 'Origin'
+  };
+}
+
+function handleWorker(req, url, bodyText){
+  const cors = corsHeaders(req);
+  if (req.method === 'OPTIONS') return { status: 204, headers: cors, body: '' };
+
+  // forward query (?action=..., &username=..., &deviceId=...) to the Apps Script layer
+  const upstream = new URL('http://mock/exec');
+  for (const [k, v] of url.searchParams) upstream.searchParams.set(k, v);
+  const limit = url.searchParams.get('limit');
+  if (limit && !url.searchParams.has('n')) upstream.searchParams.set('n', limit);
+  if (req.method === 'POST') upstream.searchParams.set('secret', SECRET);
+
+  const out = handleExec(req, upstream, bodyText);
+  return { ...out, headers: { ...cors, ...out.headers } };
+}
+
+
+/* =============================
+ *        Static files
+ * ============================= */
+/** Whether a repo-relative path (forward slashes) is one of the game's files; no dotfiles anywhere */
+function isStaticAsset(rel){
+  const parts = rel.split('/');
+  if (parts.some(p => !p || p.startsWith('.'))) return false;
+  return (parts.length === 1) ? STATIC_FILES.has(parts[0]) : STATIC_DIRS.has(parts[0]);
+}
+
+function handleStatic(url){
+  let rel;
+  try { rel = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname); }
+  catch { return { status: 400, headers: { 'Content-Type': 'text/plain' }, body: 'Bad request' }; }
+  const file = path.resolve(ROOT, '.' + rel);
+  const relPath = path.relative(ROOT, file).split(path.sep).join('/');
+  if (!file.startsWith(ROOT + path.sep) || !isStaticAsset(relPath)
+      || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    return { status: 404, headers: { 'Content-Type': 'text/plain' }, body: 'Not found' };
+  }
+  const type = MIME[path.extname(file).toLowerCase()] || 'application/octet-stream';
+  return { status: 200, headers: { 'Content-Type': type }, body: fs.readFileSync(file) };
+}
+
+
+/* =============================
+ *        Server
+ * ============================= */
+function route(req, bodyText){
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (url.pathname === '/api' || url.pathname === '/api/') return handleWorker(req, url, bodyText);
+  if (url.pathname === '/exec') return handleExec(req, url, bodyText);
+  if (req.method === 'GET' || req.method === 'HEAD') return handleStatic(url);
+  return { status: 405, headers: { 'Content-Type': 'text/plain' }, body: 'Method not allowed' };
+}
+
+function createServer(){
+  return http.createServer((req, res) => {
+    let bodyText = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { bodyText += chunk; });
+    req.on('end', () => {
+      let out;
+      try { out = route(req, bodyText); }
+      catch (e) {
+        console.error('[mock] request failed:', req.method, req.url, e);
+        out = { status: 500, headers: { 'Content-Type': 'text/plain' }, body: 'Internal error' };
+      }
+      res.writeHead(out.status, out.headers);
+      res.end(req.method === 'HEAD' ? undefined : out.body);
+    });
+  });
+}
+
+if (require.main === module) {
+  createServer().listen(PORT, () => {
+    console.log(`[mock] Worker  http://localhost:${PORT}/api`);
+    console.log(`[mock] Script  http://localhost:${PORT}/exec  (POST needs ?secret=${SECRET})`);
+    console.log(`[mock] Game    http://localhost:${PORT}/?backend=worker&api=http://localhost:${PORT}/api`);
+    console.log(`[mock] Data    ${DB}`);
+    if (RULES_PROFILE) console.log(`[mock] Rules   profiles/${RULES_PROFILE}.json`);
+  });
+}
+
+module.exports = { createServer, doGet, doPost, verifyRun, profileForKey, isStaticAsset };
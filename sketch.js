@@ -10,21 +10,40 @@
 //
 // Structure guide (search for these section banners):
 //   [Game constants]        core tunables for gameplay + mood thresholds
-//   [Backend config]        worker endpoint for Google Apps Script
+//   [Backend config]        worker endpoint for Google Apps Script + backend adapter selection (backend.js)
+//   [Rules profile]         ?rules=<id> / backend-chosen JSON profile (core/profile.js), applied before round 1
+//   [Study mode]            ?study=<studyId>.<participantId>: counterbalanced blocks replace the mode picker
+//   [Survey]                Feedback modal questions from a JSON survey (core/survey.js), ?survey=<id>;
+//                           SAM / PANAS instruments (core/instruments.js) scored into the run
 //   [Identity & storage]    deviceId/username/moodConsent keys
 //   [Troubleshooting mode]  laptop-only toggle 't' to reveal camera button
 //   [UI helpers]            viewport sizing, walls/safe area, overlay for face box, body-mode classes
 //   [Submit Run]            sends round results (score + emotion counts) to Sheets
-//   [Setup & Draw]          q5 lifecycle; input wiring; per-frame UI updates
-//   [Gameplay]              bubble spawn, hit logic, restart/endGame
-//   [Mood (face-api)]        model loading, webcam controls, sampler and dominantEmotion()
-//   [Modals & Splash]       helpers to open/close, splash controller
+//   [Run outbox]            localStorage queue + backoff retry so offline rounds still sync
+//   [Setup & Draw]          q5 lifecycle; input wiring; steps the GameSession + drawBubbles (render)
+//   [Gameplay]              GameSession wiring (sprite bodies, pop/miss/end effects), restart/endGame
+//   [Pause]                 pause / resume for every mode: top-bar button, Esc / P, auto-pause when the tab is left
+//   [Round log & replay]    per-round input log (seed, taps, mood changes) + replay viewer
+//   [Mood (face-api)]        model loading, webcam controls, sampler (+ emotion timeline) and dominantEmotion();
+//                           detection runs in face-worker.js where supported, paced by core/sampling.js
+//   [Emotion calibration]   optional 20 s neutral/smile/frown prompts before the first Mood round (core/calibration.js)
+//   [Head input]            hands-free popping in Mood rounds: head-pose reticle + held blink / nod (core/gesture.js)
+//   [Keyboard & gamepad]    cursor for keys / Gamepad API with snap-to-bubble (core/cursor.js)
+//   [Accessibility]         colorblind-safe / high-contrast bubble palettes + × / ★ glyphs (core/palette.js);
+//                           reduced motion (core/motion.js)
+//   [Announcements]         screen reader live regions: countdown, score / combo / time / mood, result (core/announce.js)
+//   [Modals & Splash]       helpers to open/close (+ dialog focus trap), splash controller
 //   [Login & start]         device profile check, username flow, mode picker trigger
 //
 // Safe customization points
-// - GAME_DURATION, bubble sizes/speeds
-// - EMO_CFG and EMO_FORCE thresholds (tune mood responsiveness)
-// - CHALLENGE_TRICK_RATE for trick bubble frequency
+// - Per study condition, without touching code: a rules profile (profiles/<id>.json,
+//   core/profile.js) picked by ?rules=<id> or the backend; it overrides any of the below
+// - Round durations, bubble speeds, miss-streak easing: core/session.js TUNING
+// - EMO_CFG and EMO_FORCE thresholds (tune mood responsiveness): core/emotion.js;
+//   per-player offsets on top of them: core/calibration.js
+// - Trick rates, bubble sizes and scoring values: core/scoring.js RULES
+// - Feedback questions: a survey file (surveys/<id>.json, core/survey.js) via ?survey=<id>
+//   or the study's "survey" field
 // - Consent copy is in index.html; Sheets columns are handled in Apps Script
 //
 // ============================================================================
@@ -38,50 +57,41 @@
 /* =============================
  *        Game constants
  * ============================= */
-const GV = 'v11.3';                   // game version number
-const GAME_DURATION = 30;             // seconds (fallback for non-mapped modes)
-const MODE_DURATION = { challenge: 30, mood: 60 }; // per-mode seconds
-const START_BUBBLES_CLASSIC   = 10;
-const START_BUBBLES_CHALLENGE = 15;
-const START_BUBBLES_MOOD      = 8;
-
-const MIN_DIAM = 50, MAX_DIAM = 88;   // bubble size range
-const MIN_SPEED = 1.0, MAX_SPEED = 3.8;
-const MIN_PLAY_SPEED = 0.5;           // floor after multipliers
-
-// Scoring (size-based): smaller bubbles => more points
-const SCORE_BASE = 1;                  // base points for a normal pop
-const SCORE_SIZE_MULTIPLIER = 2;       // tune how much small size boosts score
-const SCORE_TRICK_PENALTY = 1;         // points removed for trick bubbles
-
-// Miss-streak easing (reduce frustration on phones)
-const MISS_STREAK_TRIGGER        = 3;    // start easing after this many consecutive misses
-const MISS_STREAK_SLOW_PER_MISS  = 0.08; // each miss beyond trigger slows ~8%
-const MISS_STREAK_SLOW_CAP       = 0.35; // never slow more than 35%
-let currentMode = 'classic'; // 'classic' | 'challenge' | 'mood'
-
-const CLASSIC_SPEED_SCALE = 0.75;
-const CLASSIC_SPEED_CAP   = 3.0;
+const GV = 'v12.17';                  // game version number
+
+// v12.0 — The round itself (bubbles, score, stats, combo, miss-streak easing, timers) runs in
+// core/session.js (GameSession); this file renders it and wires input, DOM and the camera
+// around it. Durations, speeds and easing: BubbleSession.TUNING.
+// v11.9 — Everything that decides points lives in core/scoring.js (BubbleScoring.RULES)
+// so the servers can re-score a run with the same code.
+const { GameSession } = BubbleSession;
+
+let currentMode = 'classic'; // 'classic' | 'challenge' | 'mood' | 'daily'
+
 // v10.5.2 — Mode labels, mood presets, unified speed helpers
-const MODE_LABEL = { classic: 'Zen', challenge: 'Focus', mood: 'Emotion' };
+const MODE_LABEL = { classic: 'Zen', challenge: 'Focus', mood: 'Emotion', daily: 'Daily' };
+
+// v11.7 — Modes that borrow another mode's gameplay rules (Daily plays like Focus)
+const { MODE_RULES_FROM } = BubbleScoring;
+/** Mode whose gameplay rules apply (tricks, combo, scoring, bubble count) */
+function ruleMode(mode = currentMode){ return MODE_RULES_FROM[mode] || mode; }
 
 // v10.0.0 — Classic variants + static board (Step 2)
-const CLASSIC_TIME_MS = 30000;       // 30s for Timed
-let classicVariant = null;
-let classicDeadline = 0;             // ms; 0 => relax (no timer)
+let classicVariant = null;           // 'timed' | 'relax' (Zen only)
 
 const EMO_PRESET = {
-  neutral: { bg: '#f3f4f6', chip: '#e5e7eb', speed: 0.95, emoji: '' },
-  happy:   { bg: '#dcfce7', chip: '#a7f3d0', speed: 1.05, emoji: '😊' },
-  sad:     { bg: '#bfdbfe', chip: '#93c5fd', speed: 0.5, emoji: '😢' },
-  angry:   { bg: '#fee2e2', chip: '#fca5a5', speed: 1.3, emoji: '😠' },
-  stressed:{ bg: '#fef3c7', chip: '#fde047', speed: 0.2, emoji: '😟' },
+  neutral: { bg: '#f3f4f6', chip: '#e5e7eb', emoji: '' },
+  happy:   { bg: '#dcfce7', chip: '#a7f3d0', emoji: '😊' },
+  sad:     { bg: '#bfdbfe', chip: '#93c5fd', emoji: '😢' },
+  angry:   { bg: '#fee2e2', chip: '#fca5a5', emoji: '😠' },
+  stressed:{ bg: '#fef3c7', chip: '#fde047', emoji: '😟' },
 };
 
 // Lighter, high-contrast gradients per mode (Zen / Focus / Emotion)
 const MODE_BG_GRADIENT = {
   classic:   { from: '#ddd6fe', to: '#2b5486ff' }, // light lilac → blue
   challenge: { from: '#a7f3d0', to: '#b6a561ff' }, // mint → pale yellow
+  daily:     { from: '#fde68a', to: '#f4845fff' }, // sunrise yellow → coral
   mood:      { from: '#f0c4ddff', to: '#6f9fbfff' }  // very soft pink → light blue
 };
 
@@ -94,14 +104,6 @@ const EMO_BG_GRADIENT = {
   stressed: { from: '#e7c435ff', to: '#ebcf93ff' }   // warm yellow → very light rose
 };
 
-const MODE_SPEED_BASE = { classic: (typeof CLASSIC_SPEED_SCALE!=='undefined'?CLASSIC_SPEED_SCALE:1.0), challenge: 1.3, mood: 1.0 };
-const MODE_SPEED_CAP  = { classic: (typeof CLASSIC_SPEED_CAP!=='undefined'?CLASSIC_SPEED_CAP:Infinity), challenge: Infinity, mood: Infinity };
-
-function getModeSpeedMult(mode, emo /* string or null */){
-  if (mode === 'mood') return EMO_PRESET[emo || 'neutral'].speed;
-  return MODE_SPEED_BASE[mode] || 1.0;
-}
-
 function applyModeUI(mode, emo /* string or null */){
   const modeChip = document.getElementById('modeChip');
   const moodChip = document.getElementById('moodChip');
@@ -126,62 +128,40 @@ function applyModeUI(mode, emo /* string or null */){
   }
 }
 
-// v10.0.0 — Red penalty & flyout
-const RED_RATE    = 0.15;   // ~15% of bubbles are red in Classic
-const RED_PENALTY = 2;      // popping a red bubble subtracts 2
-
-const MOOD_SAMPLE_MS = 1500;           // face sampling cadence (ms)
+const MOOD_SAMPLE_MS = 1500;           // face sampling cadence (ms); v12.9: the pacer's level 0 (core/sampling.js)
 
 const COLOR_TEAL = [15, 118, 110, 200];
-const COLOR_RED  = [198, 40, 40, 200];
+const COLOR_RED  = [198, 40, 40, 200];  // v12.14 — bubbles use core/palette.js (its 'default' palette keeps these)
 
 // Mood end-game behavior: 'pause' (sampler only) or 'stop' (sampler + camera)
 const MOOD_STOP_STRATEGY = 'pause';
 const MOOD_IDLE_STOP_MS = 45000;       // stop camera after idle timeout on Game Over
 let moodIdleStopTO = null;
 
-const TOUCH_HIT_PAD = 12;
+// v11.8 — Pop animation runs on simulation frames (not wall time) so replays match
+const POP_FRAME_MS = 1000 / 60;        // one session frame of the pop ring
+const MAX_STEP_MS  = 250;              // v12.0 — longest clock step per frame (a stalled tab doesn't eat the round)
 const IS_TOUCH = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0);
 
-
-
-const CHALLENGE_TRICK_RATE = 0.25;
-const MOOD_TRICK_RATE = 0.20;
-const MAX_TRICK_RATIO = 0.5;   // at most 50% of on-screen bubbles can be red/trick
-
-// Extra scoring juice for tougher modes
-const MODE_SCORE_MULT = {
-  challenge: 1.5,
-  mood: 1.8
-};
-
-let bubbles;               // p5play Group of bubbles
+// v12.0 — The running round (core/session.js); the sketch renders whichever session is active
+let session = null;        // GameSession of the current (or last finished) round
+let bubbleGroup;           // p5play Group holding session bubble sprites (bubble-bubble bounces)
 let walls;                 // boundary walls
 let prevSafeTop = -1;      // last safe top for wall rebuild
 
-let score = 0;
-let startTime = 0;
-let gameOver = false;
+let gameOver = false;      // no round running (post-game, splash)
+let countingDown = false;  // v12.17 — showCountdown() is running (nothing to pause yet)
 
 // Cached HUD elements + last-known values (reduces DOM churn each frame)
 let $scoreChip = null, $timeChip = null;
 window.__lastScore = -1;
 window.__lastTimeLeft = undefined;
 
-let missStreak = 0;    // consecutive misses since last hit
-let rubberSlow = 0;    // 0..MISS_STREAK_SLOW_CAP
-
-// NEW: per-round input & pop stats
-let tapsTotal = 0;              // all tap/click attempts
-let tapsMissed = 0;             // attempts that didn’t hit any bubble
-let bubblesPopped = 0;          // total bubbles removed by the player
-let bubblesPoppedGood = 0;      // non-trick pops (these increase score)
-let bubblesPoppedTrick = 0;     // trick pops (these decrease score)
-
 // v9.0.1 — feedback state (one POST per round)
 window.__feedbackBefore = '';   // set from Login "Feedback (optional)"
 window.__feedbackAfter  = '';   // set from Post-game "Feedback"
 window.__runSubmitted   = false; // guard to ensure single POST per round
+window.__runSaveState   = null;  // Promise<'sent'|'queued'|'unsaved'> for the current round's submit
 
 // Camera state
 let currentStream = null;
@@ -190,40 +170,41 @@ let selectedDeviceId = null;
 // Mood (face-api) state
 let modelsReady = false;
 let moodTimerId = null;
+// v12.9 — detection runs in face-worker.js when the browser can (main thread otherwise) and the
+// pacer (core/sampling.js) trades inputSize / sampling interval for frame time on slow devices
+// v12.10 — the pacer also watches detection latency, starts from a per-device level and its
+// per-round summary is sent as facePace
+let facePacer = BubbleSampling.createPacer();
+let lastFacePace = null;    // facePacer.telemetry() of the last Mood round
+let samplerGen = 0;         // bumped by stopSampler() so a detection still running doesn't reschedule
 let overlay, octx;         // overlay canvas for green box
 // Hidden detector canvas we control (to avoid face-api creating its own readback-heavy canvas)
 let detectorCanvas = null, dctx = null;
 
 // Aggregated expression state (smoothed)
 const moodState = { gaze: { x: 0.5, y: 0.5 }, happy: 0, sad: 0, angry: 0, stressed:0, neutral: 1 };
+// v12.11 — gaze comes from the head pose of the largest face (68 landmarks, core/gaze.js);
+// moodState.head is that pose in degrees ({ yaw, pitch, roll }, null without a face)
+const gazeTracker = BubbleGaze.createGazeTracker();
 
-// Make emotions a bit easier to trigger
-const EMO_CFG = {
-  ON: 0.22,          // was higher
-  OFF: 0.16,         // stickiness
-  NEUTRAL_ON: 0.38, 
-  NEUTRAL_OFF: 0.30,
-  MARGIN: 0.06,      // gap between #1 and #2
-  COOLDOWN_MS: 500
-};
-
-// Raw “force” thresholds — used for quick switches
-const EMO_FORCE = {
-  HAPPY_RAW:   0.36,
-  SAD_RAW:     0.33,
-  ANGRY_RAW:   0.34,
-  STRESSED_RAW:0.28     // LOWERED so stressed can win
-};
-
-
-let lastEmotion = 'neutral', lastSwitchMs = 0;
+// v12.1 — Dominant-emotion hysteresis/cooldown lives in core/emotion.js (unit-tested);
+// EMO_CFG / EMO_FORCE are its tuning knobs (v12.2: a rules profile may override them)
+const { EMO_CFG, EMO_FORCE } = BubbleEmotion;
+let emotionTracker = BubbleEmotion.createEmotionTracker({ cfg: EMO_CFG, force: EMO_FORCE });
+// v12.8 — this device's calibration offsets (see [Emotion calibration]); null = classify moodState as is
+let emoCalibration = null;
 
 // Per-round emotion counts (incremented by the Mood sampler)
 let emoCounts = { happy: 0, sad: 0, angry: 0, stressed: 0, neutral: 0 };
+// v12.6 — every sample of the Mood round as a time series (core/timeline.js), sent as emoTimeline
+let emoTimeline     = null;  // recorder for the round being played
+let lastEmoTimeline = null;  // finished timeline of the last round
 
-// v10.0.1 — Step 4A: challenge combo
-let comboHitStreak = 0;
-let comboMult  = 1.0;   // 1.0 → 1.5 after 5 hits → 2.0 after 10 hits
+// v11.8 — Round log + replay viewer (see [Round log & replay])
+// (v11.6 seeded randomness now lives in the session: ?seed=<text> still replays the same boards)
+let roundLog     = null;  // log being recorded for the current round
+let lastRoundLog = null;  // finished log of the last round (post-game Replay / download)
+let replay       = null;  // replay viewer state while it is open
 
 
 /* =============================
@@ -235,11 +216,66 @@ const GOOGLE_SCRIPT_URL = "https://bubble-game-proxy.xoakuma.workers.dev/";
 // Recommended: leave empty and let your proxy add the secret server-side.
 const GOOGLE_SCRIPT_POST_SUFFIX = "";
 
+// v11.5 — All network calls go through a backend adapter (see backend.js).
+// Default is the Worker above; override with ?backend=local|rest|worker&api=<url>
+// or window.BUBBLE_BACKEND = { type, url } without touching this file.
+const backend = selectBackend({ type: 'worker', url: GOOGLE_SCRIPT_URL, postSuffix: GOOGLE_SCRIPT_POST_SUFFIX });
+
+
+/* =============================
+ *        Rules profile
+ * ============================= */
+// v12.2 — RULES / TUNING / EMO_CFG / EMO_FORCE / EMO_PRESET can come from a versioned JSON
+// profile (core/profile.js) so study conditions change without redeploying this file.
+// First match wins: ?rules=<id> (profiles/<id>.json; ?rules=default forces the built-ins),
+// then the backend's active profile (getRules), then the built-in constants.
+// Runs record the profile key ("id@version") in the round log and as rulesId.
+const RULES_FETCH_TIMEOUT_MS = 4000;
+const RULES_ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+let rulesProfile = BubbleProfile.DEFAULT_PROFILE;
+window.__rulesProfile = rulesProfile; // backend.js verifyLocalRun re-scores with it
+const EMO_PRESET_BASE = Object.fromEntries(Object.entries(EMO_PRESET).map(([k, v]) => [k, { ...v }]));
+
+/** Every session, live or replay, plays by this profile's rules + tuning */
+function applyRulesProfile(p){
+  rulesProfile = p;
+  window.__rulesProfile = p;
+  emotionTracker = BubbleEmotion.createEmotionTracker(p.emotion);
+  // from the built-in colors each time (study blocks switch profiles between rounds)
+  for (const [emo, preset] of Object.entries(EMO_PRESET_BASE)) EMO_PRESET[emo] = { ...preset, ...p.emoPreset[emo] };
+  console.info(`[rules] profile ${p.key}${p.description ? ` — ${p.description}` : ''}`);
+}
+
+/** Fetch + validate the profile; never rejects (any failure keeps the built-ins) */
+async function loadRulesProfile(){
+  if (studyTokenFromUrl()) return; // study blocks name their own profiles ([Study mode])
+  const id = new URLSearchParams(window.location.search).get('rules');
+  if (id === 'default') return;
+  const timeout = new Promise((_, reject) =>
+    setTimeout(() => reject(new Error('timed out')), RULES_FETCH_TIMEOUT_MS));
+
+  let json = null;
+  try {
+    if (id && RULES_ID_RE.test(id)) json = await Promise.race([backendFetchJSON(`profiles/${id}.json`), timeout]);
+    else if (id) console.warn(`[rules] ignoring ?rules=${id} (not a profile id)`);
+    else if (backend.getRules) json = (await Promise.race([backend.getRules(), timeout]))?.profile || null;
+  } catch (e) {
+    console.warn('[rules] could not load the profile; using the built-in rules:', e);
+  }
+  if (!json) return;
+
+  const { ok, profile, errors } = BubbleProfile.loadProfile(json);
+  if (!ok) { console.warn('[rules] profile rejected; using the built-in rules:', errors); return; }
+  applyRulesProfile(profile);
+}
+// showCountdown() waits on this, so the first round never starts on the wrong rules
+window.__rulesReady = loadRulesProfile();
+
 
 /* =============================
  *        Identity & storage
  * ============================= */
-const STORAGE_KEYS = { deviceId: 'bbg_device_id', username: 'bbg_username', moodConsent: 'bbg_mood_consent'};
+const STORAGE_KEYS = { deviceId: 'bbg_device_id', username: 'bbg_username', moodConsent: 'bbg_mood_consent', runOutbox: 'bbg_run_outbox', dailyRanked: 'bbg_daily_ranked', study: 'bbg_study', emoCalibration: 'bbg_emo_calibration', inputMethod: 'bbg_input_method', outboxDropped: 'bbg_outbox_dropped'};
 let playerDeviceId = null;
 let playerUsername = null;
 window.__playerReady = false; // gate the draw loop & inputs until username exists
@@ -332,6 +368,7 @@ function viewportH(){ return (window.visualViewport ? Math.round(window.visualVi
 
 // ===== Viewport sizing =====
 function fitCanvasToViewport() {
+  if (replay) { fitReplayCanvas(); return; } // the replay keeps the recorded canvas size
   const w = viewportW();
   const h = viewportH();
   if (width !== w || height !== h) resizeCanvas(w, h);
@@ -341,6 +378,7 @@ function fitCanvasToViewport() {
 
 /** Return the y-px of the safe play area's top (just below the top bar + padding) */
 function safeTopPx(){
+  if (replay) return replay.top; // replays use the recorded play area
   const bar = document.getElementById('topBar');
   const pad = 8;
   return bar ? Math.ceil(bar.getBoundingClientRect().bottom) + pad : 0;
@@ -396,7 +434,9 @@ function __applyBG() {
       return;
     }
 
-    const stops = __getGameBGStops();
+    let stops = __getGameBGStops();
+    // v12.15 — reduced motion: fade to a new gradient, and take a new one at most every 2 s
+    if (reducedMotion && stops.from) stops = bgEaser.update({ from: stops.from, to: stops.to || stops.from }, performance.now());
     const from = stops.from || __getGameBG();
     const to   = stops.to   || from;
 
@@ -480,8 +520,11 @@ function setEmotionChip(next){
 function setBodyModeClass(){
   const root = document.body;
   if (!root) return;
-  root.classList.remove('mode-classic','mode-challenge','mode-mood');
-  const cls = (currentMode === 'classic') ? 'mode-classic' : (currentMode === 'challenge') ? 'mode-challenge' : 'mode-mood';
+  root.classList.remove('mode-classic','mode-challenge','mode-mood','mode-daily');
+  const cls = (currentMode === 'classic') ? 'mode-classic'
+    : (currentMode === 'challenge') ? 'mode-challenge'
+    : (currentMode === 'daily') ? 'mode-daily'
+    : 'mode-mood';
   root.classList.add(cls);
 }
 
@@ -519,6 +562,7 @@ function showModePicker(){
   const bC = document.getElementById('modeClassicBtn');
   const bH = document.getElementById('modeChallengeBtn');
   const bB = document.getElementById('modeMoodBtn');
+  const bD = document.getElementById('modeDailyBtn');
 
   // Hide top bar while choosing a mode
   const topBar = document.getElementById('topBar');
@@ -528,6 +572,13 @@ function showModePicker(){
   document.body.classList.add('mode-pick');
   document.body.classList.remove('game-active');
 
+  // v12.3 — study sessions play their assigned block sequence instead of a free choice
+  if (studyTokenFromUrl()){
+    window.__modePicking = false;
+    startStudyBlock();
+    return;
+  }
+
   // Bail safely if any element is missing
   if (!m || !bC || !bH || !bB){
     console.warn('[mode] Mode picker elements missing; not auto-starting.');
@@ -567,6 +618,17 @@ function showModePicker(){
     afterModeSelected(false);
   };
 
+  // Daily challenge (shared seed; first round of the day is ranked)
+  if (bD){
+    bD.textContent = hasPlayedDailyToday() ? '📅 Daily Challenge (practice)' : '📅 Daily Challenge';
+    bD.onclick = () => {
+      currentMode = 'daily';
+      setBodyModeClass();
+      hide();
+      afterModeSelected(false);
+    };
+  }
+
   // Mood mode (use unified pointer event to avoid iOS double-fire)
   bB.onclick = () => {
     prefetchFaceApi();
@@ -625,8 +687,7 @@ async function afterModeSelected(isMood){
       const loadingBar = document.querySelector('#loadingOverlay .loadingBar');
       if (loadingBar) loadingBar.style.width = '30%';
 
-      await ensureFaceApiLib();
-      await loadFaceApiModels();
+      await loadFaceDetector();
       
       if (loadingBar) loadingBar.style.width = '60%';
 
@@ -664,6 +725,9 @@ async function afterModeSelected(isMood){
         };
         check();
       });
+
+      // v12.8 — optional per-player calibration before the first Mood round
+      if (shouldOfferCalibration()) await offerCalibration();
     } finally {
       // do nothing
     }
@@ -676,6 +740,7 @@ async function afterModeSelected(isMood){
   if (!isMood && currentMode === 'classic') {
     
     if (loading) loading.classList.add('hidden'); // just in case it was visible
+    if (study && classicVariant) { startClassicRound(); return; } // v12.3 — the study block picks Timed/Relax
     openClassicOpts();
     return; // IMPORTANT: do not call restart() yet
   }
@@ -794,37 +859,6 @@ function wireViewportGuard() {
   });
 }
 
-function readSurveyJSON(context){
-  if (context === 'before'){
-    const q1 = document.querySelector('input[name="preQ1"]:checked')?.value || '';
-    const q2 = document.querySelector('input[name="preQ2"]:checked')?.value || '';
-    return JSON.stringify({ q1, q2 });
-  } else {
-    const q1 = document.querySelector('input[name="postQ1"]:checked')?.value || '';
-    const q2 = document.querySelector('input[name="postQ2"]:checked')?.value || '';
-    const q3 = document.querySelector('input[name="postQ3"]:checked')?.value || '';
-    const q4 = document.querySelector('input[name="postQ4"]:checked')?.value || '';
-    const q5 = (document.getElementById('postQ5')?.value || '').trim();
-    return JSON.stringify({ q1, q2, q3, q4, free: q5 });
-  }
-}
-
-function hydrateSurveyFromJSON(context, jsonStr){
-  try {
-    const obj = JSON.parse(jsonStr || '{}');
-    if (context === 'before'){
-      if (obj.q1) document.querySelector(`input[name="preQ1"][value="${CSS.escape(obj.q1)}"]`)?.setAttribute('checked',true);
-      if (obj.q2) document.querySelector(`input[name="preQ2"][value="${CSS.escape(obj.q2)}"]`)?.setAttribute('checked',true);
-    } else {
-      if (obj.q1) document.querySelector(`input[name="postQ1"][value="${CSS.escape(obj.q1)}"]`)?.setAttribute('checked',true);
-      if (obj.q2) document.querySelector(`input[name="postQ2"][value="${CSS.escape(obj.q2)}"]`)?.setAttribute('checked',true);
-      if (obj.q3) document.querySelector(`input[name="postQ3"][value="${CSS.escape(obj.q3)}"]`)?.setAttribute('checked',true);
-      if (obj.q4) document.querySelector(`input[name="postQ4"][value="${CSS.escape(obj.q4)}"]`)?.setAttribute('checked',true);
-      if (obj.free) document.getElementById('postQ5').value = obj.free;
-    }
-  } catch(_) { }
-}
-
 function renderFeedbackThanks(context){
   const container = document.querySelector('#feedbackModal .modalRow.stacked');
   if (!container) return;
@@ -853,35 +887,6 @@ function renderFeedbackThanks(context){
   }
 }
 
-function startBubblesForMode(){
-  return (currentMode === 'classic')
-    ? START_BUBBLES_CLASSIC
-    : (currentMode === 'challenge')
-      ? START_BUBBLES_CHALLENGE
-      : START_BUBBLES_MOOD; // mood
-}
-
-function rubberSpeedFactor(){
-  // factor that multiplies whatever speed your update uses
-  const f = 1 - rubberSlow;
-  // honor your existing floor:
-  return Math.max(f, MIN_PLAY_SPEED);
-}
-
-function noteHit(){
-  // reset streak and recover one step of slowdown per successful pop
-  missStreak = 0;
-  rubberSlow = Math.max(0, rubberSlow - MISS_STREAK_SLOW_PER_MISS);
-}
-
-function noteMiss(){
-  // increase slowdown only after a few consecutive misses
-  missStreak++;
-  if (missStreak >= MISS_STREAK_TRIGGER){
-    rubberSlow = Math.min(MISS_STREAK_SLOW_CAP, rubberSlow + MISS_STREAK_SLOW_PER_MISS);
-  }
-}
-
 // v10.0.0 — classic option modal
 function openClassicOpts(){
   if (window.__modePicking) return;
@@ -904,13 +909,7 @@ function wireClassicOpts(){
 document.addEventListener('DOMContentLoaded', wireClassicOpts);
 
 function startClassicRound(){
-  // build static board (no movement, no respawn)
-  buildClassicBoard();
-
-  // set end condition
-  classicDeadline = (classicVariant === 'timed') ? (Date.now() + CLASSIC_TIME_MS) : 0;
-
-  window.__classicRelax = (classicVariant === 'relax');
+  // v12.0 — the session builds the static board (and its Timed clock) in restart()
   refreshQuitBtn(); // keep to-bar Quit in sync
 
   // make sure we’re in classic visuals and start the round
@@ -927,68 +926,6 @@ function startClassicRound(){
   });
 }
 
-function buildClassicBoard(){
-  // Grid sizing — adjust if you like
-  const cols = 6, rows = 8;
-  const pad = 16;
-  const sTop = safeTopPx();                // top of safe play area
-  const w = width  - pad * 2;
-  const h = (height - sTop) - pad * 2;     // only the space below the top bar
-  const cx = w / cols;
-  const cy = h / rows;
-  const radius = Math.min(cx, cy) * 0.38;
-
-  // Replace existing bubbles with one static grid
-  bubbles = [];
-
-  for (let r = 0; r < rows; r++){
-    for (let c = 0; c < cols; c++){
-      const x = pad + c * cx + cx / 2;
-      const y = sTop + pad + r * cy + cy / 2;  // offset grid below top bar
-      const isTrick = Math.random() < (window.__classicRelax ? (window.__dynamicRedRate || RED_RATE) : RED_RATE);
-      bubbles.push({
-        x, y, 
-        r: radius,
-        diameter: radius * 2,
-        alive: true, 
-        kind: isTrick ? 'trick' : 'normal',
-        vx: 0, vy: 0
-      });
-    }
-  }
-
-  // Flag for “no movement” paths if your update loop checks it
-  window.__classicStatic = true;
-}
-
-function onHit(){
-  comboHitStreak++;
-  if (comboHitStreak >= 10) comboMult = 2.0;
-  else if (comboHitStreak >= 5) comboMult = 1.5;
-  else comboMult = 1.0;
-  showComboBadge();
-}
-
-function onMiss(){
-  comboHitStreak = 0;
-  comboMult = 1.0;
-  showComboBadge();
-}
-
-function refillClassicBoard(){
-  // Gently vary the red/trick ratio so each refill feels a bit different
-  const prev = (window.__dynamicRedRate ?? RED_RATE);
-  const next = Math.max(0.05, Math.min(0.35, prev + (Math.random() * 0.12 - 0.06)));
-  window.__dynamicRedRate = next;
-
-  // Rebuild the static grid (buildClassicBoard uses window.__classicRelax to choose the ratio)
-  buildClassicBoard();
-}
-
-function getComboMultiplier(){
-  return (currentMode === 'challenge' || currentMode === 'mood') ? comboMult : 1.0;
-}
-
 // Tiny UI badge (creates once and updates text)
 let __comboEl = null;
 function ensureComboEl(){
@@ -999,11 +936,12 @@ function ensureComboEl(){
   }
   return __comboEl;
 }
-function showComboBadge(){
-  if (currentMode !== 'challenge') return;
+function showComboBadge(sess = session){
+  if (!sess || sess.ruleMode !== 'challenge') return;
   const el = ensureComboEl();
-  el.textContent = (comboMult > 1) ? `Combo x${comboMult.toFixed(1)}` : 'Combo x1.0';
-  el.classList.toggle('active', comboMult > 1);
+  const m = sess.comboMult;
+  el.textContent = (m > 1) ? `Combo x${m.toFixed(1)}` : 'Combo x1.0';
+  el.classList.toggle('active', m > 1);
 }
 
 async function resumeAudioOnGesture(){
@@ -1031,40 +969,6 @@ async function resumeAudioOnGesture(){
   window.addEventListener('keydown', kick, true);
 })();
 
-function shouldSpawnTrick(mode){
-  // Mode-specific base rates
-  const base =
-    (mode === 'challenge') ? CHALLENGE_TRICK_RATE :
-    (mode === 'mood')      ? MOOD_TRICK_RATE      :
-    0;
-
-  // Current on-screen composition
-  const n = (bubbles && typeof bubbles.length === 'number') ? bubbles.length : 0;
-  let trickCount = 0;
-  if (n > 0) {
-    for (let i = 0; i < bubbles.length; i++){
-      const bb = bubbles[i];
-      if (bb && bb.kind === 'trick') trickCount++;
-    }
-  }
-  const ratio = (n > 0) ? (trickCount / n) : 0;
-
-  // Cap: if already at or above the max ratio, force next spawns to be normal
-  if (ratio >= MAX_TRICK_RATIO) return false;
-
-  // Otherwise, use the mode’s base probability
-  // MOD: In Mood mode, when HAPPY, soften reds by capping to 35% of the usual rate
-  let eff = base;
-  if (mode === 'mood') {
-    const emo = dominantEmotion();
-    if (emo === 'happy') {
-      eff = Math.min(eff, 0.35);   // 35% cap while happy
-    }
-  }
-  
-  return random() < base;
-}
-
 function showMoodLoading(text = 'Setting up camera…'){
   const el = document.getElementById('loadingOverlay');
   if (!el) return;
@@ -1082,9 +986,11 @@ function hideMoodLoading(){
 
 // === Score Flyout Animation ===
 function spawnFlyout(x, y, points, opts = {}) {
+  if (replay?.quiet) return; // fast-forwarding a replay
   const el = document.createElement('div');
   el.className = 'flyoutScore';
   el.textContent = (points > 0 ? `+${points}` : `${points}`);
+  if (reducedMotion) el.classList.add('flyoutStatic'); // v12.15 — fades in place
 
   // GOLD label when this pop came from a gold bubble
   if (opts.gold && points > 0) {
@@ -1120,6 +1026,18 @@ function spawnFlyout(x, y, points, opts = {}) {
 
 // === Bubble Burst Animation ===
 function spawnBurst(x, y, color = '#ffffff', mood = 'neutral') {
+  if (replay?.quiet) return;
+  // v12.15 — reduced motion: one still ring that fades where the bubble was, no flying particles
+  if (reducedMotion) {
+    const f = document.createElement('div');
+    f.className = 'burstFade';
+    f.style.left = `${x}px`;
+    f.style.top = `${y}px`;
+    f.style.borderColor = color;
+    document.body.appendChild(f);
+    setTimeout(() => f.remove(), BubbleMotion.MOTION_CFG.FADE_MS);
+    return;
+  }
   // Happy mood gets a vibrant, multi-color confetti burst
   if (mood === 'happy') {
     const happyColors = ['#f43f5e', '#ec4899', '#8b5cf6', '#3b82f6', '#22c55e', '#f59e0b'];
@@ -1188,6 +1106,7 @@ function showCountdown(onFinish) {
 
   const steps = ["3", "2", "1", "GO!"];
   let i = 0;
+  countingDown = true;
 
   // 🔹 Clear old gameplay before countdown
   try {
@@ -1200,11 +1119,7 @@ function showCountdown(onFinish) {
   const topBar = document.getElementById('topBar');
   if (topBar) topBar.classList.add('hidden');
 
-  if (bubbles && typeof bubbles.removeAll === 'function') {
-    bubbles.removeAll();
-  } else {
-    bubbles = [];
-  }
+  session?.dispose();
 
   centerEl.style.display = 'block';
   centerEl.style.fontSize = '64px';
@@ -1213,6 +1128,7 @@ function showCountdown(onFinish) {
   centerEl.style.textShadow = '0 2px 6px rgba(0,0,0,.3)';
   centerEl.style.opacity = '0';
   centerEl.textContent = 'Get Ready…';
+  announce('Get ready', true);
 
   // fade-in
   centerEl.style.transition = 'opacity 300ms ease';
@@ -1225,6 +1141,7 @@ function showCountdown(onFinish) {
     function next() {
       if (i < steps.length) {
         centerEl.textContent = steps[i];
+        announce(steps[i] === 'GO!' ? 'Go!' : steps[i], true);
         if (i === 0 && loading) loading.classList.add('hidden');
         i++;
         setTimeout(next, 800);
@@ -1233,7 +1150,7 @@ function showCountdown(onFinish) {
         centerEl.textContent = '';
         // show top bar as the game starts
         if (topBar) topBar.classList.remove('hidden');
-        onFinish?.();
+        Promise.resolve(window.__rulesReady).then(() => { countingDown = false; onFinish?.(); });
       }
     }
     next();
@@ -1243,9 +1160,13 @@ function showCountdown(onFinish) {
 function refreshQuitBtn(){
   const btn = document.getElementById('quitBtn');
   if (!btn) return;
-  const isRelax = (currentMode === 'classic' && !classicDeadline); // 0 → relax
-  const visible = window.__playerReady && !gameOver && isRelax;
+  const isRelax = (currentMode === 'classic' && classicVariant !== 'timed'); // no clock → Quit ends it
+  const visible = window.__playerReady && !gameOver && isRelax && !replay;
   btn.style.display = visible ? 'inline-flex' : 'none';
+
+  // v12.17 — Pause shows for every mode while a round runs
+  const pauseBtn = document.getElementById('pauseBtn');
+  if (pauseBtn) pauseBtn.style.display = (window.__playerReady && !gameOver && !replay) ? 'inline-flex' : 'none';
 }
 
 function exitToSplash(){
@@ -1271,261 +1192,826 @@ function exitToSplash(){
 
 // End of UI Helper section
 
-/* =======================================
- *        Update Game Run and Profile
- * ======================================= */
-function nowMs(){ return (typeof millis === 'function') ? millis() : Date.now(); }
+/* =============================
+ *        Daily challenge
+ * ============================= */
+// v11.7 — One shared board per UTC day: Focus rules, fixed length, seed "daily-YYYY-MM-DD".
+// The first round a device starts each day is ranked under that same key; any
+// later rounds that day are practice ("daily-practice") and stay off today's board.
+const DAILY_PRACTICE_MODE = 'daily-practice';
 
-async function submitRun(){
-  try {
-    const durationMs = Math.max(0, nowMs() - startTime);
-    // one per page load; useful for grouping runs
-    window.__sessionId = window.__sessionId || (crypto.randomUUID?.() || ('s-' + Date.now()));
-    const runId = crypto.randomUUID?.() || ('run-' + Date.now());
+/** UTC calendar day, e.g. "2025-01-31" */
+function dailyDateKey(d = new Date()){ return d.toISOString().slice(0, 10); }
 
-    await fetch(`${GOOGLE_SCRIPT_URL}${GOOGLE_SCRIPT_POST_SUFFIX}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        action: 'run',
-        runId,
-        sessionId: window.__sessionId,
-        deviceId: playerDeviceId,
-        deviceType: (window.__deviceType || detectDeviceType()),
-        username: (playerUsername || '').trim(),
-        mode: currentMode,
-        gameVersion: GV, // keep in sync with version comment
-        score,
-        durationMs,
-        bubblesPopped,
-        accuracy: +( (bubblesPopped / Math.max(1, tapsTotal)).toFixed(3) ),
-        emoHappy:    emoCounts.happy,
-        emoSad:      emoCounts.sad,
-        emoAngry:    emoCounts.angry,
-        emoStressed: emoCounts.stressed,
-        emoNeutral:  emoCounts.neutral,
-        feedbackBefore: window.__feedbackBefore || '',
-        feedbackAfter:  window.__feedbackAfter  || ''
-      })
-    });
-  } catch (e) {
-    console.warn('[submitRun] failed:', e);
-  }
-}
+/** Seed and leaderboard mode key for a given day */
+function dailyKey(day = dailyDateKey()){ return `daily-${day}`; }
 
-// Submit exactly once per round; includes any after-feedback if present
-function submitRunOnce(){
-  if (window.__runSubmitted) return Promise.resolve();
-  window.__runSubmitted = true;
-  return submitRun(); // return the Promise so callers can await it
+function hasPlayedDailyToday(){
+  try { return localStorage.getItem(STORAGE_KEYS.dailyRanked) === dailyDateKey(); }
+  catch { return false; }
 }
 
-// v9.9.7 — leaderboard (no separate rank endpoint)
-// Simple fetch wrapper
-async function fetchJSON(url, opts){
-  const r = await fetch(url, opts);
-  if (!r.ok) throw new Error(`HTTP ${r.status}`);
-  return r.json();
+/**
+ * Called when a Daily round starts: pins the day (so a round spanning midnight
+ * still counts for the day it began) and spends today's ranked attempt.
+ * @returns {string} the seed for this round
+ */
+function startDailyRound(){
+  const day = dailyDateKey();
+  window.__dailyDay = day;
+  window.__dailyRanked = !hasPlayedDailyToday();
+  try { localStorage.setItem(STORAGE_KEYS.dailyRanked, day); } catch (_) {}
+  return dailyKey(day);
 }
 
-function computeAccuracyPct(){
-  const acc = (bubblesPopped / Math.max(1, tapsTotal));
-  return Math.round(acc * 100);
+/** Mode key stored with the run / used for the leaderboard */
+function runModeKey(){
+  if (currentMode !== 'daily') return currentMode;
+  return window.__dailyRanked ? dailyKey(window.__dailyDay) : DAILY_PRACTICE_MODE;
 }
 
-// GET Top N leaderboard, ask backend to include my rank via ?username=
-async function getLeaderboard(limit = 5, mode = (currentMode || 'classic')){
-  // Apps Script supports: action=leaderboard&limit=5&username=...
-  const qs = new URLSearchParams({
-    action: 'leaderboard',
-    limit: String(limit),
-    username: (playerUsername || '').trim(),
-    mode: mode
-  });
-  return fetchJSON(`${GOOGLE_SCRIPT_URL}?${qs.toString()}`);
-}
-
-// Build the post-game inner HTML for the leaderboard screen (no Mode column; keep Accuracy)
-// Inputs: { username, score, accuracyPct, rank, board }
-function renderPostGameContent({ username, score, accuracyPct, rank, board }) {
-  const myName = (username || '').trim();
-
-  // Build Top 5 rows: rank, user, score, accuracy
-  const rowsHtml = (board || []).slice(0, 5).map((r, i) => {
-    const rnk = (r && r.rank != null) ? Number(r.rank) : (i + 1);
-    const name = ((r && (r.username ?? r.name)) || '').toString().trim();
-    const sc   = (r && r.score != null) ? Number(r.score) : 0;
-
-    // Accept either accuracyPct (integer %) or accuracy (0..1)
-    const accPct = (r && typeof r.accuracyPct === 'number')
-      ? Math.round(r.accuracyPct)
-      : (r && typeof r.accuracy === 'number')
-        ? Math.round(r.accuracy * 100)
-        : null;
-
-    const isMe = !!name && !!myName && name.toLowerCase() === myName.toLowerCase();
-    const accStr = (accPct != null) ? `${accPct}%` : '';
-
-    return `<tr class="${isMe ? 'meRow' : ''}">
-              <td>${rnk}</td>
-              <td>${name || '—'}</td>
-              <td>${sc}</td>
-              <td>${accStr}</td>
-            </tr>`;
-  }).join('');
-
-  // If I'm not in Top 5 but we have my rank, append a 6th highlighted row
-  let extraRow = '';
-  const myRankNum = (rank != null && !Number.isNaN(Number(rank))) ? Number(rank) : null;
-  const isInTop5 = (myRankNum != null && myRankNum >= 1 && myRankNum <= 5);
-
-  if (!isInTop5 && myRankNum != null) {
-    const myAccStr = (typeof accuracyPct === 'number') ? `${accuracyPct}%` : '';
-    extraRow = `<tr class="meRow">
-                  <td>${myRankNum}</td>
-                  <td>${myName || 'You'}</td>
-                  <td>${Number(score) || 0}</td>
-                  <td>${myAccStr}</td>
-                </tr>`;
-  }
-
-  // Render table into #leaderboard
-  const lbEl = document.getElementById('leaderboard');
-  if (lbEl) {
-    lbEl.innerHTML = `
-      <h3>Top 5</h3>
-      <table class="lbTable">
-        <thead>
-          <tr><th>#</th><th>User</th><th>Score</th><th>Acc</th></tr>
-        </thead>
-        <tbody>${rowsHtml}${extraRow}</tbody>
-      </table>
-    `;
-  }
+/** Leaderboard to show after a round (Daily practice still shows today's standings) */
+function leaderboardModeKey(){
+  return (currentMode === 'daily') ? dailyKey(window.__dailyDay) : currentMode;
 }
 
-let __lastLbFetch = 0;   // <-- put this at top level (file scope)
 
-// Save the run (once), then fetch & render stats
-async function hydratePostGame(){
-  const elapsed = Date.now() - __lastLbFetch;
-  if (elapsed < 5000) {
-    const waitMs = 5000 - elapsed;
-    await new Promise(res => setTimeout(res, waitMs));
+/* =============================
+ *        Study mode
+ * ============================= */
+// v12.3 — ?study=<studyId>.<participantId> starts a researcher-defined session (core/study.js).
+// studies/<studyId>.json lists the conditions (mode + Zen variant + rules profile); the
+// participant gets a counterbalanced block order that replaces the mode picker, progress
+// survives reloads, and every run is tagged with studyId, participantId, condition, blockIndex.
+let study = null; // { token, studyId, participantId, version, row, blocks, profiles, survey, block, round } once loaded
+
+function studyTokenFromUrl(){
+  try { return new URLSearchParams(window.location.search).get('study'); } catch { return null; }
+}
+
+/** Study file, the participant's block order and every rules profile it names; throws on any problem */
+async function loadStudy(token){
+  const ids = BubbleStudy.parseStudyToken(token);
+  if (!ids) throw new Error(`"${token}" is not <studyId>.<participantId>`);
+  const def = await backendFetchJSON(`studies/${ids.studyId}.json`);
+  const check = BubbleStudy.validateStudy(def);
+  if (!check.ok) throw new Error(`study rejected: ${check.errors.join('; ')}`);
+  if (def.id !== ids.studyId) throw new Error(`studies/${ids.studyId}.json has id "${def.id}"`);
+
+  const { row, blocks } = BubbleStudy.assignSequence(def, ids.participantId);
+  const profiles = { default: BubbleProfile.DEFAULT_PROFILE };
+  for (const id of new Set(blocks.map(b => b.rules))){
+    if (profiles[id]) continue;
+    const res = BubbleProfile.loadProfile(await backendFetchJSON(`profiles/${id}.json`));
+    if (!res.ok || res.profile.id !== id) throw new Error(`rules profile ${id} rejected: ${res.errors.join('; ') || 'id mismatch'}`);
+    profiles[id] = res.profile;
   }
-  __lastLbFetch = Date.now();
+  const survey = def.survey ? await fetchSurvey(def.survey) : null; // [Survey]
+  return { token, ...ids, version: def.version, row, blocks, profiles, survey, ...loadStudyProgress(token, def.version) };
+}
 
-  try {
-    await submitRunOnce();                       // ensure row exists before reading
-    const username = (playerUsername || '').trim();
-    const mode = (currentMode || 'classic');
-    const accuracyPct = computeAccuracyPct();
+// Loaded once per page; null when there is no ?study= or the study can't be used
+window.__studyReady = studyTokenFromUrl()
+  ? loadStudy(studyTokenFromUrl())
+      .then(s => { study = s; console.info(`[study] ${s.studyId} • ${s.participantId} • row ${s.row}`); return s; })
+      .catch(e => { console.warn('[study] not started:', e); return null; })
+  : Promise.resolve(null);
 
-    // Leaderboard
-    const lbEl = document.getElementById('leaderboard');
-    if (lbEl) {
-      lbEl.innerHTML = `<p style="opacity:.7;">Fetching updated data…</p>`;
-    }
+function loadStudyProgress(token, version){
+  try {
+    const p = JSON.parse(localStorage.getItem(STORAGE_KEYS.study) || 'null');
+    if (p && p.token === token && p.version === version) return { block: Number(p.block) || 0, round: Number(p.round) || 0 };
+  } catch (_) {}
+  return { block: 0, round: 0 };
+}
 
-    // Fetch leaderboard (includes top + rank if username provided)
-    const data = await getLeaderboard(5, mode);
-    const board = Array.isArray(data?.scores) ? data.scores : (data?.rows || []);
+function saveStudyProgress(){
+  const { token, version, block, round } = study;
+  try { localStorage.setItem(STORAGE_KEYS.study, JSON.stringify({ token, version, block, round })); } catch (_) {}
+}
 
-    // TEMP: debug what the server is actually returning (remove later)
-    // const sampleModes = [...new Set(board.slice(0, 5).map(r => r?.mode).filter(Boolean))];
-    // console.log('[leaderboard]', {
-    //   requestedMode: mode,
-    //   sampleRowModes: sampleModes,         // e.g., ["mood"] or ["bio"]
-    //   meMode: data?.me?.mode ?? null       // if your script echoes this
-    // });
+const studyBlock = () => study ? study.blocks[study.block] || null : null;
 
-    const rankRaw = data?.me?.rank;
-    const rank = (rankRaw != null && !Number.isNaN(Number(rankRaw))) ? Number(rankRaw) : null;
+/** Run + round-log tag for the block being played (null outside a study) */
+function studyRoundTag(){
+  const b = studyBlock();
+  return b ? { studyId: study.studyId, participantId: study.participantId, condition: b.condition, blockIndex: b.index } : null;
+}
 
-    // capture session game data
-    window.__sessionRuns = window.__sessionRuns || [];
-    window.__sessionRuns.push({
-      ts: Date.now(),
-      username,
-      mode,
-      score,
-      accuracyPct
-    });
-    // keep only the last ~20 so it doesn't grow unbounded (we'll show 5)
-    if (window.__sessionRuns.length > 20) {
-      window.__sessionRuns.splice(0, window.__sessionRuns.length - 20);
-    }
+/**
+ * Called from endGame(): count the round, move to the next block when this one is done.
+ * v12.17 — only rounds played out ('time' / 'cleared') count; a quit round is played again
+ * @param {string} reason the session's end reason
+ */
+function noteStudyRoundDone(reason){
+  const b = studyBlock();
+  if (!b || reason === 'quit') return;
+  if (++study.round >= b.rounds){ study.block++; study.round = 0; }
+  saveStudyProgress();
+}
 
-    renderPostGameContent({ username, score, accuracyPct, rank, board });
-  } catch (e){
-    console.warn('[post-game] hydrate failed:', e);
+/** Stands in for the mode picker: sets the block's mode, variant and rules, then afterModeSelected() */
+async function startStudyBlock(){
+  await window.__studyReady;
+  if (!study){
+    showStudyNotice('Study link problem', 'This study link could not be loaded. Please contact the researcher.');
+    return;
+  }
+  const b = studyBlock();
+  if (!b){
+    showStudyNotice('Thank you!', `You have finished every block of this session (participant ${study.participantId}).`);
+    return;
+  }
+  applyRulesProfile(study.profiles[b.rules]);
+  currentMode = b.mode;
+  classicVariant = b.variant;
+  setBodyModeClass();
 
-    renderPostGameContent({
-      username: playerUsername,
-      score,
-      accuracyPct: computeAccuracyPct(),
-      rank: null,
-      board: []
+  if (b.mode === 'mood' && !hasMoodConsent()){
+    // no camera consent: this block can't be played, move on to the next one
+    showMoodConsentModal(() => afterModeSelected(true), () => {
+      console.warn(`[study] block ${b.index} (${b.condition}) skipped: no camera consent`);
+      study.block++; study.round = 0;
+      saveStudyProgress();
+      startStudyBlock();
     });
+    return;
+  }
+  afterModeSelected(b.mode === 'mood');
+}
 
-    const lbEl = document.getElementById('leaderboard');
-    if (lbEl) {
-      lbEl.innerHTML = `
-        <p class="lbMsg">Couldn’t load the leaderboard. </p>
-        <button id="lbRetryBtn" class="btn">Try again</button>
-      `;
-      document.getElementById('lbRetryBtn')?.addEventListener('click', hydratePostGame);
-    }
+/** Post-game "Next": another round of this block, or on to the next block */
+function continueStudy(){
+  if (study.round > 0 && studyBlock()){
+    noLoop();
+    showCountdown(() => restart(false));
+  } else {
+    startStudyBlock();
   }
 }
 
+function showStudyNotice(title, msg){
+  openLoginProgress(msg);
+  const t = document.getElementById('progressTitle');
+  if (t) t.textContent = title;
+}
+
+/** Post-game buttons + title during a study (no free mode change) */
+function renderStudyPostGame(){
+  const play = document.getElementById('postPlayAgain');
+  const change = document.getElementById('postChangeMode');
+  if (change) change.style.display = study ? 'none' : '';
+  if (!study) return;
+
+  const next = studyBlock();
+  const done = study.blocks[study.block - (study.round > 0 ? 0 : 1)];
+  const title = document.getElementById('postGameTitle');
+  if (title && done) title.textContent = `Block ${done.index + 1} of ${study.blocks.length} • round ${study.round || done.rounds} of ${done.rounds}`;
+  if (play) play.innerHTML = next ? '▶️<br>Next' : '✅<br>Finish';
+}
+
+
 /* =============================
- *        Setup & Draw
+ *        Survey
  * ============================= */
-function setup(){
-  const mainCanvas = createCanvas(viewportW(), viewportH());
-  if (mainCanvas?.drawingContext){
-    try { mainCanvas.drawingContext.willReadFrequently = true; } catch(e){}
-  }
-  noStroke();
-  world.gravity.y = 0;
+// v12.4 — The Feedback modal renders its questions from a survey definition (core/survey.js)
+// instead of fixed markup. A study's "survey" field or ?survey=<id> loads surveys/<id>.json
+// (?survey=default: the built-in questions) and turns the Feedback buttons on; without
+// either they stay hidden as before. feedbackBefore / feedbackAfter hold the answers as
+// JSON keyed by question id, plus "_survey": "id@version".
+let surveyDef = BubbleSurvey.DEFAULT_SURVEY;
+
+/** surveys/<id>.json, validated; throws on any problem */
+async function fetchSurvey(id){
+  const res = BubbleSurvey.loadSurvey(await backendFetchJSON(`surveys/${id}.json`));
+  if (!res.ok || res.survey.id !== id) throw new Error(`survey ${id} rejected: ${res.errors.join('; ') || 'id mismatch'}`);
+  return res.survey;
+}
 
-  setBodyModeClass();
+/** Study survey, else ?survey=<id>; never rejects (a bad survey leaves the Feedback buttons off) */
+async function loadSurveyDef(){
+  const s = await window.__studyReady;
+  let def = s?.survey || null;
+  const id = new URLSearchParams(window.location.search).get('survey');
+  if (!def && id === 'default') def = BubbleSurvey.DEFAULT_SURVEY;
+  else if (!def && id){
+    try { def = await fetchSurvey(id); }
+    catch (e) { console.warn('[survey] not loaded:', e); }
+  }
+  if (!def) return;
 
-  // Cache HUD chips once
-  $scoreChip = document.getElementById('scoreChip');
-  $timeChip  = document.getElementById('timeChip');
+  surveyDef = def;
+  document.body.classList.add('surveyOn');
+  document.getElementById('preFeedbackBtn')?.classList.toggle('hidden', !def.before);
+  document.getElementById('postFeedbackBtn')?.classList.toggle('hidden', !def.after);
+  console.info(`[survey] ${BubbleSurvey.surveyKey(def)}`);
+}
+window.__surveyReady = loadSurveyDef();
+
+const surveyContainer = () => document.querySelector('#feedbackModal .modalRow.stacked');
+
+/** Build one section's questions into the Feedback modal (replaces whatever was there) */
+function renderSurvey(context){
+  const box = surveyContainer();
+  if (!box) return;
+  box.innerHTML = '';
+  for (const q of BubbleSurvey.sectionQuestions(surveyDef[context])) box.appendChild(renderSurveyQuestion(q));
+  box.oninput = () => refreshSurveyBranching(context);
+  setSurveyMsg('');
+  refreshSurveyBranching(context);
+}
 
-  // Camera modal buttons
-  const camBtn = document.getElementById('cameraBtn');
-  const closeBtn = document.getElementById('modalClose');
-  if (camBtn) camBtn.onclick = () => { if (isMoodMode()) openCameraModal(); };
-  if (closeBtn) closeBtn.onclick = closeCameraModal;
-  const cameraModal = document.getElementById('cameraModal');
-  if (cameraModal){
-    cameraModal.addEventListener('click', (e) => { if (e.target.id === 'cameraModal') closeCameraModal(); });
+function renderSurveyQuestion(q){
+  const el = (tag, cls, text) => {
+    const e = document.createElement(tag);
+    if (cls) e.className = cls;
+    if (text != null) e.textContent = text;
+    return e;
+  };
+  const name = `sq_${q.id}`;
+  const wrap = el('div', 'surveyQ');
+  wrap.dataset.qid = q.id;
+  wrap.dataset.type = q.type;
+
+  const label = el('div', 'qLabel', q.label);
+  label.id = `${name}_label`;
+  if (q.required){
+    const r = el('span', 'qReq', ' *');
+    r.title = 'Required';
+    label.appendChild(r);
   }
+  wrap.appendChild(label);
+  if (q.help) wrap.appendChild(el('div', 'qHelp', q.help));
 
-  // Preview checkbox toggles the PREVIEW video
-  (function wirePreviewToggle(){
-    const previewToggle = document.getElementById('showPreview');
-    const vPrev = document.getElementById('webcamPreview');
-    if (previewToggle && vPrev){
-      previewToggle.onchange = () => {
-        if (previewToggle.checked){ vPrev.classList.remove('camHidden'); vPrev.classList.add('preview'); }
-        else { vPrev.classList.add('camHidden'); vPrev.classList.remove('preview'); }
-      };
+  const ends = () => {
+    const row = el('div', 'scaleEnds');
+    row.append(el('span', '', q.minLabel || ''), el('span', '', q.maxLabel || ''));
+    return row;
+  };
+
+  if (q.type === 'single' || q.type === 'multi' || q.type === 'likert'){
+    const group = el('div', q.type === 'likert' ? 'choiceGroup likertGroup' : 'choiceGroup');
+    group.setAttribute('role', q.type === 'multi' ? 'group' : 'radiogroup');
+    group.setAttribute('aria-labelledby', label.id);
+    if (q.required) group.setAttribute('aria-required', 'true');
+    const { min, max } = BubbleSurvey.numericRange(q);
+    const opts = (q.type === 'likert')
+      ? Array.from({ length: max - min + 1 }, (_, i) => ({ value: String(min + i), label: String(min + i) }))
+      : BubbleSurvey.optionList(q);
+    for (const o of opts){
+      const row = el('label', q.type === 'likert' ? 'likertOpt' : 'choiceRow');
+      const input = el('input');
+      input.type = (q.type === 'multi') ? 'checkbox' : 'radio';
+      input.name = name;
+      input.value = o.value;
+      row.append(input, el('span', '', ` ${o.label}`));
+      if (q.pictogram){ // v12.5 — SAM manikins above the scale points (core/instruments.js)
+        const fig = el('span', 'samPict');
+        fig.innerHTML = BubbleInstruments.samPictogram(q.pictogram, Number(o.value), max);
+        row.prepend(fig);
+      }
+      group.appendChild(row);
     }
-  })();
+    wrap.appendChild(group);
+    if (q.type === 'likert' && (q.minLabel || q.maxLabel)) wrap.appendChild(ends());
+  } else if (q.type === 'slider'){
+    const { min, max, step } = BubbleSurvey.numericRange(q);
+    const row = el('div', 'sliderRow');
+    const input = el('input');
+    Object.assign(input, { type: 'range', name, min, max, step, value: min + Math.round((max - min) / 2 / step) * step });
+    input.setAttribute('aria-labelledby', label.id);
+    const out = el('output', 'sliderValue', '–');   // untouched = unanswered
+    input.addEventListener('input', () => { input.dataset.touched = '1'; out.textContent = input.value; });
+    row.append(input, out);
+    wrap.append(row, ends());
+  } else {
+    const ta = el('textarea');
+    Object.assign(ta, { name, rows: 3, maxLength: q.maxLength || 500, placeholder: q.placeholder || '' });
+    ta.setAttribute('aria-labelledby', label.id);
+    ta.addEventListener('focus', onKbFocus, { passive: true });   // v9.1.2 mobile typing glue
+    ta.addEventListener('blur',  onKbBlur,  { passive: true });
+    wrap.appendChild(ta);
+  }
+  return wrap;
+}
 
-  // Pointer popping (bulletproof across devices)
-  // const cnv = _renderer?.canvas || document.querySelector('canvas');
-  const cnv = document.querySelector('canvas') || (typeof _renderer !== 'undefined' && _renderer.canvas);
+/** Current answers in the modal, keyed by question id ('' / [] when unanswered) */
+function readSurveyAnswers(context){
+  const box = surveyContainer();
+  const answers = {};
+  if (!box) return answers;
+  for (const q of BubbleSurvey.sectionQuestions(surveyDef[context])){
+    const sel = `[name="sq_${q.id}"]`;
+    const checked = [...box.querySelectorAll(`${sel}:checked`)].map(i => i.value);
+    const input = box.querySelector(sel);
+    if (q.type === 'single') answers[q.id] = checked[0] || '';
+    else if (q.type === 'multi') answers[q.id] = checked;
+    else if (q.type === 'likert') answers[q.id] = checked.length ? Number(checked[0]) : '';
+    else if (q.type === 'slider') answers[q.id] = input?.dataset.touched ? Number(input.value) : '';
+    else answers[q.id] = input?.value || '';
+  }
+  return answers;
+}
 
-  if (cnv){
-    cnv.style.touchAction = 'none';
-    cnv.addEventListener('pointerdown', (e) => {
-      if (!window.__playerReady) return; // ignore clicks until after login
+function readSurveyJSON(context){
+  return JSON.stringify(BubbleSurvey.serializeAnswers(surveyDef, context, readSurveyAnswers(context)));
+}
+
+function hydrateSurveyFromJSON(context, jsonStr){
+  const box = surveyContainer();
+  if (!box) return;
+  try {
+    const obj = JSON.parse(jsonStr || '{}');
+    for (const q of BubbleSurvey.sectionQuestions(surveyDef[context])){
+      const v = obj[q.id];
+      if (v == null || v === '') continue;
+      const sel = `[name="sq_${q.id}"]`;
+      if (q.type === 'single' || q.type === 'likert' || q.type === 'multi'){
+        const picked = (Array.isArray(v) ? v : [v]).map(String);
+        box.querySelectorAll(sel).forEach(i => { i.checked = picked.includes(i.value); });
+      } else {
+        const input = box.querySelector(sel);
+        if (!input) continue;
+        input.value = v;
+        if (q.type === 'slider') input.dispatchEvent(new Event('input'));
+      }
+    }
+  } catch(_) { }
+  refreshSurveyBranching(context);
+}
+
+/** Show/hide branched questions for the current answers; clears "missing" marks once answered */
+function refreshSurveyBranching(context){
+  const box = surveyContainer();
+  const sec = surveyDef[context];
+  if (!box || !sec) return;
+  const answers = readSurveyAnswers(context);
+  const shown = new Set(BubbleSurvey.visibleQuestions(sec, answers).map(q => q.id));
+  const { missing, invalid } = BubbleSurvey.checkAnswers(sec, answers);
+  box.querySelectorAll('.surveyQ').forEach(w => {
+    w.hidden = !shown.has(w.dataset.qid);
+    if (!missing.includes(w.dataset.qid) && !invalid.includes(w.dataset.qid)) w.classList.remove('missing');
+  });
+}
+
+/** v12.5 — SAM / PANAS scores in a stored feedbackBefore / feedbackAfter ('' for any not administered) */
+function instrumentScores(feedbackJSON){
+  let answers = null;
+  try { answers = JSON.parse(feedbackJSON || 'null'); } catch (_) {} // pre-v9.2 feedback was plain text
+  const scores = BubbleInstruments.scoreInstruments(answers);
+  return Object.fromEntries(Object.entries(scores).map(([k, v]) => [k, v ?? '']));
+}
+
+function setSurveyMsg(text){
+  const msg = document.getElementById('feedbackMsg');
+  if (msg) msg.textContent = text;
+}
+
+/** Save guard: true when the section can be stored, else marks what is missing */
+function surveyReadyToSave(context){
+  const sec = surveyDef[context];
+  if (!sec) return true;
+  const { ok, missing, invalid } = BubbleSurvey.checkAnswers(sec, readSurveyAnswers(context));
+  if (ok) { setSurveyMsg(''); return true; }
+
+  const box = surveyContainer();
+  const bad = [...missing, ...invalid];
+  box?.querySelectorAll('.surveyQ').forEach(w => w.classList.toggle('missing', bad.includes(w.dataset.qid)));
+  setSurveyMsg(missing.length ? 'Please answer the questions marked *' : 'Please check the highlighted answers');
+  const first = box?.querySelector(`.surveyQ[data-qid="${bad[0]}"]`);
+  first?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  first?.querySelector('input, textarea')?.focus({ preventScroll: true });
+  return false;
+}
+
+/* =======================================
+ *        Update Game Run and Profile
+ * ======================================= */
+/**
+ * Build the run payload, persist it to the outbox, then try to deliver it.
+ * @returns {Promise<'sent'|'queued'|'unsaved'>} 'queued' when the run is only saved locally;
+ *   'unsaved' when storage refused it too and only this page (__memOutbox) still holds it
+ */
+async function submitRun(){
+  try {
+    const durationMs = Math.round(session.elapsedMs); // round clock (v12.0: session time, not wall time)
+    // one per page load; useful for grouping runs
+    window.__sessionId = window.__sessionId || (crypto.randomUUID?.() || ('s-' + Date.now()));
+    const runId = crypto.randomUUID?.() || ('run-' + Date.now());
+    window.__lastRunId = runId;
+    if (lastRoundLog) lastRoundLog.runId = runId; // ties a downloaded replay to its leaderboard row
+    const studyTag = lastRoundLog?.study || null;
+    const moodBefore = instrumentScores(window.__feedbackBefore);
+    const moodAfter  = instrumentScores(window.__feedbackAfter);
+
+    const payload = {
+      action: 'run',
+      runId,
+      sessionId: window.__sessionId,
+      deviceId: playerDeviceId,
+      deviceType: (window.__deviceType || detectDeviceType()),
+      username: (playerUsername || '').trim(),
+      mode: runModeKey(),
+      gameVersion: GV, // keep in sync with version comment
+      seed: session.seed,
+      rulesId: lastRoundLog?.rules || rulesProfile.key, // v12.2 — rules profile "id@version" the round was played with
+      // v12.3 — study sessions ('' outside a study)
+      studyId:       studyTag?.studyId || '',
+      participantId: studyTag?.participantId || '',
+      condition:     studyTag?.condition || '',
+      blockIndex:    studyTag ? studyTag.blockIndex : '',
+      score: session.score,
+      durationMs,
+      bubblesPopped: session.stats.popped,
+      accuracy: session.accuracy,
+      emoHappy:    emoCounts.happy,
+      emoSad:      emoCounts.sad,
+      emoAngry:    emoCounts.angry,
+      emoStressed: emoCounts.stressed,
+      emoNeutral:  emoCounts.neutral,
+      // v12.5 — self-reported mood next to the face-api counts: SAM 1..9, PANAS PA/NA 5..25
+      samValenceBefore: moodBefore.samValence,
+      samArousalBefore: moodBefore.samArousal,
+      panasPABefore:    moodBefore.panasPA,
+      panasNABefore:    moodBefore.panasNA,
+      samValenceAfter:  moodAfter.samValence,
+      samArousalAfter:  moodAfter.samArousal,
+      panasPAAfter:     moodAfter.panasPA,
+      panasNAAfter:     moodAfter.panasNA,
+      // v12.6 — per-sample Mood timeline (core/timeline.js encodeTimeline), null outside Mood rounds
+      emoTimeline: lastEmoTimeline?.samples.length ? BubbleTimeline.encodeTimeline(lastEmoTimeline.samples) : null,
+      // v12.8 — the calibration offsets dominantEmotion() applied ({v, at, shift, gain}), null if none
+      emoCalibration: lastEmoTimeline ? emoCalibration : null,
+      // v12.10 — face sampling settings of the round (core/sampling.js telemetry()), null outside Mood rounds
+      facePace: lastFacePace,
+      // v12.12 — head-input gestures of the round ({blinks, nods, hits}), null for touch / mouse rounds
+      headInput: lastHeadStats,
+      feedbackBefore: window.__feedbackBefore || '',
+      feedbackAfter:  window.__feedbackAfter  || '',
+      // v11.9 — the server re-scores the round from its log (BubbleScoring.validateRun);
+      // logSig is a plain SHA-256 checksum of the run + log: it catches a damaged payload, not a forged one
+      roundLog: lastRoundLog,
+      logSig: ''
+    };
+    try { payload.logSig = await BubbleScoring.digestRun(payload); } catch (_) {}
+
+    // Persist first so a dropped connection never loses the round; storage full or blocked
+    // (private mode) → keep it in memory and post it straight away
+    if (!queueRun(payload)) __memOutbox[runId] = { payload, attempts: 0, nextAt: 0, queuedAt: Date.now() };
+    await flushOutbox({ force: true });
+    if (__memOutbox[runId]) return 'unsaved';
+    return readOutbox()[runId] ? 'queued' : 'sent';
+  } catch (e) {
+    console.warn('[submitRun] failed:', e);
+    return 'queued';
+  }
+}
+
+// Submit exactly once per round; includes any after-feedback if present
+function submitRunOnce(){
+  if (window.__runSubmitted) return window.__runSaveState || Promise.resolve('sent');
+  window.__runSubmitted = true;
+  window.__runSaveState = submitRun();
+  return window.__runSaveState; // return the Promise so callers can await it
+}
+
+/* =============================
+ *        Run outbox
+ * ============================= */
+// v11.4 — Runs are stored in localStorage (keyed by runId) until the backend
+// accepts them. Retries back off exponentially and restart on 'online' and page load.
+const OUTBOX_RETRY_BASE_MS = 5000;            // first retry after ~5s
+const OUTBOX_RETRY_MAX_MS  = 10 * 60 * 1000;  // never wait more than 10 min
+const OUTBOX_MAX_RUNS      = 50;              // keep the newest N if storage fills up
+let __outboxTimer = null;
+let __outboxDroppedNow = 0;                   // unsent runs the last queueRun() had to drop (post-game note)
+let __outboxFlush = null;                     // in-flight flush (one at a time)
+let __memOutbox = {};                         // v12.17 — runs localStorage refused: retried from here, lost on reload
+
+function readOutbox(){
+  try { return JSON.parse(localStorage.getItem(STORAGE_KEYS.runOutbox) || '{}') || {}; }
+  catch { return {}; }
+}
+
+/** @returns {boolean} false when storage refused the write (quota, private mode) */
+function writeOutbox(box){
+  try { localStorage.setItem(STORAGE_KEYS.runOutbox, JSON.stringify(box)); return true; }
+  catch (e) { console.warn('[outbox] save failed:', e); return false; }
+}
+
+/** Stored and in-memory runs, keyed by runId */
+function outboxEntries(){ return { ...readOutbox(), ...__memOutbox }; }
+
+function outboxSize(){ return Object.keys(outboxEntries()).length; }
+
+/** Apply fn(box) to the store holding runId (memory or localStorage) */
+function updateOutboxEntry(runId, fn){
+  if (__memOutbox[runId]) { fn(__memOutbox); return; }
+  const box = readOutbox();
+  if (box[runId]) { fn(box); writeOutbox(box); }
+}
+
+/** Unsent runs this device has ever had to drop from a full outbox */
+function outboxDroppedTotal(){
+  try { return parseInt(localStorage.getItem(STORAGE_KEYS.outboxDropped), 10) || 0; }
+  catch { return 0; }
+}
+
+/**
+ * Add (or replace) a run in the outbox, keyed by runId. Past OUTBOX_MAX_RUNS the oldest unsent
+ * runs are dropped; v12.17 — that is counted (the device total goes out as payload.outboxDropped,
+ * Apps Script column 40) and the post-game screen says so.
+ * @returns {boolean} false when the outbox couldn't be written
+ */
+function queueRun(payload){
+  const box = readOutbox();
+  box[payload.runId] = { payload, attempts: 0, nextAt: 0, queuedAt: Date.now() };
+
+  // Drop the oldest runs if the outbox grows past the cap
+  const ids = Object.keys(box).sort((a, b) => box[a].queuedAt - box[b].queuedAt);
+  const dropped = [];
+  while (ids.length > OUTBOX_MAX_RUNS){ const id = ids.shift(); dropped.push(id); delete box[id]; }
+  __outboxDroppedNow = dropped.length;
+  if (dropped.length){
+    const total = outboxDroppedTotal() + dropped.length;
+    try { localStorage.setItem(STORAGE_KEYS.outboxDropped, String(total)); } catch {}
+    console.warn(`[outbox] full: dropped ${dropped.length} unsent run(s) (${total} on this device)`, dropped);
+  }
+  payload.outboxDropped = outboxDroppedTotal();
+  return writeOutbox(box);
+}
+
+/** Post-game line for runs the last save had to drop, or '' */
+function outboxDropNote(){
+  const n = __outboxDroppedNow;
+  return n ? `The outbox was full: ${n} older unsent round${n === 1 ? ' was' : 's were'} removed to make room.` : '';
+}
+
+// Definitive { ok:false } answers to a run: a retry would get the same one
+const RUN_REJECTIONS = ['bad input', 'score rejected'];
+
+/**
+ * Send one queued run. Retryable (throws): network errors, 429, 5xx, and a 200 { ok:false } —
+ * Apps Script reports caught exceptions (lock timeouts, sheet errors) that way.
+ * Delivered, so it leaves the outbox: stored, a duplicate of a stored run, a RUN_REJECTIONS
+ * answer, or another 4xx.
+ */
+async function postQueuedRun(payload){
+  let res;
+  try { res = await backend.saveRun(payload); }
+  catch (e) { if (e && e.retryable === false) return true; throw e; }
+  if (res && res.ok === false && !RUN_REJECTIONS.includes(res.error)){
+    const err = new Error(`run not stored: ${res.error || 'server error'}`);
+    err.retryable = true;
+    throw err;
+  }
+  return true;
+}
+
+function outboxBackoffMs(attempts){
+  const exp = OUTBOX_RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1));
+  return Math.min(OUTBOX_RETRY_MAX_MS, exp) + Math.floor(Math.random() * 1000);
+}
+
+/**
+ * Try to deliver every due run. `force` ignores the backoff schedule
+ * (used right after a round ends and when the browser comes back online).
+ * @returns {Promise<{delivered:string[], pending:number}>}
+ */
+function flushOutbox({ force = false } = {}){
+  if (__outboxFlush) return __outboxFlush.then(() => flushOutbox({ force }));
+
+  __outboxFlush = (async () => {
+    clearTimeout(__outboxTimer); __outboxTimer = null;
+    const delivered = [];
+    const now = Date.now();
+
+    for (const [runId, entry] of Object.entries(outboxEntries())){
+      if (!force && entry.nextAt > now) continue;
+      if (navigator.onLine === false && backend.type !== 'local') break;
+      try {
+        await postQueuedRun(entry.payload);
+        delivered.push(runId);
+        updateOutboxEntry(runId, box => { delete box[runId]; });
+      } catch (e) {
+        console.warn('[outbox] retry later:', runId, e);
+        updateOutboxEntry(runId, box => {
+          box[runId].attempts = (box[runId].attempts || 0) + 1;
+          box[runId].nextAt = Date.now() + outboxBackoffMs(box[runId].attempts);
+        });
+      }
+    }
+
+    // Schedule the next attempt for whichever run is due first
+    const left = Object.values(outboxEntries());
+    if (left.length){
+      const due = Math.min(...left.map(x => x.nextAt || 0));
+      __outboxTimer = setTimeout(() => flushOutbox(), Math.max(1000, due - Date.now()));
+    }
+    return { delivered, pending: left.length };
+  })();
+
+  return __outboxFlush.finally(() => { __outboxFlush = null; });
+}
+
+// Retry as soon as the connection returns, and once shortly after page load
+window.addEventListener('online', () => { flushOutbox({ force: true }); });
+window.addEventListener('load', () => { if (outboxSize()) setTimeout(() => flushOutbox({ force: true }), 1500); });
+
+// v9.9.7 — leaderboard (no separate rank endpoint)
+function computeAccuracyPct(){
+  return Math.round((session ? session.accuracy : 0) * 100);
+}
+
+// GET Top N leaderboard, ask backend to include my rank via username
+async function getLeaderboard(limit = 5, mode = (currentMode || 'classic')){
+  return backend.getLeaderboard({ limit, mode, username: (playerUsername || '').trim() });
+}
+
+// Post-game leaderboard table (markup: core/postgame.js leaderboardHtml)
+// Inputs: { username, score, accuracyPct, rank, board, heading?, note? }
+function renderPostGameContent(opts) {
+  const lbEl = document.getElementById('leaderboard');
+  if (lbEl) lbEl.innerHTML = BubblePostGame.leaderboardHtml(opts);
+  announce(BubbleAnnounce.resultText(opts)); // v12.16 — the table itself is not a live region
+}
+
+let __lastLbFetch = 0;   // <-- put this at top level (file scope)
+
+let __sessionRunLogged = null; // runId already pushed to __sessionRuns
+
+// Keep the session stats list in one place (used by online + offline post-game paths)
+function recordSessionRun({ username, mode, score, accuracyPct }){
+  window.__sessionRuns = window.__sessionRuns || [];
+  // Retry/sync re-renders the same round; only log it once
+  if (window.__lastRunId && __sessionRunLogged === window.__lastRunId) return;
+  __sessionRunLogged = window.__lastRunId;
+  window.__sessionRuns.push({
+    ts: Date.now(),
+    username,
+    mode,
+    score,
+    accuracyPct
+  });
+  // keep only the last ~20 so it doesn't grow unbounded (we'll show 5)
+  if (window.__sessionRuns.length > 20) {
+    window.__sessionRuns.splice(0, window.__sessionRuns.length - 20);
+  }
+}
+
+// v11.4 — Post-game state when the run could only be saved to the outbox
+// v12.17 — unsaved: storage refused it too, so it only lives in this page until it is sent
+function renderSavedLocally(unsaved = false){
+  const lbEl = document.getElementById('leaderboard');
+  if (!lbEl) return;
+  const pending = outboxSize();
+  const status = unsaved
+    ? 'Not saved yet — this device’s storage is full or blocked. Keep this page open and it will retry'
+    : 'Saved on this device — will sync when you’re back online';
+  lbEl.innerHTML = `
+    <p class="lbMsg"><b>Score: ${Number(session?.score) || 0}</b> • Accuracy: ${computeAccuracyPct()}%</p>
+    <p class="lbMsg lbSaved">${status}${pending > 1 ? ` (${pending} rounds waiting)` : ''}.</p>
+    ${outboxDropNote() ? `<p class="lbMsg lbSaved">${outboxDropNote()}</p>` : ''}
+    <button id="lbSyncBtn" class="btn">Sync now</button>
+  `;
+  document.getElementById('lbSyncBtn')?.addEventListener('click', async () => {
+    await flushOutbox({ force: true });
+    hydratePostGame();
+  });
+}
+
+// Save the run (once), then fetch & render stats
+async function hydratePostGame(){
+  const elapsed = Date.now() - __lastLbFetch;
+  if (elapsed < 5000) {
+    const waitMs = 5000 - elapsed;
+    await new Promise(res => setTimeout(res, waitMs));
+  }
+  __lastLbFetch = Date.now();
+  const score = session ? session.score : 0;
+
+  try {
+    const saveState = await submitRunOnce();     // ensure row exists before reading
+    const username = (playerUsername || '').trim();
+    const mode = (currentMode || 'classic');
+    const boardMode = leaderboardModeKey() || 'classic';
+    const accuracyPct = computeAccuracyPct();
+
+    // Offline: the run is safe in the outbox; don't show the generic failure
+    if (saveState === 'queued' && readOutbox()[window.__lastRunId]) {
+      recordSessionRun({ username, mode, score, accuracyPct });
+      renderSavedLocally();
+      return;
+    }
+    // Neither stored nor sent: say so instead of showing the leaderboard as if it were saved
+    if (__memOutbox[window.__lastRunId]) {
+      recordSessionRun({ username, mode, score, accuracyPct });
+      renderSavedLocally(true);
+      return;
+    }
+
+    // Leaderboard
+    const lbEl = document.getElementById('leaderboard');
+    if (lbEl) {
+      lbEl.innerHTML = `<p style="opacity:.7;">Fetching updated data…</p>`;
+    }
+
+    // Fetch leaderboard (includes top + rank if username provided)
+    const data = await getLeaderboard(5, boardMode);
+    const board = Array.isArray(data?.scores) ? data.scores : (data?.rows || []);
+
+    // TEMP: debug what the server is actually returning (remove later)
+    // const sampleModes = [...new Set(board.slice(0, 5).map(r => r?.mode).filter(Boolean))];
+    // console.log('[leaderboard]', {
+    //   requestedMode: mode,
+    //   sampleRowModes: sampleModes,         // e.g., ["mood"] or ["bio"]
+    //   meMode: data?.me?.mode ?? null       // if your script echoes this
+    // });
+
+    const rankRaw = data?.me?.rank;
+    const rank = (rankRaw != null && !Number.isNaN(Number(rankRaw))) ? Number(rankRaw) : null;
+
+    // capture session game data
+    recordSessionRun({ username, mode, score, accuracyPct });
+
+    const daily = (currentMode === 'daily');
+    renderPostGameContent({
+      username, score, accuracyPct, rank, board,
+      heading: daily ? `Daily ${window.__dailyDay} — Top 5` : undefined,
+      note: [
+        (daily && !window.__dailyRanked) ? 'Practice round — today’s ranked attempt is already on the board.' : '',
+        outboxDropNote()
+      ].filter(Boolean).join(' ')
+    });
+  } catch (e){
+    console.warn('[post-game] hydrate failed:', e);
+
+    renderPostGameContent({
+      username: playerUsername,
+      score,
+      accuracyPct: computeAccuracyPct(),
+      rank: null,
+      board: []
+    });
+
+    const lbEl = document.getElementById('leaderboard');
+    if (lbEl) {
+      lbEl.innerHTML = `
+        <p class="lbMsg">Couldn’t load the leaderboard. </p>
+        <button id="lbRetryBtn" class="btn">Try again</button>
+      `;
+      document.getElementById('lbRetryBtn')?.addEventListener('click', hydratePostGame);
+    }
+  }
+}
+
+/* =============================
+ *        Setup & Draw
+ * ============================= */
+function setup(){
+  const mainCanvas = createCanvas(viewportW(), viewportH());
+  if (mainCanvas?.drawingContext){
+    try { mainCanvas.drawingContext.willReadFrequently = true; } catch(e){}
+  }
+  noStroke();
+  world.gravity.y = 0;
+
+  setBodyModeClass();
+
+  // Cache HUD chips once
+  $scoreChip = document.getElementById('scoreChip');
+  $timeChip  = document.getElementById('timeChip');
+
+  // Camera modal buttons
+  const camBtn = document.getElementById('cameraBtn');
+  const closeBtn = document.getElementById('modalClose');
+  if (camBtn) camBtn.onclick = () => { if (isMoodMode()) openCameraModal(); };
+  if (closeBtn) closeBtn.onclick = closeCameraModal;
+  const cameraModal = document.getElementById('cameraModal');
+  if (cameraModal){
+    cameraModal.addEventListener('click', (e) => { if (e.target.id === 'cameraModal') closeCameraModal(); });
+  }
+
+  // Preview checkbox toggles the PREVIEW video
+  (function wirePreviewToggle(){
+    const previewToggle = document.getElementById('showPreview');
+    const vPrev = document.getElementById('webcamPreview');
+    if (previewToggle && vPrev){
+      previewToggle.onchange = () => {
+        if (previewToggle.checked){ vPrev.classList.remove('camHidden'); vPrev.classList.add('preview'); }
+        else { vPrev.classList.add('camHidden'); vPrev.classList.remove('preview'); }
+      };
+    }
+  })();
+
+  // Pointer popping (bulletproof across devices)
+  // const cnv = _renderer?.canvas || document.querySelector('canvas');
+  const cnv = document.querySelector('canvas') || (typeof _renderer !== 'undefined' && _renderer.canvas);
+
+  if (cnv){
+    cnv.style.touchAction = 'none';
+    cnv.addEventListener('pointerdown', (e) => {
+      if (!window.__playerReady) return; // ignore clicks until after login
 
       // ignore clicks on top bar
       const ui = document.getElementById('topBar');
@@ -1534,12 +2020,13 @@ function setup(){
       const rect = cnv.getBoundingClientRect();
       const x = (e.clientX - rect.left) * (width / rect.width);
       const y = (e.clientY - rect.top)  * (height / rect.height);
-      handlePop(x, y);
+      noteCanvasPointer();
+      inputPop(x, y);
     }, { passive: true });
   }
 
   // Defer entity creation until after login (startGame -> restart)
-  score = 0; startTime = millis(); gameOver = false;
+  gameOver = false;
   document.getElementById('center').style.display = 'none';
   
   // Resize safety
@@ -1568,9 +2055,11 @@ function setup(){
   function sealFeedbackIfOpen(){
     const fm = document.getElementById('feedbackModal');
     if (fm && !fm.classList.contains('hidden')) {
-      const ft = document.getElementById('postQ5');
-      const v = (ft && ft.value) ? ft.value.trim() : '';
-      if (v && !window.__feedbackAfter) window.__feedbackAfter = v;
+      // v12.4 — keep whatever was answered (unsaved, so required questions may still be blank)
+      if (__feedbackContext === 'after' && !window.__feedbackAfter){
+        const partial = BubbleSurvey.serializeAnswers(surveyDef, 'after', readSurveyAnswers('after'));
+        if (Object.keys(partial).length > 1) window.__feedbackAfter = JSON.stringify(partial);
+      }
       closeFeedbackModal();
     }
   }
@@ -1584,6 +2073,10 @@ function setup(){
   const pgStats = document.getElementById('postPlayerStatsBtn');
   if (pgStats) pgStats.onclick = () => openStatsModal();
 
+  // Post-game "Feedback" button (after-game survey; shown only when a survey is active)
+  const pgFb = document.getElementById('postFeedbackBtn');
+  if (pgFb) pgFb.onclick = () => openFeedbackModal('after');
+
   // Stats modal close
   const statsClose = document.getElementById('statsCloseBtn');
   if (statsClose) statsClose.onclick = () => {
@@ -1602,6 +2095,7 @@ function setup(){
     sealFeedbackIfOpen();
     submitRunOnce();         // first trigger wins; no double-posts
     closePostGameModal();
+    if (study) { continueStudy(); return; }
     if (window.__playerReady) {
       noLoop();
       showCountdown(() => restart(false));
@@ -1637,17 +2131,22 @@ function setup(){
     }
   })();
 
+  // v12.14 — Mode Picker ♿ Accessibility panel
+  wireA11yModal();
+
+  // v12.12 — Mode Picker "Pop with": touch / mouse, head input (Emotion rounds) or v12.13 keyboard / gamepad
+  const inputSel = document.getElementById('inputMethodSelect');
+  if (inputSel){
+    inputSel.value = inputMethod;
+    inputSel.onchange = () => setInputMethod(inputSel.value);
+  }
+
   // v9.1.2 — mobile typing glue
   const u = document.getElementById('usernameInput') || document.querySelector('input[name="username"]');
   if (u) {
     u.addEventListener('focus', onKbFocus, { passive: true });
     u.addEventListener('blur',  onKbBlur,  { passive: true });
   }
-  const ftxt = document.getElementById('postQ5');
-  if (ftxt) {
-    ftxt.addEventListener('focus', onKbFocus, { passive: true });
-    ftxt.addEventListener('blur',  onKbBlur,  { passive: true });
-  }
   wireViewportGuard();
 
   // Login OK
@@ -1695,10 +2194,20 @@ function setup(){
   // Top-bar Quit (non-timed rounds)
   const quitBtn = document.getElementById('quitBtn');
   if (quitBtn) quitBtn.onclick = () => {
-    if (!window.__playerReady || gameOver) return;
-    endGame();     // finishes the round; post-game modal + submitRunOnce() are handled later
+    if (!window.__playerReady || gameOver || replay || isPaused()) return;
+    session?.end('quit'); // its 'end' event runs endGame(); post-game modal + submitRunOnce() follow
   };
 
+  // v12.17 — Pause button + overlay ([Pause])
+  const pauseBtn = document.getElementById('pauseBtn');
+  if (pauseBtn) pauseBtn.onclick = () => pauseGame();
+  const pauseResume = document.getElementById('pauseResumeBtn');
+  if (pauseResume) pauseResume.onclick = () => resumeGame();
+  const pauseRestart = document.getElementById('pauseRestartBtn');
+  if (pauseRestart) pauseRestart.onclick = () => restartFromPause();
+  const pauseQuit = document.getElementById('pauseQuitBtn');
+  if (pauseQuit) pauseQuit.onclick = () => quitFromPause();
+
   // Post-game "Close" → back to Splash
   const pgClose = document.getElementById('postCloseGame');
   if (pgClose) pgClose.onclick = () => {
@@ -1711,20 +2220,31 @@ function setup(){
 
 function draw(){
   if (window.__splashActive || !window.__playerReady) return; // do nothing until after login
-  fitCanvasToViewport();
+
+  // v11.8 — Simulate first (one frame per draw; the replay viewer steps frames itself), then render
+  if (replay) {
+    replayAdvance();
+  } else {
+    fitCanvasToViewport();
+    if (!gameOver && session && !session.paused){
+      syncSessionInputs(); // record + apply mood/viewport changes before this frame reads them
+      session.step(Math.min(deltaTime, MAX_STEP_MS));
+      stepKeyCursor(Math.min(deltaTime, MAX_STEP_MS));
+    }
+  }
+  const sess = replay ? replay.session : session; // v12.0 — the session being shown
+
+  // v12.9 — frame time drives the face sampling pace while the sampler runs
+  if (moodTimerId && !replay && facePacer.noteFrame(deltaTime, millis())) logFacePace();
 
   // Frame background (never black)
   __applyBG();
 
 
   // Draw a giant, faint emoji when in Mood mode (purely decorative)
-  if (isMoodMode()) {
-    const emo = dominantEmotion();
-    let emojiChar = '';
-    if (emo === 'happy')    emojiChar = '😊';
-    if (emo === 'sad')      emojiChar = '😢';
-    if (emo === 'angry')    emojiChar = '😠';
-    if (emo === 'stressed') emojiChar = '😟';
+  if (isMoodMode() && sess) {
+    const emo = sess.mood.emotion;
+    const emojiChar = EMO_PRESET[emo]?.emoji || ''; // v12.2 — a rules profile may swap these
 
     if (emojiChar) {
       textAlign(CENTER, CENTER);
@@ -1735,19 +2255,10 @@ function draw(){
   }
 
   // --- Timers ---
-  let timeLeft;
-  if (currentMode === 'classic'){
-    if (classicDeadline){
-      timeLeft = Math.max(0, Math.ceil((classicDeadline - Date.now())/1000));
-    } else {
-      timeLeft = null; // relax (endless) variant
-    }
-  } else {
-    const dur = (MODE_DURATION && MODE_DURATION[currentMode]) || GAME_DURATION;
-    timeLeft = Math.max(0, dur - Math.floor((millis() - startTime)/1000));
-  }
+  const timeLeft = sess ? sess.timeLeft() : null;
 
   // --- Top HUD chips ---
+  const score = sess ? sess.score : 0;
   if ($scoreChip && score !== window.__lastScore) {
     $scoreChip.textContent = `Score: ${score}`;
     window.__lastScore = score;
@@ -1773,42 +2284,41 @@ function draw(){
     modeChip.style.display = 'inline-flex';
   }
 
-  let modeSpeedMult = 1.0;
-
   if (currentMode === 'mood'){
     // Show camera + mood chip
     // if (camBtnEl) { refreshCameraBtn(); camBtnEl.style.display = 'inline-flex'; }
+    // (chip text + mood CSS vars follow the session's 'emotion' events: renderMoodChip)
     moodChip?.classList.remove('hiddenChip');
-
-    const emo = dominantEmotion() || 'neutral';
-    const p = EMO_PRESET[emo] || EMO_PRESET.neutral;
-
-    if (moodChip){
-      moodChip.textContent = emo.toUpperCase();
-      moodChip.style.background = p.chip;
-    }
-    // Push mood visuals via CSS vars
-    document.body.style.setProperty('--mood-background-color', p.bg);
-    document.body.style.setProperty('--mood-emoji-url', p.emoji);
-
-    modeSpeedMult = p.speed;
   } else {
     // Non-mood: hide extras
     moodChip?.classList.add('hiddenChip');
     if (camBtnEl) camBtnEl.style.display = 'none';
-    modeSpeedMult = (currentMode === 'classic') ? CLASSIC_SPEED_SCALE : 1.3; // challenge default
   }
 
-  const sTop = safeTopPx();
-  const MINF  = MIN_PLAY_SPEED;
+  // Nothing to draw until the first round starts (time-up / cleared ends come from the session's 'end' event)
+  if (!sess) return;
 
-  // Guard against uninitialized bubbles & surface errors (keep the frame alive)
-  if (!bubbles || typeof bubbles.length !== 'number'){
-    console.warn('[draw] bubbles not initialized yet');
-    return;
+  drawBubbles(sess);
+  drawReticle(sess);
+  drawKeyCursor(sess);
+
+  // HUD timer text (right chip) — only update when it changes
+  if ($timeChip && timeLeft !== window.__lastTimeLeft) {
+    if (timeLeft == null) {
+      $timeChip.textContent = '∞';
+    } else {
+      const mm = Math.floor(timeLeft / 60);
+      const ss = (timeLeft % 60).toString().padStart(2, '0');
+      $timeChip.textContent = `${mm}:${ss}`;
+    }
+    window.__lastTimeLeft = timeLeft;
   }
+  announceRound(sess);
+} // end of draw()
 
-  // --- Draw/animate all bubbles ---
+/** Render every bubble of a session (glossy fill, or the expanding ring while it pops) */
+function drawBubbles(sess){
+  const bubbles = sess.bubbles;
   try {
     for (let i = 0; i < bubbles.length; i++){
       const b = bubbles[i];
@@ -1817,83 +2327,33 @@ function draw(){
       // Skip invisible or dead bubbles early
       if (b.hidden === true) continue;
 
-      // Handle popping animation / removal
+      // Popping animation: simple expand + fade
       if (b._popping === true){
-        // simple expand + fade pop
-        const popAge = millis() - (b._popStart || millis());
-        const d = max(0, (b.radius || 12) * (1 + Math.min(0.9, popAge / 160)));
+        const popAge = (sess.frame - (b._popFrame ?? sess.frame)) * POP_FRAME_MS;
+        const grow = reducedMotion ? 0 : Math.min(0.9, popAge / 160); // v12.15 — still ring in reduced motion
+        const d = max(0, (b.radius || 12) * (1 + grow));
         noFill();
         strokeWeight(2);
         stroke(255, 255, 255, 235 - Math.min(235, popAge * 1.2));
         circle(b.x, b.y, d);
-
-        // cleanup & respawn logic
-        if (popAge > 160){
-          if (b._respawnAfterPop){
-            if (typeof b.remove === 'function') b.remove();
-            spawnBubble();
-            b._respawnAfterPop = false;
-          } else {
-            if (typeof b.remove === 'function') b.remove();
-          }
-          b._popping = false;
-        }
-
         continue; // skip normal drawing for this bubble
       }
 
-      // --- Classic draw quirks & dead-skip ---
-      if (currentMode === 'classic') {
-        // If we already "popped" it in classic, don't draw or move it
-        if (b.alive === false) continue;
-
-        // Force a single tint for normal bubbles, and red for penalties
-        b._tint = (b.kind === 'trick') ? color(...COLOR_RED) : color(...COLOR_TEAL);
-      }
+      // Classic: if we already "popped" it, don't draw it
+      if (sess.mode === 'classic' && b.alive === false) continue;
 
-      // Skip movement in Classic static mode
-      if (currentMode !== 'classic' || !window.__classicStatic) {
-        b.direction += random(-0.35, 0.35);
-        const r = currentRadius(b);
-
-        // Unified speed computation (caps Classic only)
-        const __cap = (typeof CLASSIC_SPEED_CAP !== 'undefined' && currentMode === 'classic') ? CLASSIC_SPEED_CAP : Infinity;
-        b.speed = max(
-          min(
-            b._baseSpeed * (currentMode==='mood' ? constrain(modeSpeedMult, 0.5, 1.6) : modeSpeedMult) * rubberSpeedFactor(),
-            __cap
-          ),
-          MINF
-        );
-
-        // Move
-        b.x += cos(b.direction) * b.speed;
-        b.y += sin(b.direction) * b.speed;
-
-        // Keep inside bounds with a "soft bounce"
-        if (b.y - r <= sTop){ b.y = sTop + r + 0.5;  b.direction = 360 - b.direction; }
-        if (b.y + r >= height){ b.y = height - r - 0.5; b.direction = 360 - b.direction; }
-        if (b.x - r <= 0){ b.x = r + 0.5;  b.direction = 180 - b.direction; }
-        if (b.x + r >= width){ b.x = width - r - 0.5; b.direction = 180 - b.direction; }
-
-        // Unstick if too slow for too long
-        if (b._stuck == null) b._stuck = 0;
-        if (b.speed < 0.15) b._stuck++; else b._stuck = 0;
-        if (b._stuck > 18){
-          b.direction = random(360);
-          b.speed = max(b._baseSpeed * 1.05, MINF + 0.2);
-          if (b.y - r <= sTop + 1)         b.y = sTop + r + 2;
-          else if (b.y + r >= height - 1)  b.y = height - r - 2;
-          if (b.x - r <= 1)                 b.x = r + 2;
-          else if (b.x + r >= width - 1)    b.x = width - r - 2;
-        }
+      // Tint: gold (happy Emotion bonus) → trick penalty → normal, from the v12.14 accessibility
+      // palette (standard: warm amber → red → teal)
+      if (!b._tint || b._tintKey !== a11yPalette){
+        b._tint = color(...bubbleRGBA(b));
+        b._tintKey = a11yPalette;
       }
 
       // Glossy bubble (radial gradient + rim + specular)
       noStroke();
       const ctx   = drawingContext;
-      const rr    = currentRadius(b);
-      const tint  = b._tint || (b.kind === 'trick' ? color(...COLOR_RED) : color(...COLOR_TEAL));
+      const rr    = sess.currentRadius(b);
+      const tint  = b._tint;
       const cx    = b.x, cy = b.y;
 
       // Pull RGBA from p5.Color
@@ -1927,356 +2387,656 @@ function draw(){
       strokeWeight(3);
       circle(cx, cy, rr * 2.2);
 
+      // v12.14 — high contrast: dark edge; glyphs: × trick, ★ gold
+      const pal = BubblePalette.getPalette(a11yPalette);
+      if (pal.outline){
+        stroke(...pal.outline);
+        strokeWeight(3);
+        circle(cx, cy, rr * 2);
+      }
+      const kind = BubblePalette.bubbleKind(b);
+      if (a11yGlyphs && kind !== 'normal'){
+        noStroke();
+        fill(...BubblePalette.glyphInk(pal[kind]));
+        textAlign(CENTER, CENTER);
+        textSize(rr * 1.1);
+        text(BubblePalette.GLYPHS[kind], cx, cy);
+      }
     }
   } catch (err) {
     console.warn('[draw] bubble loop error:', err);
   }
+}
 
-  // End-game trigger
-  if (!gameOver && timeLeft != null && timeLeft <= 0) endGame();
+/* =============================
+ *        Gameplay
+ * ============================= */
+/** Seed from ?seed= (shared boards) or a fresh random seed per round */
+function pickRoundSeed(){
+  try {
+    const q = new URLSearchParams(window.location.search).get('seed');
+    if (q) return q.trim().slice(0, 64);
+  } catch (_) {}
+  return BubbleRng.makeSeed();
+}
 
-  // Classic “relax” refill logic: when all teal popped, auto-refill
-  const anyTealAlive = Array.isArray(bubbles) && bubbles.some(b => b.alive && b.kind !== 'trick');
+// v12.0 — GameSession bodies backed by p5play sprites, so bubble-to-bubble bounces stay as they were
+const spriteBodies = {
+  create(x, y, d){
+    const b = new Sprite(x, y, d);
+    b.shape = 'circle';
+    b.color = color(255,255,255,0);
+    b.diameter = d;
+    b.mass = PI * (d/2) * (d/2);
+    b.rotationLock = true;
+    ensureBubbleGroup().add(b);
+    return b;
+  },
+  remove(b){ if (typeof b.remove === 'function') b.remove(); },
+  // Live rounds: p5play steps the world after draw(). The replay viewer turns autoStep off
+  // and runs several frames per draw, so each session frame steps the world here.
+  step(){ if (world.autoStep === false) world.physicsUpdate(); }
+};
 
-  if (currentMode === 'classic') {
-    if (window.__classicRelax) {
-      if (!anyTealAlive) {
-        window.__relaxRefills = (window.__relaxRefills || 0) + 1;
-        refillClassicBoard();
-      }
-    } else {
-      // Timed variant — end immediately if all greens are gone
-      if (!anyTealAlive && !gameOver) {
-        endGame();
-      }
-      // else timer logic already handles timeout-based ending
-    }
+/** p5play Group every bubble sprite joins (created once) */
+function ensureBubbleGroup(){
+  if (!bubbleGroup){
+    bubbleGroup = new Group();
+    bubbleGroup.collider = 'dynamic';
+    bubbleGroup.bounciness = 1;
+    bubbleGroup.friction = 0;
+    bubbleGroup.drag = 0;
   }
+  return bubbleGroup;
+}
 
-  // HUD timer text (right chip) — only update when it changes
-  if ($timeChip && timeLeft !== window.__lastTimeLeft) {
-    if (timeLeft == null) {
-      $timeChip.textContent = '∞';
-    } else {
-      const mm = Math.floor(timeLeft / 60);
-      const ss = (timeLeft % 60).toString().padStart(2, '0');
-      $timeChip.textContent = `${mm}:${ss}`;
-    }
-    window.__lastTimeLeft = timeLeft;
+/**
+ * New GameSession drawn by this sketch: pops/misses drive flyouts, bursts, SFX and the combo
+ * badge; only the live session (not a replay's) writes the round log or ends the round.
+ * @param {object} opts GameSession options (mode, variant, seed, width, height, top, touch, carry, mood, ...);
+ *   rules / tuning default to the active rules profile
+ */
+function createSession(opts){
+  const s = new GameSession({ rules: rulesProfile.rules, tuning: rulesProfile.tuning, ...opts, bodies: spriteBodies });
+  s.on('pop', onSessionPop);
+  s.on('miss', (_, sess) => {
+    logPopOutcome(sess, null);
+    noteTimelineEvent(sess, 'm');
+    if (sess.mode !== 'classic') showComboBadge(sess);
+  });
+  s.on('emotion', ({ to }) => renderMoodChip(to));
+  s.on('end', (_, sess) => { if (sess === session && !gameOver) endGame(); });
+  return s;
+}
+
+function onSessionPop({ bubble: b, delta, combo, emotion }, sess){
+  logPopOutcome(sess, b);
+  const trick = (b.kind === 'trick');
+  noteTimelineEvent(sess, b.isGold ? 'g' : (trick ? 't' : 'n'));
+
+  // Classic: flyout + burst + SFX only (no combo)
+  if (sess.mode === 'classic'){
+    spawnFlyout(b.x, b.y - b.diameter * 0.6, delta);
+    spawnBurst(b.x, b.y, BubblePalette.hex(bubbleRGBA(b)), emotion);
+    if (!replay?.quiet) try { trick ? maybeBuzz() : maybePop() } catch (_) {}
+    return;
   }
-} // end of draw()
 
-/* =============================
- *        Gameplay
- * ============================= */
-function spawnBubble(){
-  const d = random(MIN_DIAM, MAX_DIAM), r = d / 2, sTop = safeTopPx();
-  let angle = random(TWO_PI);
-  if (abs(sin(angle)) < 0.2) angle += PI/4;
-  const speed = random(MIN_SPEED, MAX_SPEED);
-  const topSafe = safeTopPx() + r + 8;     // 8px buffer below top bar
-  let sx = random(r, width - r);
-  let sy = random(topSafe, height - r);
+  showComboBadge(sess);
+  if (!replay?.quiet) try { trick ? maybeBuzz() : maybePop() } catch (_) {}
+  spawnFlyout(b.x, b.y - b.diameter * 0.6, delta, { combo, gold: b.isGold });
+
+  // burst effect in the bubble's palette color (standard: gold → amber, trick → red, normal → teal)
+  const burstColor = BubblePalette.hex(bubbleRGBA(b));
+  spawnBurst(b.x, b.y, burstColor, emotion);
+}
 
+/** v12.7 — pops / misses + running score for the post-game emotion chart (live Mood rounds only) */
+function noteTimelineEvent(sess, kind){
+  if (sess !== session || !emoTimeline) return;
+  emoTimeline.addEvent({ t: sess.elapsedMs, kind, score: sess.score });
+}
 
-  if (isMoodMode()){
-    const biasX = width * moodState.gaze.x,
-          biasY = constrain(height * moodState.gaze.y, sTop + r, height - r);
-    sx = constrain(lerp(random(r, width - r), biasX, 0.6), r, width - r);
-    sy = constrain(lerp(random(sTop + r, height - r), biasY, 0.6), sTop + r, height - r);
+/** Mood chip text + mood CSS vars (session 'emotion' events and round start) */
+function renderMoodChip(emo = 'neutral'){
+  const moodChip = document.getElementById('moodChip');
+  const p = EMO_PRESET[emo] || EMO_PRESET.neutral;
+  if (moodChip){
+    moodChip.textContent = emo.toUpperCase();
+    moodChip.style.background = p.chip;
   }
+  document.body.style.setProperty('--mood-background-color', p.bg);
+  document.body.style.setProperty('--mood-emoji-url', p.emoji);
+}
 
-  const b = new Sprite(sx, sy, d);
-  b.shape = 'circle';
-  b.color = color(255,255,255,0);
-  b.diameter = d;
+function endGame(){
+  gameOver = true;
+  endPause();       // v12.17 — ended mid-hold: close the overlay before the log takes pausedMs
+  endRoundLog();
+  lastEmoTimeline = emoTimeline; emoTimeline = null;
+  lastFacePace = lastEmoTimeline ? facePacer.telemetry() : null;
+  lastHeadStats = headStats; headStats = null;
+  noteStudyRoundDone(session?.endReason || 'quit'); // v12.3 — study progress (no-op outside a study)
+  refreshQuitBtn(); // hide Quit when round ends
+  session?.end('quit'); // no-op when the session ended the round itself (time / cleared)
+  noLoop();
 
-  // v10.0.5 — Challenge & Mood: trick spawn with a hard cap on red ratio
-  if (currentMode === 'challenge' || currentMode === 'mood'){
-    b.kind = shouldSpawnTrick(currentMode) ? 'trick' : 'normal';
-  } else {
-    b.kind = 'normal';
+  if (isMoodMode()){
+    if (MOOD_STOP_STRATEGY === 'pause') { stopSampler(); }
+    else { stopSampler(); stopWebcam(); }
+    clearTimeout(moodIdleStopTO);
+    moodIdleStopTO = setTimeout(() => { if (gameOver && isMoodMode()) stopWebcam(); }, MOOD_IDLE_STOP_MS);
   }
 
-  const __teal = (typeof COLOR_TEAL !== 'undefined') ? color(...COLOR_TEAL) : color(15,118,110,200);
-  const __red  = (typeof COLOR_RED  !== 'undefined') ? color(...COLOR_RED)  : color(198,40,40,200);
-  b._tint = (b.kind === 'trick') ? __red : __teal;
+  openPostGameModal();
+  // NEW: fill stats + leaderboard (submits run once, then fetches data)
+  window.__postGameHydrate = hydratePostGame(); // the replay viewer waits for this
+}
 
-  // --- Gold Smile Bubble (when happy in Emotion mode) ---
-  b.isGold = false;
-  if (isMoodMode() && dominantEmotion() === 'happy' && b.kind === 'normal') {
-    // ~10% chance while happy; tweak rate as you like
-    if (Math.random() < 0.10) {
-      b.isGold = true;
-      // warm gold tint (Tailwind amber-400-ish)
-      b._tint = color(250, 204, 21, 220);
-    }
-  }
+function restart(fromModeButton){
+  // Do not restart while the mode picker is visible
+  if (window.__modePicking) return;
+
+  // Clear any leftover timer
+  try {
+    if (window.__classicAutoTO){ clearTimeout(window.__classicAutoTO); }
+  } catch(_) {}
+  window.__classicAutoTO = null;
+  endPause();   // v12.17 — the old round's hold (if any) ends with it
+
+  // v12.0 — A fresh GameSession per round: new seed (or the shared ?seed= / today's Daily seed),
+  // combo / miss-streak state carried over from the last round
+  const seed = (currentMode === 'daily') ? startDailyRound() : pickRoundSeed();
+  const carry = session ? session.carry : undefined;
+  const mood = isMoodMode() ? moodInputs() : null;
+  session?.dispose();
+  session = createSession({
+    mode: currentMode,
+    variant: (currentMode === 'classic') ? classicVariant : null,
+    seed, carry,
+    width, height, top: safeTopPx(),
+    touch: IS_TOUCH,
+    mood: mood ? moodFromInputs(mood) : null,
+    tuning: roundTuning(reducedMotion)
+  });
+  beginRoundLog(session, mood);  // before the board is built: the log records its inputs
+  session.start();               // Zen grid, or the mode's starting bubbles
+  resetAnnouncer(session);
+  buildWalls();                  // fresh walls so a replay starts from the same ones
+  if (isMoodMode()) renderMoodChip(session.mood.emotion);
 
-  b.direction = degrees(angle);
-  b.speed = speed;
-  b._baseSpeed = speed;
-  b.mass = PI * r * r;
-  b.rotationLock = true;
-  b._hitScale = 1;
-  b._stuck = 0;
+  // v9.0.1 — feedback + submit guards (per round)
+  window.__feedbackAfter = '';   // only after-feedback is cleared each round
+  window.__runSubmitted  = false;
+  window.__runSaveState  = null;
+
+  gameOver = false;
+  refreshQuitBtn();                         // top-bar Quit reflects the new round (esp. Zen Relax)
+  closePostGameModal();                     // close post-game UI if it was open
 
-  bubbles.add(b);
-  return b;
+  const centerEl = document.getElementById('center');
+  if (centerEl){ centerEl.textContent = ''; centerEl.style.display = 'none'; }
+
+  if (isMoodMode()){ clearTimeout(moodIdleStopTO); startSampler(); }
+  emoTimeline = isMoodMode() ? BubbleTimeline.createTimeline() : null;
+  if (isMoodMode()) facePacer.startRound(millis());
+  startHeadInput();
+  startKeyCursor();
+  loop();
+}
+function windowResized(){
+  if (replay) { fitReplayCanvas(); return; } // the replay keeps the recorded canvas size
+  const w = viewportW(), h = viewportH(); if (width !== w || height !== h) resizeCanvas(w, h); rebuildWallsIfNeeded();
 }
 
-function currentRadius(b){
-  const baseD = (typeof b.diameter === 'number' && isFinite(b.diameter)) ? b.diameter : MIN_DIAM;
-  const angry = isMoodMode() ? Number(moodState.angry || 0) : 0;
-  const d = baseD * (1 + 0.35 * constrain(angry, 0, 1));
-  return max(1, d * 0.5);
+/* =============================
+ *        Pause
+ * ============================= */
+// v12.17 — Any round can be put on hold: the ⏸ top-bar button, Esc / P, or leaving the tab or
+// window (auto-pause). The hold lives in the session (GameSession.pause/resume): it steps and
+// pops nothing while paused, so its round clock (elapsedMs → timeLeft(), durationMs, log ms)
+// leaves the paused time out, and it counts the holds and their wall-clock total (the round
+// log's 'pauses', 'pausedMs'). draw() stops (noLoop) and so does the Mood sampler.
+// #pauseModal offers Resume, Restart (not in a study: its rounds are assigned) and Quit (ends
+// the round like Home, so it is saved).
+let pausedSampler = false;
+
+/** The live round is on hold */
+function isPaused(){
+  return !!(session && session.paused);
 }
 
-// Capture game stat during gameplay
-function handlePop(px, py){
-  if (gameOver || !window.__playerReady || !bubbles) return;
+/** Top-bar buttons (Home sits above the overlay) do nothing while the round is on hold */
+function holdTopBar(held){
+  document.querySelectorAll('#topBar button').forEach(b => {
+    b.disabled = held;
+    b.classList.toggle('is-disabled', held);
+  });
+}
 
-  tapsTotal++;
-  let hit = false;
+/** A round is running and can be paused */
+function canPause(){
+  return !!window.__playerReady && !window.__splashActive && !gameOver && !!session && !session.over
+    && !replay && !countingDown;
+}
 
-  for (let i = bubbles.length - 1; i >= 0; i--){
-    const b = bubbles[i], r = currentRadius(b);
+/** Hold the round; `auto` — the tab or window lost focus */
+function pauseGame(auto = false){
+  if (!canPause() || !session.pause()) return;
+  pausedSampler = !!moodTimerId;
+  stopSampler();
+  heldKeys.clear();
+  noLoop();
+  holdTopBar(true);
+
+  const m = document.getElementById('pauseModal');
+  const msg = document.getElementById('pauseMsg');
+  if (msg) msg.textContent = auto ? 'Paused while you were away.' : 'The clock is stopped.';
+  // v12.17 — a Daily round is marked played when it starts, so a restart would spend the ranked try
+  document.getElementById('pauseRestartBtn')?.classList.toggle('hidden', !!study || currentMode === 'daily');
+  closeAllModalsExcept('pauseModal');
+  m?.classList.remove('hidden');
+  announce('Paused');
+}
 
-    // Classic: skip already-popped bubbles
-    if (currentMode === 'classic' && b.alive === false) continue;
+/**
+ * Clear the pause and close the overlay; the caller decides what runs next. endGame() and
+ * restart() call it too, so a round that ends or is replaced mid-hold leaves nothing held.
+ * @returns {boolean} false when nothing was on hold
+ */
+function endPause(){
+  const held = !!session?.resume();
+  document.getElementById('pauseModal')?.classList.add('hidden');
+  holdTopBar(false);
+  return held;
+}
 
-    // Classic: exact circle; others get a tiny touch pad
-    const pad = (currentMode === 'classic') ? 0 : (IS_TOUCH ? TOUCH_HIT_PAD : 0);
-    const rHit = r + pad;
+function resumeGame(){
+  if (!endPause()) return;
+  if (pausedSampler && isMoodMode()) startSampler();
+  gestureDetector.reset(); // a blink can't span the pause
+  announce('Resumed');
+  loop();                  // the first frame's deltaTime is capped at MAX_STEP_MS
+}
 
-    const dx = px - b.x, dy = py - b.y;
-    if (dx*dx + dy*dy <= rHit*rHit){
-      hit = true;
+/** Drop this round (it is not saved) and count down into a fresh one; not offered in a study or the Daily */
+function restartFromPause(){
+  if (study || currentMode === 'daily' || !endPause()) return;
+  showCountdown(() => restart(false));
+}
 
-      // Classic branch
-      if (currentMode === 'classic'){
-        // Classic: teal +1, red penalty; NO respawn
-        const delta = (b.kind === 'trick') ? -RED_PENALTY : 1;
-        score += delta;
-        if (score < 0) score = 0;
+/** Quit: end the round as Home does (post-game + save) */
+function quitFromPause(){
+  if (!endPause()) return;
+  session?.end('quit'); // its 'end' event runs endGame()
+}
 
-        // stats
-        bubblesPopped++;
-        if (b.kind === 'trick') bubblesPoppedTrick++;
-        else bubblesPoppedGood++;
+/** Esc / P toggles the pause; runs before swallowKeysIfModal so the overlay's buttons don't eat it */
+function onPauseKey(e){
+  if (e.repeat || !(e.key === 'Escape' || e.code === 'KeyP')) return;
+  if (isPaused()){ e.preventDefault(); resumeGame(); return; }
+  if (!canPause() || modalOpen() || (isFormTarget(e.target) && e.key !== 'Escape')) return;
+  e.preventDefault();
+  pauseGame();
+}
 
-        // flyout
-        if (typeof spawnFlyout === 'function') spawnFlyout(b.x, b.y - b.diameter * 0.6, delta);
+window.addEventListener('keydown', onPauseKey, true);
+document.addEventListener('visibilitychange', () => { if (document.hidden) pauseGame(true); });
+window.addEventListener('blur', () => pauseGame(true));
 
-        // burst effect
-        const mood = isMoodMode() ? dominantEmotion() : 'neutral';
-        spawnBurst(b.x, b.y, (b.kind === 'trick') ? '#c62828' : '#0f766e', mood);
-        b._popping = true;
-        b._popStart = millis ? millis() : Date.now();
+/* =============================
+ *        Round log & replay
+ * ============================= */
+// v11.8 — Every round records a compact log: seed, mode/variant, play-area size and
+// an event list indexed by session frame with ms of round clock:
+//   [frame, ms, 'p', x, y]                      pointer pop attempt (canvas px)
+//   [frame, ms, 'm', emo, angry, gazeX, gazeY]  Mood: dominantEmotion() + the moodState values gameplay reads
+//   [frame, ms, 'r', w, h, safeTop]             canvas / top bar resized
+// The viewer re-runs the round in its own GameSession (pointer()/step()) and draws it
+// with the normal renderer. Bubble-to-bubble bounces come from p5play's physics and can
+// drift on another page load, so the viewer compares its score with the recorded one.
+const ROUND_LOG_VERSION = 1;
+const REPLAY_QUIET_STEPS = 4;   // fast-forwards above this many frames per draw skip flyouts/SFX
+
+/** The mood values gameplay reads: [dominantEmotion(), moodState.angry, gaze.x, gaze.y] */
+function moodInputs(){
+  return [dominantEmotion(), Number(moodState.angry || 0), moodState.gaze.x, moodState.gaze.y];
+}
 
-        // play SFX ONLY (no combo/scoring side-effects)
-        try { b.kind==='trick' ? maybeBuzz() : maybePop() } catch (_) {}
+/** [emo, angry, gazeX, gazeY] → the GameSession.setMood() shape */
+function moodFromInputs([emotion, angry, x, y]){
+  return { emotion, angry, gaze: { x, y } };
+}
 
-        // mark dead; draw() will skip it, end condition will handle “all popped”
-        b.alive = false;
-        break;
+/**
+ * Start a new log; restart() calls this after creating the session and before the board is built.
+ * @param {GameSession} sess
+ * @param {Array|null} mood moodInputs() the session started with (Mood mode)
+ */
+function beginRoundLog(sess, mood){
+  roundLog = {
+    v: ROUND_LOG_VERSION,
+    gameVersion: GV,
+    rules: rulesProfile.key,   // v12.2 — the server re-scores with the same profile
+    study: studyRoundTag(),    // v12.3 — { studyId, participantId, condition, blockIndex } or null
+    seed: sess.seed,
+    mode: sess.mode,
+    variant: sess.variant,
+    w: sess.width, h: sess.height, top: sess.top,
+    touch: sess.touch,
+    mood,
+    reducedMotion,             // v12.15 — calmer wander; the replay uses the same
+    // combo / miss-streak state carries over between rounds
+    carry: sess.carry,
+    startedAt: new Date().toISOString(),
+    ev: [],
+    out: []   // v11.9 — what each 'p' popped (logPopOutcome), for server-side re-scoring
+  };
+  roundLog._last = { w: sess.width, h: sess.height, top: sess.top, mood: mood ? mood.join('|') : '' };
+}
 
-      // Challenge - Mood mode
-      } else {
-        // Challenge/Mood: size-based scoring + respawn
-        const diameterNow = r * 2;
-        const sizeBoost = Math.min(3, Math.max(1, (MIN_DIAM / diameterNow) * SCORE_SIZE_MULTIPLIER));
-
-        // Trick penalty:
-        //  - Default (non-happy): tougher min 2 (as before)
-        //  - While HAPPY in Mood: soft penalty = 1
-        let trickPenalty = Math.max(2, SCORE_TRICK_PENALTY);
-        if (currentMode === 'mood' && dominantEmotion() === 'happy') {
-          trickPenalty = 1;  // <- MOD: -1 in happy mood
-        }
+function logRoundEvent(type, ...args){
+  roundLog.ev.push([session.frame, Math.round(session.elapsedMs), type, ...args]);
+}
 
-        let delta = (b.kind === 'trick')
-          ? -trickPenalty
-          : Math.max(1, Math.round(SCORE_BASE * sizeBoost));
+/** Record viewport and mood changes; view = [w, h, safeTop], mood = moodInputs() or null */
+function logRoundState([w, h, top], mood){
+  if (!roundLog) return;
+  const last = roundLog._last;
+  if (w !== last.w || h !== last.h || top !== last.top){
+    Object.assign(last, { w, h, top });
+    logRoundEvent('r', w, h, top);
+  }
+  if (mood){
+    const key = mood.join('|');
+    if (key !== last.mood){ last.mood = key; logRoundEvent('m', ...mood); }
+  }
+}
 
-        // Get current mood score multiplier (defaults to 1.0)
-        let moodScoreMult = 1.0;
-        if (currentMode === 'mood') {
-          const emo = dominantEmotion();
-          if (emo === 'happy') moodScoreMult = 2.0; // 2x score for happy
-          if (emo === 'stressed') moodScoreMult = 1.5; // 1.5x score as a bonus for playing while stressed
-        }
-        
-        // Gold Smile: per-pop double (on top of mood/combo/mode)
-        if (b.isGold && delta > 0) {
-          delta *= 2;
-        }
+/**
+ * Hand the live session this moment's viewport + mood (logged first, so a replay applies
+ * the same values); runs before each frame and before each pop.
+ */
+function syncSessionInputs(){
+  const view = [width, height, safeTopPx()];
+  const mood = isMoodMode() ? moodInputs() : null; // read once: dominantEmotion() is stateful
+  logRoundState(view, mood);
+  session.setViewport(...view);
+  if (mood) session.setMood(moodFromInputs(mood));
+}
 
-        // Apply multipliers (combo → mood → mode) only to positive scores
-        if (delta > 0) {
-          const modeMult = MODE_SCORE_MULT[currentMode] || 1.0;
-          delta = Math.round(delta * getComboMultiplier() * moodScoreMult * modeMult);
-        }
-        score += delta;
+/**
+ * Player pops go through here so they're recorded (replays call session.pointer directly).
+ * Taps, head input (v12.12) and the keyboard / gamepad cursor (v12.13) alike; returns the popped
+ * bubble, null for a miss.
+ */
+function inputPop(x, y){
+  if (replay || gameOver || isPaused() || !session || !window.__playerReady) return null; // the viewer owns the canvas while it's open
+  // round to 0.01px so the live hit test sees exactly what the log stores
+  x = Math.round(x * 100) / 100;
+  y = Math.round(y * 100) / 100;
+  syncSessionInputs();
+  if (roundLog) logRoundEvent('p', x, y);
+  return session.pointer(x, y);
+}
+
+/** One entry per recorded 'p': -1 for a miss, [spawn index, 'n'|'t'|'g'] for a hit */
+function logPopOutcome(sess, b){
+  if (!roundLog || sess !== session) return; // replay sessions don't record
+  roundLog.out.push(b ? [b._spawnIdx, b.isGold ? 'g' : (b.kind === 'trick' ? 't' : 'n')] : -1);
+}
+
+/** Close the log at endGame() and keep it as lastRoundLog */
+function endRoundLog(){
+  if (!roundLog) return;
+  const { _last, ...log } = roundLog;
+  lastRoundLog = {
+    ...log, frames: session.frame, durationMs: Math.round(session.elapsedMs), score: session.score,
+    pauses: session.pauses, pausedMs: session.pausedMs   // v12.17 — holds (GameSession.pause) and their wall-clock total
+  };
+  roundLog = null;
+}
+
+/** Validate a log loaded from a file */
+function parseRoundLog(text){
+  const log = JSON.parse(text);
+  const ok = log && log.v === ROUND_LOG_VERSION && log.seed && MODE_LABEL[log.mode] &&
+    Array.isArray(log.ev) && Number.isFinite(log.frames) && log.w > 0 && log.h > 0;
+  if (!ok) throw new Error('not a round log');
+  return log;
+}
 
-        onHit();
-        noteHit(); 
-        if (score < 0) score = 0;
+function downloadRoundLog(log){
+  if (!log) return;
+  const url = URL.createObjectURL(new Blob([JSON.stringify(log)], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `bubble-round-${log.mode}-${log.seed}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// --- Viewer ---
+/**
+ * Open the viewer on a round log (defaults to the last round), paused at the start.
+ * Waits for the post-game hydrate first: it reads score/stats after its fetches.
+ */
+async function openReplay(log = lastRoundLog){
+  if (!log || replay) return;
+  try { await window.__postGameHydrate; } catch (_) {}
+
+  // v12.0 — the replay runs in its own GameSession; the finished live one stays as it was
+  replay = { log, saved: { currentMode, classicVariant }, session: null, playing: false, speed: 1, acc: 0, seekTo: null, quiet: false, cursor: 0, top: log.top };
+  closePostGameModal();
+  session?.dispose();     // the finished round's sprites would collide with the replay's
+  world.autoStep = false; // the viewer steps physics itself (so pause really freezes)
+  document.getElementById('replayBar')?.classList.remove('hidden');
+  document.body.classList.add('replaying');
+  replayReset();
+  loop();
+}
+
+/** Swap in another log without closing the viewer */
+function loadReplay(log){
+  if (!replay) return openReplay(log);
+  replay.log = log;
+  replay.playing = false;
+  replayReset();
+}
+
+function closeReplay(){
+  if (!replay) return;
+  replay.session?.dispose();
+  ({ currentMode, classicVariant } = replay.saved);
+  replay = null;
+  setBodyModeClass();
+  world.autoStep = true;
+  document.getElementById('replayBar')?.classList.add('hidden');
+  document.body.classList.remove('replaying');
+
+  fitCanvasToViewport();
+  fitReplayCanvas();
+  buildWalls();
+  const score = session ? session.score : 0;
+  if ($scoreChip) $scoreChip.textContent = `Score: ${score}`;
+  window.__lastScore = score;
+  if (isMoodMode() && session) renderMoodChip(session.mood.emotion);
+  noLoop();
+  // back to the post-game modal as it was (no re-fetch)
+  document.getElementById('postGameModal')?.classList.remove('hidden');
+}
 
-        // --- choose SFX based on bubble kind (non-Classic) ---
-        if (b.kind === 'trick') { 
-          maybeBuzz(); 
-        } else { 
-          maybePop(); 
-        }
+/** Rebuild the round's starting state from the log (same steps as restart()) */
+function replayReset(){
+  const log = replay.log;
+  currentMode = log.mode;
+  classicVariant = log.variant || null;
+  setBodyModeClass();
 
-        // stats
-        bubblesPopped++;
-        if (b.kind === 'trick') bubblesPoppedTrick++;
-        else bubblesPoppedGood++;
-
-        // animation for pop bubbles
-        spawnFlyout(b.x, b.y - b.diameter * 0.6, delta, { combo: ((currentMode === 'challenge' || currentMode === 'mood') && getComboMultiplier() > 1.0), gold: b.isGold });
-
-        // burst effect (gold → amber, trick → red, normal → teal)
-        const mood = isMoodMode() ? dominantEmotion() : 'neutral';
-        const burstColor = b.isGold ? '#facc15' : ((b.kind === 'trick') ? '#c62828' : '#0f766e');
-        spawnBurst(b.x, b.y, burstColor, mood);
-        
-        // remove & respawn
-        b._popping = true;
-        b._popStart = millis ? millis() : Date.now();
-        b._respawnAfterPop = true; // mark to respawn after animation
-        break;
-      }
-    }
-  }
+  if (width !== log.w || height !== log.h) resizeCanvas(log.w, log.h);
+  fitReplayCanvas();
+  replay.top = log.top;
+  replay.cursor = 0;
+  replay.acc = 0;
+
+  replay.session?.dispose();
+  replay.session = createSession({
+    mode: log.mode,
+    variant: log.variant || null,
+    seed: log.seed,
+    carry: log.carry,
+    width: log.w, height: log.h, top: log.top,
+    touch: !!log.touch,                       // replays use the recorded device's pad
+    mood: moodFromInputs(log.mood || ['neutral', 0, 0.5, 0.5]),
+    tuning: roundTuning(!!log.reducedMotion),
+    endOnTimeout: false                       // the viewer stops at the log's last frame
+  });
+  replay.session.start();
+  buildWalls();
+  if (isMoodMode()) renderMoodChip(replay.session.mood.emotion);
+  showComboBadge(replay.session);
+}
 
-  if (!hit) {
-    tapsMissed++;
-    if (currentMode !== 'classic'){
-      onMiss();
-      noteMiss();
+/** Apply every logged event up to the current frame, in recorded order */
+function replayApplyEvents(){
+  const ev = replay.log.ev, sess = replay.session;
+  while (replay.cursor < ev.length && ev[replay.cursor][0] <= sess.frame){
+    const [, , type, a, b, c, d] = ev[replay.cursor++];
+    if (type === 'p') sess.pointer(a, b);
+    else if (type === 'm') sess.setMood(moodFromInputs([a, b, c, d]));
+    else if (type === 'r'){
+      if (width !== a || height !== b) resizeCanvas(a, b);
+      replay.top = c;
+      sess.setViewport(a, b, c);
+      rebuildWallsIfNeeded();
+      fitReplayCanvas();
     }
   }
 }
 
-function endGame(){
-  gameOver = true;
-  refreshQuitBtn(); // hide Quit when round ends
+/** The replay reached the log's last frame (or the round ended itself, e.g. a cleared Zen board) */
+function replayDone(){
+  return replay.session.frame >= replay.log.frames || replay.session.over;
+}
 
-  if (currentMode === 'classic' && Array.isArray(bubbles)) {
-    for (const b of bubbles) b.alive = false; // hide leftovers (e.g., reds)
+/** draw() hook: run as many frames as play speed / a pending seek asks for */
+function replayAdvance(){
+  const total = replay.log.frames;
+  let sess = replay.session;
+  let target = sess.frame;
+  if (replay.seekTo != null){
+    target = replay.seekTo;
+    replay.seekTo = null;
+    if (target < sess.frame) { replayReset(); sess = replay.session; } // rewinding = re-run from frame 0
+  } else if (replay.playing){
+    replay.acc += replay.speed;
+    target = sess.frame + Math.floor(replay.acc);
+    replay.acc -= Math.floor(replay.acc);
   }
-  noLoop();
-
-  if (isMoodMode()){
-    if (MOOD_STOP_STRATEGY === 'pause') { stopSampler(); }
-    else { stopSampler(); stopWebcam(); }
-    clearTimeout(moodIdleStopTO);
-    moodIdleStopTO = setTimeout(() => { if (gameOver && isMoodMode()) stopWebcam(); }, MOOD_IDLE_STOP_MS);
+  target = Math.max(0, Math.min(target, total));
+
+  // Frames run on the recorded clock; the sprite bodies step physics once per frame
+  const dt = replay.log.durationMs / Math.max(1, total);
+  replay.quiet = (target - sess.frame) > REPLAY_QUIET_STEPS;
+  while (sess.frame < target && !sess.over){
+    replayApplyEvents();
+    sess.step(dt);
   }
+  replay.quiet = false;
 
-  openPostGameModal();
-  // NEW: fill stats + leaderboard (submits run once, then fetches data)
-  hydratePostGame();
+  if (replayDone()){
+    replayApplyEvents(); // pops after the last frame (e.g. right before Quit)
+    replay.playing = false;
+  }
+  renderReplayBar();
 }
 
-function restart(fromModeButton){
-  // Do not restart while the mode picker is visible
-  if (window.__modePicking) return;
+/** Shrink the canvas element (not its drawing size) when the log is bigger than this screen */
+function fitReplayCanvas(){
+  const cnv = document.querySelector('canvas');
+  if (!cnv) return;
+  const k = replay ? Math.min(1, viewportW() / width, viewportH() / height) : 1;
+  cnv.style.width  = `${width * k}px`;
+  cnv.style.height = `${height * k}px`;
+}
 
-  // Clear any leftover timer
-  try {
-    if (window.__classicAutoTO){ clearTimeout(window.__classicAutoTO); }
-  } catch(_) {}
-  window.__classicAutoTO = null;
+function fmtClock(ms){
+  const s = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
 
-  // === Classic: keep static grid ===
-  if (currentMode === 'classic' && window.__classicStatic){
-    // clear any p5play group without touching classic array objects
-    if (bubbles && bubbles.length && typeof bubbles[0]?.remove === 'function'){
-      for (let i = bubbles.length - 1; i >= 0; i--) bubbles[i].remove();
-    }
-    // rebuild static board and walls as needed
-    buildClassicBoard();
-    if (!walls || walls.length < 4) buildWalls();
-
-    // reset timer for the chosen variant (Timed → 60s; Relax → ∞)
-    classicDeadline = (classicVariant === 'timed')
-      ? (Date.now() + CLASSIC_TIME_MS)
-      : 0; // relax
-
-    // Make sure top-bar Quit reflects the new round state (esp. Relax/Zen)
-    gameOver = false;
-    refreshQuitBtn();
-
-    // reset per-round stats (same as your existing code)
-    tapsTotal = 0; tapsMissed = 0;
-    bubblesPopped = 0; bubblesPoppedGood = 0; bubblesPoppedTrick = 0;
-    window.__feedbackAfter = '';
-    
-    window.__runSubmitted = false;
-    score = 0; startTime = millis(); gameOver = false;
-    closePostGameModal();
-    if (isMoodMode()){ clearTimeout(moodIdleStopTO); startSampler(); }
-    loop();
-    return; // <— IMPORTANT: stop here for Classic
+function renderReplayBar(){
+  const log = replay.log;
+  const scrub = document.getElementById('replayScrub');
+  if (scrub){
+    if (Number(scrub.max) !== log.frames) scrub.max = String(log.frames);
+    if (document.activeElement !== scrub) scrub.value = String(replay.session.frame);
+  }
+  const t = document.getElementById('replayTime');
+  if (t) t.textContent = `${fmtClock(replay.session.elapsedMs)} / ${fmtClock(log.durationMs)}`;
+  const play = document.getElementById('replayPlayBtn');
+  if (play){
+    play.textContent = replay.playing ? '⏸' : '▶';
+    play.setAttribute('aria-label', replay.playing ? 'Pause' : 'Play');
   }
 
-  // Reset classic flag when leaving Classic
-  window.__classicStatic = false;
-
-  // Non-Classic Restart logic
-  if (!bubbles) {
-    bubbles = new Group();
-    bubbles.collider = 'dynamic';
-    bubbles.bounciness = 1;
-    bubbles.friction = 0;
-    bubbles.drag = 0;
+  const status = document.getElementById('replayStatus');
+  if (!status) return;
+  let msg = `${MODE_LABEL[log.mode] || log.mode} • seed ${log.seed}`;
+  const score = replay.session.score;
+  if (replayDone()){
+    msg = (score === log.score)
+      ? `Replayed score ${score} matches the recorded ${log.score}`
+      : `Replayed score ${score} differs from the recorded ${log.score}`;
+    status.classList.toggle('replayMismatch', score !== log.score);
   } else {
-    // If bubbles was a Classic array, rebuild as Group first
-    if (!bubbles || typeof bubbles[0]?.remove !== 'function') {
-      bubbles = new Group();
-      bubbles.collider = 'dynamic';
-      bubbles.bounciness = 1;
-      bubbles.friction = 0;
-      bubbles.drag = 0;
-    } else {
-      for (let i = bubbles.length - 1; i >= 0; i--) {
-        bubbles[i].remove();
-      }
-    }
+    status.classList.remove('replayMismatch');
   }
-  const N0 = startBubblesForMode();
-  for (let i = 0; i < N0; i++) spawnBubble();
-  if (!walls || walls.length < 4) buildWalls();
-
-  // reset per-round stats
-  tapsTotal = 0;
-  tapsMissed = 0;
-  bubblesPopped = 0;
-  bubblesPoppedGood = 0;
-  bubblesPoppedTrick = 0;
-  // v9.0.1 — feedback + submit guards (per round)
-  window.__feedbackAfter = '';   // only after-feedback is cleared each round
-
-
-  window.__runSubmitted  = false;
+  // v12.2 — the viewer plays by this page's rules profile; a log from another one may not match
+  const logRules = log.rules || BubbleProfile.DEFAULT_PROFILE.key;
+  if (logRules !== rulesProfile.key) msg += ` • recorded with rules ${logRules}, replaying with ${rulesProfile.key}`;
+  if (status.textContent !== msg) status.textContent = msg;
+}
 
-  score = 0;
-  startTime = millis();
-  gameOver = false;
+function wireReplayBar(){
+  const postBtn = document.getElementById('postReplayBtn');
+  if (postBtn) postBtn.onclick = () => openReplay();
 
-  closePostGameModal();                     // close post-game UI if it was open
+  const play = document.getElementById('replayPlayBtn');
+  if (play) play.onclick = () => {
+    if (!replay) return;
+    if (replayDone()) replay.seekTo = 0; // replay from the top
+    replay.playing = !replay.playing;
+  };
 
-  const centerEl = document.getElementById('center');
-  if (centerEl){ centerEl.textContent = ''; centerEl.style.display = 'none'; }
+  const scrub = document.getElementById('replayScrub');
+  if (scrub) scrub.oninput = () => { if (replay) replay.seekTo = Number(scrub.value) || 0; };
+
+  const speed = document.getElementById('replaySpeed');
+  if (speed) speed.onchange = () => { if (replay) replay.speed = Number(speed.value) || 1; };
+
+  const save = document.getElementById('replaySaveBtn');
+  if (save) save.onclick = () => downloadRoundLog(replay?.log);
+
+  const load = document.getElementById('replayLoadInput');
+  if (load) load.onchange = async () => {
+    const file = load.files?.[0];
+    load.value = '';
+    if (!file) return;
+    try { loadReplay(parseRoundLog(await file.text())); }
+    catch (e) {
+      console.warn('[replay] load failed:', e);
+      const status = document.getElementById('replayStatus');
+      if (status) status.textContent = 'That file is not a round log.';
+    }
+  };
 
-  if (isMoodMode()){ clearTimeout(moodIdleStopTO); startSampler(); }
-  loop();
+  const close = document.getElementById('replayCloseBtn');
+  if (close) close.onclick = closeReplay;
 }
-function windowResized(){ const w = viewportW(), h = viewportH(); if (width !== w || height !== h) resizeCanvas(w, h); rebuildWallsIfNeeded(); }
+document.addEventListener('DOMContentLoaded', wireReplayBar);
 
 // --- Lazy load & prefetch helpers for face-api.js ---------------------------
 const FACE_API_URL = 'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/dist/face-api.min.js';
@@ -2325,6 +3085,7 @@ async function loadFaceApiModels(){
   try {
     await Promise.all([
       faceapi.nets.tinyFaceDetector.isLoaded  || faceapi.nets.tinyFaceDetector.loadFromUri('./models'),
+      faceapi.nets.faceLandmark68Net.isLoaded || faceapi.nets.faceLandmark68Net.loadFromUri('./models'),
       faceapi.nets.faceExpressionNet.isLoaded || faceapi.nets.faceExpressionNet.loadFromUri('./models')
     ]);
     modelsReady = true; console.log('[mood] models loaded'); return true;
@@ -2345,7 +3106,7 @@ async function startWebcam(isRestart = false){
 
   // Stop existing media + sampler if restarting or switching devices
   try {
-    if (isRestart && moodTimerId){ clearInterval(moodTimerId); moodTimerId = null; }
+    if (isRestart) stopSampler();
     if (currentStream?.getTracks) currentStream.getTracks().forEach(t => t.stop());
   } catch (e) { console.warn('[mood] error stopping previous stream:', e); }
 
@@ -2407,21 +3168,29 @@ function stopWebcam(){
   const vp = document.getElementById('webcamPreview'); if (vp) vp.srcObject = null;
 }
 
-/** Start the sampling loop (Mood-only) */
+/**
+ * Start the sampling loop (Mood-only). v12.9 — a timeout chain instead of setInterval: the next
+ * sample is scheduled once the last detection has finished, at the pacer's current interval.
+ */
 function startSampler(){
   if (moodTimerId) return;
-  moodTimerId = setInterval(() => {
-    if (!isMoodMode() || document.hidden) return;
-    const v = document.getElementById('webcam');
-    if (v && v.readyState >= 2 && modelsReady) sampleMood();
-  }, MOOD_SAMPLE_MS);
-  console.log('[mood] sampler started @' + MOOD_SAMPLE_MS);
+  const gen = ++samplerGen;
+  const tick = async () => {
+    if (isMoodMode() && !document.hidden){
+      const v = document.getElementById('webcam');
+      if (v && v.readyState >= 2 && modelsReady) await sampleMood();
+    }
+    if (gen === samplerGen) moodTimerId = setTimeout(tick, samplerIntervalMs());
+  };
+  moodTimerId = setTimeout(tick, samplerIntervalMs());
+  console.log(`[mood] sampler started @${samplerIntervalMs()} (${faceWorker ? 'worker' : 'main thread'})`);
 }
 
 /** Stop the sampling loop */
 function stopSampler(){
   if (!moodTimerId) return;
-  clearInterval(moodTimerId); moodTimerId = null;
+  samplerGen++;
+  clearTimeout(moodTimerId); moodTimerId = null;
   console.log('[mood] sampler stopped');
 }
 
@@ -2447,40 +3216,182 @@ async function listCameras(){
 /** Restart webcam after camera selection change */
 function restartWebcam(){ startWebcam(true); }
 
+// v12.9 — Face detection off the main thread. Frames go to face-worker.js as transferred
+// ImageBitmaps; the worker answers with plain boxes + expressions and the grab timestamp.
+// Browsers without Worker / OffscreenCanvas / createImageBitmap (or a worker that fails to
+// load face-api) detect on the main thread as before; ?faceWorker=0 forces that.
+const FACE_WORKER_URL = 'face-worker.js';
+const FACE_WORKER_INIT_MS = 20000;   // face-api + models inside the worker
+const FACE_DETECT_TIMEOUT_MS = 5000; // a result slower than this → the worker is given up
+const FACE_STALE_MS = 3000;          // results for frames older than this are dropped
+const FACE_SCORE_THRESHOLD = 0.08;
+let faceWorker = null;       // Worker once it reported ready
+let faceWorkerTried = false;
+let faceDetectSeq = 0;
+const faceDetectWaiting = new Map(); // id -> resolve
+
+/** Resolves true once face-worker.js has its models loaded (false: detect on the main thread) */
+function startFaceWorker(){
+  if (faceWorkerTried) return Promise.resolve(!!faceWorker);
+  faceWorkerTried = true;
+  const off = new URLSearchParams(window.location.search).get('faceWorker') === '0';
+  if (off || typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap !== 'function'){
+    return Promise.resolve(false);
+  }
+  return new Promise((resolve) => {
+    let w;
+    try { w = new Worker(FACE_WORKER_URL); }
+    catch (e) { console.warn('[mood] face worker unavailable:', e); resolve(false); return; }
+    const fail = (why) => {
+      console.warn('[mood] face worker failed, detecting on the main thread:', why);
+      clearTimeout(timer);
+      w.terminate();
+      resolve(false);
+    };
+    const timer = setTimeout(() => fail('init timed out'), FACE_WORKER_INIT_MS);
+    w.onerror = (e) => fail(e.message || 'worker error');
+    w.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.type === 'error') fail(msg.message);
+      if (msg.type !== 'ready') return;
+      clearTimeout(timer);
+      console.log(`[mood] face worker ready (${msg.backend || 'unknown'} backend)`);
+      faceWorker = w;
+      w.onerror = (err) => dropFaceWorker(err.message || 'worker error');
+      w.onmessage = onFaceWorkerMessage;
+      resolve(true);
+    };
+    w.postMessage({ type: 'init', faceApiUrl: FACE_API_URL, modelsUrl: new URL('./models', window.location.href).href });
+  });
+}
+
+function onFaceWorkerMessage(e){
+  const msg = e.data || {};
+  if (msg.type !== 'result') return;
+  const resolve = faceDetectWaiting.get(msg.id);
+  if (resolve){ faceDetectWaiting.delete(msg.id); resolve(msg); }
+}
+
+/** Give up on the worker (crash / hang) and carry on with main-thread detection */
+function dropFaceWorker(why){
+  if (!faceWorker) return;
+  console.warn('[mood] face worker dropped, detecting on the main thread:', why);
+  faceWorker.terminate();
+  faceWorker = null;
+  facePacer.setOffThread(false);
+  for (const resolve of faceDetectWaiting.values()) resolve(null);
+  faceDetectWaiting.clear();
+  modelsReady = false; // until the main-thread models are in
+  ensureFaceApiLib().then(loadFaceApiModels).catch(e => console.warn('[mood] face-api load error:', e));
+}
+
+/** Worker first, then face-api on the main thread; modelsReady once either can detect */
+async function loadFaceDetector(){
+  const inWorker = await startFaceWorker();
+  // v12.10 — first Mood round of the page: start the pacer at this device's level
+  if (!facePacer.device) facePacer = BubbleSampling.createPacer({ device: window.__deviceType || detectDeviceType() });
+  facePacer.setOffThread(inWorker);
+  if (inWorker){ modelsReady = true; return true; }
+  await ensureFaceApiLib();
+  return loadFaceApiModels();
+}
+
+function logFacePace(){
+  const f = facePacer.frameMs, l = facePacer.latencyMs;
+  console.log(`[mood] sampling pace → inputSize ${facePacer.inputSize} every ${facePacer.intervalMs} ms` +
+    ` (frame ${f == null ? '–' : f.toFixed(1)} ms, detection ${l == null ? '–' : Math.round(l)} ms)`);
+}
+
 /**
- * Run one face-api sample: detect faces/expressions, update moodState, draw overlay.
- * Hard-gated to Mood mode.
+ * Faces in the current video frame as plain { box: {x, y, width, height}, landmarks: [[x, y] × 68],
+ * expressions } objects.
+ * @param {HTMLVideoElement} v
+ * @returns {Promise<object[]|null>} null when there is no usable result for this sample
  */
-async function sampleMood(){
-  if (!isMoodMode()) return;
-  const v = document.getElementById('webcam');
-  if (!v || v.readyState < 2) return;
-  if (!modelsReady) return;
+async function detectFaces(v){
+  const inputSize = facePacer.inputSize;
+  if (faceWorker){
+    let frame;
+    try { frame = await createImageBitmap(v); }
+    catch (e) { console.warn('[mood] frame grab error:', e); return null; }
+    const id = ++faceDetectSeq, t = performance.now();
+    const msg = await new Promise((resolve) => {
+      faceDetectWaiting.set(id, resolve);
+      setTimeout(() => { if (faceDetectWaiting.has(id)) dropFaceWorker('detection timed out'); }, FACE_DETECT_TIMEOUT_MS);
+      faceWorker.postMessage({ type: 'detect', id, t, frame, inputSize, scoreThreshold: FACE_SCORE_THRESHOLD }, [frame]);
+    });
+    if (!msg) return null;
+    if (facePacer.noteDetection(msg.ms, millis())) logFacePace();
+    if (msg.error){ console.warn('[mood] tinyFace error (worker):', msg.error); return []; }
+    if (performance.now() - msg.t > FACE_STALE_MS) return null;
+    return msg.faces;
+  }
 
-  let detections = [];
+  if (typeof faceapi === 'undefined') return null;
   try {
     const vw = v.videoWidth  || 640;
     const vh = v.videoHeight || 480;
     const det = ensureDetectorCanvas(vw, vh);
     // draw the current video frame onto our own canvas
     if (dctx){ dctx.drawImage(v, 0, 0, vw, vh); }
-    const tinyOpts = new faceapi.TinyFaceDetectorOptions({ inputSize: 512, scoreThreshold: 0.08 });
-    detections = await faceapi.detectAllFaces(det, tinyOpts).withFaceExpressions();
-  } catch (e) { console.warn('[mood] tinyFace error:', e); }
+    const tinyOpts = new faceapi.TinyFaceDetectorOptions({ inputSize, scoreThreshold: FACE_SCORE_THRESHOLD });
+    const start = performance.now();
+    const detections = await faceapi.detectAllFaces(det, tinyOpts).withFaceLandmarks().withFaceExpressions();
+    if (facePacer.noteDetection(performance.now() - start, millis())) logFacePace();
+    return detections.map(d => ({
+      box: d.detection.box,
+      landmarks: d.landmarks ? d.landmarks.positions.map(p => [p.x, p.y]) : null,
+      expressions: d.expressions
+    }));
+  } catch (e) {
+    console.warn('[mood] tinyFace error:', e);
+    return [];
+  }
+}
+
+/**
+ * Run one face-api sample: detect faces/expressions, update moodState, draw overlay.
+ * Hard-gated to Mood mode. v12.12 — with head input on, every sample feeds the reticle and
+ * gestures; only one per facePacer.intervalMs also updates moodState.
+ */
+async function sampleMood(){
+  if (!isMoodMode()) return;
+  const v = document.getElementById('webcam');
+  if (!v || v.readyState < 2) return;
+  if (!modelsReady) return;
+
+  const detections = await detectFaces(v);
+  if (detections === null) return; // no usable result this time (stale, or the worker went away)
 
-  if (!detections || !detections.length){
+  // Largest face first: its head pose drives the gaze, the head input and the overlay box
+  detections.sort((a,b)=> (b.box.width * b.box.height - a.box.width * a.box.height));
+  noteHeadSample(detections[0] || null);
+  if (!moodSampleDue()) return; // v12.12 — a head-input-only sample
+
+  if (!detections.length){
     // Decay toward neutral if no face
     moodState.happy = ema(moodState.happy, 0, 0.3);
     moodState.sad   = ema(moodState.sad,   0, 0.3);
     moodState.angry = ema(moodState.angry, 0, 0.3);
     moodState.stressed = ema(moodState.stressed, 0, 0.3);
     moodState.neutral = ema(moodState.neutral, 1, 0.3);
+    moodState.head = null;
+    moodState.gaze = gazeTracker.update(null);
     if (overlay && octx) octx.clearRect(0,0,overlay.width,overlay.height);
+    recordMoodSample(null, 0, null);
     return;
   }
 
   const facesWithExpr = detections.filter(d => d && d.expressions);
-  if (!facesWithExpr.length){ if (overlay && octx) octx.clearRect(0,0,overlay.width,overlay.height); return; }
+  if (!facesWithExpr.length){
+    moodState.head = null;
+    moodState.gaze = gazeTracker.update(null);
+    if (overlay && octx) octx.clearRect(0,0,overlay.width,overlay.height);
+    recordMoodSample(null, detections.length, null);
+    return;
+  }
+  moodState.head = BubbleGaze.headPose(facesWithExpr[0].landmarks);
+  moodState.gaze = gazeTracker.update(moodState.head);
 
   // Average expressions across faces
   const acc = { happy:0, sad:0, angry:0, neutral:0, disgusted:0, fearful:0, surprised:0 };
@@ -2500,8 +3411,9 @@ async function sampleMood(){
   // STRESSED: blend fearful + disgusted + surprised
   const stressedRaw = 0.6 * acc.fearful + 0.3 * acc.disgusted + 0.1 * acc.surprised;
   moodState.stressed = ema(moodState.stressed, stressedRaw, 0.75);
+  noteCalibrationSample();
 
-  if (troubleshootMode) console.log('emo raw:', acc);
+  if (troubleshootMode) console.log('emo raw:', acc, 'head:', moodState.head, 'gaze:', moodState.gaze);
 
   // Draw overlay box on preview if visible
   const vPrev = document.getElementById('webcamPreview');
@@ -2509,9 +3421,7 @@ async function sampleMood(){
     try {
       ensureOverlay();
       octx.clearRect(0,0,overlay.width,overlay.height);
-      // Choose largest face for box
-      facesWithExpr.sort((a,b)=> (b.detection.box.area - a.detection.box.area));
-      const box = facesWithExpr[0].detection.box;
+      const box = facesWithExpr[0].box; // largest face (sorted above)
       octx.save();
       octx.translate(overlay.width, 0); octx.scale(-1, 1); // mirror
       octx.strokeStyle = 'lime'; octx.lineWidth = 4;
@@ -2523,65 +3433,573 @@ async function sampleMood(){
   // Count one “tick” toward the dominant emotion each sample
   const emo = dominantEmotion();
   if (emo && emoCounts.hasOwnProperty(emo)) emoCounts[emo]++;
+  recordMoodSample(acc, n, emo);
+}
+
+/**
+ * v12.6 — Append one sample to the round's emotion timeline (live rounds only; the
+ * detection is async, so the round may have ended while it ran).
+ * @param {object|null} raw  face-api expression averages, null without a face
+ * @param {number} faces
+ * @param {string|null} emo  dominantEmotion() output, null when it wasn't evaluated
+ */
+function recordMoodSample(raw, faces, emo){
+  if (!emoTimeline || gameOver || replay || !session) return;
+  emoTimeline.add({ t: session.elapsedMs, mood: moodState, raw, faces, emotion: emo, speed: session.speedFactor() });
 }
 
 /**
- * Decide dominant emotion based on smoothed moodState with hysteresis/cooldown.
+ * Decide dominant emotion based on smoothed moodState (with this device's calibration
+ * offsets, if any) with hysteresis/cooldown.
  * @returns {'happy'|'sad'|'angry'|'stressed'|'neutral'}
  */
 function dominantEmotion(){
-  const h = Number(moodState.happy||0),
-        s = Number(moodState.sad||0),
-        a = Number(moodState.angry||0),
-        t = Number(moodState.stressed||0);
-  const nRaw = (moodState.neutral != null) ? Number(moodState.neutral) : 0;
-  const n = nRaw > 0 ? nRaw : Math.max(0, 1 - (h + s + a + t));
-
-  const sum = h + s + a + t + n + 1e-6;
-  const shares = [
-    {k:'happy',v:h/sum},{k:'sad',v:s/sum},{k:'angry',v:a/sum},{k:'stressed',v:t/sum},{k:'neutral',v:n/sum}
-  ].sort((x,y)=>y.v-x.v);
-
+  if (replay) return replay.session.mood.emotion; // replays follow the logged mood changes
   const now = (typeof millis === 'function') ? millis() : Date.now();
-  const inCooldown = (now - lastSwitchMs) < EMO_CFG.COOLDOWN_MS;
-  const neutralShare = shares.find(x=>x.k==='neutral').v;
+  return emotionTracker.dominant(BubbleCalibration.applyCalibration(moodState, emoCalibration), now);
+}
+
+
+/* =============================
+ *        Emotion calibration
+ * ============================= */
+// v12.8 — EMO_CFG / EMO_FORCE fit some faces poorly (never "happy", or stuck in "stressed").
+// Before the first Mood round the player may follow three prompts (neutral, smile, frown;
+// 20 s) while the sampler runs; core/calibration.js turns the samples into offsets that are
+// stored for this device and applied by dominantEmotion(). Offered once per visit while the
+// device has none; study sessions skip it so every participant is classified the same way.
+let calibrationRun     = null;   // BubbleCalibration run while the prompts are up
+let calibrationStart   = 0;      // performance.now() when it started
+let calibrationOffered = false;
+
+function loadStoredCalibration(){
+  try { return BubbleCalibration.loadCalibration(localStorage.getItem(STORAGE_KEYS.emoCalibration)); }
+  catch { return null; }
+}
+emoCalibration = loadStoredCalibration();
+
+/** Store (or with null, forget) this device's offsets */
+function saveCalibration(c){
+  emoCalibration = c;
+  try {
+    if (c) localStorage.setItem(STORAGE_KEYS.emoCalibration, JSON.stringify(c));
+    else localStorage.removeItem(STORAGE_KEYS.emoCalibration);
+  } catch (_) {}
+  refreshCalibStatus();
+}
+
+function shouldOfferCalibration(){ return !emoCalibration && !calibrationOffered && !study; }
+
+/** sampleMood() hands every face sample over while a calibration runs */
+function noteCalibrationSample(){
+  if (calibrationRun) calibrationRun.add(performance.now() - calibrationStart, moodState);
+}
+
+/**
+ * Ask for the calibration and run it. Resolves once the player skips, cancels or
+ * finishes (never rejects: the round starts either way).
+ */
+function offerCalibration(){
+  calibrationOffered = true;
+  const m      = document.getElementById('calibModal');
+  const msg    = document.getElementById('calibMsg');
+  const prompt = document.getElementById('calibPrompt');
+  const start  = document.getElementById('calibStartBtn');
+  const skip   = document.getElementById('calibSkipBtn');
+  if (!m || !start || !skip) return Promise.resolve();
+
+  const intro = 'Faces differ. Follow three short prompts (20 seconds) so Emotion mode reads your expressions better. The result stays on this device.';
+  if (msg) msg.textContent = intro;
+  prompt?.classList.add('hidden');
+  start.classList.remove('hidden');
+  skip.textContent = 'Skip';
+  closeAllModalsExcept('calibModal');
+  m.classList.remove('hidden');
+
+  return new Promise((resolve) => {
+    let tickId = null;
+    const done = () => {
+      clearInterval(tickId);
+      calibrationRun = null;
+      m.classList.add('hidden');
+      resolve();
+    };
+    skip.onclick = done; // Skip / Cancel / Continue
+
+    start.onclick = () => {
+      start.classList.add('hidden');
+      skip.textContent = 'Cancel';
+      prompt?.classList.remove('hidden');
+      calibrationRun = BubbleCalibration.createCalibrationRun();
+      calibrationStart = performance.now();
+      tickId = setInterval(() => {
+        const run = calibrationRun;
+        if (!run) return;
+        const ms = performance.now() - calibrationStart;
+        const at = run.stepAt(ms);
+        if (at){ renderCalibStep(at, ms / run.totalMs); return; }
+
+        clearInterval(tickId);
+        calibrationRun = null;
+        prompt?.classList.add('hidden');
+        const { ok, calibration, errors } = BubbleCalibration.computeCalibration(run.samples);
+        if (ok){
+          saveCalibration(calibration);
+          if (msg) msg.textContent = 'Calibrated ✓ Emotion mode now uses your own baseline.';
+          setTimeout(done, 1200);
+        } else {
+          console.warn('[calib] not enough face samples:', errors);
+          if (msg) msg.textContent = 'We could not see your face clearly enough. You can play without calibration and retry from the camera settings.';
+          skip.textContent = 'Continue';
+        }
+      }, 100);
+    };
+  });
+}
+
+/** Prompt, countdown and progress bar for the running step */
+function renderCalibStep(at, frac){
+  const icon = document.getElementById('calibIcon');
+  const step = document.getElementById('calibStep');
+  const bar  = document.querySelector('#calibModal .loadingBar');
+  const msg  = document.getElementById('calibMsg');
+  if (icon) icon.textContent = at.step.icon;
+  if (step) step.textContent = `${at.step.prompt} — ${Math.ceil(at.leftMs / 1000)}`;
+  if (bar) bar.style.width = `${Math.round(frac * 100)}%`;
+  if (msg) msg.textContent = `Step ${at.index + 1} of ${BubbleCalibration.CALIB_STEPS.length}: look at the camera.`;
+}
+
+/** Camera modal line: is this device calibrated? + the button that forgets it */
+function refreshCalibStatus(){
+  const el = document.getElementById('calibStatus');
+  const btn = document.getElementById('calibResetBtn');
+  if (el) el.textContent = emoCalibration
+    ? `Emotion calibration saved ${String(emoCalibration.at || '').slice(0, 10)}`
+    : (shouldOfferCalibration() ? 'Not calibrated — offered before the next Emotion round' : 'Not calibrated');
+  if (btn){
+    btn.disabled = !!study;
+    btn.textContent = emoCalibration ? 'Recalibrate next round' : 'Calibrate next round';
+    btn.onclick = () => { calibrationOffered = false; saveCalibration(null); };
+  }
+}
+
+
+/* =============================
+ *        Head input
+ * ============================= */
+// v12.12 — Hands-free popping in Emotion rounds: the head pose (core/gaze.js) aims a reticle on
+// the canvas and a held blink or a nod (core/gesture.js) pops at it through inputPop(), so the
+// round log, scoring and replays are exactly those of a tap. It reuses the webcam stream Mood
+// rounds already have open. Blinks are far shorter than the mood cadence, so while it is on the
+// sampler runs every HEAD_SAMPLE_MS and only one sample per facePacer.intervalMs updates
+// moodState. Picked on the mode picker ("Pop with") or ?input=head|touch; taps keep working.
+const INPUT_METHODS = ['touch', 'head', 'keys']; // v12.13: 'keys' (see [Keyboard & gamepad])
+const HEAD_SAMPLE_MS = 200;   // landmark cadence while head input is on
+const AIM_SNAP_PX = 48;       // aim assist: pop the nearest bubble whose edge is this close instead
+const RETICLE_EASE_MS = 120;  // the drawn reticle glides toward the aim (samples are 5 per second)
+let inputMethod = loadInputMethod();
+const headAim = {
+  tracker: BubbleGaze.createGazeTracker({ cfg: { ...BubbleGaze.GAZE_CFG, ...BubbleGesture.AIM_CFG } }),
+  x: null, y: null,           // aim on the canvas (px); null until the first face sample
+  drawX: null, drawY: null,   // where the reticle is drawn
+  popAt: -Infinity            // millis() of the last head pop (reticle flash)
+};
+const gestureDetector = BubbleGesture.createGestureDetector();
+let headStats     = null;     // { blinks, nods, hits } of the round being played (head input only)
+let lastHeadStats = null;     // ... of the last round, sent as headInput
+let lastMoodSampleAt = -Infinity;
+
+function loadInputMethod(){
+  const q = new URLSearchParams(window.location.search).get('input');
+  if (INPUT_METHODS.includes(q)) return q;
+  try {
+    const s = localStorage.getItem(STORAGE_KEYS.inputMethod);
+    return INPUT_METHODS.includes(s) ? s : 'touch';
+  } catch { return 'touch'; }
+}
+
+function setInputMethod(m){
+  inputMethod = INPUT_METHODS.includes(m) ? m : 'touch';
+  try { localStorage.setItem(STORAGE_KEYS.inputMethod, inputMethod); } catch (_) {}
+}
+
+/** Head input applies to Emotion rounds only (the other modes never open the camera) */
+function headInputOn(){ return inputMethod === 'head' && isMoodMode(); }
+
+/** restart(): fresh gesture state + counters for the round */
+function startHeadInput(){
+  gestureDetector.reset();
+  headAim.drawX = headAim.drawY = null;
+  headStats = headInputOn() ? { blinks: 0, nods: 0, hits: 0 } : null;
+}
+
+/** Delay before the next sample: the mood cadence, or with head input HEAD_SAMPLE_MS (as far as detection keeps up) */
+function samplerIntervalMs(){
+  if (!headInputOn()) return facePacer.intervalMs;
+  const l = facePacer.latencyMs || 0;
+  // in the worker the next frame can follow right away; on the main thread keep detection ≤ 25% of the time
+  return Math.max(HEAD_SAMPLE_MS, Math.round(l * (facePacer.offThread ? 1.25 : 4)));
+}
+
+/** true when this sample should also update moodState (always, without head input) */
+function moodSampleDue(){
+  const now = millis();
+  if (headInputOn() && now - lastMoodSampleAt < facePacer.intervalMs - HEAD_SAMPLE_MS / 2) return false;
+  lastMoodSampleAt = now;
+  return true;
+}
+
+/**
+ * Every face sample while head input is on: move the aim (held still while a blink or nod is
+ * under way, so the pop lands where the player was looking) and pop on a gesture.
+ * @param {object|null} face  largest detectFaces() face, null without one
+ */
+function noteHeadSample(face){
+  if (!headInputOn()) return;
+  const pts = face?.landmarks || null;
+  const pose = BubbleGaze.headPose(pts);
+  const gesture = gestureDetector.update(pose ? { t: millis(), ear: BubbleGesture.eyeAspectRatio(pts), pitch: pose.pitch } : null);
+  if (gesture){ headPop(gesture); return; }
+  if (gestureDetector.busy) return;
+  const g = headAim.tracker.update(pose);
+  const top = safeTopPx();
+  headAim.x = g.x * width;
+  headAim.y = top + g.y * (height - top);
+}
+
+/** Pop at the aim, snapped to a bubble within AIM_SNAP_PX; the same path as a tap */
+function headPop(kind){
+  if (headAim.x == null || gameOver || replay || !session) return;
+  const b = BubbleGesture.snapTarget(session.bubbles, headAim.x, headAim.y, (bb) => session.currentRadius(bb), AIM_SNAP_PX);
+  const hit = inputPop(b ? b.x : headAim.x, b ? b.y : headAim.y);
+  if (headStats){
+    headStats[kind === 'blink' ? 'blinks' : 'nods']++;
+    if (hit) headStats.hits++;
+  }
+  headAim.popAt = millis();
+}
+
+/** Reticle at the head aim (gliding toward it between samples), with the blink progress */
+function drawReticle(sess){
+  if (!headInputOn() || replay || gameOver || headAim.x == null) return;
+  const a = Math.min(1, deltaTime / RETICLE_EASE_MS);
+  headAim.drawX = (headAim.drawX == null) ? headAim.x : headAim.drawX + a * (headAim.x - headAim.drawX);
+  headAim.drawY = (headAim.drawY == null) ? headAim.y : headAim.drawY + a * (headAim.y - headAim.drawY);
+  drawAimMarker(sess, headAim.drawX, headAim.drawY, headAim.x, headAim.y,
+    millis() - headAim.popAt < 200, gestureDetector.progress); // the ring fills while the eyes are held closed
+}
 
-  if (lastEmotion === 'neutral'){ if (neutralShare >= EMO_CFG.NEUTRAL_OFF) return 'neutral'; }
-  else { const curShare = shares.find(x=>x.k===lastEmotion)?.v || 0; if (curShare >= EMO_CFG.OFF) return lastEmotion; }
+/**
+ * Crosshair at (x, y) plus a dashed ring around the bubble a pop at (aimX, aimY) would snap to
+ * (head input and the keyboard / gamepad cursor).
+ * @param {boolean} flash     just popped
+ * @param {number} [progress] 0..1 arc around the crosshair
+ */
+function drawAimMarker(sess, x, y, aimX, aimY, flash, progress = 0){
+  const ctx = drawingContext;
+  ctx.save();
+  const target = BubbleGesture.snapTarget(sess.bubbles, aimX, aimY, (b) => sess.currentRadius(b), AIM_SNAP_PX);
+  if (target){
+    ctx.setLineDash([6, 6]);
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.beginPath(); ctx.arc(target.x, target.y, sess.currentRadius(target) + 6, 0, Math.PI * 2); ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = flash ? 'rgba(255, 255, 255, 0.95)' : 'rgba(30, 41, 59, 0.85)';
+  ctx.beginPath(); ctx.arc(x, y, 16, 0, Math.PI * 2); ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(x - 24, y); ctx.lineTo(x - 8, y); ctx.moveTo(x + 8, y); ctx.lineTo(x + 24, y);
+  ctx.moveTo(x, y - 24); ctx.lineTo(x, y - 8); ctx.moveTo(x, y + 8); ctx.lineTo(x, y + 24);
+  ctx.stroke();
+
+  if (progress > 0){
+    ctx.strokeStyle = `rgba(${COLOR_TEAL.slice(0, 3).join(', ')}, 0.95)`;
+    ctx.lineWidth = 4;
+    ctx.beginPath(); ctx.arc(x, y, 22, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2); ctx.stroke();
+  }
+  ctx.restore();
+}
+
+
+/* =============================
+ *        Keyboard & gamepad
+ * ============================= */
+// v12.13 — Play without a pointer: a cursor (core/cursor.js) moved with the arrow keys / WASD or a
+// gamepad and popped with Space / Enter / gamepad A through inputPop(), like a tap (with the
+// same AIM_SNAP_PX assist as head input). X / gamepad X or a shoulder button snaps it onto the
+// nearest bubble and follows it; again moves on to the next. It shows from the start of a round
+// with "Pop with → Keyboard / gamepad", otherwise at the first cursor key or gamepad input; a
+// tap on the canvas hides it. While a modal is open (or a form control has focus) the keys stay
+// theirs: swallowKeysIfModal() runs first and modalOpen() gates everything here.
+const keyCursor = BubbleCursor.createCursor();
+let keyCursorOn = false;          // drawn + steerable this round
+let keyCursorPopAt = -Infinity;   // millis() of the last cursor pop (marker flash)
+const heldKeys = new Set();       // KeyboardEvent.code of the held movement / Shift keys
+let padPrev = [];                 // the last gamepad poll's buttons (press edges)
+
+/** The cursor may act: a live round, no modal, no focused control */
+function cursorInputLive(e){
+  if (!window.__playerReady || gameOver || replay || !session || modalOpen()) return false;
+  return !(e && e.target && e.target !== document.body && isFormTarget(e.target));
+}
+
+function showKeyCursor(){
+  if (keyCursorOn) return;
+  keyCursorOn = true;
+  keyCursor.center(width, height, safeTopPx());
+}
+
+/** restart(): shown from the start with the keyboard / gamepad input method */
+function startKeyCursor(){
+  keyCursorOn = false;
+  padPrev = [];
+  if (inputMethod === 'keys') showKeyCursor();
+}
+
+/** Canvas taps hide the cursor (unless it is the chosen input method) */
+function noteCanvasPointer(){
+  if (inputMethod !== 'keys') keyCursorOn = false;
+}
+
+function firstGamepad(){
+  try {
+    for (const p of (navigator.getGamepads?.() || [])) if (p && p.connected !== false) return p;
+  } catch (_) {} // blocked by a permissions policy
+  return null;
+}
+
+/** Pop at the cursor, snapped to a bubble within AIM_SNAP_PX */
+function cursorPop(){
+  const b = BubbleGesture.snapTarget(session.bubbles, keyCursor.x, keyCursor.y, (bb) => session.currentRadius(bb), AIM_SNAP_PX);
+  inputPop(b ? b.x : keyCursor.x, b ? b.y : keyCursor.y);
+  keyCursorPopAt = millis();
+}
+
+/** Lock onto the nearest bubble (the next nearest when already locked) */
+function cursorSnap(){
+  keyCursor.lock = BubbleCursor.nearestBubble(session.bubbles, keyCursor.x, keyCursor.y, keyCursor.lock) || keyCursor.lock;
+  keyCursor.follow(session.bubbles);
+}
 
-  // Strong neutral
-  if (shares[0].k === 'neutral' && shares[0].v >= EMO_CFG.NEUTRAL_ON){
-    if (!inCooldown || lastEmotion!=='neutral'){ lastEmotion='neutral'; lastSwitchMs=now; }
-    return 'neutral';
+/** draw(), live rounds: poll the gamepad, then steer (or follow the locked bubble) */
+function stepKeyCursor(dtMs){
+  const pad = BubbleCursor.readGamepad(firstGamepad(), padPrev);
+  padPrev = pad.down;
+  if (!cursorInputLive()) return;
+  const [kx, ky] = BubbleCursor.keyDirection(heldKeys);
+  const dx = kx || pad.dx, dy = ky || pad.dy;
+  const wasOn = keyCursorOn;
+  if (dx || dy || pad.pop || pad.snap) showKeyCursor();
+  if (!keyCursorOn) return;
+
+  const fast = heldKeys.has('ShiftLeft') || heldKeys.has('ShiftRight') || pad.fast;
+  if (!keyCursor.steer(dx, dy, dtMs, { w: width, h: height, top: safeTopPx(), fast })) keyCursor.follow(session.bubbles);
+  if (pad.snap) cursorSnap();
+  if (pad.pop && wasOn) cursorPop(); // the first press only brings the cursor up
+}
+
+function drawKeyCursor(sess){
+  if (!keyCursorOn || replay || gameOver) return;
+  drawAimMarker(sess, keyCursor.x, keyCursor.y, keyCursor.x, keyCursor.y, millis() - keyCursorPopAt < 200);
+}
+
+document.addEventListener('keydown', (e) => {
+  if (!cursorInputLive(e)) return;
+  const code = e.code;
+  if (BubbleCursor.KEY_DIRS[code]){
+    e.preventDefault(); // no page scroll
+    heldKeys.add(code);
+    showKeyCursor();
+    return;
   }
+  if (code === 'ShiftLeft' || code === 'ShiftRight'){ heldKeys.add(code); return; }
+  if (BubbleCursor.POP_KEYS.includes(code)){
+    e.preventDefault();
+    if (e.repeat) return;
+    if (keyCursorOn) cursorPop(); else showKeyCursor();
+  } else if (BubbleCursor.SNAP_KEYS.includes(code)){
+    if (e.repeat) return;
+    showKeyCursor();
+    cursorSnap();
+  }
+});
+document.addEventListener('keyup', (e) => { heldKeys.delete(e.code); });
+window.addEventListener('blur', () => heldKeys.clear()); // keyups never arrive while away
 
-  // Raw-force gates
-  if (h >= EMO_FORCE.HAPPY_RAW   && (!inCooldown || lastEmotion!=='happy'))   { lastEmotion='happy';   lastSwitchMs=now; return 'happy'; }
-  if (s >= EMO_FORCE.SAD_RAW     && (!inCooldown || lastEmotion!=='sad'))     { lastEmotion='sad';     lastSwitchMs=now; return 'sad'; }
-  if (a >= EMO_FORCE.ANGRY_RAW   && (!inCooldown || lastEmotion!=='angry'))   { lastEmotion='angry';   lastSwitchMs=now; return 'angry'; }
-  if (t >= EMO_FORCE.STRESSED_RAW&& (!inCooldown || lastEmotion!=='stressed')){ lastEmotion='stressed';lastSwitchMs=now; return 'stressed'; }
+/* =============================
+ *        Accessibility
+ * ============================= */
+// v12.14 — Trick / gold bubbles were told apart by color alone (teal / red / amber), which fails
+// red-green colorblind players. The bubbles, bursts and the post-game chart take their colors
+// from a palette in core/palette.js (standard, deuteranopia, protanopia, tritanopia, high
+// contrast), and glyphs can mark the kinds by shape too (× trick, ★ gold). Both persist next to
+// sfxOn ('a11yPalette', 'a11yGlyphs') and are set in the ♿ panel on the mode picker.
+let a11yPalette = (function(){
+  try { const k = localStorage.getItem('a11yPalette'); return BubblePalette.PALETTES[k] ? k : 'default'; }
+  catch { return 'default'; }
+})();
+let a11yGlyphs = (function(){
+  try { return localStorage.getItem('a11yGlyphs') === '1'; }
+  catch { return false; }
+})();
+
+function setA11yPalette(key){
+  a11yPalette = BubblePalette.PALETTES[key] ? key : 'default';
+  try { localStorage.setItem('a11yPalette', a11yPalette); } catch {}
+}
+
+function setA11yGlyphs(on){
+  a11yGlyphs = !!on;
+  try { localStorage.setItem('a11yGlyphs', a11yGlyphs ? '1' : '0'); } catch {}
+}
+
+// v12.15 — Reduced motion follows the system's prefers-reduced-motion unless the player picks
+// 'reduce' or 'full' in the ♿ panel ('a11yMotion'). It fades the background instead of switching
+// it (at most one new color every 2 s), swaps bursts and flying scores for still fades, keeps the
+// pop ring from growing and slows the bubbles' wander (logged with the round, so replays match).
+const MOTION_PREFS = ['system', 'reduce', 'full'];
+let a11yMotion = (function(){
+  try { const v = localStorage.getItem('a11yMotion'); return MOTION_PREFS.includes(v) ? v : 'system'; }
+  catch { return 'system'; }
+})();
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+let reducedMotion = false;
+const bgEaser = BubbleMotion.createColorEaser();
+
+/** Work out reducedMotion from the player's choice (or the system's) and mirror it on <body> */
+function applyMotionPref(){
+  reducedMotion = (a11yMotion === 'reduce') || (a11yMotion === 'system' && !!reducedMotionQuery?.matches);
+  document.body.classList.toggle('reduced-motion', reducedMotion);
+  if (!reducedMotion) bgEaser.reset();
+}
+
+function setA11yMotion(v){
+  a11yMotion = MOTION_PREFS.includes(v) ? v : 'system';
+  try { localStorage.setItem('a11yMotion', a11yMotion); } catch {}
+  applyMotionPref();
+}
+
+reducedMotionQuery?.addEventListener?.('change', applyMotionPref);
+applyMotionPref();
+
+/** Session tuning for a round: the rules profile's, with the calmer wander when reduced */
+function roundTuning(reduced){
+  const t = rulesProfile.tuning || {};
+  return { ...t, WANDER_DEG: BubbleMotion.wanderFor(t.WANDER_DEG ?? BubbleSession.TUNING.WANDER_DEG, reduced) };
+}
+
+/** [r, g, b, a] of a bubble in the current palette */
+function bubbleRGBA(b){
+  return BubblePalette.getPalette(a11yPalette)[BubblePalette.bubbleKind(b)];
+}
 
-  // Otherwise, take the top non-neutral if it beats #2 by a margin
-  const nonNeutral = shares.filter(x=>x.k!=='neutral').sort((x,y)=>y.v-x.v);
-  const top = nonNeutral[0], second = nonNeutral[1];
-  if (top.v >= EMO_CFG.ON && (top.v - second.v) >= EMO_CFG.MARGIN){
-    if (!inCooldown || lastEmotion!==top.k){ lastEmotion=top.k; lastSwitchMs=now; }
-    return lastEmotion;
+/** Fill the panel (palette radios + glyph toggle + preview); it returns to the mode picker */
+function wireA11yModal(){
+  const m = document.getElementById('a11yModal');
+  const list = document.getElementById('a11yPaletteList');
+  const glyphs = document.getElementById('a11yGlyphsToggle');
+  const motion = document.getElementById('a11yMotionSelect');
+  const open = document.getElementById('a11yBtn');
+  const done = document.getElementById('a11yDoneBtn');
+  if (!m || !list) return;
+
+  list.innerHTML = '';
+  for (const key of BubblePalette.PALETTE_KEYS){
+    const pal = BubblePalette.PALETTES[key];
+    const label = document.createElement('label');
+    label.className = 'a11yPaletteOpt';
+    const input = document.createElement('input');
+    input.type = 'radio'; input.name = 'a11yPalette'; input.value = key;
+    input.onchange = () => { setA11yPalette(key); renderA11yPreview(); };
+    const name = document.createElement('span');
+    name.textContent = pal.label;
+    label.append(input, name);
+    list.appendChild(label);
   }
+  if (glyphs) glyphs.onchange = () => { setA11yGlyphs(glyphs.checked); renderA11yPreview(); };
+  if (motion) motion.onchange = () => setA11yMotion(motion.value);
+
+  if (open) open.onclick = () => {
+    list.querySelectorAll('input').forEach(i => { i.checked = (i.value === a11yPalette); });
+    if (glyphs) glyphs.checked = a11yGlyphs;
+    if (motion){
+      motion.value = a11yMotion;
+      motion.options[0].textContent = `Match system (${reducedMotionQuery?.matches ? 'reduced' : 'full'})`;
+    }
+    renderA11yPreview();
+    closeAllModalsExcept('a11yModal');
+    m.classList.remove('hidden');
+  };
+  if (done) done.onclick = () => {
+    m.classList.add('hidden');
+    document.getElementById('modeModal')?.classList.remove('hidden');
+  };
+}
 
-  // Fallbacks
-  if (neutralShare >= EMO_CFG.NEUTRAL_OFF){
-    if (!inCooldown || lastEmotion!=='neutral'){ lastEmotion='neutral'; lastSwitchMs=now; }
-    return 'neutral';
+/** Three sample bubbles (normal / trick / gold) in the chosen palette */
+function renderA11yPreview(){
+  const box = document.getElementById('a11yPreview');
+  if (!box) return;
+  const pal = BubblePalette.getPalette(a11yPalette);
+  box.innerHTML = '';
+  for (const [kind, name] of [['normal', 'Normal'], ['trick', 'Trick'], ['gold', 'Gold']]){
+    const item = document.createElement('span');
+    item.className = 'a11ySample';
+    const dot = document.createElement('i');
+    dot.style.background = BubblePalette.hex(pal[kind]);
+    dot.style.color = BubblePalette.hex(BubblePalette.glyphInk(pal[kind]));
+    if (pal.outline) dot.style.borderColor = BubblePalette.hex(pal.outline);
+    dot.textContent = (a11yGlyphs && BubblePalette.GLYPHS[kind]) || '';
+    item.append(dot, name);
+    box.appendChild(item);
   }
-  return lastEmotion;
 }
 
+/* =============================
+ *        Announcements
+ * ============================= */
+// v12.16 — The HUD chips, combo badge and countdown only changed on screen. Two visually hidden
+// live regions in index.html (#srStatus polite, #srAlert assertive) now read out the countdown,
+// score milestones, combo changes, time warnings, Emotion-round mood changes and the result.
+// core/announce.js decides what is worth saying; replays stay silent.
+const announcer = BubbleAnnounce.createAnnouncer();
+
+/** Say `text` (urgent: assertive region). Cleared first so the same words are read again */
+function announce(text, urgent = false){
+  const el = document.getElementById(urgent ? 'srAlert' : 'srStatus');
+  if (!el || !text) return;
+  el.textContent = '';
+  setTimeout(() => { el.textContent = text; }, 50);
+}
+
+/** Baselines for a new round (restart), so carried-over combo or the first mood are not read */
+function resetAnnouncer(sess){
+  announcer.reset({ score: sess.score, comboMult: sess.comboMult, emotion: sess.isMood ? sess.mood.emotion : null });
+}
+
+/** draw(): the live round's changes worth reading out */
+function announceRound(sess){
+  if (sess !== session || replay || gameOver) return;
+  const msgs = announcer.update({
+    nowMs: sess.elapsedMs,
+    score: sess.score,
+    timeLeft: sess.timeLeft(),
+    comboMult: (sess.ruleMode === 'challenge') ? sess.comboMult : 1, // as the combo badge
+    emotion: sess.isMood ? sess.mood.emotion : null
+  });
+  for (const urgent of [true, false]){
+    const text = msgs.filter(m => m.urgent === urgent).map(m => m.text).join('. ');
+    if (text) announce(text, urgent);
+  }
+}
 
 /* =============================
  *        Modal helpers
  * ============================= */
-function openCameraModal(){ closeAllModalsExcept('cameraModal'); document.getElementById('cameraModal')?.classList.remove('hidden'); }
+function openCameraModal(){ closeAllModalsExcept('cameraModal'); refreshCalibStatus(); document.getElementById('cameraModal')?.classList.remove('hidden'); }
 function closeCameraModal(){ document.getElementById('cameraModal')?.classList.add('hidden'); }
 // this function closeAllModalsExcept will ensure only 1 modal is ever visible - prevent "grey window behind"
 function closeAllModalsExcept(id){
@@ -2590,6 +4008,63 @@ function closeAllModalsExcept(id){
   });
 }
 
+// v12.16 — Dialog focus: opening a modal moves focus into it, Tab / Shift+Tab stay inside it and
+// closing the last one returns focus to where it was. Each .modal's class is watched, so the
+// call sites that show and hide modals stay as they are.
+const FOCUSABLE = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+let modalShown = null, modalReturnFocus = null;
+
+/** The open modal in front (the last one in the page), or null */
+function topModal(){
+  const open = document.querySelectorAll('.modal:not(.hidden)');
+  return open[open.length - 1] || null;
+}
+
+function focusablesIn(m){
+  return [...m.querySelectorAll(FOCUSABLE)].filter(el => !el.disabled && el.getClientRects().length > 0);
+}
+
+function onModalsChanged(){
+  const m = topModal();
+  if (m === modalShown) return;
+  modalShown = m;
+  const active = document.activeElement;
+  if (m){
+    if (m.contains(active)) return;   // the opener already focused a field
+    if (!active?.closest?.('.modal')) modalReturnFocus = active;
+    const target = m.querySelector('[autofocus]') || focusablesIn(m)[0];
+    if (target) target.focus();
+    else {
+      const box = m.querySelector('.modalContent') || m;
+      box.tabIndex = -1;
+      box.focus();
+    }
+  } else {
+    const back = modalReturnFocus;
+    modalReturnFocus = null;
+    if (back?.isConnected && back.getClientRects().length && !back.closest('.modal')) back.focus();
+  }
+}
+
+function trapModalFocus(e){
+  if (e.key !== 'Tab') return;
+  const m = topModal();
+  if (!m) return;
+  const els = focusablesIn(m);
+  if (!els.length){ e.preventDefault(); return; }
+  const first = els[0], last = els[els.length - 1], active = document.activeElement;
+  if (e.shiftKey ? (active === first || !m.contains(active)) : (active === last || !m.contains(active))){
+    e.preventDefault();
+    (e.shiftKey ? last : first).focus();
+  }
+}
+
+(function(){
+  const watch = new MutationObserver(onModalsChanged);
+  document.querySelectorAll('.modal').forEach(m => watch.observe(m, { attributes: true, attributeFilter: ['class'] }));
+  window.addEventListener('keydown', trapModalFocus, true); // before swallowKeysIfModal (document)
+})();
+
 let __feedbackContext = 'before'; // 'before' | 'after'
 
 function openFeedbackModal(context){
@@ -2598,30 +4073,23 @@ function openFeedbackModal(context){
   const ttl = document.getElementById('feedbackTitle');
   if (!m || !ttl) return;
 
-  // Title
-  ttl.textContent = (__feedbackContext === 'after') ? 'Post-game Survey' : 'Pre-game Survey';
-
-  // Show relevant question blocks
-  document.querySelectorAll('.preOnly').forEach(el => el.style.display = (__feedbackContext==='before'?'block':'none'));
-  document.querySelectorAll('.postOnly').forEach(el => el.style.display = (__feedbackContext==='after'?'block':'none'));
+  // Title (v12.4 — from the survey section)
+  ttl.textContent = surveyDef[__feedbackContext]?.title
+    || ((__feedbackContext === 'after') ? 'Post-game Survey' : 'Pre-game Survey');
 
   // Prefill OR show “thanks” if already submitted for this round
   const alreadySaved = (__feedbackContext === 'after') && !!window.__feedbackAfter;
   if (alreadySaved){
     renderFeedbackThanks('after');
   } else {
-    // restore survey markup if we previously showed thanks
-    const container = document.querySelector('#feedbackModal .modalRow.stacked');
-    if (container && container.querySelector('.feedbackThanks')) {
-      // re-render original inner HTML by reopening page (fallback) or simply no-op because
-      // we will hydrate; but if you prefer full restore, consider storing original HTML.
-      // For simplicity we’ll just close if user tries to re-open after save:
-      // (alreadySaved above prevents this path for 'after')
-    }
+    // v12.4 — questions are rebuilt on every open, which also undoes an earlier “thanks”
+    renderSurvey(__feedbackContext);
     const saved = (__feedbackContext === 'after') ? (window.__feedbackAfter || '') : (window.__feedbackBefore || '');
-    hydrateSurveyFromJSON(__feedbackContext==='after' ? 'after' : 'before', saved);
+    hydrateSurveyFromJSON(__feedbackContext, saved);
     const save = document.getElementById('feedbackSave');
     if (save) save.style.display = ''; // ensure visible when editing
+    const cancel = document.getElementById('feedbackCancel');
+    if (cancel) { cancel.textContent = 'Cancel'; cancel.onclick = closeFeedbackModal; }
   }
 
   m.classList.remove('hidden');
@@ -2642,8 +4110,9 @@ function wireFeedbackModal(){
 
   // Save Handler
   save.onclick = () => {
-    // Serialize answers
-    const json = readSurveyJSON(__feedbackContext==='after' ? 'after' : 'before');
+    // v12.4 — required questions first, then serialize answers by question id
+    if (!surveyReadyToSave(__feedbackContext)) return;
+    const json = readSurveyJSON(__feedbackContext);
 
     if (__feedbackContext === 'after'){
       window.__feedbackAfter = json;     // lock-in for this round
@@ -2689,7 +4158,7 @@ function openStatsModal(){
       const when = new Date(r.ts).toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'});
       const accStr = (typeof r.accuracyPct === 'number') ? `${r.accuracyPct}%` : '';
       // show friendly label for mode
-      const label = (r.mode === 'classic') ? 'Zen' : (r.mode === 'challenge') ? 'Focus' : 'Emotion';
+      const label = MODE_LABEL[r.mode] || 'Emotion';
       return `<tr>
                 <td>${i+1}</td>
                 <td>${when}</td>
@@ -2792,7 +4261,7 @@ function setSfx(on){
 
 // Good hit sound
 function maybePop(force=false){
-  if (!__audioReady) return;
+  if (!__audioReady || replay?.quiet) return;
   if (!force && !__sfxOn) return;
   const ctx = __audioCtx, src = ctx.createBufferSource();
   src.buffer = __popBuf;
@@ -2834,7 +4303,7 @@ function makeBuzzBuffer(ctx){
 }
 
 function maybeBuzz(force=false){
-  if (!__audioReady) return;
+  if (!__audioReady || replay?.quiet) return;
   if (!force && !__sfxOn) return;
   const ctx = __audioCtx, src = ctx.createBufferSource();
   src.buffer = __buzzBuf;
@@ -2900,6 +4369,8 @@ function openPostGameModal(){
   const lbEl  = document.getElementById('leaderboard');
 
   if (title) title.textContent = 'Round Complete';
+  renderStudyPostGame();
+  document.getElementById('postReplayBtn')?.classList.toggle('is-disabled', !lastRoundLog);
 
   // ✅ Clear any previous table immediately to prevent old-board flash
   if (lbEl) {
@@ -2910,6 +4381,85 @@ function openPostGameModal(){
   }
 
   m?.classList.remove('hidden');
+  renderEmotionChart(); // after the modal is visible, so the canvas has a size
+}
+
+/**
+ * v12.7 — Emotion rounds: what the camera detected over the round, as stacked emotion
+ * ribbons (core/timeline.js chartSeries) with the score as a step line and the pops as
+ * ticks along the bottom. Plain canvas; the legend and aria-label carry the same numbers.
+ */
+function renderEmotionChart(){
+  const block = document.getElementById('emoChartBlock');
+  const cv = document.getElementById('emoChart');
+  const legend = document.getElementById('emoChartLegend');
+  const tl = lastEmoTimeline;
+  const show = !!(block && cv && tl && tl.samples.length >= 2 && lastRoundLog?.mode === 'mood');
+  block?.classList.toggle('hidden', !show);
+  if (!show) return;
+
+  const data = BubbleTimeline.chartSeries(tl.samples, tl.events, lastRoundLog.durationMs);
+  const keys = BubbleTimeline.MOOD_KEYS;
+  const dpr = window.devicePixelRatio || 1;
+  const w = cv.clientWidth || 300, h = cv.clientHeight || 120;
+  cv.width = Math.round(w * dpr); cv.height = Math.round(h * dpr);
+  const g = cv.getContext('2d');
+  g.setTransform(dpr, 0, 0, dpr, 0, 0);
+  g.clearRect(0, 0, w, h);
+
+  const PAD = { l: 2, r: 30, t: 6, b: 12 };   // right: score axis, bottom: pop ticks
+  const pw = w - PAD.l - PAD.r, ph = h - PAD.t - PAD.b;
+  const X = (t) => PAD.l + pw * t / data.end;
+  const Y = (v) => PAD.t + ph * (1 - v);
+
+  // Emotion ribbons: each band's top edge forward, its bottom edge back
+  for (const k of keys){
+    g.beginPath();
+    g.moveTo(X(data.stack[0].t), Y(data.stack[0].bands[k][1]));
+    for (const s of data.stack) g.lineTo(X(s.t), Y(s.bands[k][1]));
+    for (let i = data.stack.length - 1; i >= 0; i--) g.lineTo(X(data.stack[i].t), Y(data.stack[i].bands[k][0]));
+    g.closePath();
+    g.fillStyle = EMO_PRESET[k]?.chip || '#e5e7eb';
+    g.fill();
+  }
+
+  // Score: step line on the right-hand axis
+  const ink = getComputedStyle(cv).color || '#111827';
+  let prevY = Y(0);
+  g.beginPath();
+  g.moveTo(X(0), prevY);
+  for (const [t, sc] of data.score){
+    const y = Y(sc / data.maxScore);
+    g.lineTo(X(t), prevY); g.lineTo(X(t), y);
+    prevY = y;
+  }
+  g.lineTo(X(data.end), prevY);
+  g.strokeStyle = ink; g.lineWidth = 1.5; g.stroke();
+  g.fillStyle = ink; g.font = '10px system-ui, sans-serif'; g.textAlign = 'left';
+  g.fillText(String(data.maxScore), w - PAD.r + 4, PAD.t + 8);
+  g.fillText('0', w - PAD.r + 4, PAD.t + ph);
+
+  // Pops: normal / trick / gold in the bubble palette, same colors as the bursts
+  const pal = BubblePalette.getPalette(a11yPalette);
+  const POP_COLOR = { n: BubblePalette.hex(pal.normal), t: BubblePalette.hex(pal.trick), g: BubblePalette.hex(pal.gold) };
+  g.lineWidth = 1;
+  for (const p of data.pops){
+    g.strokeStyle = POP_COLOR[p.kind] || POP_COLOR.n;
+    g.beginPath(); g.moveTo(X(p.t), h - PAD.b + 3); g.lineTo(X(p.t), h - 1); g.stroke();
+  }
+
+  // Legend + text alternative
+  const pct = (k) => Math.round(data.share[k] * 100);
+  const order = keys.slice().sort((a, b) => data.share[b] - data.share[a]);
+  const secs = Math.round(data.end / 1000);
+  if (legend){
+    legend.innerHTML = order.map(k =>
+      `<span><i class="emoSwatch" style="background:${EMO_PRESET[k]?.chip || '#e5e7eb'}"></i>${k} ${pct(k)}%</span>`
+    ).join('') + `<span><i class="emoSwatch emoSwatchLine"></i>score</span><span><i class="emoSwatch emoSwatchTick"></i>pops</span>`;
+  }
+  cv.setAttribute('aria-label',
+    `Detected emotions over ${secs} s: ${order.map(k => `${k} ${pct(k)}%`).join(', ')}. ` +
+    `Score reached ${data.score[data.score.length - 1][1]} over ${data.pops.length} pops.`);
 }
 
 function closePostGameModal(){ document.getElementById('postGameModal')?.classList.add('hidden'); }
@@ -3005,8 +4555,7 @@ function showLoginScreen(deviceId){
   let priorProfile = null;
 
   // Fetch prior profile for this deviceId
-  fetch(`${GOOGLE_SCRIPT_URL}?action=profile&deviceId=${encodeURIComponent(deviceId)}`)
-    .then(r => r.json())
+  backend.getProfile(deviceId)
     .then(data => {
       const suggested = (data && data.ok && data.profile && data.profile.username)
         ? String(data.profile.username || '').trim()
@@ -3030,11 +4579,7 @@ function showLoginScreen(deviceId){
           submit.disabled = true;
 
           // 🔑 bypass the OK button — go straight to saving
-          fetch(`${GOOGLE_SCRIPT_URL}${GOOGLE_SCRIPT_POST_SUFFIX}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ action: 'setUsername', deviceId, username })
-          })
+          backend.setUsername(deviceId, username)
           .then(() => {
             playerUsername = username;
             try { localStorage.setItem(STORAGE_KEYS.username, username); } catch {}
@@ -3100,8 +4645,7 @@ function showLoginScreen(deviceId){
     setLoginStatus('Checking username…', 'info');
 
     // include deviceId so your server allows the owner device to reuse its name
-    fetch(`${GOOGLE_SCRIPT_URL}?action=checkUsername&username=${encodeURIComponent(username)}&deviceId=${encodeURIComponent(deviceId)}`)
-      .then(r => r.json())
+    backend.checkUsername(username, deviceId)
       .then(data => {
         const canUse = !!(data && data.ok && (data.available || (priorProfile && priorProfile.username === username)));
         if (!canUse) {
@@ -3113,11 +4657,7 @@ function showLoginScreen(deviceId){
         // Now proceed to save (keep login visible; show inline status + busy state)
         setLoginStatus('Saving your username…', 'info');
 
-        return fetch(`${GOOGLE_SCRIPT_URL}${GOOGLE_SCRIPT_POST_SUFFIX}`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ action: 'setUsername', deviceId, username })
-        }).then(() => {
+        return backend.setUsername(deviceId, username).then(() => {
           try { localStorage.setItem(STORAGE_KEYS.username, username); } catch {}
           playerUsername = username;
 
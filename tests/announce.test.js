@@ -0,0 +1,47 @@
+// Screen reader announcements (core/announce.js): throttled milestones, combo, time warnings, emotion
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const A = require('../core/announce.js');
+
+const texts = (list) => list.map(m => m.text);
+
+test('score milestones every 50 points, no closer than SCORE_MIN_MS', () => {
+  const a = A.createAnnouncer();
+  assert.deepEqual(a.update({ nowMs: 0, score: 40 }), []);
+  assert.deepEqual(texts(a.update({ nowMs: 100, score: 55 })), ['Score 55']);
+  assert.deepEqual(a.update({ nowMs: 1000, score: 120 }), [], 'too soon after the last one');
+  assert.deepEqual(texts(a.update({ nowMs: 4100, score: 130 })), ['Score 130']);
+  a.update({ nowMs: 6000, score: 95 });                              // a penalty drops below 100
+  assert.deepEqual(a.update({ nowMs: 6100, score: 105 }), [], 'still inside the throttle');
+  assert.deepEqual(texts(a.update({ nowMs: 8100, score: 105 })), ['Score 105'], 'read again once it is back up');
+});
+
+test('combo changes, time warnings (urgent, once each) and the throttled emotion', () => {
+  const a = A.createAnnouncer();
+  a.reset({ comboMult: 1, emotion: 'neutral' });
+  assert.deepEqual(texts(a.update({ nowMs: 0, comboMult: 1.5 })), ['Combo 1.5 times']);
+  assert.deepEqual(texts(a.update({ nowMs: 10, comboMult: 2 })), ['Combo 2 times']);
+  assert.deepEqual(texts(a.update({ nowMs: 20, comboMult: 1 })), ['Combo lost']);
+
+  assert.deepEqual(a.update({ nowMs: 30, timeLeft: 11 }), []);
+  assert.deepEqual(a.update({ nowMs: 40, timeLeft: 10 }), [{ text: '10 seconds left', urgent: true }]);
+  assert.deepEqual(a.update({ nowMs: 50, timeLeft: 9 }), []);
+  assert.deepEqual(texts(a.update({ nowMs: 60, timeLeft: 5 })), ['5 seconds left']);
+  assert.deepEqual(a.update({ nowMs: 70, timeLeft: 0 }), [], 'the result covers time up');
+  assert.deepEqual(a.update({ nowMs: 80, timeLeft: null }), []);
+
+  assert.deepEqual(texts(a.update({ nowMs: 5000, emotion: 'happy' })), ['Mood happy']);
+  assert.deepEqual(a.update({ nowMs: 5500, emotion: 'sad' }), [], 'held back');
+  assert.deepEqual(a.update({ nowMs: 6000, emotion: 'happy' }), [], 'flicker back: nothing new');
+  assert.deepEqual(texts(a.update({ nowMs: 8100, emotion: 'sad' })), ['Mood sad']);
+
+  const late = A.createAnnouncer();
+  assert.deepEqual(texts(late.update({ nowMs: 0, timeLeft: 4 })), ['4 seconds left'], 'one warning, not two');
+  assert.deepEqual(late.update({ nowMs: 10, timeLeft: 3 }), []);
+});
+
+test('the result reads score, accuracy and rank when known', () => {
+  assert.equal(A.resultText({ score: 230, accuracyPct: 87, rank: 3 }),
+    'Round over. Score 230, accuracy 87 percent. You are ranked number 3.');
+  assert.equal(A.resultText({ score: 12, rank: null }), 'Round over. Score 12.');
+});
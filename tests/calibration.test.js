@@ -0,0 +1,78 @@
+// Per-user emotion calibration (core/calibration.js): step timing, offsets and how they move the classifier
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const C = require('../core/calibration.js');
+const E = require('../core/emotion.js');
+
+const mood = (o) => ({ happy: 0, sad: 0, angry: 0, stressed: 0, neutral: 0, ...o });
+
+/** Feed one sample per 1.5 s (the sketch's sampler cadence) from a per-step face */
+function run(faces){
+  const r = C.createCalibrationRun();
+  for (let ms = 0; ms < r.totalMs; ms += 1500) r.add(ms, faces[r.stepAt(ms).step.id]);
+  return r;
+}
+
+test('the three prompts take 20 s and settling samples are ignored', () => {
+  const r = C.createCalibrationRun();
+  assert.equal(r.totalMs, 20000);
+  assert.deepEqual(C.CALIB_STEPS.map(s => s.id), ['neutral', 'smile', 'frown']);
+  assert.equal(r.stepAt(7200).step.id, 'smile');
+  assert.equal(r.stepAt(7200).leftMs, 6300);
+  assert.equal(r.stepAt(20000), null);
+  assert.equal(r.add(7500, mood({ happy: 1 })), false, 'still settling into the smile');
+  assert.equal(r.add(8600, mood({ happy: 1, gaze: 3 })), true);
+  assert.deepEqual(r.samples.smile, [mood({ happy: 1 })]);
+});
+
+test('offsets subtract the resting face and scale the prompted emotions', () => {
+  const r = run({
+    neutral: mood({ neutral: 0.5, stressed: 0.3, happy: 0.05 }),
+    smile:   mood({ happy: 0.3, neutral: 0.5 }),
+    frown:   mood({ angry: 0.4, sad: 0.02, neutral: 0.4 })
+  });
+  const { ok, calibration: c } = C.computeCalibration(r.samples, '2026-01-01T00:00:00Z');
+  assert.ok(ok);
+  assert.deepEqual(c.shift, { happy: 0.05, sad: 0, angry: 0, stressed: 0.3, neutral: 0 });
+  assert.deepEqual(c.gain, { happy: 3.2, sad: 1, angry: 2, stressed: 1, neutral: 1.2 });
+  assert.equal(C.loadCalibration(JSON.stringify(c)).at, '2026-01-01T00:00:00Z');
+});
+
+test('too few face samples fail; damaged stored offsets are ignored', () => {
+  const r = run({ neutral: mood({ neutral: 1 }), smile: mood({ happy: 1 }), frown: mood({ sad: 1 }) });
+  r.samples.frown.length = 1;
+  r.samples.smile.length = 0;
+  assert.deepEqual(C.computeCalibration(r.samples).errors, [
+    'calibration.smile: 0 face samples (need 2)',
+    'calibration.frown: 1 face sample (need 2)'
+  ]);
+  const good = C.computeCalibration(run({ neutral: mood({ neutral: 1 }), smile: mood({ happy: 1 }), frown: mood({ sad: 1 }) }).samples).calibration;
+  assert.ok(C.loadCalibration(good));
+  assert.equal(C.loadCalibration('{oops'), null);
+  assert.equal(C.loadCalibration({ ...good, v: 9 }), null);
+  assert.equal(C.loadCalibration({ ...good, gain: { ...good.gain, happy: 40 } }), null);
+  assert.equal(C.loadCalibration(null), null);
+});
+
+test('a calibrated weak smile reads as happy and a resting stress reads as neutral', () => {
+  const c = C.computeCalibration(run({
+    neutral: mood({ neutral: 0.5, stressed: 0.3 }),
+    smile:   mood({ happy: 0.25, neutral: 0.5, stressed: 0.3 }),
+    frown:   mood({ angry: 0.3, neutral: 0.4, stressed: 0.3 })
+  }).samples).calibration;
+  /** The classifier's answer for state, after it has settled on whatever `before` reads as */
+  const classify = (state, calib, before = mood({ neutral: 1 })) => {
+    const tr = E.createEmotionTracker();
+    tr.dominant(C.applyCalibration(before, calib), 0);
+    return tr.dominant(C.applyCalibration(state, calib), 10000);
+  };
+
+  const weakSmile = mood({ happy: 0.25, neutral: 0.45, stressed: 0.3 });
+  assert.equal(classify(weakSmile, null), 'neutral');
+  assert.equal(classify(weakSmile, c), 'happy');
+
+  const tense = mood({ stressed: 0.6, neutral: 0.2 }), resting = mood({ neutral: 0.4, stressed: 0.35 });
+  assert.equal(classify(resting, null, tense), 'stressed', 'uncalibrated, the resting face never leaves stressed');
+  assert.equal(classify(resting, c, tense), 'neutral');
+  assert.equal(C.applyCalibration(resting, null), resting);
+});
@@ -0,0 +1,75 @@
+// Keyboard / gamepad cursor (core/cursor.js): key and stick directions, speed ramp, snapping
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const C = require('../core/cursor.js');
+
+/** A standard-mapping gamepad with the given buttons held */
+const pad = (held = [], axes = [0, 0]) => ({ axes, buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: held.includes(i) })) });
+
+test('arrow keys and WASD steer, diagonals are not faster', () => {
+  assert.deepEqual(C.keyDirection(['ArrowLeft']), [-1, 0]);
+  assert.deepEqual(C.keyDirection(['KeyW', 'KeyS']), [0, 0]);
+  assert.deepEqual(C.keyDirection(['ArrowLeft', 'KeyA']), [-1, 0], 'the same direction twice is not faster');
+  const [dx, dy] = C.keyDirection(['KeyD', 'ArrowDown']);
+  assert.ok(Math.abs(Math.hypot(dx, dy) - 1) < 1e-9);
+  assert.deepEqual(C.keyDirection(['Space', 'KeyQ']), [0, 0]);
+});
+
+test('gamepad: d-pad over stick, deadzone, and buttons fire once per press', () => {
+  let r = C.readGamepad(pad([15], [-1, 0]));
+  assert.deepEqual([r.dx, r.dy], [1, 0], 'd-pad wins');
+  r = C.readGamepad(pad([], [0.15, 0.1]));
+  assert.deepEqual([r.dx, r.dy], [0, 0], 'inside the deadzone');
+  r = C.readGamepad(pad([], [0, 1]));
+  assert.equal(r.dy, 1);
+
+  const first = C.readGamepad(pad([0]));
+  assert.equal(first.pop, true);
+  assert.equal(C.readGamepad(pad([0]), first.down).pop, false, 'held, not pressed again');
+  assert.equal(C.readGamepad(pad([5]), first.down).snap, true);
+  assert.deepEqual(C.readGamepad(null), { dx: 0, dy: 0, fast: false, pop: false, snap: false, down: [] });
+});
+
+test('a held key ramps up to full speed and the cursor stays on the play area', () => {
+  const c = C.createCursor();
+  const view = { w: 400, h: 600, top: 100 };
+  c.center(view.w, view.h, view.top);
+  assert.deepEqual([c.x, c.y], [200, 350]);
+
+  c.steer(1, 0, 100, view);                    // 0.6 × 400 px/s × 0.1 s, at 35% + 65% × 100/350
+  assert.equal(c.x.toFixed(2), (200 + 24 * (0.35 + 0.65 * 100 / 350)).toFixed(2));
+  c.steer(1, 0, 300, view);
+  const x = c.x;
+  c.steer(1, 0, 100, view);
+  assert.equal(Math.round(c.x - x), 24, 'full speed after RAMP_MS');
+  c.steer(0, 0, 100, view);                    // released: the next press starts slow again
+  const x2 = c.x;
+  c.steer(-1, 0, 100, view);
+  assert.ok(x2 - c.x < 24);
+
+  c.steer(0, -1, 5000, view);
+  assert.equal(c.y, 100, 'not into the top bar');
+  c.steer(1, 0, 5000, { ...view, fast: true });
+  assert.equal(c.x, 400);
+});
+
+test('snapping locks onto the nearest bubble, again moves on, moving lets go', () => {
+  const bubbles = [{ x: 100, y: 100 }, { x: 150, y: 100 }, { x: 300, y: 300, _popping: true }];
+  const c = C.createCursor();
+  c.center(400, 400);
+  c.lock = C.nearestBubble(bubbles, c.x, c.y, c.lock);
+  assert.equal(c.lock, bubbles[1]);
+  c.lock = C.nearestBubble(bubbles, c.lock.x, c.lock.y, c.lock);
+  assert.equal(c.lock, bubbles[0]);
+
+  bubbles[0].x = 120;
+  c.follow(bubbles);
+  assert.deepEqual([c.x, c.y], [120, 100]);
+  bubbles[0]._popping = true;
+  c.follow(bubbles);
+  assert.equal(c.lock, null);
+
+  c.lock = bubbles[1];
+  c.steer(0, 1, 16, { w: 400, h: 400 });
+  assert.equal(c.lock, null);
+});
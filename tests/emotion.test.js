@@ -0,0 +1,89 @@
+// Dominant-emotion classifier (core/emotion.js): hysteresis, force gates, margin and cooldown
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EMO_CFG, EMO_FORCE, createEmotionTracker } = require('../core/emotion.js');
+
+/** Feed [ms, moodState] steps to a fresh tracker; returns the emotion after each */
+function run(steps, opts){
+  const tr = createEmotionTracker(opts);
+  return steps.map(([ms, state]) => tr.dominant(state, ms));
+}
+
+test('starts neutral and stays there while neutral holds its share', () => {
+  assert.deepEqual(run([
+    [0,    { neutral: 1 }],
+    [1000, { happy: 0.3, neutral: 0.6 }],   // neutral share .67 ≥ NEUTRAL_OFF
+    [2000, {}]                              // no data: neutral fills the rest
+  ]), ['neutral', 'neutral', 'neutral']);
+});
+
+test('raw force gates switch out of neutral (happy → sad → angry → stressed priority)', () => {
+  assert.deepEqual(run([[1000, { happy: EMO_FORCE.HAPPY_RAW, neutral: 0.1 }]]), ['happy']);
+  assert.deepEqual(run([[1000, { sad: EMO_FORCE.SAD_RAW, neutral: 0.1 }]]), ['sad']);
+  assert.deepEqual(run([[1000, { angry: EMO_FORCE.ANGRY_RAW, neutral: 0.1 }]]), ['angry']);
+  assert.deepEqual(run([[1000, { stressed: EMO_FORCE.STRESSED_RAW, neutral: 0.1 }]]), ['stressed']);
+  assert.deepEqual(run([[1000, { happy: 0.5, sad: 0.5, neutral: 0.1 }]]), ['happy']);
+});
+
+test('below the force gates the top emotion needs ON share and a MARGIN over #2', () => {
+  assert.deepEqual(run([[1000, { happy: 0.3, sad: 0.1, neutral: 0.15 }]]), ['happy']);
+  // a tie has no margin: fall back to the last emotion
+  assert.deepEqual(run([[1000, { happy: 0.3, sad: 0.3, neutral: 0.1 }]]), ['neutral']);
+});
+
+test('hysteresis: an emotion sticks until its share drops below OFF', () => {
+  assert.deepEqual(run([
+    [1000, { happy: 0.5, neutral: 0.1 }],
+    [2000, { happy: 0.2, neutral: 0.8 }],   // share .20 ≥ OFF: still happy
+    [3000, { happy: 0.1, neutral: 0.9 }]    // share .10 < OFF: strong neutral takes over
+  ]), ['happy', 'happy', 'neutral']);
+});
+
+test('cooldown: the current emotion cannot re-trigger within COOLDOWN_MS, others can', () => {
+  const strongSad = { happy: 0.4, sad: 3 };  // happy share .12 < OFF, but raw happy ≥ HAPPY_RAW
+  assert.deepEqual(run([
+    [1000, { happy: 0.5, neutral: 0.1 }],
+    [1000 + EMO_CFG.COOLDOWN_MS - 1, strongSad]   // happy's own gate is cooling down: sad wins
+  ]), ['happy', 'sad']);
+  assert.deepEqual(run([
+    [1000, { happy: 0.5, neutral: 0.1 }],
+    [1000 + EMO_CFG.COOLDOWN_MS, strongSad]       // cooled down: happy's gate comes first again
+  ]), ['happy', 'happy']);
+});
+
+test('switch time only moves on a real switch', () => {
+  const tr = createEmotionTracker();
+  tr.dominant({ happy: 0.5, neutral: 0.1 }, 1000);
+  tr.dominant({ happy: 0.5, neutral: 0.1 }, 1200);
+  assert.equal(tr.last, 'happy');
+  assert.equal(tr.lastSwitchMs, 1000);
+  tr.reset();
+  assert.equal(tr.last, 'neutral');
+  assert.equal(tr.lastSwitchMs, 0);
+});
+
+test('a scripted session: smile, frown, calm down', () => {
+  const seq = [
+    { neutral: 0.9 },
+    { happy: 0.4, neutral: 0.3 },            // neutral share .43 still holds
+    { happy: 0.5, neutral: 0.1 },
+    { happy: 0.15, sad: 0.2, neutral: 0.2 },  // happy share .27 ≥ OFF: sticks
+    { happy: 0.05, sad: 0.4, neutral: 0.1 },
+    { sad: 0.2, neutral: 0.5 },
+    { sad: 0.05, neutral: 0.9 }
+  ];
+  assert.deepEqual(run(seq.map((s, i) => [i * 1500, s])),
+    ['neutral', 'neutral', 'happy', 'happy', 'sad', 'sad', 'neutral']);
+});
+
+test('trackers use the config they are given', () => {
+  const sticky = { ...EMO_CFG, NEUTRAL_OFF: 0.1 };
+  assert.deepEqual(run([[1000, { happy: 0.5, neutral: 0.1 }]], { cfg: sticky }), ['neutral']);
+  const noForce = { HAPPY_RAW: 2, SAD_RAW: 2, ANGRY_RAW: 2, STRESSED_RAW: 2 };
+  assert.deepEqual(run([[1000, { happy: 0.3, sad: 0.3, neutral: 0.1 }]], { force: noForce }), ['neutral']);
+});
+
+test('tuning constants are frozen', () => {
+  assert.ok(Object.isFrozen(EMO_CFG));
+  assert.ok(Object.isFrozen(EMO_FORCE));
+});
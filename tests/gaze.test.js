@@ -0,0 +1,55 @@
+// Head pose & gaze (core/gaze.js): landmark geometry, mirroring, smoothing and the adaptive center
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const G = require('../core/gaze.js');
+
+/**
+ * A synthetic 68-point face: eyes at y=150, chin at y=350, jaw from x=100 to 300.
+ * noseX / noseDown move the nose tip (30); rollDeg rotates the whole face around its center.
+ */
+function face({ noseX = 200, noseDown = G.GAZE_CFG.PITCH_REST, rollDeg = 0 } = {}){
+  const pts = Array.from({ length: 68 }, () => [200, 250]);
+  for (let i = 0; i <= 16; i++){ const a = Math.PI * i / 16; pts[i] = [200 - 100 * Math.cos(a), 150 + 200 * Math.sin(a / 2)]; }
+  pts[8] = [200, 350];
+  for (let i = 36; i <= 41; i++) pts[i] = [150 + (i - 38.5) * 4, 150];
+  for (let i = 42; i <= 47; i++) pts[i] = [250 + (i - 44.5) * 4, 150];
+  pts[30] = [noseX, 150 + 200 * noseDown];
+  const r = rollDeg * Math.PI / 180;
+  return pts.map(([x, y]) => [200 + (x - 200) * Math.cos(r) - (y - 250) * Math.sin(r), 250 + (x - 200) * Math.sin(r) + (y - 250) * Math.cos(r)]);
+}
+const near = (a, b, eps = 0.5) => assert.ok(Math.abs(a - b) < eps, `${a} ≉ ${b}`);
+
+test('a face looking at the camera has no yaw, pitch or roll', () => {
+  const p = G.headPose(face());
+  near(p.yaw, 0); near(p.pitch, 0); near(p.roll, 0);
+  assert.equal(G.headPose(face().slice(0, 67)), null);
+  assert.equal(G.headPose(null), null);
+});
+
+test('nose toward image-left is the player turning right; roll is undone first', () => {
+  const right = G.headPose(face({ noseX: 150 }));
+  near(right.yaw, 30);
+  near(G.headPose(face({ noseX: 250 })).yaw, -30);
+  near(G.headPose(face({ noseDown: 0.67 })).pitch, 30, 0.6);
+
+  const tilted = G.headPose(face({ noseX: 150, rollDeg: 20 }));
+  near(tilted.roll, 20);
+  near(tilted.yaw, 30);
+});
+
+test('the gaze point follows the pose around the adapted center, smoothed and clamped', () => {
+  const tr = G.createGazeTracker();
+  assert.deepEqual(tr.update({ yaw: 5, pitch: -3 }), { x: 0.5, y: 0.5 }, 'the first pose is the center');
+  assert.deepEqual(tr.center, { yaw: 5, pitch: -3 });
+
+  const g = tr.update({ yaw: 15, pitch: -3 });  // 10° right of center
+  assert.equal(g.x, 0.62);                       // halfway (SMOOTH) to 0.75, minus the center drift
+  assert.equal(g.y, 0.5);
+  for (let i = 0; i < 6; i++) tr.update({ yaw: 90, pitch: 90 });
+  assert.deepEqual(tr.gaze, { x: 0.99, y: 0.99 }, 'clamped to the screen');
+
+  for (let i = 0; i < 30; i++) tr.update(null);
+  assert.deepEqual(tr.gaze, { x: 0.5, y: 0.5 }, 'no face drifts back to the center');
+  tr.reset();
+  assert.equal(tr.center, null);
+});
@@ -0,0 +1,73 @@
+// Blink / nod gestures (core/gesture.js): EAR, deliberate vs. ordinary blinks, nods and aim assist
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const G = require('../core/gesture.js');
+
+/** 68 landmarks with both eyes open to the given height (eye width 30 px) */
+function eyes(open = 9){
+  const pts = Array.from({ length: 68 }, () => [200, 250]);
+  for (const [i, cx] of [[36, 150], [42, 250]]){
+    pts[i]     = [cx - 15, 150];           pts[i + 3] = [cx + 15, 150];
+    pts[i + 1] = [cx - 5, 150 - open / 2]; pts[i + 2] = [cx + 5, 150 - open / 2];
+    pts[i + 4] = [cx + 5, 150 + open / 2]; pts[i + 5] = [cx - 5, 150 + open / 2];
+  }
+  return pts;
+}
+
+/** Feed { t, ear, pitch } samples every stepMs; returns the gestures that fired */
+function feed(d, samples, stepMs = 200, t0 = 0){
+  return samples.map(([ear, pitch], i) => d.update({ t: t0 + i * stepMs, ear, pitch })).filter(Boolean);
+}
+
+test('EAR is eye height over width for both eyes', () => {
+  assert.equal(G.eyeAspectRatio(eyes(9)), 0.3);
+  assert.equal(G.eyeAspectRatio(eyes(0)), 0);
+  assert.equal(G.eyeAspectRatio(eyes().slice(0, 60)), null);
+});
+
+test('only a held blink pops: ordinary blinks and resting the eyes do not', () => {
+  const d = G.createGestureDetector();
+  const open = [0.3, 0];
+  assert.deepEqual(feed(d, [open, open, [0.1, 0], open, open]), [], 'one closed sample is an ordinary blink');
+
+  const held = feed(d, [open, [0.1, 0], [0.1, 0], [0.1, 0], open], 200, 2000);
+  assert.deepEqual(held, ['blink'], '600 ms closed');
+
+  const resting = feed(d, [open, ...Array(12).fill([0.1, 0]), open], 200, 5000);
+  assert.deepEqual(resting, []);
+});
+
+test('the aim holds while a gesture is under way; losing the face cancels it', () => {
+  const d = G.createGestureDetector();
+  d.update({ t: 0, ear: 0.3, pitch: 0 });
+  d.update({ t: 200, ear: 0.1, pitch: 0 });
+  assert.equal(d.busy, true);
+  d.update({ t: 400, ear: 0.1, pitch: 0 });
+  assert.equal(d.progress, 0.5);
+  assert.equal(d.update(null), null);
+  assert.equal(d.busy, false);
+  assert.equal(d.update({ t: 800, ear: 0.3, pitch: 0 }), null, 'reopening after a lost face is not a blink');
+});
+
+test('a nod is a quick dip below the resting pitch; a lowered head is a new rest', () => {
+  const d = G.createGestureDetector();
+  assert.deepEqual(feed(d, [[0.3, 2], [0.3, 2], [0.3, 15], [0.3, 14], [0.3, 3]]), ['nod']);
+  assert.deepEqual(feed(d, [[0.3, 3], [0.3, 16], [0.3, 3]], 200, 1000), [], 'within the cooldown');
+
+  const lowered = feed(d, [[0.3, 2], ...Array(10).fill([0.3, 16]), [0.3, 16], [0.3, 2]], 200, 5000);
+  assert.deepEqual(lowered, []);
+});
+
+test('aim assist snaps to the bubble whose edge is nearest, within reach', () => {
+  const bubbles = [
+    { x: 100, y: 100, r: 20 },
+    { x: 180, y: 100, r: 40 },
+    { x: 300, y: 300, r: 20, _popping: true },
+    { x: 130, y: 100, r: 5, alive: false }
+  ];
+  const r = (b) => b.r;
+  assert.equal(G.snapTarget(bubbles, 135, 100, r, 40), bubbles[1], '5 px from the big one, 15 px from the small one');
+  assert.equal(G.snapTarget(bubbles, 300, 300, r, 40), null, 'popping bubbles are gone');
+  assert.equal(G.snapTarget(bubbles, 100, 200, r, 40), null, 'out of reach');
+  assert.equal(G.snapTarget(bubbles, 100, 150, r, 40), bubbles[0]);
+});
@@ -0,0 +1,59 @@
+// Mood instruments (core/instruments.js): SAM / PANAS items, scoring, and their use in surveys
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const I = require('../core/instruments.js');
+const Sv = require('../core/survey.js');
+
+const panas = (pa, na) => Object.fromEntries([...I.PANAS_PA.map(w => [`panas_${w}`, pa]), ...I.PANAS_NA.map(w => [`panas_${w}`, na])]);
+
+test('instruments expand into required likert items with fixed ids', () => {
+  const qs = I.instrumentQuestions(['sam', 'panas']);
+  assert.deepEqual(qs.slice(0, 2).map(q => [q.id, q.scale, q.pictogram]), [['sam_valence', 9, 'valence'], ['sam_arousal', 9, 'arousal']]);
+  assert.equal(qs.length, 12);
+  assert.deepEqual(qs.slice(2).map(q => q.id).sort(), [...I.PANAS_PA, ...I.PANAS_NA].map(w => `panas_${w}`).sort());
+  assert.ok(qs.every(q => q.type === 'likert' && q.required));
+  assert.deepEqual(I.instrumentQuestions(['nope']), []);
+  assert.ok(Object.isFrozen(I.INSTRUMENTS.panas.items[0]));
+});
+
+test('deepFreeze freezes nested objects and arrays (survey.js freezes its surveys with it)', () => {
+  const o = I.deepFreeze({ a: { b: [1, { c: 2 }] } });
+  assert.ok(Object.isFrozen(o.a) && Object.isFrozen(o.a.b) && Object.isFrozen(o.a.b[1]));
+  assert.ok(Object.isFrozen(Sv.DEFAULT_SURVEY.before.questions[0]));
+});
+
+test('scores: SAM as answered, PANAS subscale sums only when complete', () => {
+  assert.deepEqual(I.scoreInstruments({ sam_valence: 7, sam_arousal: 2, ...panas(4, 1) }),
+    { samValence: 7, samArousal: 2, panasPA: 20, panasNA: 5 });
+  const partial = { ...panas(3, 2), sam_valence: 10 };
+  delete partial.panas_afraid;
+  assert.deepEqual(I.scoreInstruments(partial), { samValence: null, samArousal: null, panasPA: 15, panasNA: null });
+  assert.deepEqual(I.scoreInstruments(null), { samValence: null, samArousal: null, panasPA: null, panasNA: null });
+  assert.equal(I.scoreInstruments({ ...panas(6, 1) }).panasPA, null);
+});
+
+test('SAM pictograms: five figures on the 9-point scale, dots between', () => {
+  const figs = [1, 2, 3, 4, 5, 6, 7, 8, 9].map(v => I.samPictogram('valence', v));
+  assert.ok(figs.every(s => s.startsWith('<svg') && s.endsWith('</svg>')));
+  assert.equal(figs.filter(s => s.includes('<path')).length, 5);
+  assert.notEqual(figs[0], figs[8]);                                   // frown vs smile
+  assert.ok(!I.samPictogram('arousal', 1).includes('r="2.5"'));         // calm: eyes closed
+  assert.ok(I.samPictogram('arousal', 9).includes('r="2.5"'));
+  assert.equal(I.samPictogram('arousal', 2, 5).includes('<polygon'), true); // other scales: a figure per point
+});
+
+test('surveys administer instruments ahead of their own questions', () => {
+  const s = { id: 'inst', version: 1, after: { instruments: ['sam'], questions: [
+    { id: 'calmer', type: 'single', label: 'Calmer?', options: ['yes', 'no'], showIf: { q: 'sam_arousal', lte: 3 } }
+  ] } };
+  assert.deepEqual(Sv.validateSurvey(s), { ok: true, errors: [] });
+  assert.deepEqual(Sv.sectionQuestions(s.after).map(q => q.id), ['sam_valence', 'sam_arousal', 'calmer']);
+  assert.deepEqual(Sv.checkAnswers(s.after, { sam_valence: 5 }).missing, ['sam_arousal']);
+  assert.deepEqual(Sv.serializeAnswers(s, 'after', { sam_valence: 5, sam_arousal: 2, calmer: 'yes' }),
+    { _survey: 'inst@1', sam_valence: 5, sam_arousal: 2, calmer: 'yes' });
+
+  assert.deepEqual(Sv.validateSurvey({ id: 'x', version: 1, before: { instruments: ['sam', 'sam'] } }).errors,
+    ['survey.before.instruments: expected a list of sam | panas']);
+  assert.deepEqual(Sv.validateSurvey({ id: 'x', version: 1, before: { instruments: ['sam'], questions: [{ id: 'sam_valence', type: 'text', label: 'x' }] } }).errors,
+    ['survey.before.questions[0].id: duplicate "sam_valence"']);
+});
@@ -0,0 +1,121 @@
+// Local mock backend (server/mock-server.js): Apps Script actions, run re-scoring, static allow-list
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// the server reads its config once, on require: a throwaway DB and a known secret
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bbg-mock-'));
+process.env.MOCK_DB = path.join(dir, 'db.json');
+process.env.MOCK_SECRET = 'test-secret';
+process.env.MOCK_SCORE_POLICY = 'flag';
+const M = require('../server/mock-server.js');
+const S = require('../core/scoring.js');
+const { GameSession } = require('../core/session.js');
+const { DEFAULT_PROFILE } = require('../core/profile.js');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const SECRET = { secret: 'test-secret' };
+
+/** A headless Focus round as the client POSTs it (same shape as tests/scoring.test.js) */
+async function playRun(runId, deviceId){
+  const s = new GameSession({ mode: 'challenge', seed: `m-${runId}`, width: 400, height: 700, top: 40 });
+  const log = { v: 1, seed: s.seed, mode: 'challenge', variant: null, w: 400, h: 700, top: 40, touch: false, mood: null, carry: s.carry, ev: [], out: [] };
+  s.on('pop', ({ bubble: b }) => log.out.push([b._spawnIdx, b.isGold ? 'g' : (b.kind === 'trick' ? 't' : 'n')]));
+  s.on('miss', () => log.out.push(-1));
+  s.start();
+  for (let f = 0; f < 900 && !s.over; f++){
+    if (f % 6 === 0){
+      const b = s.bubbles.find(x => !x._popping && x.alive !== false);
+      const [x, y] = b ? [b.x, b.y] : [2, 698];
+      log.ev.push([s.frame, Math.round(s.elapsedMs), 'p', x, y]);
+      s.pointer(x, y);
+    }
+    s.step();
+  }
+  const run = {
+    action: 'run', runId, deviceId, username: 'tester', mode: 'challenge', seed: s.seed,
+    score: s.score, bubblesPopped: s.stats.popped, accuracy: s.accuracy,
+    roundLog: { ...log, frames: s.frame, durationMs: Math.round(s.elapsedMs), score: s.score }
+  };
+  run.logSig = await S.digestRun(run);
+  return run;
+}
+
+test('doPost needs the secret and a deviceId + numeric score', () => {
+  assert.deepEqual(M.doPost({}, { action: 'run', deviceId: 'd', score: 1 }), { ok: false, error: 'unauthorized' });
+  assert.deepEqual(M.doPost(SECRET, { action: 'run', score: 1 }), { ok: false, error: 'bad input' });
+  assert.deepEqual(M.doPost(SECRET, { action: 'run', deviceId: 'd', score: '1' }), { ok: false, error: 'bad input' });
+  assert.deepEqual(M.doPost(SECRET, { action: 'nope' }), { ok: false, error: 'unknown action' });
+});
+
+test('a replayed run is stored once; its retry is acked as a duplicate', async () => {
+  const run = await playRun('dup-1', 'dev-dup');
+  assert.ok(run.score > 0);
+  assert.deepEqual(M.doPost(SECRET, { ...run }), { ok: true, ranked: true, verified: 'ok' });
+  assert.deepEqual(M.doPost(SECRET, { ...run }), { ok: true, duplicate: true });
+
+  const { top } = M.doGet({ action: 'top', n: '100' });
+  assert.equal(top.filter(r => r.runId === 'dup-1').length, 1);
+  const { profile } = M.doGet({ action: 'profile', deviceId: 'dev-dup' });
+  assert.equal(profile.gamesPlayed, 1);
+  assert.equal(profile.bestScore, run.score);
+});
+
+test('verifyRun: ok, flagged, unverified; flagged runs stay off the leaderboard', async () => {
+  const run = await playRun('ver-1', 'dev-ver');
+  assert.deepEqual(M.verifyRun(run), { verified: 'ok', problems: [] });
+
+  const cheat = { ...run, runId: 'ver-2', score: run.score + 50 };
+  cheat.logSig = await S.digestRun(cheat);
+  assert.match(M.verifyRun(cheat).verified, /^flagged: score \d+ != replayed/);
+  assert.deepEqual(M.verifyRun({ ...run, logSig: 'x' }).problems, ['log digest mismatch']);
+  assert.deepEqual(M.verifyRun({ score: 1 }), { verified: 'unverified', problems: ['no round log'] });
+  const other = { ...run, roundLog: { ...run.roundLog, rules: 'calm-study@99' } };
+  assert.equal(M.verifyRun(other).verified, 'unverified');
+
+  assert.match(M.doPost(SECRET, { ...cheat, deviceId: 'dev-cheat', username: 'cheater' }).verified, /^flagged/);
+  const { scores } = M.doGet({ action: 'leaderboard', mode: 'challenge', limit: '100' });
+  assert.ok(!scores.some(r => r.username === 'cheater'));
+  assert.equal(M.doGet({ action: 'profile', deviceId: 'dev-cheat' }).profile.bestScore, 0);
+});
+
+test('profileForKey: built-in key, a profile on disk at its version, nothing else', () => {
+  assert.equal(M.profileForKey(undefined), DEFAULT_PROFILE);
+  assert.equal(M.profileForKey(DEFAULT_PROFILE.key), DEFAULT_PROFILE);
+  assert.equal(M.profileForKey('calm-study@1').key, 'calm-study@1');
+  assert.equal(M.profileForKey('calm-study@2'), null);
+  assert.equal(M.profileForKey('../server/mock-db@1'), null);
+});
+
+test('isStaticAsset: the game files only, no dotfiles or traversal', () => {
+  for (const ok of ['index.html', 'sketch.js', 'core/scoring.js', 'profiles/calm-study.json', 'assets/x/y.png']){
+    assert.equal(M.isStaticAsset(ok), true, ok);
+  }
+  for (const bad of ['', '.git/config', 'core/.env', 'server/mock-db.json', 'old_files/code.js', 'README.md',
+    '../index.html', 'core/../server/mock-db.json', 'core//scoring.js', 'core/', '/index.html', 'assets/..']){
+    assert.equal(M.isStaticAsset(bad), false, bad);
+  }
+});
+
+test('static routes: 200 for the page, 404 outside the allow-list, 400 for a bad path', async () => {
+  const server = M.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const status = async (p) => (await fetch(base + p)).status;
+    assert.equal(await status('/'), 200);
+    assert.equal(await status('/core/scoring.js'), 200);
+    assert.equal(await status('/server/mock-db.json'), 404);
+    assert.equal(await status('/%2e%2e/%2e%2e/etc/passwd'), 404);
+    assert.equal(await status('/core/..%2f.git/config'), 404);
+    assert.equal(await status('/%E0%A4%A'), 400);
+
+    const post = await fetch(`${base}/api`, { method: 'POST', body: JSON.stringify({ action: 'run', score: 1 }) });
+    assert.deepEqual(await post.json(), { ok: false, error: 'bad input' }); // the Worker layer appended the secret
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
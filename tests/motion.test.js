@@ -0,0 +1,45 @@
+// Reduced motion (core/motion.js): background fades, the color-change rate cap, calmer wander
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const M = require('../core/motion.js');
+const { GameSession, TUNING } = require('../core/session.js');
+
+test('colors blend channel by channel; non-hex values switch at the end', () => {
+  assert.equal(M.mixHex('#000000', '#ffffff', 0.5), '#808080');
+  assert.equal(M.mixHex('#0f766e', '#c62828', 0), '#0f766e');
+  assert.equal(M.mixHex('#0f766e', '#c62828', 2), '#c62828');
+  assert.equal(M.mixHex('red', '#ffffff', 0.5), 'red');
+  assert.equal(M.mixHex('red', '#ffffff', 1), '#ffffff');
+});
+
+test('the background fades to a new target, and a new target waits out MIN_CHANGE_MS', () => {
+  const e = M.createColorEaser({ fadeMs: 1000, minChangeMs: 2000 });
+  const A = { from: '#000000', to: '#000000' }, B = { from: '#ffffff', to: '#000000' }, C = { from: '#ff0000', to: '#ff0000' };
+  assert.deepEqual(e.update(A, 0), A, 'the first colors show at once');
+  assert.equal(e.update(B, 5000).from, '#000000');
+  assert.equal(e.update(B, 5500).from, '#808080');
+  assert.deepEqual(e.update(B, 6000), B);
+
+  // flicker: B → C → B within the hold shows no change at all
+  assert.deepEqual(e.update(C, 6500), B);
+  assert.deepEqual(e.update(B, 6600), B);
+  assert.equal(e.update(C, 7000).from, '#ffffff', 'the hold is over: C starts from B');
+  assert.equal(e.update(C, 7500).from, '#ff8080');
+});
+
+test('reduced motion keeps 30% of the wander; the same seed draws the same random numbers', () => {
+  assert.equal(TUNING.WANDER_DEG, 0.35);
+  assert.equal(M.wanderFor(0.35, false), 0.35);
+  assert.equal(M.wanderFor(0.35, true), 0.105);
+
+  const first = (tuning) => {
+    const s = new GameSession({ mode: 'challenge', seed: 'calm', width: 400, height: 700, tuning });
+    s.start();
+    const before = s.bubbles.map(b => b.direction);
+    s.step();
+    return { s, turns: s.bubbles.map((b, i) => b.direction - before[i]) };
+  };
+  const full = first(), calm = first({ WANDER_DEG: M.wanderFor(TUNING.WANDER_DEG, true) });
+  calm.turns.forEach((d, i) => assert.ok(Math.abs(d - full.turns[i] * 0.3) < 1e-9, 'the same draw, scaled'));
+  assert.equal(calm.s.rngMotion.range(), full.s.rngMotion.range(), 'the motion stream is consumed the same way');
+});
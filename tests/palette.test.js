@@ -0,0 +1,42 @@
+// Bubble palettes (core/palette.js): every palette keeps normal / trick / gold apart for its viewers
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const P = require('../core/palette.js');
+
+const KINDS = ['normal', 'trick', 'gold'];
+
+/** Smallest ΔE between the three kinds, as seen with `vision` */
+function minGap(pal, vision){
+  const c = KINDS.map(k => P.simulateCvd(pal[k], vision));
+  return Math.min(P.deltaE(c[0], c[1]), P.deltaE(c[0], c[2]), P.deltaE(c[1], c[2]));
+}
+
+test('the standard teal / red is the problem: protanopes barely tell them apart', () => {
+  assert.ok(minGap(P.PALETTES.default, 'none') > 40);
+  assert.ok(minGap(P.PALETTES.default, 'protanopia') < 30);
+});
+
+test('each colorblind palette keeps the kinds apart for its own vision and for typical vision', () => {
+  for (const key of ['deuteranopia', 'protanopia', 'tritanopia']){
+    assert.ok(minGap(P.PALETTES[key], key) >= 40, `${key} as seen with ${key}`);
+    assert.ok(minGap(P.PALETTES[key], 'none') >= 40, `${key} with typical vision`);
+  }
+  for (const vision of ['none', 'protanopia', 'deuteranopia', 'tritanopia']){
+    assert.ok(minGap(P.PALETTES.highContrast, vision) >= 35, `high contrast with ${vision}`);
+  }
+});
+
+test('glyph ink contrasts with its bubble; kinds, hex and unknown keys', () => {
+  for (const key of P.PALETTE_KEYS){
+    for (const k of KINDS){
+      const fill = P.PALETTES[key][k], ink = P.glyphInk(fill);
+      const [hi, lo] = [P.luminance(fill), P.luminance(ink)].sort((a, b) => b - a);
+      assert.ok((hi + 0.05) / (lo + 0.05) >= 3, `${key} ${k}`);
+    }
+  }
+  assert.equal(P.bubbleKind({ kind: 'trick', isGold: false }), 'trick');
+  assert.equal(P.bubbleKind({ kind: 'normal', isGold: true }), 'gold');
+  assert.equal(P.hex([15, 118, 110, 200]), '#0f766e');
+  assert.equal(P.getPalette('sepia'), P.PALETTES.default);
+  assert.deepEqual(P.simulateCvd([1, 2, 3, 4], 'none'), [1, 2, 3]);
+});
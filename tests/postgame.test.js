@@ -0,0 +1,65 @@
+// Post-game leaderboard markup (core/postgame.js, rendered by sketch.js renderPostGameContent)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { leaderboardHtml } = require('../core/postgame.js');
+
+/** Table rows as arrays of cell text, plus whether the row is highlighted */
+function rows(html){
+  const body = html.split('<tbody>')[1].split('</tbody>')[0];
+  return [...body.matchAll(/<tr class="([^"]*)">([\s\S]*?)<\/tr>/g)].map(([, cls, cells]) => ({
+    me: cls === 'meRow',
+    cells: [...cells.matchAll(/<td>([\s\S]*?)<\/td>/g)].map(m => m[1])
+  }));
+}
+
+const board = [
+  { username: 'ana', score: 40, accuracy: 0.91 },
+  { username: 'Ben', score: 35, accuracyPct: 80.4 },
+  { name: 'cy', score: 30 },
+  { username: '', score: 20, accuracy: 0.5 },
+  { username: 'dee', score: null },
+  { username: 'sixth', score: 1 }
+];
+
+test('Top 5 rows: rank, name, score and accuracy in either format', () => {
+  const r = rows(leaderboardHtml({ username: 'zed', score: 3, accuracyPct: 10, rank: null, board }));
+  assert.deepEqual(r.map(x => x.cells), [
+    ['1', 'ana', '40', '91%'],
+    ['2', 'Ben', '35', '80%'],
+    ['3', 'cy', '30', ''],
+    ['4', '—', '20', '50%'],
+    ['5', 'dee', '0', '']
+  ]);
+  assert.ok(r.every(x => !x.me));
+});
+
+test('my row is highlighted case-insensitively', () => {
+  const r = rows(leaderboardHtml({ username: ' ben ', score: 35, accuracyPct: 80, rank: 2, board }));
+  assert.deepEqual(r.map(x => x.me), [false, true, false, false, false]);
+});
+
+test('outside the Top 5 my rank is appended as a highlighted 6th row', () => {
+  const r = rows(leaderboardHtml({ username: 'zed', score: 3, accuracyPct: 12, rank: 17, board }));
+  assert.equal(r.length, 6);
+  assert.deepEqual(r[5], { me: true, cells: ['17', 'zed', '3', '12%'] });
+
+  const inTop = rows(leaderboardHtml({ username: 'ana', score: 40, accuracyPct: 91, rank: 1, board }));
+  assert.equal(inTop.length, 5);
+  const anon = rows(leaderboardHtml({ username: '', score: 'x', rank: '9', board: [] }));
+  assert.deepEqual(anon, [{ me: true, cells: ['9', 'You', '0', ''] }]);
+});
+
+test('rows carry their server rank when given', () => {
+  const r = rows(leaderboardHtml({ board: [{ rank: 4, username: 'q', score: 2 }] }));
+  assert.equal(r[0].cells[0], '4');
+});
+
+test('heading and note', () => {
+  const html = leaderboardHtml({ board: [], heading: 'Daily 2026-10-19 — Top 5', note: 'Practice round' });
+  assert.match(html, /<h3>Daily 2026-10-19 — Top 5<\/h3>/);
+  assert.match(html, /<p class="lbMsg">Practice round<\/p>/);
+  const plain = leaderboardHtml({ board: [] });
+  assert.match(plain, /<h3>Top 5<\/h3>/);
+  assert.doesNotMatch(plain, /lbMsg/);
+  assert.deepEqual(rows(plain), []);
+});
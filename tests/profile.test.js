@@ -0,0 +1,123 @@
+// Rules profiles (core/profile.js): schema, merge over the defaults, and re-scoring with a profile
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const P = require('../core/profile.js');
+const S = require('../core/scoring.js');
+const { GameSession, TUNING } = require('../core/session.js');
+const { EMO_CFG, EMO_FORCE } = require('../core/emotion.js');
+
+const PROFILES = path.join(__dirname, '..', 'profiles');
+
+test('the built-in profile is the code constants', () => {
+  const d = P.DEFAULT_PROFILE;
+  assert.equal(d.key, 'default@1');
+  assert.deepEqual(d.rules, S.RULES);
+  assert.deepEqual(d.tuning, TUNING);
+  assert.deepEqual(d.emotion, { cfg: EMO_CFG, force: EMO_FORCE });
+  assert.deepEqual(d.emoPreset, {});
+  assert.ok(Object.isFrozen(d) && Object.isFrozen(d.rules));
+});
+
+test('the schema knows every tunable (new constants need a schema entry)', () => {
+  const props = P.PROFILE_SCHEMA.properties;
+  assert.deepEqual(Object.keys(props.rules.properties).sort(), Object.keys(S.RULES).sort());
+  assert.deepEqual(Object.keys(props.tuning.properties).sort(), Object.keys(TUNING).sort());
+  assert.deepEqual(Object.keys(props.emotion.properties.cfg.properties).sort(), Object.keys(EMO_CFG).sort());
+  assert.deepEqual(Object.keys(props.emotion.properties.force.properties).sort(), Object.keys(EMO_FORCE).sort());
+});
+
+test('every shipped profile validates', () => {
+  for (const f of fs.readdirSync(PROFILES).filter(f => f.endsWith('.json'))){
+    const json = JSON.parse(fs.readFileSync(path.join(PROFILES, f), 'utf8'));
+    assert.deepEqual(P.validateProfile(json), { ok: true, errors: [] }, f);
+    assert.equal(`${json.id}.json`, f, 'file name matches the id (?rules=<id> loads profiles/<id>.json)');
+  }
+});
+
+test('schema errors name the path', () => {
+  const { ok, errors } = P.validateProfile({
+    id: 'Bad Id', version: 1.5, extra: true,
+    rules: { RED_PENALTY: -1, GOLD_RATE: '0.1', COMBO_STEPS: [[5]], MIN_DAIM: 40 },
+    tuning: { MODE_DURATION: { zen: 30 } },
+    emoPreset: { happy: { bg: 'green' } }
+  });
+  assert.equal(ok, false);
+  assert.deepEqual(errors, [
+    'profile.id: does not match ^[a-z0-9][a-z0-9_-]{0,39}$',
+    'profile.version: expected integer',
+    'profile.extra: unknown key',
+    'profile.rules.RED_PENALTY: must be >= 0',
+    'profile.rules.GOLD_RATE: expected number',
+    'profile.rules.COMBO_STEPS[0]: needs 2+ items',
+    'profile.rules.MIN_DAIM: unknown key',
+    'profile.tuning.MODE_DURATION.zen: unknown key',
+    'profile.emoPreset.happy.bg: does not match ^#[0-9a-fA-F]{3,8}$'
+  ]);
+  assert.deepEqual(P.validateProfile({ version: 1 }).errors, ['profile.id: required']);
+  assert.deepEqual(P.validateProfile([]).errors, ['profile: expected object']);
+  assert.deepEqual(P.validateProfile({ id: 'default', version: 2 }).errors, ['profile.id: "default" is the built-in profile']);
+});
+
+test('cross-field checks run on the merged values', () => {
+  const errs = (over) => P.validateProfile({ id: 'x', version: 1, ...over }).errors;
+  assert.deepEqual(errs({ rules: { MIN_DIAM: 90 } }), ['rules: MIN_DIAM must be < MAX_DIAM']);
+  assert.deepEqual(errs({ tuning: { MAX_SPEED: 0.5 } }), ['tuning: MIN_SPEED must be <= MAX_SPEED']);
+  assert.deepEqual(errs({ emotion: { cfg: { OFF: 0.3 } } }), ['emotion.cfg: OFF must be <= ON']);
+  assert.deepEqual(errs({ emotion: { cfg: { NEUTRAL_ON: 0.2 } } }), ['emotion.cfg: NEUTRAL_OFF must be <= NEUTRAL_ON']);
+  assert.deepEqual(errs({ rules: { COMBO_STEPS: [[5, 1.5], [10, 2]] } }),
+    ['rules: COMBO_STEPS must be ordered by streak, highest first']);
+  assert.deepEqual(errs({ rules: { COMBO_STEPS: [] } }), []); // no combo at all is allowed
+});
+
+test('overrides merge over the defaults; nested maps key by key, arrays replace', () => {
+  const { ok, profile } = P.loadProfile({
+    id: 'fast', version: 3,
+    rules: { RED_PENALTY: 4, MODE_SCORE_MULT: { mood: 3 }, COMBO_STEPS: [[3, 1.2]] },
+    tuning: { MODE_DURATION: { mood: 90 } },
+    emotion: { force: { STRESSED_RAW: 0.5 } },
+    emoPreset: { sad: { emoji: '🌧️' } }
+  });
+  assert.ok(ok);
+  assert.equal(profile.key, 'fast@3');
+  assert.equal(profile.rules.RED_PENALTY, 4);
+  assert.equal(profile.rules.MIN_DIAM, S.RULES.MIN_DIAM);
+  assert.deepEqual(profile.rules.MODE_SCORE_MULT, { challenge: 1.5, mood: 3 });
+  assert.deepEqual(profile.rules.COMBO_STEPS, [[3, 1.2]]);
+  assert.deepEqual(profile.tuning.MODE_DURATION, { challenge: 30, mood: 90, daily: 45 });
+  assert.equal(profile.emotion.force.STRESSED_RAW, 0.5);
+  assert.equal(profile.emotion.force.HAPPY_RAW, EMO_FORCE.HAPPY_RAW);
+  assert.deepEqual(profile.emoPreset, { sad: { emoji: '🌧️' } });
+});
+
+test('loadProfile takes JSON text and falls back to the defaults when invalid', () => {
+  const text = fs.readFileSync(path.join(PROFILES, 'calm-study.json'), 'utf8');
+  assert.equal(P.loadProfile(text).profile.key, 'calm-study@1');
+
+  const bad = P.loadProfile('{ "id": "x", ');
+  assert.equal(bad.ok, false);
+  assert.equal(bad.profile, P.DEFAULT_PROFILE);
+  assert.match(bad.errors[0], /^profile: bad JSON/);
+  assert.equal(P.loadProfile({ id: 'x', version: 1, rules: { MAX_DIAM: 5 } }).profile, P.DEFAULT_PROFILE);
+});
+
+test('a round played under a profile re-scores only with that profile', () => {
+  const { profile } = P.loadProfile({ id: 'harsh', version: 1, rules: { CHALLENGE_TRICK_RATE: 0.5, MODE_SCORE_MULT: { challenge: 3 } } });
+  const s = new GameSession({ mode: 'challenge', seed: 'profile-1', width: 400, height: 700, rules: profile.rules, tuning: profile.tuning });
+  const log = { v: 1, rules: profile.key, seed: s.seed, mode: 'challenge', variant: null, w: 400, h: 700, top: 0, touch: false, mood: null, carry: s.carry, ev: [], out: [] };
+  s.on('pop', ({ bubble: b }) => log.out.push([b._spawnIdx, b.kind === 'trick' ? 't' : 'n']));
+  s.on('miss', () => log.out.push(-1));
+  s.start();
+  for (let f = 0; f < 600 && !s.over; f++){
+    if (f % 8 === 0){
+      const b = s.bubbles.find(x => !x._popping);
+      if (b){ log.ev.push([s.frame, Math.round(s.elapsedMs), 'p', b.x, b.y]); s.pointer(b.x, b.y); }
+    }
+    s.step();
+  }
+  const run = { mode: 'challenge', seed: s.seed, score: s.score, roundLog: { ...log, frames: s.frame, score: s.score } };
+  assert.ok(s.stats.trick > 0 && s.score > 0);
+  assert.deepEqual(S.validateRun(run, {}, profile.rules).problems, []);
+  assert.notDeepEqual(S.validateRun(run).problems, []); // the built-in rules don't add up to the same score
+});
@@ -0,0 +1,79 @@
+// Face sampling pace (core/sampling.js): frame time walks the detector settings down and back up
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../core/sampling.js');
+
+/** Feed frames of dtMs for durationMs; returns the clock afterwards */
+function frames(p, dtMs, durationMs, now = 0){
+  for (const end = now + durationMs; now < end; now += dtMs) p.noteFrame(dtMs, now);
+  return now;
+}
+
+test('level 0 is the old fixed setting and every level is a valid detector size', () => {
+  const p = S.createPacer();
+  assert.deepEqual([p.level, p.inputSize, p.intervalMs], [0, 512, 1500]);
+  for (const l of S.PACE_LEVELS) assert.ok(S.INPUT_SIZES.includes(l.inputSize) && l.inputSize % 32 === 0);
+  assert.equal(S.createPacer({ level: 99 }).level, S.PACE_LEVELS.length - 1);
+});
+
+test('slow frames shrink the input first, then stretch the interval', () => {
+  const p = S.createPacer();
+  let now = frames(p, 40, 3500);                 // 25 fps
+  assert.deepEqual([p.level, p.inputSize, p.intervalMs], [1, 416, 1500]);
+  now = frames(p, 40, 30000, now);
+  assert.deepEqual([p.inputSize, p.intervalMs], [224, 2500], 'bottom of the ladder');
+  assert.equal(p.level, S.PACE_LEVELS.length - 1);
+});
+
+test('healthy frames recover one level per hold; in-between frames hold the level', () => {
+  const p = S.createPacer({ level: 3 });
+  let now = frames(p, 22, 60000);                // 45 fps: neither degraded nor healthy
+  assert.equal(p.level, 3);
+  now = frames(p, 16, 16000, now);
+  assert.equal(p.level, 2);
+  frames(p, 16, 32000, now);
+  assert.equal(p.level, 0);
+});
+
+test('tab switches and pauses are not slow frames', () => {
+  const p = S.createPacer();
+  let now = 0;
+  for (let i = 0; i < 40; i++){ p.noteFrame(16, now); now += 16; p.noteFrame(5000, now); now += 5000; }
+  assert.equal(p.level, 0);
+  assert.equal(p.noteFrame(0, now), false);
+  assert.ok(p.frameMs < 17);
+});
+
+test('slow detections step down; the interval stretches to the duty budget', () => {
+  const p = S.createPacer();
+  p.noteDetection(400, 0);
+  p.noteDetection(400, 1500);
+  assert.equal(p.level, 0, 'two slow detections are not enough');
+  assert.equal(p.intervalMs, 2000, '400 ms at 20% of the interval on the main thread');
+  assert.equal(p.noteDetection(400, 3000), true);
+  assert.equal(p.inputSize, 416);
+
+  p.setOffThread(true);
+  assert.equal(p.intervalMs, 1500, 'the worker may use half of the interval');
+  for (let i = 0; i < 10; i++) p.noteDetection(2000, 4500 + i * 1500);
+  assert.equal(p.intervalMs, S.PACE_CFG.MAX_INTERVAL_MS);
+});
+
+test('phones start lower; telemetry summarizes the round', () => {
+  assert.equal(S.createPacer({ device: 'laptop' }).level, 0);
+  assert.equal(S.createPacer({ device: 'iphone' }).inputSize, 416);
+  assert.equal(S.createPacer({ device: 'android_phone' }).inputSize, 320);
+  assert.equal(S.createPacer({ device: 'fridge' }).level, 0);
+
+  const p = S.createPacer({ device: 'samsung_phone', offThread: true });
+  assert.equal(p.telemetry(), null);
+  p.startRound(1000);
+  const end = frames(p, 40, 3500, 1000);
+  for (let i = 0; i < 3; i++) p.noteDetection(300, end + i);
+  assert.deepEqual(p.telemetry(), {
+    device: 'samsung_phone', worker: true, inputSize: 224, intervalMs: 2000,
+    level: 4, startLevel: 2, minLevel: 2, maxLevel: 4,
+    fps: 25, detectMs: 300, detections: 3,
+    changes: [[3000, 3, 'f'], [3522, 4, 'l']]
+  });
+});
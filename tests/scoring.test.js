@@ -0,0 +1,158 @@
+// Scoring rules + run validator (core/scoring.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../core/scoring.js');
+const { GameSession } = require('../core/session.js');
+
+test('popDelta per mode', () => {
+  const d = (pop) => S.popDelta({ diameter: 50, kind: 'normal', ...pop });
+  assert.equal(d({ mode: 'classic' }), 1);
+  assert.equal(d({ mode: 'classic', kind: 'trick' }), -S.RULES.RED_PENALTY);
+  assert.equal(d({ mode: 'challenge' }), 3);
+  assert.equal(d({ mode: 'challenge', diameter: 25 }), 5);           // boost capped at 3 → 4.5
+  assert.equal(d({ mode: 'challenge', kind: 'trick', comboMult: 2 }), -2);
+  assert.equal(d({ mode: 'daily', comboMult: 2 }), 6);
+  assert.equal(d({ mode: 'classic', comboMult: 2 }), 1);             // Zen ignores combo
+  assert.equal(d({ mode: 'mood', emotion: 'sad' }), 4);
+  assert.equal(d({ mode: 'mood', emotion: 'happy', gold: true, comboMult: 1.5 }), 22);
+  assert.equal(d({ mode: 'mood', emotion: 'happy', kind: 'trick', gold: true }), -1);
+});
+
+test('comboMultFor thresholds', () => {
+  assert.deepEqual([0, 4, 5, 9, 10, 30].map(n => S.comboMultFor(n)), [1, 1, 1.5, 1.5, 2, 2]);
+});
+
+test('popDiameter grows up to ANGRY_GROWTH and clamps anger to 0..1', () => {
+  assert.equal(S.popDiameter(60), 60);
+  assert.equal(S.popDiameter(60, 1), 60 * (1 + S.RULES.ANGRY_GROWTH));
+  assert.equal(S.popDiameter(60, 5), S.popDiameter(60, 1));
+  assert.equal(S.popDiameter(60, -1), 60);
+});
+
+test('score keeper floors the score at 0 and tracks the combo', () => {
+  const k = S.createScoreKeeper({ mode: 'challenge' });
+  k.hit({ kind: 'trick', diameter: 50 });
+  assert.equal(k.score, 0);
+  for (let i = 0; i < 5; i++) k.hit({ kind: 'normal', diameter: 50 });
+  assert.equal(k.comboMult, 1.5);
+  k.miss();
+  assert.equal(k.comboMult, 1);
+  assert.deepEqual(k.stats, { taps: 7, hits: 6, good: 5, trick: 1, accuracy: 0.857 });
+});
+
+/** Play a headless round and build the run a client would POST (log shape: sketch.js [Round log & replay]) */
+function playRun(mode, variant = null){
+  const s = new GameSession({ mode, variant, seed: `t-${mode}`, width: 400, height: 700, top: 40 });
+  const log = { v: 1, seed: s.seed, mode, variant, w: 400, h: 700, top: 40, touch: false, mood: null, carry: s.carry, ev: [], out: [] };
+  s.on('pop', ({ bubble: b }) => log.out.push([b._spawnIdx, b.isGold ? 'g' : (b.kind === 'trick' ? 't' : 'n')]));
+  s.on('miss', () => log.out.push(-1));
+  s.start();
+  for (let f = 0; f < 900 && !s.over; f++){
+    if (f % 6 === 0){
+      const b = s.bubbles.find(x => !x._popping && x.alive !== false);
+      const [x, y] = (f % 30 === 0 || !b) ? [2, 698] : [b.x, b.y];
+      log.ev.push([s.frame, Math.round(s.elapsedMs), 'p', x, y]);
+      s.pointer(x, y);
+    }
+    s.step();
+  }
+  return {
+    runId: 'r1', mode, seed: s.seed, score: s.score, bubblesPopped: s.stats.popped, accuracy: s.accuracy,
+    roundLog: { ...log, frames: s.frame, durationMs: Math.round(s.elapsedMs), score: s.score }
+  };
+}
+
+test('validateRun accepts a headless round in every mode', async () => {
+  for (const [mode, variant] of [['classic', 'relax'], ['classic', 'timed'], ['challenge'], ['mood']]){
+    const run = playRun(mode, variant);
+    run.logSig = await S.digestRun(run);
+    const r = S.validateRun(run, { expectedDigest: await S.digestRun(run) });
+    assert.deepEqual(r, { ok: true, score: run.score, problems: [] }, `${mode} ${variant || ''}`);
+    assert.ok(run.score > 0);
+  }
+});
+
+test('validateRun flags an inflated score, a forged pop and a digest mismatch', async () => {
+  const run = playRun('challenge');
+  const cheat = { ...run, score: run.score + 50 };
+  assert.deepEqual(S.validateRun(cheat).problems, [`score ${run.score + 50} != replayed ${run.score}`]);
+
+  const forged = structuredClone(run);
+  const i = forged.roundLog.out.findIndex(o => o !== -1);
+  forged.roundLog.out[i] = [9999, 'n'];
+  assert.ok(S.validateRun(forged).problems.some(p => /not spawned yet/.test(p)));
+
+  run.logSig = 'x';
+  assert.deepEqual(S.validateRun(run, { expectedDigest: await S.digestRun(run) }).problems, ['log digest mismatch']);
+  assert.deepEqual(S.validateRun({ score: 1 }).problems, ['no round log']);
+});
+
+test('validateRun models the session tuning it was given', () => {
+  const { TUNING } = require('../core/session.js');
+  for (const [k, v] of Object.entries(S.VALIDATE_TUNING)) assert.deepEqual(v, TUNING[k], k);
+});
+
+test('validateRun rejects pops of bubbles that are not on screen, or far from the tap', () => {
+  // 5000 pops on frame 1 at (0, 0), claimed as normal or trick: none of it holds up
+  const run = playRun('challenge');
+  const log = { ...run.roundLog, ev: [], out: [], durationMs: 30000 };
+  for (let i = 0; i < 5000; i++){
+    log.ev.push([1, 17, 'p', 0, 0]);
+    log.out.push([i, i % 2 ? 't' : 'n']);
+  }
+  const p = S.validateRun({ ...run, score: 13563, bubblesPopped: 5000, accuracy: 1, roundLog: log }).problems;
+  for (const re of [/out of reach/, /not spawned yet/, /too many taps in one frame/, /taps faster/, /^score 13563 != replayed/]){
+    assert.ok(p.some(x => re.test(x)), String(re));
+  }
+
+  // a real round with one pop moved across the screen
+  const moved = structuredClone(run);
+  const i = moved.roundLog.out.findIndex(o => o !== -1 && o[0] < 15);
+  const e = moved.roundLog.ev.filter(x => x[2] === 'p')[i];
+  e[3] = e[3] > 200 ? 0 : 400;
+  e[4] = e[4] > 370 ? 40 : 700;
+  assert.ok(e[0] < 20);
+  assert.ok(S.validateRun(moved).problems.includes(`bubble ${moved.roundLog.out[i][0]} out of reach`));
+
+  // the same bubble popped twice, before its respawn could exist
+  const twice = structuredClone(run);
+  const j = twice.roundLog.out.findIndex(o => o !== -1);
+  twice.roundLog.out[twice.roundLog.out.findIndex((o, n) => n > j && o !== -1)] = twice.roundLog.out[j];
+  assert.ok(S.validateRun(twice).problems.includes(`bubble ${twice.roundLog.out[j][0]} not on screen`));
+});
+
+test('validateRun replays the trick cap: a capped trick roll spawns a normal bubble', () => {
+  // every roll is a trick at rate 1, so only the cap turns spawns normal
+  const rules = { ...S.RULES, CHALLENGE_TRICK_RATE: 1 };
+  const s = new GameSession({ mode: 'challenge', seed: 'cap', width: 400, height: 700, rules }).start();
+  const kinds = s.bubbles.map(b => b.kind);
+  assert.deepEqual(kinds.slice(0, 4), ['trick', 'normal', 'normal', 'trick']);
+  const n = 1;
+  const b = s.bubbles[n];
+  s.pointer(b.x, b.y);
+  const run = { mode: 'challenge', seed: 'cap', score: s.score, bubblesPopped: 1, accuracy: 1,
+    roundLog: { seed: 'cap', mode: 'challenge', w: 400, h: 700, top: 0, carry: s.carry, ev: [[0, 0, 'p', b.x, b.y]], out: [[n, 'n']] } };
+  assert.deepEqual(S.validateRun(run, {}, rules).problems, []);
+  run.roundLog.out = [[n, 't']];
+  assert.ok(S.validateRun(run, {}, rules).problems.includes(`bubble ${n} kind mismatch`));
+});
+
+test('validateRun checks Zen taps against the grid and events against the round clock', () => {
+  const run = playRun('classic', 'timed');
+  assert.deepEqual(S.validateRun(run).problems, []);
+
+  const off = structuredClone(run);
+  const i = off.roundLog.out.findIndex(o => o !== -1);
+  off.roundLog.ev.filter(x => x[2] === 'p')[i][3] += 30; // cells are ~60 px wide on a 400 px board
+  assert.ok(S.validateRun(off).problems.includes(`bubble ${off.roundLog.out[i][0]} out of reach`));
+
+  const late = playRun('challenge');
+  const last = late.roundLog.ev[late.roundLog.ev.length - 1];
+  last[1] = 31000;
+  last[0] = 1900;
+  assert.ok(S.validateRun(late).problems.includes('event after the round clock ran out'));
+  late.roundLog.durationMs = 31000;
+  assert.ok(S.validateRun(late).problems.includes('round longer than its clock'));
+  // a profile with 45 s rounds (its tuning reaches the validator)
+  assert.ok(S.validateRun(late, { tuning: { MODE_DURATION: { challenge: 45 } } }).problems.every(p => !/clock/.test(p)));
+});
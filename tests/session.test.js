@@ -0,0 +1,261 @@
+// GameSession (core/session.js): pop scoring per mode, combo, miss-streak easing, trick cap, clock, pause
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameSession, TUNING } = require('../core/session.js');
+
+/** Session with a hand-placed board (no start(): nothing drawn from the spawn stream) */
+function sessionWith(mode, bubbles = [], opts = {}){
+  const s = new GameSession({ mode, seed: 'test', width: 400, height: 700, top: 0, ...opts });
+  s.bubbles.push(...bubbles);
+  return s;
+}
+const bubble = (x, y, props = {}) => ({ x, y, _baseDiam: 50, kind: 'normal', isGold: false, ...props });
+const cell = (x, y, kind = 'normal') => ({ x, y, r: 20, diameter: 40, alive: true, kind });
+
+test('Zen: teal +1, red -2, score floors at 0, no respawn', () => {
+  const s = sessionWith('classic', [cell(50, 50, 'trick'), cell(150, 50), cell(250, 50)], { variant: 'relax' });
+  s.pointer(50, 50);
+  assert.equal(s.score, 0);
+  s.pointer(150, 50);
+  s.pointer(250, 50);
+  assert.equal(s.score, 2);
+  assert.equal(s.bubbles[1].alive, false);
+  assert.equal(s.bubbles[1]._respawnAfterPop, undefined);
+  assert.deepEqual(s.stats, { taps: 3, missed: 0, popped: 3, good: 2, trick: 1 });
+});
+
+test('Zen Timed ends as soon as the last teal bubble is popped', () => {
+  const s = sessionWith('classic', [cell(50, 50), cell(150, 50, 'trick')], { variant: 'timed' });
+  const ends = [];
+  s.on('end', e => ends.push(e));
+  s.pointer(50, 50);
+  assert.deepEqual(ends, [{ reason: 'cleared', score: 1 }]);
+  assert.equal(s.bubbles[1].alive, false); // leftovers hidden
+});
+
+test('Focus: size boost × mode multiplier; trick costs 2 without multipliers', () => {
+  const s = sessionWith('challenge', [bubble(50, 50), bubble(150, 50, { _baseDiam: 88 }), bubble(250, 50, { kind: 'trick' })]);
+  const deltas = [];
+  s.on('pop', e => deltas.push(e.delta));
+  s.pointer(50, 50);   // 50px: boost 2 × 1.5
+  s.pointer(150, 50);  // 88px: boost 1 × 1.5
+  s.pointer(250, 50);
+  assert.deepEqual(deltas, [3, 2, -2]);
+  assert.equal(s.score, 3);
+});
+
+test('Daily scores by Focus rules', () => {
+  const s = sessionWith('daily', [bubble(50, 50)]);
+  s.pointer(50, 50);
+  assert.equal(s.score, 3);
+  assert.equal(s.ruleMode, 'challenge');
+});
+
+test('Emotion: mood multipliers, gold double, softer trick while happy, anger grows bubbles', () => {
+  const popOnce = (emotion, props = {}, angry = 0) => {
+    const s = sessionWith('mood', [bubble(50, 50, props)]);
+    s.setMood({ emotion, angry });
+    s.pointer(50, 50);
+    return s.score || -s.stats.trick;
+  };
+  assert.equal(popOnce('neutral'), 4);                  // 2 × 1.8 = 3.6
+  assert.equal(popOnce('happy'), 7);                    // 2 × 2.0 × 1.8
+  assert.equal(popOnce('stressed'), 5);                 // 2 × 1.5 × 1.8
+  assert.equal(popOnce('happy', { isGold: true }), 14); // 4 × 2.0 × 1.8
+  assert.equal(popOnce('neutral', {}, 1), 2);           // 67.5px on screen: boost 1 × 1.8
+
+  const s = sessionWith('mood', [bubble(50, 50, { kind: 'trick' })]);
+  const deltas = [];
+  s.on('pop', e => deltas.push(e.delta));
+  s.setMood({ emotion: 'happy' });
+  s.pointer(50, 50);
+  assert.deepEqual(deltas, [-1]);
+});
+
+test('popped bubbles are not scored twice during the pop animation, then respawn', () => {
+  const s = sessionWith('challenge', [bubble(50, 50)]);
+  s.pointer(50, 50);
+  s.pointer(50, 50);
+  assert.equal(s.stats.popped, 1);
+  assert.equal(s.stats.missed, 1);
+  for (let i = 0; i < TUNING.POP_ANIM_FRAMES; i++) s.step();
+  assert.equal(s.bubbles[0]._popping, true);  // ring still animating
+  s.step();
+  assert.equal(s.bubbles.length, 1);
+  assert.equal(s.bubbles[0]._spawnIdx, 0);
+  assert.notEqual(s.bubbles[0].x, 50);
+});
+
+test('touch pad widens hits for moving bubbles only', () => {
+  const r = 25 + TUNING.TOUCH_HIT_PAD - 1;
+  assert.equal(sessionWith('challenge', [bubble(50, 50)], { touch: true }).pointer(50 + r, 50) != null, true);
+  assert.equal(sessionWith('challenge', [bubble(50, 50)]).pointer(50 + r, 50), null);
+  assert.equal(sessionWith('classic', [cell(50, 50)], { touch: true, variant: 'relax' }).pointer(50 + 20 + 2, 50), null);
+});
+
+test('onHit/onMiss: combo x1.5 from 5 hits, x2 from 10, reset on a miss', () => {
+  const s = sessionWith('challenge');
+  const seen = [];
+  for (let i = 1; i <= 11; i++){ s.onHit(); seen.push(s.comboMult); }
+  assert.deepEqual(seen, [1, 1, 1, 1, 1.5, 1.5, 1.5, 1.5, 1.5, 2, 2]);
+  s.onMiss();
+  assert.equal(s.comboHitStreak, 0);
+  assert.equal(s.comboMult, 1);
+});
+
+test('combo multiplies positive pops in Focus, not in Zen', () => {
+  const s = sessionWith('challenge', [bubble(50, 50)], { carry: { comboHitStreak: 5, comboMult: 1.5 } });
+  s.pointer(50, 50);
+  assert.equal(s.score, 5);  // 2 × 1.5 × 1.5 = 4.5
+  const t = sessionWith('challenge', [bubble(50, 50)], { carry: { comboHitStreak: 10, comboMult: 2 } });
+  t.pointer(50, 50);
+  assert.equal(t.score, 6);
+
+  const z = sessionWith('classic', [cell(50, 50), cell(150, 50)], { variant: 'relax', carry: { comboHitStreak: 10, comboMult: 2 } });
+  z.pointer(50, 50);
+  z.pointer(1, 690);
+  assert.equal(z.score, 1);
+  assert.equal(z.comboHitStreak, 10); // Zen leaves the combo alone
+});
+
+test('noteMiss/noteHit: slowdown starts at the 3rd straight miss, caps, and recovers per hit', () => {
+  const s = sessionWith('challenge');
+  s.noteMiss(); s.noteMiss();
+  assert.equal(s.rubberSlow, 0);
+  s.noteMiss();
+  assert.equal(s.rubberSlow, TUNING.MISS_STREAK_SLOW_PER_MISS);
+  for (let i = 0; i < 20; i++) s.noteMiss();
+  assert.equal(s.rubberSlow, TUNING.MISS_STREAK_SLOW_CAP);
+  assert.equal(s.rubberSpeedFactor(), 1 - TUNING.MISS_STREAK_SLOW_CAP);
+
+  s.noteHit();
+  assert.equal(s.missStreak, 0);
+  assert.ok(Math.abs(s.rubberSlow - (TUNING.MISS_STREAK_SLOW_CAP - TUNING.MISS_STREAK_SLOW_PER_MISS)) < 1e-9);
+  s.noteMiss();  // streak restarted: no extra slowdown yet
+  assert.ok(Math.abs(s.rubberSlow - (TUNING.MISS_STREAK_SLOW_CAP - TUNING.MISS_STREAK_SLOW_PER_MISS)) < 1e-9);
+});
+
+test('rubberSpeedFactor never drops below MIN_PLAY_SPEED', () => {
+  const s = sessionWith('challenge', [], { tuning: { MISS_STREAK_SLOW_CAP: 0.9 } });
+  for (let i = 0; i < 30; i++) s.noteMiss();
+  assert.equal(s.rubberSpeedFactor(), TUNING.MIN_PLAY_SPEED);
+});
+
+test('missed taps in moving modes reset the combo and feed the miss streak', () => {
+  const s = sessionWith('challenge', [bubble(50, 50)], { carry: { comboHitStreak: 7, comboMult: 1.5 } });
+  const misses = [];
+  s.on('miss', e => misses.push(e));
+  s.pointer(300, 600);
+  assert.deepEqual(misses, [{ x: 300, y: 600 }]);
+  assert.equal(s.comboMult, 1);
+  assert.equal(s.missStreak, 1);
+  assert.equal(s.stats.missed, 1);
+});
+
+test('shouldSpawnTrick: mode base rate below the on-screen cap, never at or above it', () => {
+  const focus = sessionWith('challenge');
+  assert.equal(focus.shouldSpawnTrick(0.24), true);
+  assert.equal(focus.shouldSpawnTrick(0.25), false);
+  assert.equal(sessionWith('mood').shouldSpawnTrick(0.19), true);
+  assert.equal(sessionWith('mood').shouldSpawnTrick(0.21), false);
+  assert.equal(sessionWith('classic').shouldSpawnTrick(0), false);
+
+  const capped = sessionWith('challenge', [bubble(0, 0, { kind: 'trick' }), bubble(0, 0)]);
+  assert.equal(capped.shouldSpawnTrick(0), false); // 1/2 = MAX_TRICK_RATIO
+  const under = sessionWith('challenge', [bubble(0, 0, { kind: 'trick' }), bubble(0, 0), bubble(0, 0)]);
+  assert.equal(under.shouldSpawnTrick(0), true);
+});
+
+test('the trick cap holds across a whole seeded round', () => {
+  const s = new GameSession({ mode: 'challenge', seed: 'cap', width: 400, height: 700 }).start();
+  for (let f = 0; f < 600; f++){
+    if (f % 3 === 0){
+      const b = s.bubbles.find(x => !x._popping && x.kind === 'normal');
+      if (b) s.pointer(b.x, b.y);
+    }
+    s.step();
+    const tricks = s.bubbles.filter(b => b.kind === 'trick').length;
+    assert.ok(tricks <= Math.ceil(s.bubbles.length * TUNING.MAX_TRICK_RATIO), `frame ${f}: ${tricks}/${s.bubbles.length}`);
+  }
+});
+
+test('same seed, same board', () => {
+  const a = new GameSession({ mode: 'challenge', seed: 's1', width: 400, height: 700 }).start();
+  const b = new GameSession({ mode: 'challenge', seed: 's1', width: 400, height: 700 }).start();
+  assert.deepEqual(a.bubbles.map(x => [x.x, x.y, x.kind]), b.bubbles.map(x => [x.x, x.y, x.kind]));
+  assert.equal(a.bubbles.length, 15);
+});
+
+test('the round clock runs on step(dt) and ends once on time', () => {
+  const s = new GameSession({ mode: 'challenge', seed: 'clock', width: 400, height: 700 }).start();
+  const ends = [];
+  s.on('end', e => ends.push(e.reason));
+  assert.equal(s.timeLeft(), TUNING.MODE_DURATION.challenge);
+  for (let i = 0; i < 29; i++) s.step(1000);
+  assert.equal(s.timeLeft(), 1);
+  assert.equal(s.over, false);
+  s.step(1000);
+  s.step(1000);
+  assert.deepEqual(ends, ['time']);
+  assert.equal(s.elapsedMs, 30000);
+  assert.equal(s.pointer(10, 10), null); // no input after the end
+  assert.equal(s.stats.taps, 0);
+});
+
+test('a paused round keeps its clock, board and taps still, and logs the hold', () => {
+  const s = new GameSession({ mode: 'challenge', seed: 'pause', width: 400, height: 700 }).start();
+  for (let i = 0; i < 10; i++) s.step(1000);
+  const at = s.bubbles.map(b => [b.x, b.y]);
+
+  assert.equal(s.pause(5000), true);
+  assert.equal(s.pause(5500), false);           // already on hold
+  for (let i = 0; i < 60; i++) s.step(1000);
+  const b = s.bubbles[0];
+  assert.equal(s.pointer(b.x, b.y), null);
+  assert.equal(s.stats.taps, 0);
+  assert.equal(s.elapsedMs, 10000);
+  assert.equal(s.timeLeft(), TUNING.MODE_DURATION.challenge - 10);
+  assert.deepEqual(s.bubbles.map(x => [x.x, x.y]), at);
+
+  assert.equal(s.resume(8000), true);
+  assert.equal(s.resume(9000), false);
+  s.pause(20000);
+  s.resume(20500);
+  assert.deepEqual([s.pauses, s.pausedMs], [2, 3500]);
+  s.step(1000);
+  assert.equal(s.timeLeft(), TUNING.MODE_DURATION.challenge - 11);
+});
+
+test('ending a round while paused clears the hold', () => {
+  const s = new GameSession({ mode: 'mood', seed: 'pause-end', width: 400, height: 700 }).start();
+  s.step(1000);
+  s.pause();                                    // wall clock, like the sketch
+  s.end('quit');
+  assert.equal(s.paused, false);
+  assert.equal(s.pauses, 1);
+  assert.ok(s.pausedMs >= 0 && s.pausedMs < 1000);
+  assert.equal(s.pause(), false);               // nothing to hold once it is over
+  assert.equal(s.over, true);
+});
+
+test('Zen Relax has no clock and refills a cleared board', () => {
+  const s = new GameSession({ mode: 'classic', variant: 'relax', seed: 'relax', width: 400, height: 700 }).start();
+  assert.equal(s.timeLeft(), null);
+  for (const b of s.bubbles.slice()) if (b.kind === 'normal') s.pointer(b.x, b.y);
+  s.step();
+  assert.equal(s.refills, 1);
+  assert.ok(s.bubbles.every(b => b.alive));
+  assert.equal(s.bubbles[0]._spawnIdx, 48);    // spawn indexes keep counting across boards
+  assert.notEqual(s.redRate, null);             // the refill drifted the red share
+});
+
+test('emotion events fire on changes only', () => {
+  const s = sessionWith('mood');
+  const changes = [];
+  s.on('emotion', e => changes.push(e));
+  s.setMood({ emotion: 'neutral', angry: 0.2 });
+  s.setMood({ emotion: 'happy' });
+  s.setMood({ emotion: 'happy', angry: 0.4 });
+  assert.deepEqual(changes, [{ from: 'neutral', to: 'happy' }]);
+  assert.equal(s.mood.angry, 0.4);
+});
@@ -0,0 +1,99 @@
+// Study sessions (core/study.js): tokens, study files and counterbalanced block orders
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const St = require('../core/study.js');
+const { validateProfile } = require('../core/profile.js');
+
+const ROOT = path.join(__dirname, '..');
+const study = (conditions, extra = {}) => ({ id: 's1', version: 1, conditions, ...extra });
+const cond = (id, mode = 'challenge', more = {}) => ({ id, mode, ...more });
+
+test('study tokens are <studyId>.<participantId>', () => {
+  assert.deepEqual(St.parseStudyToken('calm-vs-default.P017'), { studyId: 'calm-vs-default', participantId: 'P017' });
+  assert.deepEqual(St.parseStudyToken(' s1.a.b '), null);          // participant ids have no dots
+  for (const bad of ['', 'nodot', '.P1', 's1.', 'S1.P1', 's1.P 1', null]) assert.equal(St.parseStudyToken(bad), null, bad);
+});
+
+test('study files are validated', () => {
+  assert.deepEqual(St.validateStudy(study([cond('a'), cond('b', 'mood')])), { ok: true, errors: [] });
+  const { errors } = St.validateStudy({
+    id: 'S 1', version: 0, extra: 1, roundsPerBlock: 0,
+    conditions: [cond('a', 'daily'), cond('a', 'classic'), cond('c', 'mood', { variant: 'timed', rules: 'Calm', rounds: 50, seed: 'x' })]
+  });
+  assert.deepEqual(errors, [
+    'study.extra: unknown key',
+    'study.id: does not match ^[a-z0-9][a-z0-9_-]{0,39}$',
+    'study.version: expected integer 1..9999',
+    'study.roundsPerBlock: expected integer 1..20',
+    'study.conditions[0].mode: expected classic | challenge | mood',
+    'study.conditions[1].id: duplicate "a"',
+    'study.conditions[1].variant: Zen needs "timed" or "relax"',
+    'study.conditions[2].seed: unknown key',
+    'study.conditions[2].variant: only Zen has variants',
+    'study.conditions[2].rules: expected a rules profile id',
+    'study.conditions[2].rounds: expected integer 1..20'
+  ]);
+  assert.deepEqual(St.validateStudy(study([])).errors, ['study.conditions: expected 1..8 conditions']);
+});
+
+test('balanced Latin squares: every position once, every ordered pair adjacent equally often', () => {
+  for (let n = 1; n <= 7; n++){
+    const rows = St.latinSquare(n);
+    assert.equal(rows.length, (n % 2 && n > 1) ? 2 * n : n, `n=${n}`);
+    for (let pos = 0; pos < n; pos++){
+      const counts = Array(n).fill(0);
+      for (const r of rows) counts[r[pos]]++;
+      assert.ok(counts.every(c => c === rows.length / n), `n=${n} position ${pos}`);
+    }
+    const pairs = {};
+    for (const r of rows) for (let i = 1; i < n; i++) pairs[`${r[i - 1]}>${r[i]}`] = (pairs[`${r[i - 1]}>${r[i]}`] || 0) + 1;
+    const counts = Object.values(pairs);
+    if (n > 1) assert.equal(counts.length, n * (n - 1), `n=${n} every ordered pair occurs`);
+    assert.ok(counts.every(c => c === counts[0]), `n=${n} pairs balanced`);
+  }
+});
+
+test('numbered participants walk the rows in order; other ids hash to a fixed row', () => {
+  assert.deepEqual(['P001', 'P002', 'P003', 'P004', 'P005'].map(p => St.participantRow(p, 4)), [0, 1, 2, 3, 0]);
+  assert.equal(St.participantRow('p-0', 4), 3);
+  const r = St.participantRow('alice', 6);
+  assert.ok(r >= 0 && r < 6);
+  assert.equal(St.participantRow('alice', 6), r);
+});
+
+test('P0 and P1 get different rows', () => {
+  for (const n of [2, 3, 4, 6]){
+    const rows = ['P0', 'P1', 'P2'].map(p => St.participantRow(p, n));
+    assert.notEqual(rows[0], rows[1], `n=${n}`);
+    assert.equal(rows[0], n - 1, `n=${n}`);
+    assert.ok(rows.every(r => r >= 0 && r < n));
+  }
+});
+
+test('assignSequence: one block per condition, defaults for rules and rounds', () => {
+  const s = study([cond('a'), cond('b', 'mood', { rules: 'calm-study' }), cond('z', 'classic', { variant: 'relax', rounds: 3 })],
+    { roundsPerBlock: 2 });
+  const { row, blocks } = St.assignSequence(s, 'P002');
+  assert.equal(row, 1);
+  assert.deepEqual(blocks.map(b => b.condition), ['b', 'z', 'a']);
+  assert.deepEqual(blocks.map(b => b.index), [0, 1, 2]);
+  assert.deepEqual(blocks[0], { index: 0, condition: 'b', mode: 'mood', variant: null, rules: 'calm-study', rounds: 2 });
+  assert.deepEqual(blocks[1], { index: 1, condition: 'z', mode: 'classic', variant: 'relax', rules: 'default', rounds: 3 });
+  assert.equal(St.assignSequence(study([cond('a')]), 'x').blocks[0].rounds, 1);
+});
+
+test('every shipped study validates and names rules profiles (and a survey) that exist', () => {
+  for (const f of fs.readdirSync(path.join(ROOT, 'studies')).filter(f => f.endsWith('.json'))){
+    const s = JSON.parse(fs.readFileSync(path.join(ROOT, 'studies', f), 'utf8'));
+    assert.deepEqual(St.validateStudy(s), { ok: true, errors: [] }, f);
+    assert.equal(`${s.id}.json`, f);
+    if (s.survey) assert.ok(fs.existsSync(path.join(ROOT, 'surveys', `${s.survey}.json`)), `${f}: survey ${s.survey}`);
+    for (const c of s.conditions){
+      if (!c.rules || c.rules === 'default') continue;
+      const profile = JSON.parse(fs.readFileSync(path.join(ROOT, 'profiles', `${c.rules}.json`), 'utf8'));
+      assert.ok(validateProfile(profile).ok, `${f}: ${c.rules}`);
+    }
+  }
+});
@@ -0,0 +1,127 @@
+// Survey definitions (core/survey.js): validation, branching, required answers and serialization
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const Sv = require('../core/survey.js');
+const St = require('../core/study.js');
+
+const ROOT = path.join(__dirname, '..');
+const survey = (before, after) => ({ id: 'sv', version: 2, ...(before && { before: { questions: before } }), ...(after && { after: { questions: after } }) });
+const q = (id, type, more = {}) => ({ id, type, label: id.toUpperCase(), ...more });
+const opts = ['yes', 'no', 'maybe'];
+
+test('the built-in survey keeps the ids the old markup stored', () => {
+  const d = Sv.DEFAULT_SURVEY;
+  assert.equal(Sv.surveyKey(d), 'default@1');
+  assert.deepEqual(d.before.questions.map(x => x.id), ['q1', 'q2']);
+  assert.deepEqual(d.after.questions.map(x => x.id), ['q1', 'q2', 'q3', 'q4', 'free']);
+  assert.deepEqual(Sv.validateSurvey(d), { ok: true, errors: [] });
+  assert.ok(Object.isFrozen(d.after.questions[0].options));
+});
+
+test('every shipped survey validates; studies may name one', () => {
+  for (const f of fs.readdirSync(path.join(ROOT, 'surveys')).filter(f => f.endsWith('.json'))){
+    const s = JSON.parse(fs.readFileSync(path.join(ROOT, 'surveys', f), 'utf8'));
+    assert.deepEqual(Sv.loadSurvey(s).errors, [], f);
+    assert.equal(`${s.id}.json`, f, 'file name matches the id (?survey=<id> loads surveys/<id>.json)');
+  }
+  const study = { id: 's1', version: 1, conditions: [{ id: 'a', mode: 'challenge' }] };
+  assert.ok(St.validateStudy({ ...study, survey: 'stress-check' }).ok);
+  assert.deepEqual(St.validateStudy({ ...study, survey: 'Stress Check' }).errors, ['study.survey: expected a survey id']);
+});
+
+test('survey errors name the path', () => {
+  const { ok, errors } = Sv.validateSurvey({
+    id: 'sv', version: 1, extra: 1,
+    before: { title: 'x', questions: [
+      q('a', 'single', { options: ['x'] }),
+      q('a', 'likert', { scale: 20, options: opts }),
+      q('c', 'slider', { min: 5, max: 5 }),
+      q('d', 'text', { maxLength: 0 }),
+      q('e', 'single', { options: opts, showIf: { q: 'zz', equals: 'yes' } }),
+      q('f', 'text', { showIf: { q: 'e', equals: 'nope' } }),
+      q('g', 'text', { showIf: { q: 'd', equals: 'x' } }),
+      q('h', 'text', { showIf: { q: 'e', gte: 2 } }),
+      q('i', 'rating'),
+      { id: '9x', type: 'text', label: '' }
+    ] }
+  });
+  assert.equal(ok, false);
+  assert.deepEqual(errors, [
+    'survey.extra: unknown key',
+    'survey.before.questions[0].options: expected 2..12 options',
+    'survey.before.questions[1].id: duplicate "a"',
+    'survey.before.questions[1].options: unknown key',
+    'survey.before.questions[1].scale: expected integer 2..11',
+    'survey.before.questions[2]: min must be < max',
+    'survey.before.questions[3].maxLength: expected integer 1..2000',
+    'survey.before.questions[4].showIf.q: expected the id of an earlier question',
+    'survey.before.questions[5].showIf.equals: "nope" is not an option of e',
+    'survey.before.questions[6].showIf.q: cannot branch on free text',
+    'survey.before.questions[7].showIf.gte: only for likert and slider questions',
+    'survey.before.questions[8].type: expected likert | single | multi | text | slider',
+    'survey.before.questions[9].id: does not match ^[a-z][a-z0-9_]{0,31}$',
+    'survey.before.questions[9].label: expected text (1..500 chars)'
+  ]);
+  assert.deepEqual(Sv.validateSurvey({ id: 'sv', version: 1 }).errors, ['survey: needs a "before" or "after" section']);
+  assert.deepEqual(Sv.loadSurvey({ id: 'default', version: 2, after: { questions: [q('a', 'text')] } }).errors,
+    ['survey.id: "default" is the built-in survey']);
+});
+
+test('branching follows earlier answers and hides dependents of hidden questions', () => {
+  const sec = survey([
+    q('stress', 'likert', { scale: 7 }),
+    q('why', 'multi', { options: opts, showIf: { q: 'stress', gte: 5 } }),
+    q('more', 'text', { showIf: { q: 'why', in: ['maybe'] } }),
+    q('calm', 'slider', { showIf: { q: 'stress', lte: 2 } })
+  ]).before;
+  const ids = (answers) => Sv.visibleQuestions(sec, answers).map(x => x.id);
+  assert.deepEqual(ids({}), ['stress']);
+  assert.deepEqual(ids({ stress: 6 }), ['stress', 'why']);
+  assert.deepEqual(ids({ stress: 6, why: ['no', 'maybe'] }), ['stress', 'why', 'more']);
+  assert.deepEqual(ids({ stress: 3, why: ['maybe'] }), ['stress'], '"more" hides with "why"');
+  assert.deepEqual(ids({ stress: 1 }), ['stress', 'calm']);
+});
+
+test('required and out-of-range answers are reported; hidden questions are not', () => {
+  const sec = survey(null, [
+    q('fun', 'single', { options: opts, required: true }),
+    q('why', 'text', { required: true, maxLength: 5, showIf: { q: 'fun', notIn: ['yes'] } }),
+    q('hard', 'slider', { min: 0, max: 10, step: 2, required: true }),
+    q('tags', 'multi', { options: opts })
+  ]).after;
+  assert.deepEqual(Sv.checkAnswers(sec, {}), { ok: false, missing: ['fun', 'hard'], invalid: [] });
+  assert.deepEqual(Sv.checkAnswers(sec, { fun: 'yes', hard: 4 }), { ok: true, missing: [], invalid: [] });
+  assert.deepEqual(Sv.checkAnswers(sec, { fun: 'no', why: '   ', hard: 3 }), { ok: false, missing: ['why'], invalid: ['hard'] });
+  assert.deepEqual(Sv.checkAnswers(sec, { fun: 'nah', hard: 12, tags: ['yes', 'yes'] }).invalid, ['fun', 'hard', 'tags']);
+  assert.deepEqual(Sv.checkAnswers(sec, { fun: 'no', why: 'too long', hard: 0 }).invalid, ['why']);
+});
+
+test('serializeAnswers keeps visible, answered questions under their ids', () => {
+  const s = survey(null, [
+    q('fun', 'single', { options: [{ value: 'y', label: 'Yes' }, { value: 'n', label: 'No' }] }),
+    q('why', 'text', { showIf: { q: 'fun', equals: 'n' } }),
+    q('tags', 'multi', { options: opts }),
+    q('stress', 'likert', { scale: 5 })
+  ]);
+  assert.deepEqual(Sv.serializeAnswers(s, 'after', { fun: 'y', why: 'stale', tags: [], stress: 2 }),
+    { _survey: 'sv@2', fun: 'y', stress: 2 });
+  assert.deepEqual(Sv.serializeAnswers(s, 'after', { fun: 'n', why: '  slow  ', tags: ['no'], stress: 9 }),
+    { _survey: 'sv@2', fun: 'n', why: 'slow', tags: ['no'] });
+  assert.deepEqual(Sv.serializeAnswers(Sv.DEFAULT_SURVEY, 'before', { q1: 'Neutral', q2: '' }),
+    { _survey: 'default@1', q1: 'Neutral' });
+});
+
+test('loadSurvey takes JSON text and falls back to the built-in survey when invalid', () => {
+  const text = fs.readFileSync(path.join(ROOT, 'surveys', 'stress-check.json'), 'utf8');
+  const { ok, survey: s } = Sv.loadSurvey(text);
+  assert.ok(ok);
+  assert.equal(Sv.surveyKey(s), 'stress-check@1');
+  assert.ok(Object.isFrozen(s.before.questions));
+
+  const bad = Sv.loadSurvey('{ "id": ');
+  assert.equal(bad.survey, Sv.DEFAULT_SURVEY);
+  assert.match(bad.errors[0], /^survey: bad JSON/);
+  assert.equal(Sv.loadSurvey({ id: 'x', version: 1, after: { questions: [] } }).survey, Sv.DEFAULT_SURVEY);
+});
@@ -0,0 +1,103 @@
+// Emotion timeline (core/timeline.js): recording, columnar encoding and decoding
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const T = require('../core/timeline.js');
+const { GameSession } = require('../core/session.js');
+
+const mood = (happy, neutral = 1 - happy) => ({ happy, sad: 0.05, angry: 0, stressed: 0.1, neutral });
+const raw = (happy) => ({ happy, sad: 0.1, angry: 0.02, neutral: 1 - happy, disgusted: 0, fearful: 0.3, surprised: 0.7 });
+
+function sampleRound(){
+  const tl = T.createTimeline();
+  tl.add({ t: 0, mood: mood(0), raw: null, faces: 0, emotion: null, speed: 0.95 });
+  tl.add({ t: 1502.4, mood: mood(0.4), raw: raw(0.5), faces: 1, emotion: 'neutral', speed: 0.95 });
+  tl.add({ t: 3010, mood: mood(0.8), raw: raw(0.9), faces: 2, emotion: 'happy', speed: 1.05 });
+  tl.add({ t: 4498, mood: mood(0.7), raw: null, faces: 0, emotion: null, speed: 0.84 });
+  return tl;
+}
+
+test('samples are copied, clamped and normalized', () => {
+  const tl = T.createTimeline();
+  const m = { happy: 1.4, sad: -1, angry: 0.2, stressed: 0, neutral: 0.3, gaze: { x: 0.5 } };
+  tl.add({ t: 12.6, mood: m, raw: null, faces: 0, emotion: 'bored', speed: NaN });
+  m.happy = 0;
+  assert.deepEqual(tl.samples[0], {
+    t: 13, mood: { happy: 1, sad: 0, angry: 0.2, stressed: 0, neutral: 0.3 }, raw: null, faces: 0, emotion: null, speed: 1
+  });
+});
+
+test('encode → decode round-trips within 12-bit precision', () => {
+  const { samples } = sampleRound();
+  const enc = T.encodeTimeline(samples);
+  assert.deepEqual(enc.t, [0, 1502, 1508, 1488]);
+  assert.equal(enc.faces, '0120');
+  assert.equal(enc.emo, '-nh-');
+  assert.deepEqual(enc.speed, [95, 95, 105, 84]);
+  assert.equal(enc.mood.length, 4 * 5 * 2);
+  assert.equal(enc.raw.length, 2 * 7 * 2, 'raw only for samples with a face');
+  assert.match(enc.mood + enc.raw, /^[A-Za-z0-9_-]+$/);
+
+  const back = T.decodeTimeline(JSON.parse(JSON.stringify(enc)));
+  assert.equal(back.length, 4);
+  back.forEach((b, i) => {
+    const s = samples[i];
+    assert.deepEqual([b.t, b.faces, b.emotion, b.speed, b.raw === null], [s.t, s.faces, s.emotion, s.speed, s.raw === null]);
+    for (const k of T.MOOD_KEYS) assert.ok(Math.abs(b.mood[k] - s.mood[k]) <= 1 / 8190, `mood.${k} @${i}`);
+    if (s.raw) for (const k of T.RAW_KEYS) assert.ok(Math.abs(b.raw[k] - s.raw[k]) <= 1 / 8190, `raw.${k} @${i}`);
+  });
+});
+
+test('a long round stays compact and stops at maxSamples', () => {
+  const tl = T.createTimeline({ maxSamples: 100 });
+  for (let i = 0; i < 120; i++) tl.add({ t: i * 1500, mood: mood((i % 10) / 10), raw: raw(0.5), faces: 1, emotion: 'neutral', speed: 1 });
+  assert.equal(tl.samples.length, 100);
+  assert.equal(tl.dropped, 20);
+  const enc = T.encodeTimeline(tl.samples);
+  assert.ok(JSON.stringify(enc).length < 100 * 40, 'about 35 chars per sample');
+});
+
+test('decodeTimeline rejects unknown versions and torn columns', () => {
+  const enc = T.encodeTimeline(sampleRound().samples);
+  assert.throws(() => T.decodeTimeline({ ...enc, v: 2 }), /version/);
+  assert.throws(() => T.decodeTimeline({ ...enc, emo: 'nh' }), /columns/);
+  assert.throws(() => T.decodeTimeline({ ...enc, raw: enc.raw.slice(2) }), /columns/);
+  assert.deepEqual(T.decodeTimeline(T.encodeTimeline([])), []);
+});
+
+test('speedFactor is the multiplier step() moves bubbles by', () => {
+  const s = new GameSession({ mode: 'mood', seed: 'tl', width: 400, height: 700, mood: { emotion: 'stressed' } });
+  s.start();
+  assert.equal(s.speedFactor(), 0.5);                          // EMO_SPEED.stressed 0.2, clamped to 0.5
+  s.setMood({ emotion: 'angry' });
+  assert.equal(s.speedFactor(), 1.3);
+  s.rubberSlow = 0.2;
+  assert.equal(s.speedFactor(), 1.3 * 0.8);
+  const c = new GameSession({ mode: 'challenge', seed: 'tl', width: 400, height: 700 });
+  assert.equal(c.speedFactor(), c.tuning.MODE_SPEED);
+});
+
+test('chartSeries stacks normalized shares and tracks the score', () => {
+  const tl = sampleRound();
+  tl.addEvent({ t: 800, kind: 'n', score: 3 });
+  tl.addEvent({ t: 1200, kind: 'm', score: 3 });
+  tl.addEvent({ t: 2500.6, kind: 'g', score: 15 });
+  tl.addEvent({ t: 4000, kind: 't', score: 13 });
+  const d = T.chartSeries(tl.samples, tl.events, 45000);
+  assert.equal(d.end, 45000);
+  assert.equal(d.stack.length, 4);
+  for (const s of d.stack){
+    assert.equal(s.bands.happy[0], 0);
+    assert.ok(Math.abs(s.bands.neutral[1] - 1) < 1e-9, 'bands fill 0..1');
+    for (let i = 1; i < T.MOOD_KEYS.length; i++) assert.equal(s.bands[T.MOOD_KEYS[i]][0], s.bands[T.MOOD_KEYS[i - 1]][1]);
+  }
+  assert.deepEqual(d.score, [[0, 0], [800, 3], [1200, 3], [2501, 15], [4000, 13]]);
+  assert.equal(d.maxScore, 15);
+  assert.deepEqual(d.pops.map(p => p.kind), ['n', 'g', 't']);
+  assert.ok(Math.abs(Object.values(d.share).reduce((a, b) => a + b, 0) - 1) < 1e-9);
+  assert.ok(d.share.neutral > d.share.angry);
+
+  const blank = T.chartSeries([{ t: 0, mood: { happy: 0, sad: 0, angry: 0, stressed: 0, neutral: 0 } }]);
+  assert.deepEqual(blank.stack[0].bands.neutral, [0, 1]);       // nothing detected reads as neutral
+  assert.equal(blank.end, 1);
+  assert.equal(blank.maxScore, 1);
+});